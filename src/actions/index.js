@@ -4,11 +4,45 @@ export const dragOver = actionCreator('DRAG_OVER');
 export const endResize = actionCreator('END_RESIZE');
 export const startResize = actionCreator('START_RESIZE');
 export const startMove = actionCreator('START_MOVE');
+export const startDuplicate = actionCreator('START_DUPLICATE');
 export const endMove = actionCreator('END_MOVE');
+export const cancelOperation = actionCreator('CANCEL_OPERATION');
+export const setCollisionStrategy = actionCreator('SET_COLLISION_STRATEGY');
 export const openModal = actionCreator('OPEN_MODAL');
 export const closeModal = actionCreator('CLOSE_MODAL');
 export const updatePanelData = actionCreator('UPDATE_PANEL_DATA');
+export const setPanelProcessing = actionCreator('SET_PANEL_PROCESSING');
 export const updateSmartList = actionCreator('UPDATE_SMART_LIST');
 export const createSmartList = actionCreator('CREATE_SMART_LIST');
 export const resetPanel = actionCreator('RESET_PANEL');
-export const removeSmartList = actionCreator('REMOVE_SMART_LIST');
\ No newline at end of file
+export const removeSmartList = actionCreator('REMOVE_SMART_LIST');
+export const moveSmartLists = actionCreator('MOVE_SMART_LISTS');
+export const setSmartListError = actionCreator('SET_SMART_LIST_ERROR');
+export const setSmartListPaging = actionCreator('SET_SMART_LIST_PAGING');
+export const insertRow = actionCreator('INSERT_ROW');
+export const removeRow = actionCreator('REMOVE_ROW');
+export const insertColumn = actionCreator('INSERT_COLUMN');
+export const removeColumn = actionCreator('REMOVE_COLUMN');
+export const announce = actionCreator('ANNOUNCE');
+export const undo = actionCreator('UNDO');
+export const redo = actionCreator('REDO');
+export const importDashboard = actionCreator('IMPORT_DASHBOARD');
+export const createDashboard = actionCreator('CREATE_DASHBOARD');
+export const renameDashboard = actionCreator('RENAME_DASHBOARD');
+export const duplicateDashboard = actionCreator('DUPLICATE_DASHBOARD');
+export const deleteDashboard = actionCreator('DELETE_DASHBOARD');
+export const switchDashboard = actionCreator('SWITCH_DASHBOARD');
+export const setBreakpoint = actionCreator('SET_BREAKPOINT');
+export const duplicatePanel = actionCreator('DUPLICATE_PANEL');
+export const maximizePanel = actionCreator('MAXIMIZE_PANEL');
+export const restorePanel = actionCreator('RESTORE_PANEL');
+export const setDashboardLock = actionCreator('SET_DASHBOARD_LOCK');
+export const saveTemplate = actionCreator('SAVE_TEMPLATE');
+export const selectPanel = actionCreator('SELECT_PANEL');
+export const startSelection = actionCreator('START_SELECTION');
+export const endSelection = actionCreator('END_SELECTION');
+export const clearSelection = actionCreator('CLEAR_SELECTION');
+export const resetPanels = actionCreator('RESET_PANELS');
+export const lockPanels = actionCreator('LOCK_PANELS');
+export const setGridSizeIndex = actionCreator('SET_GRID_SIZE_INDEX');
+export const deleteTemplate = actionCreator('DELETE_TEMPLATE');
@@ -1,8 +1,7 @@
 import {h} from 'flaco'
 import AdornerPanel from '../views/AdornerPanel';
 
-export default (props, {grid}) => {
-  const {x, y} = props;
-  const {adornerStatus = 0} = grid.getData(x, y);
+export default (props) => {
+  const {x, y, adornerStatus = 0} = props;
   return <AdornerPanel x={x} y={y} adornerStatus={adornerStatus}/>
 }
\ No newline at end of file
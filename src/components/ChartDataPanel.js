@@ -1,9 +1,27 @@
 import {h} from 'flaco';
 import ChartDataPanel from '../views/ChartDataPanel';
+import {StarsChart} from '../views/StarsChart';
 import flexible from './FlexibleDataPanel';
+import {SERIES} from '../lib/series';
 
-export default flexible((props, {grid}) => {
-  const {x, y, onResizeStart, onMoveStart} = props;
-  const panelData = grid.getData(x, y);
-  return <ChartDataPanel onMoveStart={onMoveStart} onResizeStart={onResizeStart} {...panelData}/>
-});
\ No newline at end of file
+export default flexible((props, services) => {
+  const {smartLists, connect, store} = services;
+  const {x, y, dx, dy, adornerStatus, data = {}, rows, columns, maximized, covered, dashboardLocked, onResizeStart, onMoveStart, onMoveKeyDown, onResizeKeyDown, onMoveBlur, onResizeBlur, onDuplicate, onDuplicateStart, onToggleMaximize, onToggleLock, onPanelKeyDown, selected, onHeaderClick} = props;
+  const seriesOf = SERIES[data.source];
+  const panel = children => <ChartDataPanel onMoveStart={onMoveStart} onResizeStart={onResizeStart} onDuplicate={onDuplicate} onDuplicateStart={onDuplicateStart}
+                                            maximized={maximized} covered={covered} onToggleMaximize={onToggleMaximize} onPanelKeyDown={onPanelKeyDown}
+                                            dashboardLocked={dashboardLocked} onToggleLock={onToggleLock}
+                                            selected={selected} onHeaderClick={onHeaderClick}
+                                            onMoveKeyDown={onMoveKeyDown} onResizeKeyDown={onResizeKeyDown} onMoveBlur={onMoveBlur} onResizeBlur={onResizeBlur} rows={rows} columns={columns}
+                                            x={x} y={y} dx={dx} dy={dy} adornerStatus={adornerStatus} data={data}>{children}</ChartDataPanel>;
+  // a chart of another source (from an older dashboard file for instance)
+  if (seriesOf === void 0) {
+    return panel(<p class="chart-unavailable">There is no chart for this data source</p>);
+  }
+  // the items of the source are fetched by a smart list (as for the list panels): the chart plots their series
+  const {tableState} = store.getState().smartList.find(sl => sl.x === x && sl.y === y) || {};
+  const smartList = smartLists.findOrCreate(x, y, tableState, {source: data.source, repository: data.repository});
+  const Chart = connect(state => state.smartList.find(sl => sl.x === x && sl.y === y))(({items = [], error = null}) =>
+    <StarsChart series={seriesOf(items.map(i => i.value))} error={error} onRetry={_ => smartList.load()}/>);
+  return panel(<Chart/>);
+});
@@ -0,0 +1,44 @@
+import {h} from 'flaco';
+import DashboardTabs from '../views/DashboardTabs';
+
+const focusKeys = {
+  ArrowLeft: (index, count) => (index - 1 + count) % count,
+  ArrowRight: (index, count) => (index + 1) % count,
+  Home: _ => 0,
+  End: (index, count) => count - 1
+};
+
+export default ({tabs, active}, {actions}) => {
+  const current = tabs.find(tab => tab.id === active) || {};
+
+  const onSwitch = ev => actions.switchDashboard({id: ev.currentTarget.getAttribute('dashboard')});
+
+  // tabs pattern: the arrow keys move the selection along the tab list
+  const onTabKeyDown = ev => {
+    const {code, currentTarget} = ev;
+    if (focusKeys[code] !== void 0) {
+      ev.preventDefault();
+      const index = tabs.findIndex(tab => tab.id === active);
+      const {id} = tabs[focusKeys[code](index, tabs.length)];
+      actions.switchDashboard({id});
+      currentTarget.querySelector(`[dashboard="${id}"]`).focus();
+    }
+  };
+
+  const onCreate = _ => actions.createDashboard();
+
+  const onRename = _ => actions.openModal({modalType: 'renameDashboard', title: 'Rename the dashboard', id: active, name: current.name});
+
+  const onDuplicate = _ => actions.duplicateDashboard({id: active});
+
+  const onDelete = _ => actions.openModal({
+    modalType: 'askConfirmation',
+    message: `You are about to delete the dashboard "${current.name}" with all its panels. Are you sure you want to proceed ?`,
+    executeAction: () => {
+      actions.deleteDashboard({id: active});
+    }
+  });
+
+  return <DashboardTabs tabs={tabs} active={active} onSwitch={onSwitch} onTabKeyDown={onTabKeyDown} onCreate={onCreate}
+                        onRename={onRename} onDuplicate={onDuplicate} onDelete={onDelete}/>;
+};
@@ -0,0 +1,90 @@
+import {h} from 'flaco';
+import DashboardToolbar from '../views/DashboardToolbar';
+import {STRATEGIES} from '../lib/collisions';
+import {importFile, exportFile} from '../lib/dashboardFile';
+import {copyLink} from '../lib/shareLink';
+
+const axes = {
+  row: {offset: 'y', before: 'above', after: 'below', insert: 'insertRow', remove: 'removeRow'},
+  column: {offset: 'x', before: 'left of', after: 'right of', insert: 'insertColumn', remove: 'removeColumn'}
+};
+
+export default ({collision, breakpoint, locked, empty, selectionCount, rows, columns, rowIndex, columnIndex, canRemoveRow, canRemoveColumn, canUndo, canRedo}, {actions, store}) => {
+  const onCollisionChange = ev => actions.setCollisionStrategy({strategy: ev.target.value});
+  const onToggleLock = _ => {
+    actions.setDashboardLock({locked: !locked});
+    actions.announce({message: locked ? 'The dashboard is unlocked' : 'The dashboard is locked'});
+  };
+  const onUndo = _ => actions.undo();
+  const onRedo = _ => actions.redo();
+  const onExport = _ => exportFile(store.getState());
+  const onImport = ev => {
+    const [file] = ev.target.files;
+    if (file !== void 0) {
+      importFile(actions)(file);
+    }
+    // so the same file can be picked again
+    ev.target.value = '';
+  };
+  const onCopyLink = _ => copyLink(store.getState()).then(
+    () => actions.announce({message: 'The link to the dashboard has been copied to the clipboard'}),
+    () => actions.announce({message: 'The link to the dashboard could not be copied'})
+  );
+  const selectedPanels = () => store.getState().grid.selection || [];
+  // the locked panels of the selection are left as they are
+  const onResetSelection = _ => {
+    const selection = selectedPanels();
+    actions.openModal({
+      modalType: 'askConfirmation',
+      message: `You are about to lose the data related to the ${selection.length} selected panel(s). Are you sure you want to proceed ?`,
+      executeAction: () => {
+        actions.resetPanels({panels: selection});
+      }
+    });
+  };
+  const lockSelection = locked => _ => {
+    const selection = selectedPanels();
+    actions.lockPanels({panels: selection, locked});
+    actions.announce({message: `${selection.length} panel(s) ${locked ? 'locked' : 'unlocked'}`});
+  };
+  const onClearSelection = _ => actions.clearSelection();
+  // rows and columns are inserted around and removed at the index chosen in the toolbar
+  const indexOf = axis => axis === 'row' ? rowIndex : columnIndex;
+  const onIndexChange = axis => ev => actions.setGridSizeIndex({axis, index: Number(ev.target.value)});
+  const onInsert = (axis, after) => _ => {
+    const {insert} = axes[axis];
+    const index = indexOf(axis);
+    actions[insert]({index: after ? index + 1 : index});
+    actions.announce({message: `A ${axis} has been inserted ${axes[axis][after ? 'after' : 'before']} ${axis} ${index}`});
+  };
+  const onRemove = axis => _ => {
+    const {offset, remove} = axes[axis];
+    const index = indexOf(axis);
+    const removeAt = () => {
+      actions[remove]({index});
+      actions.announce({message: `The ${axis} ${index} has been removed`});
+    };
+    const configured = store.getState().grid.panels.filter(p => p[offset] === index && p.data !== void 0 && p.data.type !== void 0);
+    if (configured.length > 0) {
+      actions.openModal({
+        modalType: 'askConfirmation',
+        message: `You are about to lose the data related to the ${configured.length} panel(s) of the ${axis} ${index}. Are you sure you want to proceed ?`,
+        executeAction: removeAt
+      });
+    } else {
+      removeAt();
+    }
+  };
+  const onSaveTemplate = _ => actions.openModal({modalType: 'saveTemplate', title: 'Save as template'});
+  return <DashboardToolbar collision={collision} breakpoint={breakpoint} locked={locked} onToggleLock={onToggleLock} strategies={STRATEGIES} onCollisionChange={onCollisionChange}
+                           canUndo={canUndo} canRedo={canRedo} onUndo={onUndo} onRedo={onRedo}
+                           onExport={onExport} onImport={onImport} onCopyLink={onCopyLink}
+                           empty={empty} onSaveTemplate={onSaveTemplate}
+                           rows={rows} columns={columns} rowIndex={rowIndex} columnIndex={columnIndex}
+                           canRemoveRow={canRemoveRow} canRemoveColumn={canRemoveColumn}
+                           onRowIndexChange={onIndexChange('row')} onColumnIndexChange={onIndexChange('column')}
+                           onInsertRowBefore={onInsert('row', false)} onInsertRowAfter={onInsert('row', true)} onRemoveRow={onRemove('row')}
+                           onInsertColumnBefore={onInsert('column', false)} onInsertColumnAfter={onInsert('column', true)} onRemoveColumn={onRemove('column')}
+                           selectionCount={selectionCount} onResetSelection={onResetSelection} onLockSelection={lockSelection(true)}
+                           onUnlockSelection={lockSelection(false)} onClearSelection={onClearSelection}/>;
+};
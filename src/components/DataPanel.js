@@ -15,10 +15,7 @@ const getDataPanel = (type) => {
 };
 
 export default (props, services) => {
-  const {x, y} = props;
-  const {grid} = services;
-  const panelData = grid.getData(x, y);
-  const {data = {}}=panelData;
+  const {data = {}} = props;
   const Panel = getDataPanel(data.type);
   return Panel(props, services);
 };
\ No newline at end of file
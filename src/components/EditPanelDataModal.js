@@ -4,15 +4,31 @@ import {
   CreateSmartChartDataPanel,
   CreateSmartAggregationDataPanel
 } from '../views/EditDataPanelForm';
+import {parseRepository} from '../lib/github';
 
-const CreateDataPanel = (Comp, defaultData) => (props, {actions}) => {
-  const {x, y, data = defaultData} = props;
+// resolves with the name GitHub gives to the repository
+const repositoryValidator = github => name => {
+  const repository = parseRepository(name);
+  return repository === null ?
+    Promise.reject(new Error(`"${name}" is not a repository name, expected owner/repo`)) :
+    github.repository(repository).then(({full_name}) => full_name);
+};
+
+const CreateDataPanel = (Comp, defaultData) => (props, {actions, github}) => {
+  // every form starts from a copy: it is filled as the user goes
+  const {x, y, data = Object.assign({}, defaultData)} = props;
   const onSubmit = ev => {
     ev.preventDefault();
     actions.updatePanelData({x, y, data});
     actions.closeModal();
   };
-  return Comp({data, closeModal: actions.closeModal, onSubmit, ...props});
+  return Comp({
+    data,
+    closeModal: actions.closeModal,
+    onSubmit,
+    suggestRepositories: text => github.suggestRepositories(text),
+    validateRepository: repositoryValidator(github), ...props
+  });
 };
 
 export const CreateSmartListModal = CreateDataPanel(CreateSmartListDataPanel, {type: 'list', showToolBar: true});
@@ -2,9 +2,8 @@ import {h} from 'flaco';
 import EmptyDataPanel from '../views/EmptyDataPanel';
 import flexible from './FlexibleDataPanel';
 
-export default flexible((props, {grid, actions}) => {
-  const {x, y, onResizeStart, onMoveStart} = props;
-  const panelData = grid.getData(x, y);
+export default flexible((props, {actions}) => {
+  const {x, y, dx, dy, adornerStatus, data, rows, columns, covered, onResizeStart, onMoveStart, onMoveKeyDown, onResizeKeyDown, onMoveBlur, onResizeBlur} = props;
 
   const createSmartList = _ => {
     actions.openModal({x, y, title: 'Create new data panel', modalType: 'createSmartListPanelData'});
@@ -18,9 +17,11 @@ export default flexible((props, {grid, actions}) => {
     actions.openModal({x, y, title: 'Create new aggregation data panel', modalType: 'createSmartAggregationPanelData'});
   };
 
-  return <EmptyDataPanel {...panelData} onMoveStart={onMoveStart} createSmartList={createSmartList}
+  return <EmptyDataPanel x={x} y={y} dx={dx} dy={dy} adornerStatus={adornerStatus} data={data} onMoveStart={onMoveStart} createSmartList={createSmartList}
                          createSmartChart={createSmartChart}
                          onResizeStart={onResizeStart}
+                         onMoveKeyDown={onMoveKeyDown} onResizeKeyDown={onResizeKeyDown} onMoveBlur={onMoveBlur} onResizeBlur={onResizeBlur}
+                         rows={rows} columns={columns} covered={covered}
                          createSmartAggregation={createSmartAggregation}
   />;
 });
\ No newline at end of file
@@ -1,11 +1,29 @@
+import {Grid} from '../lib/grid';
+import {nextFreeArea} from '../lib/collisions';
+
+const arrows = {
+  ArrowUp: {x: 0, y: -1},
+  ArrowDown: {x: 0, y: 1},
+  ArrowLeft: {x: -1, y: 0},
+  ArrowRight: {x: 1, y: 0}
+};
+
+const clamp = (value, max) => Math.min(Math.max(value, 1), max);
+
+// there can only be one panel grabbed with the keyboard at a time
+let grab = null;
+
+const isGrabbed = (operation, x, y) => grab !== null && grab.startX === x && grab.startY === y && grab.operation === operation;
+
 export default (Comp) => (props, services) => {
   const {x, y} = props;
-  const {actions} = services;
+  const {actions, store} = services;
 
   const onResizeStart = ev => {
+    const direction = ev.currentTarget.getAttribute('direction') || 'se';
     ev.dataTransfer.dropEffect = 'copy';
-    ev.dataTransfer.setData('text/plain', JSON.stringify({x, y, operation: 'resize'}));
-    actions.startResize({x, y});
+    ev.dataTransfer.setData('text/plain', JSON.stringify({x, y, direction, operation: 'resize'}));
+    actions.startResize({x, y, direction});
   };
 
   const onMoveStart = ev => {
@@ -14,6 +32,135 @@ export default (Comp) => (props, services) => {
     actions.startMove({x, y});
   };
 
-  return Comp({onResizeStart, onMoveStart, ...props}, services);
-};
+  // the copy goes to the next free area large enough for it
+  const onDuplicate = _ => {
+    const {dx = 1, dy = 1} = props;
+    const to = nextFreeArea(Grid(store.getState().grid), {x, y, dx, dy});
+    if (to === null) {
+      actions.announce({message: 'There is no room left in the grid for a copy of the panel'});
+    } else {
+      actions.duplicatePanel({x, y, to});
+      actions.announce({message: `Panel duplicated at row ${to.y}, column ${to.x}`});
+    }
+  };
+
+  // or to the empty cell it is dropped onto
+  const onDuplicateStart = ev => {
+    ev.dataTransfer.dropEffect = 'copy';
+    ev.dataTransfer.setData('text/plain', JSON.stringify({x, y, operation: 'duplicate'}));
+    actions.startDuplicate({x, y});
+  };
+
+  const onToggleMaximize = _ => {
+    if (props.maximized === true) {
+      actions.restorePanel();
+      actions.announce({message: 'Panel restored'});
+    } else {
+      actions.maximizePanel({x, y});
+      actions.announce({message: 'Panel maximized, press Escape to restore it'});
+    }
+  };
+
+  const onToggleLock = _ => {
+    const {data = {}} = props;
+    actions.updatePanelData({x, y, data: Object.assign({}, data, {locked: data.locked !== true})});
+    actions.announce({message: data.locked === true ? 'Panel unlocked' : 'Panel locked'});
+  };
 
+  // Shift or Ctrl (Cmd) click on the header adds the panel to the selection (or removes it)
+  const onHeaderClick = ev => {
+    if ((ev.shiftKey || ev.ctrlKey || ev.metaKey) && ev.target.closest('button') === null) {
+      ev.preventDefault();
+      actions.selectPanel({x, y});
+      const {grid: {selection = []}} = store.getState();
+      actions.announce({message: `${selection.length} panel(s) selected`});
+    }
+  };
+
+  const onPanelKeyDown = ev => {
+    if (ev.code === 'Escape' && props.maximized === true) {
+      ev.preventDefault();
+      actions.restorePanel();
+      actions.announce({message: 'Panel restored'});
+    }
+  };
+
+  const isValid = () => {
+    const {grid: {active}} = store.getState();
+    return active !== null && active.valid === true;
+  };
+
+  const describe = ({operation, startX, startY, x, y}) => operation === 'move' ?
+    `row ${y}, column ${x}` :
+    `${x - startX + 1} column(s) by ${y - startY + 1} row(s)`;
+
+  const keyboardOperation = (operation, start, end) => ev => {
+    const {code} = ev;
+    // the operation may have been ended by something else (an undo, a pointer drag, etc)
+    if (grab !== null && store.getState().grid.active === null) {
+      grab = null;
+    }
+    if (grab === null) {
+      if (code === 'Enter' || code === 'Space') {
+        ev.preventDefault();
+        const {dx = 1, dy = 1} = props;
+        grab = operation === 'move' ?
+          {operation, startX: x, startY: y, x, y} :
+          {operation, startX: x, startY: y, x: x + dx - 1, y: y + dy - 1};
+        start({x, y});
+        actions.announce({message: `Panel grabbed for ${operation}: ${describe(grab)}. Use the arrow keys to ${operation} it, Enter to confirm or Escape to cancel.`});
+      }
+    } else if (isGrabbed(operation, x, y)) {
+      if (arrows[code]) {
+        ev.preventDefault();
+        const {grid: {rows, columns}} = store.getState();
+        grab.x = clamp(grab.x + arrows[code].x, columns);
+        grab.y = clamp(grab.y + arrows[code].y, rows);
+        actions.dragOver({x: grab.x, y: grab.y});
+        actions.announce({message: `${describe(grab)}${isValid() ? '' : ' (not allowed)'}`});
+      } else if (code === 'Enter' || code === 'Space') {
+        ev.preventDefault();
+        const {startX, startY, x, y} = grab;
+        const valid = isValid();
+        grab = null;
+        end({x, y, startX, startY});
+        actions.announce({message: valid ? `Panel ${operation}d: ${describe({operation, startX, startY, x, y})}` : `The panel could not be ${operation}d`});
+      } else if (code === 'Escape') {
+        ev.preventDefault();
+        grab = null;
+        actions.cancelOperation();
+        actions.announce({message: `Panel ${operation} cancelled`});
+      }
+    }
+  };
+
+  const onMoveKeyDown = keyboardOperation('move', actions.startMove, actions.endMove);
+  const onResizeKeyDown = keyboardOperation('resize', actions.startResize, actions.endResize);
+
+  // the grab does not survive the handle losing the focus
+  const cancelOnBlur = operation => _ => {
+    if (isGrabbed(operation, x, y)) {
+      grab = null;
+      actions.cancelOperation();
+      actions.announce({message: `Panel ${operation} cancelled`});
+    }
+  };
+
+  const onMoveBlur = cancelOnBlur('move');
+  const onResizeBlur = cancelOnBlur('resize');
+
+  return Comp({
+    onResizeStart,
+    onMoveStart,
+    onMoveKeyDown,
+    onResizeKeyDown,
+    onMoveBlur,
+    onResizeBlur,
+    onDuplicate,
+    onDuplicateStart,
+    onToggleMaximize,
+    onToggleLock,
+    onHeaderClick,
+    onPanelKeyDown, ...props
+  }, services);
+};
@@ -0,0 +1,4 @@
+import {h} from 'flaco';
+import ImportErrorsModal from '../views/ImportErrorsModal';
+
+export default (props, {actions}) => <ImportErrorsModal closeModal={actions.closeModal} {...props} />
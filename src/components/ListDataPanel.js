@@ -2,6 +2,10 @@ import {h} from 'flaco';
 import ListDataPanel from '../views/ListDataPanel';
 import flexible from './FlexibleDataPanel';
 import SmartIssuesList from './SmartIssueList';
+import SmartPullRequestsList from './SmartPullRequestList';
+import SmartStargazersList from './SmartStargazerList';
+import SmartContributorsList from './SmartContributorList';
+import SmartCommitsList from './SmartCommitList';
 
 //todo
 const DummyList = () => <div>
@@ -10,10 +14,12 @@ const DummyList = () => <div>
 
 
 export default flexible(((props, services) => {
-  const {grid, smartLists, connect, actions} = services;
-  const {x, y, onResizeStart, onMoveStart} = props;
-  const panelData = grid.getData(x, y);
-  const smartList = smartLists.findOrCreate(x, y);
+  const {smartLists, connect, actions, store, defaultRepository} = services;
+  const {x, y, dx, dy, adornerStatus, data = {}, rows, columns, maximized, covered, dashboardLocked, onResizeStart, onMoveStart, onMoveKeyDown, onResizeKeyDown, onMoveBlur, onResizeBlur, onDuplicate, onDuplicateStart, onToggleMaximize, onToggleLock, onPanelKeyDown, selected, onHeaderClick} = props;
+  const panelData = {x, y, dx, dy, adornerStatus, data};
+  // a restored dashboard carries the table state of its lists
+  const {tableState} = store.getState().smartList.find(sl => sl.x === x && sl.y === y) || {};
+  const smartList = smartLists.findOrCreate(x, y, tableState, {source: data.source, query: data.query, repository: data.repository});
   const connectFunc = connect(state => state.smartList.find(sl => sl.x === x && sl.y === y));
 
   const SmartListComponent = connectFunc((props) => getListComponent(panelData.data.source)(props, services));
@@ -33,8 +39,11 @@ export default flexible(((props, services) => {
     smartList.remove();
   };
 
+  const clickRefresh = _ => {
+    smartList.refresh();
+  };
+
   const clickToggleToolBar = _ => {
-    const {data = {}} = panelData;
     actions.updatePanelData({
       x, y, data: Object.assign({}, data, {
         showToolBar: !data.showToolBar
@@ -42,9 +51,13 @@ export default flexible(((props, services) => {
     });
   };
 
-  return (<ListDataPanel onToggleToolBar={clickToggleToolBar} onEdit={clickEdit} onReset={clickReset}
-                         onMoveStart={onMoveStart}
-                         onResizeStart={onResizeStart} {...panelData} >
+  return (<ListDataPanel onToggleToolBar={clickToggleToolBar} onEdit={clickEdit} onRefresh={clickRefresh} onReset={clickReset}
+                         onDuplicate={onDuplicate} onDuplicateStart={onDuplicateStart}
+                         maximized={maximized} covered={covered} onToggleMaximize={onToggleMaximize} onPanelKeyDown={onPanelKeyDown}
+                         dashboardLocked={dashboardLocked} onToggleLock={onToggleLock}
+                         selected={selected} onHeaderClick={onHeaderClick} repository={data.repository || defaultRepository}
+                         onMoveStart={onMoveStart} onMoveKeyDown={onMoveKeyDown} onResizeKeyDown={onResizeKeyDown} onMoveBlur={onMoveBlur} onResizeBlur={onResizeBlur}
+                         onResizeStart={onResizeStart} rows={rows} columns={columns} {...panelData} >
     <SmartListComponent {...panelData} smartList={smartList} x={x} y={y}/>
   </ListDataPanel>);
 }));
@@ -53,6 +66,14 @@ const getListComponent = (source) => {
   switch (source) {
     case 'issues':
       return SmartIssuesList;
+    case 'prs':
+      return SmartPullRequestsList;
+    case 'stargazers':
+      return SmartStargazersList;
+    case 'contributors':
+      return SmartContributorsList;
+    case 'commits':
+      return SmartCommitsList;
     default:
       return DummyList;
   }
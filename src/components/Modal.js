@@ -1,6 +1,9 @@
 import {h} from 'flaco';
 import {CreateSmartListModal, CreateSmartAggregationModal, CreateSmartChartModal} from './EditPanelDataModal';
 import ConfirmationModal from './ConfirmationModal';
+import ImportErrorsModal from './ImportErrorsModal';
+import RenameDashboardModal from './RenameDashboardModal';
+import SaveTemplateModal from './SaveTemplateModal';
 import {default as ModalView}  from '../views/Modal';
 
 
@@ -18,6 +21,12 @@ const getModalComponent = (modalType) => {
       return CreateSmartAggregationModal;
     case 'askConfirmation':
       return ConfirmationModal;
+    case 'importErrors':
+      return ImportErrorsModal;
+    case 'renameDashboard':
+      return RenameDashboardModal;
+    case 'saveTemplate':
+      return SaveTemplateModal;
     default:
       return EmptyModal;
   }
@@ -0,0 +1,16 @@
+import {h} from 'flaco';
+import RenameDashboardModal from '../views/RenameDashboardModal';
+
+export default (props, {actions}) => {
+  const {id} = props;
+  let {name} = props;
+  const onNameChange = ev => {
+    name = ev.target.value;
+  };
+  const onSubmit = ev => {
+    ev.preventDefault();
+    actions.renameDashboard({id, name});
+    actions.closeModal();
+  };
+  return <RenameDashboardModal closeModal={actions.closeModal} onNameChange={onNameChange} onSubmit={onSubmit} {...props}/>;
+};
@@ -0,0 +1,17 @@
+import {h} from 'flaco';
+import SaveTemplateModal from '../views/SaveTemplateModal';
+import {templateOf} from '../lib/templates';
+
+export default (props, {actions, store}) => {
+  let {name} = props;
+  const onNameChange = ev => {
+    name = ev.target.value;
+  };
+  const onSubmit = ev => {
+    ev.preventDefault();
+    actions.saveTemplate(templateOf(store.getState(), name));
+    actions.closeModal();
+    actions.announce({message: `The dashboard has been saved as the template ${name}`});
+  };
+  return <SaveTemplateModal closeModal={actions.closeModal} onNameChange={onNameChange} onSubmit={onSubmit} {...props}/>;
+};
@@ -0,0 +1,45 @@
+import {CommitsList, COMMIT_QUERY_FIELDS} from '../views/Commits'
+import ListError from '../views/ListError';
+import {findPanel} from '../lib/grid';
+import {h} from 'flaco';
+
+const messageFilter = ({filter = {}}) => {
+  const [clause = {}] = filter.message || [];
+  return clause.value || '';
+};
+
+export default (props, {actions, store}) => {
+  const {smartList, items = [], error = null, hasNextPage = false, x, y} = props;
+  // the list can be updated by a component created before the query changed: the panel data is read from the store
+  const {data = {}} = findPanel(store.getState().grid.panels, x, y) || {};
+  const {showToolBar, query = {}} = data;
+
+  // the author, the branch and the path are filters of the endpoint: the commits are fetched again
+  const onQuerySubmit = ev => {
+    ev.preventDefault();
+    const {elements} = ev.target;
+    const newQuery = {};
+    for (let {name} of COMMIT_QUERY_FIELDS) {
+      const value = elements[name].value.trim();
+      if (value !== '') {
+        newQuery[name] = value;
+      }
+    }
+    const {data = {}} = findPanel(store.getState().grid.panels, x, y) || {};
+    actions.updatePanelData({x, y, data: Object.assign({}, data, {query: newQuery})});
+    smartList.load(newQuery);
+  };
+
+  const onMessageInput = ev => {
+    const {value} = ev.target;
+    smartList.filter({message: value.trim() === '' ? [] : [{value: value.trim(), operator: 'includes'}]});
+  };
+
+  return (
+    <div class="issues-container">
+      <ListError error={error} onRetry={_ => smartList.load()}/>
+      <CommitsList x={x} y={y} showToolBar={showToolBar} smartList={smartList} query={query} message={messageFilter(smartList.getTableState())}
+                   hasNextPage={hasNextPage} onQuerySubmit={onQuerySubmit} onMessageInput={onMessageInput}
+                   onLoadMore={_ => smartList.loadMore()} commits={items.map(i => i.value)}/>
+    </div>);
+};
@@ -0,0 +1,29 @@
+import {ContributorsList} from '../views/Contributors'
+import ListError from '../views/ListError';
+import {findPanel} from '../lib/grid';
+import {h} from 'flaco';
+
+export default (props, {actions, store}) => {
+  const {smartList, items = [], error = null, x, y} = props;
+  // the list can be updated by a component created before the window changed: the panel data is read from the store
+  const {data = {}} = findPanel(store.getState().grid.panels, x, y) || {};
+  const {showToolBar, window: windowName = 'all'} = data;
+
+  // the list keeps its sort on the contributions of the new window
+  const onWindowChange = ev => {
+    const {value} = ev.target;
+    const {data = {}} = findPanel(store.getState().grid.panels, x, y) || {};
+    actions.updatePanelData({x, y, data: Object.assign({}, data, {window: value})});
+    const {sort = {}} = smartList.getTableState();
+    if (/^stats\./.test(sort.pointer || '')) {
+      smartList.sort({pointer: sort.pointer.replace(/^stats\.\w+/, `stats.${value}`), direction: sort.direction});
+    }
+  };
+
+  return (
+    <div class="issues-container">
+      <ListError error={error} onRetry={_ => smartList.load()}/>
+      <ContributorsList x={x} y={y} showToolBar={showToolBar} smartList={smartList} windowName={windowName}
+                        onWindowChange={onWindowChange} contributors={items.map(i => i.value)}/>
+    </div>);
+};
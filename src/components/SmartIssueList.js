@@ -1,12 +1,14 @@
 import {IssuesList} from '../views/Issues'
+import ListError from '../views/ListError';
 import {h} from 'flaco';
 
 export default (props) => {
-  const {smartList, items =[], data={}} = props;
+  const {smartList, items =[], data={}, error = null, x, y} = props;
   const {showToolBar} = data;
   return (
     <div class="issues-container">
-      <IssuesList showToolBar={showToolBar} smartList={smartList} issues={items.map(i => i.value)}/>
+      <ListError error={error} onRetry={_ => smartList.load()}/>
+      <IssuesList x={x} y={y} showToolBar={showToolBar} smartList={smartList} issues={items.map(i => i.value)}/>
     </div>);
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,13 @@
+import {PullRequestsList} from '../views/PullRequests'
+import ListError from '../views/ListError';
+import {h} from 'flaco';
+
+export default (props) => {
+  const {smartList, items = [], data = {}, error = null, x, y} = props;
+  const {showToolBar} = data;
+  return (
+    <div class="issues-container">
+      <ListError error={error} onRetry={_ => smartList.load()}/>
+      <PullRequestsList x={x} y={y} showToolBar={showToolBar} smartList={smartList} pullRequests={items.map(i => i.value)}/>
+    </div>);
+};
@@ -0,0 +1,13 @@
+import {StargazersList} from '../views/Stargazers'
+import ListError from '../views/ListError';
+import {h} from 'flaco';
+
+export default (props) => {
+  const {smartList, items = [], data = {}, error = null, x, y} = props;
+  const {showToolBar} = data;
+  return (
+    <div class="issues-container">
+      <ListError error={error} onRetry={_ => smartList.load()}/>
+      <StargazersList x={x} y={y} showToolBar={showToolBar} smartList={smartList} stargazers={items.map(i => i.value)}/>
+    </div>);
+};
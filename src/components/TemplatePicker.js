@@ -0,0 +1,26 @@
+import {h} from 'flaco';
+import TemplatePicker from '../views/TemplatePicker';
+import {BUILT_IN_TEMPLATES} from '../lib/templates';
+import {fromDocument} from '../lib/dashboardFile';
+
+export default ({empty, templates = []}, {actions}) => {
+  const all = [...BUILT_IN_TEMPLATES, ...templates];
+  const templateOf = ev => all.find(({id}) => id === ev.currentTarget.getAttribute('template'));
+  // the dashboard is empty: there is nothing to confirm and the import can be undone anyway
+  const onApply = ev => {
+    const {name, document} = templateOf(ev);
+    actions.importDashboard(fromDocument(document));
+    actions.announce({message: `The dashboard has been set up from the template ${name}`});
+  };
+  const onDelete = ev => {
+    const {id, name} = templateOf(ev);
+    actions.openModal({
+      modalType: 'askConfirmation',
+      message: `The template "${name}" will be deleted. Are you sure you want to proceed ?`,
+      executeAction: () => {
+        actions.deleteTemplate({id});
+      }
+    });
+  };
+  return <TemplatePicker hidden={!empty} templates={all} onApply={onApply} onDelete={onDelete}/>;
+};
@@ -1,15 +1,54 @@
-import {h, connect} from 'flaco';
+import {h, isDeepEqual} from 'flaco';
 import AdornerPanel from './AdornerPanel';
 import DataPanel from './DataPanel';
+import PanelGhost from '../views/PanelGhost';
+import {findPanel} from '../lib/grid';
 import {ROWS, COLUMNS} from '../lib/constants';
+import pointerDrag from '../lib/pointerDrag';
+import rubberBand from '../lib/rubberBand';
+import {importFile} from '../lib/dashboardFile';
 
-const findPanelFromState = (x, y) => state => state.grid.panels.find(({x: px, y: py}) => x === px && y === py);
+// panels are bound to their rank in the grid they have been rendered for: when the dimensions change (or another dashboard is displayed)
+// the dashboard is mounted again and the previous subscriptions must not update (they are only removed once the dispatch is over)
+const findPanelFromState = (index, {rows, columns, dashboard, breakpoint}) => state => {
+  const {grid, dashboards} = state;
+  const {maximized = null, selection = []} = grid;
+  const panel = grid.panels[index];
+  if (panel === void 0 || grid.rows !== rows || grid.columns !== columns || dashboards.active !== dashboard || grid.breakpoint !== breakpoint) {
+    return void 0;
+  }
+  // a maximized panel covers the others
+  const isMaximized = maximized !== null && maximized.x === panel.x && maximized.y === panel.y;
+  return Object.assign({
+    rows,
+    columns,
+    maximized: isMaximized,
+    covered: maximized !== null && !isMaximized,
+    dashboardLocked: grid.locked === true,
+    selected: selection.some(({x, y}) => x === panel.x && y === panel.y)
+  }, panel);
+};
+
+// the panel being dragged, at the position it would take if it was dropped
+export const ghostFromState = ({grid: {active, panels, rows, columns}}) => {
+  if (active === null || active === void 0 || !active.ghost) {
+    return {visible: false};
+  }
+  const {data = {}} = findPanel(panels, active.x, active.y) || {};
+  const title = active.group !== void 0 ? `${active.group.length} panels` : data.title || '';
+  // above the panels, even a maximized one
+  return Object.assign({visible: true, valid: active.valid === true, title, z: rows * columns + 1}, active.ghost);
+};
+
+// a panel about to be unmounted should not be updated
+const shouldUpdatePanel = (previous, current) => current !== void 0 && isDeepEqual(previous, current) === false;
+
+const subscribeTo = (connect, index, dimensions) => comp => connect(findPanelFromState(index, dimensions))(comp, void 0, shouldUpdatePanel);
 
 export const AdornerGrid = (props, services) => {
-  const {panels = []} = props;
+  const {panels = [], rows = ROWS, columns = COLUMNS, dashboard, breakpoint} = props;
   const {connect} = services;
-  const subscribeTo = (x, y) => connect(findPanelFromState(x, y));
-  const PanelComponents = panels.map(({x, y}) => subscribeTo(x, y)(props => AdornerPanel(props, services)));
+  const PanelComponents = panels.map((_, index) => subscribeTo(connect, index, {rows, columns, dashboard, breakpoint})(props => AdornerPanel(props, services)));
 
   return <div class="grid adorner-layer">
     {
@@ -18,7 +57,9 @@ export const AdornerGrid = (props, services) => {
   </div>;
 };
 
-const getCoordsFromMouseEvent = (columns, rows) => (ev) => {
+const clamp = (value, max) => Math.min(Math.max(value, 1), max);
+
+export const getCoordsFromMouseEvent = (columns, rows) => (ev) => {
   const {currentTarget, offsetX, offsetY} = ev;
   const {offsetWidth, offsetHeight} = currentTarget;
   let xpix = offsetX;
@@ -29,18 +70,37 @@ const getCoordsFromMouseEvent = (columns, rows) => (ev) => {
     ypix += target.offsetTop;
     target = target.offsetParent;
   }
-  const x = Math.floor((xpix / offsetWidth) * COLUMNS) + 1;
-  const y = Math.floor((ypix / offsetHeight) * ROWS) + 1;
-  return {x, y};
+  const x = Math.floor((xpix / offsetWidth) * columns) + 1;
+  const y = Math.floor((ypix / offsetHeight) * rows) + 1;
+  return {x: clamp(x, columns), y: clamp(y, rows)};
 };
 
 export const DataGrid = (props, services) => {
-  const {panels = []} = props;
-  const {connect, actions} = services;
-  const subscribeTo = (x, y) => connect(findPanelFromState(x, y));
-  const PanelComponents = panels.map(({x, y}) => subscribeTo(x, y)(props => DataPanel(props, services)));
+  const {panels = [], rows = ROWS, columns = COLUMNS, dashboard, breakpoint} = props;
+  const {connect, actions, store} = services;
+  const PanelComponents = panels.map((_, index) => subscribeTo(connect, index, {rows, columns, dashboard, breakpoint})(props => DataPanel(props, services)));
+  const Ghost = connect(ghostFromState)(PanelGhost);
 
-  const coords = getCoordsFromMouseEvent(COLUMNS, ROWS);
+  const coords = getCoordsFromMouseEvent(columns, rows);
+  const drag = pointerDrag({actions, coords});
+  const band = rubberBand({actions, coords});
+  // the drag engine handles touch and pen, the rubber band the mouse
+  const onPointerDown = ev => {
+    drag.onPointerDown(ev);
+    band.onPointerDown(ev);
+  };
+  const onPointerMove = ev => {
+    drag.onPointerMove(ev);
+    band.onPointerMove(ev);
+  };
+  const onPointerUp = ev => {
+    drag.onPointerUp(ev);
+    band.onPointerUp(ev);
+  };
+  const onPointerCancel = ev => {
+    drag.onPointerCancel(ev);
+    band.onPointerCancel(ev);
+  };
 
   const onDragOver = (ev) => {
     ev.preventDefault();
@@ -50,10 +110,24 @@ export const DataGrid = (props, services) => {
 
   const onDrop = ev => {
     const {dataTransfer} = ev;
+    // a dashboard file dropped from the desktop
+    if (dataTransfer.files && dataTransfer.files.length > 0) {
+      ev.preventDefault();
+      importFile(actions)(dataTransfer.files[0]);
+      return;
+    }
     const data = dataTransfer.getData('text/plain');
     const JsonData = JSON.parse(data);
     const {x: startX, y: startY, operation} = JsonData;
-    if (startX && startY && ['move', 'resize'].includes(operation)) {
+    if (startX && startY && operation === 'duplicate') {
+      const {x, y} = coords(ev);
+      const {grid: {active}} = store.getState();
+      if (active !== null && active.valid === true) {
+        actions.duplicatePanel({x: startX, y: startY, to: {x, y}});
+      } else {
+        actions.cancelOperation();
+      }
+    } else if (startX && startY && ['move', 'resize'].includes(operation)) {
       const {x, y} = coords(ev);
       const args = {x, startX, y, startY};
       if (operation === 'resize') {
@@ -66,9 +140,11 @@ export const DataGrid = (props, services) => {
     ev.preventDefault();
   };
 
-  return <div class="grid data-layer" onDragover={onDragOver} onDrop={onDrop}>
+  return <div class="grid data-layer" onDragover={onDragOver} onDrop={onDrop} onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerCancel={onPointerCancel}>
     {
       PanelComponents.map(Panel => <Panel/>)
     }
+    <Ghost/>
   </div>;
 };
\ No newline at end of file
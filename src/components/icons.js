@@ -65,6 +65,12 @@ return (<span class={classes}>
 <svg width="40" height="32" viewBox="0 0 40 32"><title>connection</title><path d="M20 18c3.308 0 6.308 1.346 8.481 3.519l-2.827 2.827C24.205 22.897 22.205 22 20 22s-4.206.897-5.654 2.346l-2.827-2.827A11.963 11.963 0 0 1 20 18zM5.858 15.858C9.635 12.081 14.658 10 20 10s10.365 2.08 14.142 5.858l-2.828 2.828C28.292 15.664 24.274 14 20 14s-8.292 1.664-11.314 4.686l-2.828-2.828zM30.899 4.201a27.89 27.89 0 0 1 8.899 6l-2.828 2.828C32.437 8.496 26.41 6 19.999 6S7.561 8.496 3.028 13.029L.2 10.201A27.917 27.917 0 0 1 19.998 2c3.779 0 7.446.741 10.899 2.201zM18 28a2 2 0 1 1 3.999-.001A2 2 0 0 1 18 28z"/></svg>
 </span>)};
 
+export const Copy = (props) => {
+const classes = (props.classes || []).concat('icon').join(' ');
+return (<span class={classes}>
+<svg width="32" height="32" viewBox="0 0 32 32"><title>copy</title><path d="M20 8V0H6L0 6v18h12v8h20V8H20zM6 2.828V6H2.828L6 2.828zM2 22V8h6V2h10v6l-6 6v8H2zm16-11.172V14h-3.172L18 10.828zM30 30H14V16h6v-6h10v20z"/></svg>
+</span>)};
+
 export const Cross = (props) => {
 const classes = (props.classes || []).concat('icon').join(' ');
 return (<span class={classes}>
@@ -203,6 +209,12 @@ return (<span class={classes}>
 <svg width="32" height="32" viewBox="0 0 32 32"><title>share2</title><path d="M27 22a4.985 4.985 0 0 0-3.594 1.526L9.937 16.792a5.035 5.035 0 0 0 0-1.582l13.469-6.734a5 5 0 1 0-1.343-2.683L8.594 12.527A5 5 0 1 0 5 21.001a4.985 4.985 0 0 0 3.594-1.526l13.469 6.734A5 5 0 1 0 27 22z"/></svg>
 </span>)};
 
+export const Shrink = (props) => {
+const classes = (props.classes || []).concat('icon').join(' ');
+return (<span class={classes}>
+<svg width="32" height="32" viewBox="0 0 32 32"><title>shrink</title><path d="M14 18H1l5 5-6 6 3 3 6-6 5 5zM18 14h13l-5-5 6-6-3-3-6 6-5-5zM18 18v13l5-5 6 6 3-3-6-6 5-5zM14 14V1L9 6 3 0 0 3l6 6-5 5z"/></svg>
+</span>)};
+
 export const Sigma = (props) => {
 const classes = (props.classes || []).concat('icon').join(' ');
 return (<span class={classes}>
@@ -215,6 +227,12 @@ return (<span class={classes}>
 <svg width="32" height="32" viewBox="0 0 32 32"><title>sort-amount-asc</title><path d="M10 24V0H6v24H1l7 7 7-7h-5z"/><path d="M14 18h18v4H14v-4zM14 12h14v4H14v-4zM14 6h10v4H14V6zM14 0h6v4h-6V0z"/></svg>
 </span>)};
 
+export const Spinner11 = (props) => {
+const classes = (props.classes || []).concat('icon').join(' ');
+return (<span class={classes}>
+<svg width="32" height="32" viewBox="0 0 32 32"><title>spinner11</title><path d="M32 12H20l4.485-4.485C22.218 5.249 19.205 4 16 4S9.781 5.248 7.515 7.515C5.249 9.782 4 12.795 4 16s1.248 6.219 3.515 8.485C9.782 26.751 12.795 28 16 28s6.219-1.248 8.485-3.515c.189-.189.371-.384.546-.583l3.01 2.634A15.96 15.96 0 0 1 16 32C7.163 32 0 24.837 0 16S7.163 0 16 0c4.418 0 8.418 1.791 11.313 4.687L32 0v12z"/></svg>
+</span>)};
+
 export const StarEmpty = (props) => {
 const classes = (props.classes || []).concat('icon').join(' ');
 return (<span class={classes}>
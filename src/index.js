@@ -1,27 +1,103 @@
-import {mount, h} from 'flaco';
+import {mount, render, h} from 'flaco';
 import Modal from './components/Modal.js';
 import {compose} from 'smart-table-operators'
 import services from './services/index'
 import inject from './lib/di.js';
 import {AdornerGrid, DataGrid} from './components/grid';
+import {GridContainer} from './views/Grid';
+import LiveRegion from './views/LiveRegion';
+import DashboardToolbar from './components/DashboardToolbar';
+import DashboardTabs from './components/DashboardTabs';
+import historyShortcuts from './lib/historyShortcuts';
+import {loadLink} from './lib/shareLink';
+import {breakpointOf} from './lib/layouts';
+import {animateSettling} from './lib/flip';
+import {isEmptyDashboard} from './lib/templates';
+import {canRemoveRow, canRemoveColumn} from './lib/grid';
+import TemplatePicker from './components/TemplatePicker';
 
 const connectToModal = services.connect(state => state.modal);
+const connectToAnnouncement = services.connect(state => state.announcement);
 const SideModal = compose(inject, connectToModal)(Modal);
-const Container = inject(({panels}, services) => {
+// the chosen row and column, within the grid
+const targetIndex = (index, size) => index === null || index > size ? size : index;
+const connectToToolbar = services.connect(({grid, history: {past, future}, gridSizeTools: {row, column}}) => ({
+  collision: grid.collision,
+  breakpoint: grid.breakpoint,
+  locked: grid.locked === true,
+  empty: isEmptyDashboard({grid}),
+  selectionCount: (grid.selection || []).length,
+  rows: grid.rows,
+  columns: grid.columns,
+  rowIndex: targetIndex(row, grid.rows),
+  columnIndex: targetIndex(column, grid.columns),
+  canRemoveRow: canRemoveRow(grid, targetIndex(row, grid.rows)),
+  canRemoveColumn: canRemoveColumn(grid, targetIndex(column, grid.columns)),
+  canUndo: past.length > 0,
+  canRedo: future.length > 0
+}));
+const connectToTabs = services.connect(({dashboards: {active, tabs}}) => ({active, tabs}));
+const connectToTemplates = services.connect(({grid, templates}) => ({empty: isEmptyDashboard({grid}), templates}));
+const Announcer = connectToAnnouncement(LiveRegion);
+const Tabs = compose(inject, connectToTabs)(DashboardTabs);
+const Toolbar = compose(inject, connectToToolbar)(DashboardToolbar);
+const Templates = compose(inject, connectToTemplates)(TemplatePicker);
+const Container = inject((props, services) => {
+
+  const {grid: {panels, rows, columns, breakpoint}, dashboards: {active}} = services.store.getState();
 
   const Adorners = props => AdornerGrid(props, services);
 
   const DataGridPanels = props => DataGrid(props, services);
 
-  return (<div class="grid-container">
-    <Adorners panels={panels}/>
-    <DataGridPanels panels={panels}/>
+  return (<GridContainer rows={rows} columns={columns}>
+    <Adorners panels={panels} rows={rows} columns={columns} dashboard={active} breakpoint={breakpoint}/>
+    <DataGridPanels panels={panels} rows={rows} columns={columns} dashboard={active} breakpoint={breakpoint}/>
     <SideModal />
-  </div>);
+    <Announcer />
+  </GridContainer>);
 });
 
-const {grid: {panels}} = services.store.getState();
+// the panels only subscribe to the store when their nodes are created: the dashboard is mounted again when the grid dimensions change
+// or when another dashboard (or layout) is displayed
+const mountDashboard = (root, {store}) => {
+  let {grid: {rows, columns, breakpoint}, dashboards: {active}} = store.getState();
+  let dashboard = mount(<Container/>, {}, root);
+  store.subscribe(() => {
+    const {grid, dashboards} = store.getState();
+    if (grid.rows !== rows || grid.columns !== columns || grid.breakpoint !== breakpoint || dashboards.active !== active) {
+      ({rows, columns, breakpoint} = grid);
+      ({active} = dashboards);
+      for (let unMount of render(dashboard, null, root)) {
+        unMount();
+      }
+      dashboard = mount(<Container/>, {}, root);
+    }
+  });
+};
+
+// a shared link replaces the persisted dashboard (the import can be undone): the hash is then dropped so a reload keeps the edits
+const loadFromLocation = () => {
+  if (loadLink(services.actions)(window.location.hash)) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+};
+
+// the layout follows the viewport (a breakpoint change is refused in the middle of an operation: it is attempted again on the next resize)
+const followViewport = () => {
+  const breakpoint = breakpointOf(window.innerWidth);
+  if (breakpoint !== services.store.getState().grid.breakpoint) {
+    services.actions.setBreakpoint({breakpoint});
+  }
+};
 
-mount(Container, {
-  panels: panels
-}, document.getElementById('main'));
+loadFromLocation();
+followViewport();
+mountDashboard(document.getElementById('main'), services);
+services.store.subscribe(animateSettling(services.store, document.getElementById('main')));
+mount(<Toolbar/>, {}, document.getElementById('toolbar'));
+mount(<Tabs/>, {}, document.getElementById('tabs'));
+mount(<Templates/>, {}, document.getElementById('templates'));
+document.addEventListener('keydown', historyShortcuts(services.actions));
+window.addEventListener('hashchange', loadFromLocation);
+window.addEventListener('resize', followViewport);
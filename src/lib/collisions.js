@@ -0,0 +1,126 @@
+export const STRATEGIES = ['reject', 'swap', 'push'];
+
+const contains = ({x, y, dx = 1, dy = 1}, cx, cy) => cx >= x && cx < x + dx && cy >= y && cy < y + dy;
+
+export const overlaps = (a, b) => a.x < b.x + b.dx && b.x < a.x + a.dx && a.y < b.y + b.dy && b.y < a.y + a.dy;
+
+const isSpanning = ({dx = 1, dy = 1}) => dx > 1 || dy > 1;
+
+// a single empty cell can be taken over without displacing anything
+const isFree = p => !isSpanning(p) && (p.data === void 0 || p.data.type === void 0);
+
+const relocation = (panel, to) => ({from: {x: panel.x, y: panel.y}, to, dx: panel.dx, dy: panel.dy});
+
+/**
+ * The panels actually displayed: ie not covered by a spanning panel
+ * @param grid {Grid}
+ * @returns {Array}
+ */
+export const visiblePanels = grid => {
+  const panels = [...grid];
+  const spanning = panels.filter(isSpanning);
+  return panels.filter(p => !spanning.some(s => s !== p && contains(s, p.x, p.y)));
+};
+
+/**
+ * Exchange the moving panel with the panel of the same size under the target cell
+ * @returns {Array|null} - the list of relocations {from, to, dx, dy} or null if there is no panel to swap with
+ */
+export const swap = (grid, {x: startX, y: startY}, {x, y}) => {
+  const moving = grid.getData(startX, startY);
+  const target = visiblePanels(grid).find(p => contains(p, x, y));
+  if (target === void 0 || (target.x === startX && target.y === startY) || target.dx !== moving.dx || target.dy !== moving.dy) {
+    return null;
+  }
+  return [
+    relocation(moving, {x: target.x, y: target.y}),
+    relocation(target, {x: startX, y: startY})
+  ];
+};
+
+/**
+ * Move the panel to the target cell and shift the displaced panels down or right (the nearest place first)
+ * @returns {Array|null} - the list of relocations {from, to, dx, dy} (the moving panel first) or null if there is not enough space
+ */
+export const push = (grid, {x: startX, y: startY}, {x, y}) => {
+  const {rows, columns} = grid;
+  const moving = grid.getData(startX, startY);
+  const fits = ({x, y, dx, dy}) => x >= 1 && y >= 1 && x + dx - 1 <= columns && y + dy - 1 <= rows;
+  const candidates = panel => {
+    const positions = [];
+    for (let i = 1; i < Math.max(rows, columns); i++) {
+      positions.push(Object.assign({}, panel, {y: panel.y + i}), Object.assign({}, panel, {x: panel.x + i}));
+    }
+    return positions;
+  };
+
+  const target = {x, y, dx: moving.dx, dy: moving.dy};
+  if (!fits(target)) {
+    return null;
+  }
+
+  const placed = [target];
+  const relocations = [relocation(moving, {x, y})];
+  let pending = visiblePanels(grid).filter(p => (p.x !== startX || p.y !== startY) && !isFree(p));
+  let displaced;
+
+  while ((displaced = pending.find(p => placed.some(area => overlaps(area, p)))) !== void 0) {
+    pending = pending.filter(p => p !== displaced);
+    const position = candidates(displaced).find(c => fits(c) && !placed.some(area => overlaps(area, c)));
+    if (position === void 0) {
+      return null;
+    }
+    placed.push(position);
+    relocations.push(relocation(displaced, {x: position.x, y: position.y}));
+  }
+
+  return relocations;
+};
+
+/**
+ * @param grid {Grid}
+ * @param area {Object} - the {x, y, dx, dy} definition of an area
+ * @returns {Boolean} - whether the area fits in the grid and only covers empty cells
+ */
+export const isFreeArea = (grid, {x, y, dx = 1, dy = 1}) => x >= 1 && y >= 1 && x + dx - 1 <= grid.columns && y + dy - 1 <= grid.rows &&
+  visiblePanels(grid).every(p => isFree(p) || !overlaps(p, {x, y, dx, dy}));
+
+/**
+ * Look for room for a panel of the given span, in reading order from the given cell (and back from the top left corner)
+ * @returns {Object|null} - the {x, y} top left corner of the free area or null if there is none
+ */
+export const nextFreeArea = (grid, {x, y, dx = 1, dy = 1}) => {
+  const {rows, columns} = grid;
+  const count = rows * columns;
+  const start = (y - 1) * columns + x - 1;
+  for (let i = 1; i <= count; i++) {
+    const index = (start + i) % count;
+    const candidate = {x: index % columns + 1, y: Math.floor(index / columns) + 1};
+    if (isFreeArea(grid, Object.assign({dx, dy}, candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Move several panels together by the same offset: the union of their target areas must fit in the grid and only cover empty cells
+ * or the cells the group leaves
+ * @param group {Array} - the {x, y} of the panels moving together
+ * @returns {Object} - the {relocations, area, valid, obstacles} of the move (area and obstacles being Areas)
+ */
+export const groupMove = (grid, group, {x: startX, y: startY}, {x, y}) => {
+  const {rows, columns} = grid;
+  const moving = group.map(({x, y}) => grid.getData(x, y));
+  const relocations = moving.map(p => relocation(p, {x: p.x + x - startX, y: p.y + y - startY}));
+  const nothing = grid.area(1, 1, 0, 0);
+  const origin = moving.reduce((acc, {x, y}) => acc.union(grid.panel(x, y)), nothing);
+  const area = relocations.reduce((acc, {to, dx, dy}) => acc.union(grid.area(to.x, to.y, dx, dy)), nothing);
+  const fits = relocations.every(({to, dx, dy}) => to.x >= 1 && to.y >= 1 && to.x + dx - 1 <= columns && to.y + dy - 1 <= rows);
+  const obstacles = visiblePanels(grid)
+    .filter(p => !isFree(p) && !origin.includes(grid.panel(p.x, p.y)))
+    .map(p => grid.panel(p.x, p.y))
+    .filter(panelArea => panelArea.intersection(area).length > 0)
+    .reduce((acc, panelArea) => acc.union(panelArea), nothing);
+  return {relocations, area, obstacles, valid: fits && obstacles.length === 0};
+};
@@ -0,0 +1,40 @@
+import {update, onMount, onUnMount, isDeepEqual} from 'flaco';
+import {compose} from 'smart-table-operators';
+
+/**
+ * The connect combinator of flaco, except that a component catches up with the state changes which happen between its rendering
+ * and its subscription to the store (the mount is done on the next tick)
+ * @param store {Object} - the store
+ * @param sliceState {Function} - the part of the state the component depends on
+ * @returns {Function} - a container factory (comp, mapStateToProp, shouldUpdate)
+ */
+export default (store, sliceState = state => state) =>
+  (comp, mapStateToProp = slice => slice, shouldUpdate = (a, b) => isDeepEqual(a, b) === false) =>
+    initProp => {
+      const componentProps = initProp;
+      let updateFunc, renderedSlice, unsubscriber;
+
+      const wrapperComp = (props, ...args) => {
+        renderedSlice = sliceState(store.getState());
+        return comp(Object.assign(props, mapStateToProp(renderedSlice)), ...args);
+      };
+
+      const sync = () => {
+        const stateSlice = sliceState(store.getState());
+        if (shouldUpdate(renderedSlice, stateSlice) === true) {
+          updateFunc(Object.assign(componentProps, mapStateToProp(stateSlice)));
+        }
+      };
+
+      const subscribe = onMount(vnode => {
+        updateFunc = update(wrapperComp, vnode);
+        unsubscriber = store.subscribe(sync);
+        sync();
+      });
+
+      const unsubscribe = onUnMount(() => {
+        unsubscriber();
+      });
+
+      return compose(subscribe, unsubscribe)(wrapperComp);
+    };
@@ -1,2 +1,15 @@
 export const ROWS = 4;
-export const COLUMNS = 4;
\ No newline at end of file
+export const COLUMNS = 4;
+export const HISTORY_LIMIT = 50;
+export const PANEL_TYPES = ['list', 'chart', 'aggregation'];
+export const SOURCES = ['issues', 'prs', 'stargazers', 'contributors', 'commits'];
+// the viewport breakpoints, from the widest: each one has its own layout
+export const BREAKPOINTS = [
+  {name: 'wide', minWidth: 1200},
+  {name: 'medium', minWidth: 768},
+  {name: 'narrow', minWidth: 0}
+];
+export const DEFAULT_BREAKPOINT = 'wide';
+// the GitHub REST API and the repository the panels show (the page can override both, see services/github)
+export const GITHUB_API_URL = 'https://api.github.com';
+export const GITHUB_REPOSITORY = 'lorenzofox3/Smart-Table';
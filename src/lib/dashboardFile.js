@@ -0,0 +1,192 @@
+import {emptyPanels, updateAt} from './grid';
+import {migrate} from './persistence';
+import {PANEL_TYPES, SOURCES} from './constants';
+import {parseRepository, CONTRIBUTION_WINDOWS, COMMIT_FILTERS} from './github';
+
+export const FILE_FORMAT = 'smart-dashboard';
+
+export const FILE_VERSION = 1;
+
+export const FILE_NAME = 'dashboard.json';
+
+/**
+ * Chain of migrations of the exported documents (see persistence MIGRATIONS)
+ */
+export const FILE_MIGRATIONS = {};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+const overlaps = (a, b) => a.x < b.x + b.dx && b.x < a.x + a.dx && a.y < b.y + b.dy && b.y < a.y + a.dy;
+
+// only the sort and filter parts of the table state are shared: the current page is not
+const sharedTableState = ({sort = {}, filter = {}, search = {}} = {}) => ({sort, filter, search});
+
+// the settings of some panels only (the panels without a repository of their own use the default one), written when they are set
+const OPTIONAL_SETTINGS = ['repository', 'window', 'query'];
+
+const optionalSettings = panel => OPTIONAL_SETTINGS
+  .filter(key => panel[key] !== void 0)
+  .reduce((acc, key) => Object.assign(acc, {[key]: panel[key]}), panel.locked === true ? {locked: true} : {});
+
+/**
+ * @param state {Object} - the store state
+ * @returns {Object} - the document describing the configured panels of the dashboard
+ */
+export const toDocument = ({grid, smartList = []}) => ({
+  format: FILE_FORMAT,
+  version: FILE_VERSION,
+  rows: grid.rows,
+  columns: grid.columns,
+  locked: grid.locked === true,
+  panels: grid.panels
+    .filter(({data = {}}) => data.type !== void 0)
+    .map(({x, y, dx = 1, dy = 1, data}) => {
+      const {type, source, title, showToolBar = false} = data;
+      const sl = smartList.find(sl => sl.x === x && sl.y === y);
+      const panel = Object.assign({x, y, dx, dy, type, source, title, showToolBar}, optionalSettings(data));
+      return sl !== void 0 ? Object.assign(panel, {tableState: sharedTableState(sl.tableState)}) : panel;
+    })
+});
+
+const panelErrors = ({rows, columns}, panel, index, previous) => {
+  const name = `Panel #${index + 1}`;
+  if (!isObject(panel)) {
+    return [`${name} is not an object`];
+  }
+  const {x, y, dx = 1, dy = 1, type, source, title, showToolBar = false, locked = false, tableState = {}, repository, window: contributionWindow, query = {}} = panel;
+  const errors = [];
+  if (![x, y, dx, dy].every(isPositiveInteger)) {
+    errors.push(`${name} must have positive integer x, y, dx and dy`);
+  } else if (x + dx - 1 > columns || y + dy - 1 > rows) {
+    errors.push(`${name} does not fit in a ${rows}x${columns} grid`);
+  } else {
+    const overlapped = previous.findIndex(p => isObject(p) && overlaps({x, y, dx, dy}, Object.assign({dx: 1, dy: 1}, p)));
+    if (overlapped !== -1) {
+      errors.push(`${name} overlaps panel #${overlapped + 1}`);
+    }
+  }
+  if (!PANEL_TYPES.includes(type)) {
+    errors.push(`${name} has an unknown type "${type}" (expected one of ${PANEL_TYPES.join(', ')})`);
+  }
+  if (!SOURCES.includes(source)) {
+    errors.push(`${name} has an unknown source "${source}" (expected one of ${SOURCES.join(', ')})`);
+  }
+  if (typeof title !== 'string' || title.trim() === '') {
+    errors.push(`${name} must have a title`);
+  }
+  if (repository !== void 0 && parseRepository(repository) === null) {
+    errors.push(`${name} has an invalid repository "${repository}" (expected owner/repo)`);
+  }
+  if (contributionWindow !== void 0 && !CONTRIBUTION_WINDOWS.some(({name}) => name === contributionWindow)) {
+    errors.push(`${name} has an unknown contribution window "${contributionWindow}" (expected one of ${CONTRIBUTION_WINDOWS.map(({name}) => name).join(', ')})`);
+  }
+  if (!isObject(query) || !Object.keys(query).every(key => COMMIT_FILTERS.includes(key) && typeof query[key] === 'string' && query[key].trim() !== '')) {
+    errors.push(`${name} has an invalid commits query (expected non empty ${COMMIT_FILTERS.join(', ')} filters)`);
+  }
+  if (typeof showToolBar !== 'boolean') {
+    errors.push(`${name} has a toolbar flag which is not a boolean`);
+  }
+  if (typeof locked !== 'boolean') {
+    errors.push(`${name} has a lock flag which is not a boolean`);
+  }
+  if (!isObject(tableState) || !['sort', 'filter', 'search'].every(k => tableState[k] === void 0 || isObject(tableState[k]))) {
+    errors.push(`${name} has an invalid sort or filter state`);
+  }
+  return errors;
+};
+
+/**
+ * @param doc {*} - the parsed content of an imported file
+ * @returns {Array} - the list of the validation error messages (empty if the document is valid)
+ */
+export const validateDocument = doc => {
+  if (!isObject(doc) || doc.format !== FILE_FORMAT) {
+    return ['The file is not a dashboard definition'];
+  }
+  const migrated = migrate(doc, {version: FILE_VERSION, migrations: FILE_MIGRATIONS});
+  if (migrated === null) {
+    return [`The dashboard definition version ${doc.version} is not supported`];
+  }
+  const {rows, columns, locked = false, panels} = migrated;
+  if (!isPositiveInteger(rows) || !isPositiveInteger(columns)) {
+    return ['The grid size must be given as positive integer rows and columns'];
+  }
+  if (typeof locked !== 'boolean') {
+    return ['The dashboard lock flag must be a boolean'];
+  }
+  if (!Array.isArray(panels)) {
+    return ['The panels must be given as a list'];
+  }
+  return panels.reduce((errors, panel, index) => errors.concat(panelErrors(migrated, panel, index, panels.slice(0, index))), []);
+};
+
+/**
+ * @param doc {Object} - a valid document
+ * @returns {Object} - the layout {rows, columns, locked, panels} and the smart lists table states to load in the store
+ */
+export const fromDocument = doc => {
+  const {rows, columns, locked = false, panels} = migrate(doc, {version: FILE_VERSION, migrations: FILE_MIGRATIONS});
+  const layout = panels.reduce((acc, panel) => {
+    const {x, y, dx = 1, dy = 1, type, source, title, showToolBar = false} = panel;
+    return updateAt(acc, x, y, {dx, dy, data: Object.assign({type, source, title, showToolBar}, optionalSettings(panel))});
+  }, emptyPanels(rows, columns));
+  const smartList = panels
+    .filter(({type, tableState}) => type === 'list' || tableState !== void 0)
+    .map(({x, y, tableState}) => ({x, y, tableState: Object.assign(sharedTableState(tableState), {slice: {page: 1}})}));
+  return {rows, columns, locked, panels: layout, smartList};
+};
+
+const readText = file => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+/**
+ * Import flow: the file content is validated, then the user confirms before the current dashboard gets replaced
+ * @param actions {Object} - the actions service
+ * @returns {Function} - takes a File (or a Blob) and returns a promise resolved once the file has been processed
+ */
+export const importFile = actions => file => readText(file)
+  .then(text => {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      return ['The file is not a valid JSON document'];
+    }
+    const errors = validateDocument(doc);
+    if (errors.length === 0) {
+      actions.openModal({
+        modalType: 'askConfirmation',
+        message: 'You are about to replace the current dashboard with the imported one. Are you sure you want to proceed ?',
+        executeAction: () => {
+          actions.importDashboard(fromDocument(doc));
+        }
+      });
+    }
+    return errors;
+  }, () => ['The file could not be read'])
+  .then(errors => {
+    if (errors.length > 0) {
+      actions.openModal({modalType: 'importErrors', title: 'Invalid dashboard file', errors});
+    }
+  });
+
+/**
+ * Download the document of the current dashboard
+ */
+export const exportFile = (state, filename = FILE_NAME) => {
+  const blob = new Blob([JSON.stringify(toDocument(state), null, 2)], {type: 'application/json'});
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
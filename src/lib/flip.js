@@ -0,0 +1,76 @@
+export const SETTLE_DURATION = 200;
+
+const SETTLING_OPERATIONS = ['move', 'resize'];
+
+const areaOf = ({x, y, dx = 1, dy = 1}) => ({x, y, dx, dy});
+
+const isSameArea = (a, b) => a.x === b.x && a.y === b.y && a.dx === b.dx && a.dy === b.dy;
+
+export const prefersReducedMotion = (win = window) => typeof win.matchMedia === 'function' &&
+  win.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+/**
+ * @param previous {Object} - the grid slice before an action
+ * @param next {Object} - the grid slice after the action
+ * @returns {Boolean} - whether the action ended a move or a resize (whether it was accepted or not)
+ */
+export const isSettling = (previous, next) => previous.active !== null && previous.active !== void 0 &&
+  SETTLING_OPERATIONS.includes(previous.active.operation) && next.active === null && previous.panels !== next.panels;
+
+/**
+ * The panels follow their data when the layout changes
+ * @returns {Array} - the {from, to} areas of the panels which have been moved or resized
+ */
+export const settledPanels = (previous, next) => next.panels
+  .filter(({data = {}}) => data.type !== void 0)
+  .map(panel => ({panel, before: previous.panels.find(({data}) => data === panel.data)}))
+  .filter(({panel, before}) => before !== void 0 && !isSameArea(areaOf(before), areaOf(panel)))
+  .map(({panel, before}) => ({from: areaOf(before), to: areaOf(panel)}));
+
+/**
+ * "Invert" step: the transform which brings a panel back to where it was
+ * @param cell {Object} - the {width, height} of a grid cell in pixels
+ */
+export const invert = ({from, to}, {width, height}) => ({
+  x: (from.x - to.x) * width,
+  y: (from.y - to.y) * height,
+  scaleX: from.dx / to.dx,
+  scaleY: from.dy / to.dy
+});
+
+const nextFrame = win => typeof win.requestAnimationFrame === 'function' ? win.requestAnimationFrame.bind(win) : fn => setTimeout(fn, 0);
+
+/**
+ * Store listener animating the panels from their previous area to the new one once a move or a resize is over (FLIP)
+ * @param root {Element} - the element the dashboard is mounted in
+ * @returns {Function}
+ */
+export const animateSettling = (store, root, {win = window, duration = SETTLE_DURATION} = {}) => {
+  let previous = store.getState().grid;
+  return () => {
+    const {grid} = store.getState();
+    const settled = isSettling(previous, grid) ? settledPanels(previous, grid) : [];
+    previous = grid;
+    if (settled.length === 0 || prefersReducedMotion(win)) {
+      return;
+    }
+    // the panels are rendered at their new place by then
+    nextFrame(win)(() => {
+      const layer = root.querySelector('.data-layer');
+      if (layer === null) {
+        return;
+      }
+      const cell = {width: layer.clientWidth / grid.columns, height: layer.clientHeight / grid.rows};
+      for (let {from, to} of settled) {
+        const element = layer.querySelector(`.data-panel[x="${to.x}"][y="${to.y}"]`);
+        if (element !== null && typeof element.animate === 'function') {
+          const {x, y, scaleX, scaleY} = invert({from, to}, cell);
+          element.animate([
+            {transformOrigin: 'top left', transform: `translate(${x}px, ${y}px) scale(${scaleX}, ${scaleY})`},
+            {transformOrigin: 'top left', transform: 'none'}
+          ], {duration, easing: 'ease-out'});
+        }
+      }
+    });
+  };
+};
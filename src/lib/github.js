@@ -0,0 +1,339 @@
+import {GITHUB_API_URL} from './constants';
+
+export const PER_PAGE = 100;
+
+// a bound to the number of requests a single list can issue (the unauthenticated rate limit is 60 requests per hour)
+export const MAX_PAGES = 10;
+
+// the review and change counts of a pull request are only part of its details: they are fetched for the most recently updated ones
+// (a few of them only without a token)
+export const DETAILED_PULL_REQUESTS = 20;
+export const ANONYMOUS_DETAILED_PULL_REQUESTS = 5;
+const DETAILS_BATCH = 5;
+
+// GitHub answers 202 while it computes the statistics of a repository: the request is issued again a few times
+export const STATISTICS_RETRIES = 3;
+export const STATISTICS_RETRY_DELAY = 2000;
+
+// the responses are shared by the panels for a while, then fetched again
+export const CACHE_MAX_AGE = 5 * 60 * 1000;
+
+// the filters of the commits endpoint (the branch is given as the sha parameter)
+export const COMMIT_FILTERS = ['author', 'branch', 'path'];
+
+// the windows the contributions are summed over (in weeks)
+export const CONTRIBUTION_WINDOWS = [
+  {name: 'all', label: 'All time', weeks: Infinity},
+  {name: 'year', label: 'Last year', weeks: 52},
+  {name: 'quarter', label: 'Last 3 months', weeks: 13},
+  {name: 'month', label: 'Last month', weeks: 4}
+];
+
+const WEEK = 7 * 24 * 3600 * 1000;
+
+// the number of repositories suggested for an owner/repo field, and the length of the text the search starts from
+export const SUGGESTIONS = 10;
+export const MIN_SEARCH_LENGTH = 2;
+
+export const DEFAULT_MEDIA_TYPE = 'application/vnd.github.v3+json';
+
+// the starred_at date of the stargazers comes with a custom media type
+export const STAR_MEDIA_TYPE = 'application/vnd.github.v3.star+json';
+
+// the urls of a Link header (<https://...?page=2>; rel="next", <https://...?page=5>; rel="last") by relation type
+export const parseLinkHeader = (header) => {
+  const links = {};
+  if (typeof header !== 'string') {
+    return links;
+  }
+  for (let part of header.split(',')) {
+    const match = /^\s*<([^>]*)>\s*;(.*)$/.exec(part);
+    const rel = match !== null ? /rel="?([^";]+)"?/.exec(match[2]) : null;
+    if (rel !== null) {
+      for (let type of rel[1].trim().split(/\s+/)) {
+        links[type] = match[1];
+      }
+    }
+  }
+  return links;
+};
+
+// the {owner, repo} of an "owner/repo" string (null when it is not valid)
+export const parseRepository = (repository) => {
+  const match = /^\s*([\w.-]+)\/([\w.-]+)\s*$/.exec(typeof repository === 'string' ? repository : '');
+  return match !== null ? {owner: match[1], repo: match[2]} : null;
+};
+
+const user = ({login, html_url, avatar_url}) => ({login, html_url, avatar_url});
+
+export const normalizeIssue = ({id, number, title, state, html_url, created_at, updated_at, closed_at = null, comments = 0, user: author, labels = []}) => ({
+  id,
+  number,
+  title,
+  state,
+  html_url,
+  created_at,
+  updated_at,
+  closed_at,
+  comments,
+  user: user(author || {}),
+  labels: labels.map(({name, color}) => ({name, color}))
+});
+
+const statusOf = ({state, draft, merged_at}) => {
+  if (merged_at) {
+    return 'merged';
+  }
+  return state === 'open' && draft === true ? 'draft' : state;
+};
+
+const count = value => typeof value === 'number' ? value : null;
+
+// the counts only known from the details of a pull request are null in the items of the list
+export const normalizePullRequest = (pullRequest) => {
+  const {id, number, title, html_url, created_at, updated_at, closed_at = null, merged_at = null, user: author, head = {}, base = {}, requested_reviewers = [], requested_teams = []} = pullRequest;
+  return {
+    id,
+    number,
+    title,
+    html_url,
+    status: statusOf(pullRequest),
+    created_at,
+    updated_at,
+    closed_at,
+    // the pull requests which have not been merged come last when sorted by merge date
+    merged_at: merged_at || '',
+    user: user(author || {}),
+    head: head.ref,
+    base: base.ref,
+    requested_reviewers: requested_reviewers.map(({login}) => login).concat(requested_teams.map(({name}) => name)),
+    comments: count(pullRequest.comments),
+    review_comments: count(pullRequest.review_comments),
+    // the pull requests whose details are unknown come last when sorted by review comments
+    review_rank: typeof pullRequest.review_comments === 'number' ? pullRequest.review_comments : -1,
+    changed_files: count(pullRequest.changed_files),
+    additions: count(pullRequest.additions),
+    deletions: count(pullRequest.deletions)
+  };
+};
+
+export const normalizeStargazer = ({starred_at, user: stargazer}) => {
+  const {id, login, html_url, avatar_url} = stargazer || {};
+  return {id, login, html_url, avatar_url, starred_at};
+};
+
+// the {commits, additions, deletions} of the contributor by window, the windows ending now
+export const normalizeContributor = ({total = 0, weeks = [], author}, now = Date.now()) => {
+  const {id, login, html_url, avatar_url} = author || {};
+  const stats = {};
+  for (let {name, weeks: length} of CONTRIBUTION_WINDOWS) {
+    const since = now - length * WEEK;
+    stats[name] = weeks
+      .filter(({w}) => w * 1000 >= since)
+      .reduce((acc, {a = 0, d = 0, c = 0}) => ({commits: acc.commits + c, additions: acc.additions + a, deletions: acc.deletions + d}),
+        {commits: 0, additions: 0, deletions: 0});
+  }
+  return {id, login, html_url, avatar_url, total, stats};
+};
+
+// the author is the GitHub account of the commit author when there is one
+export const normalizeCommit = ({sha = '', html_url, commit = {}, author: account}) => {
+  const {message = '', author = {}, verification = {}} = commit;
+  const {login, html_url: profile, avatar_url} = account || {};
+  return {
+    sha,
+    short_sha: sha.slice(0, 7),
+    headline: message.split('\n')[0],
+    message,
+    html_url,
+    date: author.date,
+    author: {name: author.name, login, html_url: profile, avatar_url},
+    verified: verification.verified === true
+  };
+};
+
+const queryString = params => Object.keys(params)
+  .filter(key => params[key] !== void 0 && params[key] !== '')
+  .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+  .join('&');
+
+export const normalizeRepository = ({full_name, name, owner, description = null}) => ({
+  full_name,
+  owner: (owner || {}).login,
+  repo: name,
+  description
+});
+
+// the issues endpoint returns the pull requests too
+const isIssue = item => item.pull_request === void 0;
+
+const errorMessage = (response, {owner, repo} = {}) => {
+  const {status, statusText = ''} = response;
+  const remaining = response.headers !== void 0 ? response.headers.get('X-RateLimit-Remaining') : null;
+  if (status === 404 && owner !== void 0) {
+    return `The repository ${owner}/${repo} could not be found`;
+  } else if (status === 401) {
+    return 'The GitHub token has been refused';
+  } else if ((status === 403 || status === 429) && remaining === '0') {
+    return 'The GitHub API rate limit has been exceeded, try again later';
+  } else {
+    return `The GitHub API responded with ${status} ${statusText}`.trim();
+  }
+};
+
+// the HTTP status (0 when the API could not be reached) comes with the message
+const githubError = (message, status = 0) => Object.assign(new Error(message), {status});
+
+// resolves with the successful responses only
+const request = (fetch, url, repository, accept = DEFAULT_MEDIA_TYPE) => Promise.resolve()
+  .then(() => fetch(url, {headers: {Accept: accept}}))
+  .catch(() => {
+    throw githubError('The GitHub API could not be reached');
+  })
+  .then(response => {
+    if (!response.ok) {
+      throw githubError(errorMessage(response, repository), response.status);
+    }
+    return response;
+  });
+
+// the items of all the pages, following the "next" links of the responses
+export const fetchAll = (fetch, url, {repository, maxPages = MAX_PAGES, accept} = {}) => {
+  const items = [];
+  const page = (url, count) => request(fetch, url, repository, accept)
+    .then(response => {
+      const {next} = parseLinkHeader(response.headers.get('Link'));
+      return response.json().then(body => {
+        items.push(...(Array.isArray(body) ? body : []));
+        return next !== void 0 && count < maxPages ? page(next, count + 1) : items;
+      });
+    });
+  return page(url, 1);
+};
+
+export const fetchOne = (fetch, url, {repository} = {}) => request(fetch, url, repository).then(response => response.json());
+
+const delay = time => new Promise(resolve => setTimeout(resolve, time));
+
+// the statistics, once GitHub has computed them
+export const fetchStatistics = (fetch, url, {repository, retries = STATISTICS_RETRIES, retryDelay = STATISTICS_RETRY_DELAY} = {}) => request(fetch, url, repository)
+  .then(response => {
+    if (response.status === 202) {
+      if (retries > 0) {
+        return delay(retryDelay).then(() => fetchStatistics(fetch, url, {repository, retries: retries - 1, retryDelay}));
+      }
+      throw githubError('GitHub is still computing the statistics of the repository, try again in a moment', 202);
+    }
+    // no content for an empty repository
+    return response.status === 204 ? [] : response.json().then(body => Array.isArray(body) ? body : []);
+  });
+
+// the resources of a repository are fetched once and shared by the panels (for maxAge ms)
+export const github = ({baseUrl = GITHUB_API_URL, fetch: fetchImpl = (...args) => window.fetch(...args), token = null, maxPages = MAX_PAGES, retryDelay = STATISTICS_RETRY_DELAY, maxAge = CACHE_MAX_AGE, now = Date.now} = {}) => {
+  const cache = new Map();
+  const root = baseUrl.replace(/\/+$/, '');
+  const fetch = token ? (url, options = {}) => fetchImpl(url, Object.assign({}, options, {
+    headers: Object.assign({}, options.headers, {Authorization: `token ${token}`})
+  })) : fetchImpl;
+
+  const repositoryUrl = ({owner, repo}) => `${root}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  const cached = (url, load) => {
+    const entry = cache.get(url);
+    if (entry === void 0 || now() - entry.time > maxAge) {
+      const pending = load().catch(error => {
+        // a failed request can be retried
+        if (cache.has(url) && cache.get(url).pending === pending) {
+          cache.delete(url);
+        }
+        throw error;
+      });
+      cache.set(url, {pending, time: now()});
+    }
+    return cache.get(url).pending;
+  };
+
+  // transform gets the raw items of all the pages and the repository
+  const resource = (path, transform, {accept} = {}) => (repository) => {
+    const url = `${repositoryUrl(repository)}/${path}`;
+    return cached(url, () => fetchAll(fetch, url, {repository, maxPages, accept}).then(items => transform(items, repository)));
+  };
+
+  const statistics = (path, transform) => (repository) => {
+    const url = `${repositoryUrl(repository)}/stats/${path}`;
+    return cached(url, () => fetchStatistics(fetch, url, {repository, retryDelay}).then(transform));
+  };
+
+  // the commits are fetched one page at a time: a page comes with the fetch of the next one (null for the last page)
+  const commitsPage = (url, repository) => request(fetch, url, repository).then(response => {
+    const {next} = parseLinkHeader(response.headers.get('Link'));
+    return response.json().then(body => ({
+      items: (Array.isArray(body) ? body : []).map(normalizeCommit),
+      next: next !== void 0 ? () => commitsPage(next, repository) : null
+    }));
+  });
+
+  const details = (repository) => (pullRequest) => fetchOne(fetch, `${repositoryUrl(repository)}/pulls/${pullRequest.number}`, {repository});
+
+  // the details are fetched a batch at a time, no more of them once the rate limit is hit
+  // (a pull request without its details is better than no pull request at all)
+  const detailed = (repository, pullRequests, count = token ? DETAILED_PULL_REQUESTS : ANONYMOUS_DETAILED_PULL_REQUESTS) => {
+    const batch = pullRequests.slice(0, Math.min(count, DETAILS_BATCH));
+    const rest = pullRequests.slice(batch.length);
+    let limited = false;
+    return Promise.all(batch.map(pullRequest => details(repository)(pullRequest).catch(error => {
+      limited = limited || error.status === 403 || error.status === 429;
+      return pullRequest;
+    }))).then(fetched => limited || rest.length === 0 || count <= batch.length ? fetched.concat(rest) :
+      detailed(repository, rest, count - batch.length).then(others => fetched.concat(others)));
+  };
+
+  return {
+    issues: resource(`issues?state=all&per_page=${PER_PAGE}`, items => items.filter(isIssue).map(normalizeIssue)),
+    pullRequests: resource(`pulls?state=all&sort=updated&direction=desc&per_page=${PER_PAGE}`, (items, repository) => detailed(repository, items)
+      .then(pullRequests => pullRequests.map(normalizePullRequest))),
+    // the oldest stars first
+    stargazers: resource(`stargazers?per_page=${PER_PAGE}`, items => items.map(normalizeStargazer), {accept: STAR_MEDIA_TYPE}),
+    // the 100 contributors with the most commits
+    contributors: statistics('contributors', items => items.map(contributor => normalizeContributor(contributor))),
+    // the branch (or any commit SHA), the author (login or email) and the path are filters of the endpoint
+    commits: (repository, {branch, author, path} = {}) => {
+      const url = `${repositoryUrl(repository)}/commits?${queryString({sha: branch, author, path, per_page: PER_PAGE})}`;
+      return cached(url, () => commitsPage(url, repository).catch(error => {
+        throw branch && (error.status === 404 || error.status === 422) ? githubError(`The branch ${branch} could not be found`, error.status) : error;
+      }));
+    },
+    // rejects when the repository does not exist
+    repository: (repository) => {
+      const url = repositoryUrl(repository);
+      return cached(url, () => fetchOne(fetch, url, {repository}).then(normalizeRepository));
+    },
+    // the repositories of the authenticated user (and of their organizations) or the result of a search when there is no token
+    suggestRepositories: (text = '', limit = SUGGESTIONS) => {
+      const search = text.trim().toLowerCase();
+      if (token) {
+        const url = `${root}/user/repos?${queryString({affiliation: 'owner,collaborator,organization_member', sort: 'updated', per_page: PER_PAGE})}`;
+        return cached(url, () => fetchAll(fetch, url, {maxPages}).then(items => items.map(normalizeRepository)))
+          .then(repositories => repositories.filter(({full_name}) => full_name.toLowerCase().includes(search)).slice(0, limit));
+      }
+      if (search.length < MIN_SEARCH_LENGTH) {
+        return Promise.resolve([]);
+      }
+      const [owner, name] = search.includes('/') ? search.split('/') : [null, search];
+      const q = [name ? `${name} in:name` : '', owner ? `user:${owner}` : ''].filter(part => part !== '').join(' ');
+      const url = `${root}/search/repositories?${queryString({q, per_page: limit})}`;
+      return cached(url, () => fetchOne(fetch, url).then(({items = []}) => items.map(normalizeRepository)));
+    },
+    // the responses of a repository (all of them if none is given) are fetched again on the next request
+    clear(repository){
+      if (repository === void 0) {
+        cache.clear();
+      } else {
+        const prefix = `${repositoryUrl(repository)}/`;
+        for (let url of [...cache.keys()].filter(url => url === prefix.slice(0, -1) || url.startsWith(prefix))) {
+          cache.delete(url);
+        }
+      }
+    }
+  };
+};
@@ -1,7 +1,7 @@
 export const valuesFromDef = (rows, columns) => ({x = 1, y = 1, dx = 1, dy = 1}={}) => {
   const values = [];
   for (let i = 0; i < rows * columns; i++) {
-    const r = Math.floor(i / rows) + 1;
+    const r = Math.floor(i / columns) + 1;
     const c = i % columns + 1;
     values.push(r >= y && r < y + dy && c >= x && c < x + dx ? 1 : 0);
   }
@@ -10,11 +10,30 @@ export const valuesFromDef = (rows, columns) => ({x = 1, y = 1, dx = 1, dy = 1}=
 
 export const defFromIndex = (rows, columns) => (i) => {
   const x = i % columns + 1;
-  const y = Math.floor(i / rows) + 1;
+  const y = Math.floor(i / columns) + 1;
   return {x, y};
 };
 
-export const indexFromDef = (rows, columns) => (x, y) => (y - 1) * rows + x - 1;
+export const indexFromDef = (rows, columns) => (x, y) => (y - 1) * columns + x - 1;
+
+// the opposite sides of a panel resized from an edge or a corner remain fixed (null once dragged beyond them)
+export const resizedDef = ({x, y, dx = 1, dy = 1}, direction = 'se', target) => {
+  let left = x;
+  let right = x + dx - 1;
+  let top = y;
+  let bottom = y + dy - 1;
+  if (direction.includes('e')) {
+    right = target.x;
+  } else if (direction.includes('w')) {
+    left = target.x;
+  }
+  if (direction.includes('s')) {
+    bottom = target.y;
+  } else if (direction.includes('n')) {
+    top = target.y;
+  }
+  return left <= right && top <= bottom ? {x: left, y: top, dx: right - left + 1, dy: bottom - top + 1} : null;
+};
 
 export const AreaFactory = (rows, columns) => {
   const iToDef = defFromIndex(rows, columns);
@@ -73,41 +92,137 @@ ${line.join(' ')}
   return factory;
 };
 
-export const Grid = ({panelsData = [], rows = 4, columns = 4} ={}) => {
+const emptyPanel = (x, y) => ({x, y, dx: 1, dy: 1, adornerStatus: 0, data: {}});
+
+const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+
+const matchXY = (x, y) => p => p.x === x && p.y === y;
+
+export const emptyPanels = (rows, columns) => {
   const iToDef = defFromIndex(rows, columns);
+  return (new Array(rows * columns)).fill(0).map((_, index) => {
+    const {x, y} = iToDef(index);
+    return emptyPanel(x, y);
+  });
+};
+
+export const findPanel = (panels, x, y) => panels.find(matchXY(x, y));
+
+export const updateAt = (panels, x, y, props) => panels.map(p => matchXY(x, y)(p) ? Object.assign({}, p, props) : p);
+
+export const updateArea = (panels, area, props) => {
+  const cells = [...area];
+  return panels.map(p => cells.some(({x, y}) => matchXY(x, y)(p)) ? Object.assign({}, p, props) : p);
+};
+
+export const updateAll = (panels, props) => panels.map(p => Object.assign({}, p, props));
+
+// a panel of a locked dashboard can not be moved, resized nor reset either
+export const isLocked = ({locked = false}, {data = {}} = {}) => data.type !== void 0 && (locked === true || data.locked === true);
+
+// a row (or column) can not be removed if a panel spans over it or if a locked panel stands in it
+const isCutAt = (offset, span, index) => p => p[span] > 1 && p[offset] <= index && p[offset] + p[span] - 1 >= index;
+
+const isLockedAt = (grid, offset, index) => p => p[offset] === index && isLocked(grid, p);
+
+export const canRemoveRow = (grid, index) => {
+  const {panels, rows} = grid;
+  return rows > 1 && index >= 1 && index <= rows && !panels.some(isCutAt('y', 'dy', index)) && !panels.some(isLockedAt(grid, 'y', index));
+};
+
+export const canRemoveColumn = (grid, index) => {
+  const {panels, columns} = grid;
+  return columns > 1 && index >= 1 && index <= columns && !panels.some(isCutAt('x', 'dx', index)) && !panels.some(isLockedAt(grid, 'x', index));
+};
+
+const insertAt = (panels, offset, span, index) => panels.map(p => {
+  if (p[offset] >= index) {
+    return Object.assign({}, p, {[offset]: p[offset] + 1});
+  } else if (p[offset] + p[span] - 1 >= index) {
+    return Object.assign({}, p, {[span]: p[span] + 1});
+  }
+  return p;
+});
+
+const removeAt = (panels, offset, index) => panels
+  .filter(p => p[offset] !== index)
+  .map(p => p[offset] > index ? Object.assign({}, p, {[offset]: p[offset] - 1}) : p);
+
+// the panels below the inserted row are shifted and the ones crossing it are stretched (null if the index is out of the grid)
+export const insertRow = ({panels, rows, columns}, index = rows + 1) => {
+  if (index < 1 || index > rows + 1) {
+    return null;
+  }
+  const added = [];
+  for (let x = 1; x <= columns; x++) {
+    added.push(emptyPanel(x, index));
+  }
+  return {panels: insertAt(panels, 'y', 'dy', index).concat(added).sort(byPosition), rows: rows + 1, columns};
+};
+
+export const insertColumn = ({panels, rows, columns}, index = columns + 1) => {
+  if (index < 1 || index > columns + 1) {
+    return null;
+  }
+  const added = [];
+  for (let y = 1; y <= rows; y++) {
+    added.push(emptyPanel(index, y));
+  }
+  return {panels: insertAt(panels, 'x', 'dx', index).concat(added).sort(byPosition), rows, columns: columns + 1};
+};
+
+export const removeRow = (layout, index) => canRemoveRow(layout, index) ? {
+  panels: removeAt(layout.panels, 'y', index),
+  rows: layout.rows - 1,
+  columns: layout.columns
+} : null;
+
+export const removeColumn = (layout, index) => canRemoveColumn(layout, index) ? {
+  panels: removeAt(layout.panels, 'x', index),
+  rows: layout.rows,
+  columns: layout.columns - 1
+} : null;
+
+// read only view over a grid layout
+export const Grid = ({panels, rows = 4, columns = 4, locked = false} = {}) => {
   const area = AreaFactory(rows, columns);
   const toValues = valuesFromDef(rows, columns);
-  let panels = [...panelsData];
-  if (rows * columns.length !== panelsData.length) {
-    panels = (new Array(rows * columns)).fill(0).map((_, index) => Object.assign(iToDef(index), {
-      dx: 1,
-      dy: 1,
-      adornerStatus: 0,
-      data: {}
-    }));
-  }
+  const cells = panels !== void 0 && panels.length === rows * columns ? panels : emptyPanels(rows, columns);
 
   return {
     [Symbol.iterator](){
       return (function * () {
-        for (let p of panels) {
+        for (let p of cells) {
           yield Object.assign({}, p);
         }
       })();
     },
-    updateAt(x, y, data){
-      const p = panels.find(p => p.x === x && p.y === y);
-      Object.assign(p, data);
-      return p;
+    get rows(){
+      return rows;
+    },
+    get columns(){
+      return columns;
+    },
+    get panels(){
+      return cells;
     },
     panel(x, y){
-      return area(toValues(panels.find(p => p.x === x && p.y === y)));
+      return area(toValues(findPanel(cells, x, y)));
     },
     area(x, y, dx = 1, dy = 1){
       return area(toValues({x, y, dx, dy}));
     },
     getData(x, y){
-      return Object.assign({},panels.find(p => p.x === x && p.y === y) || {});
+      return Object.assign({}, findPanel(cells, x, y) || {});
+    },
+    isLocked(x, y){
+      return isLocked({locked}, findPanel(cells, x, y));
+    },
+    canRemoveRow(index){
+      return canRemoveRow({panels: cells, rows, locked}, index);
+    },
+    canRemoveColumn(index){
+      return canRemoveColumn({panels: cells, columns, locked}, index);
     }
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,21 @@
+const isEditable = target => target !== null && target !== void 0 &&
+  (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true);
+
+/**
+ * Keyboard shortcuts for the dashboard history: Ctrl+Z to undo, Ctrl+Shift+Z to redo (Cmd on mac)
+ * @param actions {Object} - the actions service
+ * @returns {Function} - a keydown listener
+ */
+export default actions => ev => {
+  const {code, ctrlKey, metaKey, shiftKey, target} = ev;
+  // let the form controls handle their own history
+  if (code !== 'KeyZ' || (ctrlKey !== true && metaKey !== true) || isEditable(target)) {
+    return;
+  }
+  ev.preventDefault();
+  if (shiftKey) {
+    actions.redo();
+  } else {
+    actions.undo();
+  }
+};
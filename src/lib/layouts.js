@@ -0,0 +1,71 @@
+import {Grid, emptyPanels, updateAt} from './grid';
+import {visiblePanels, overlaps} from './collisions';
+import {BREAKPOINTS, ROWS} from './constants';
+
+const hasContent = ({data = {}}) => data.type !== void 0;
+
+export const breakpointOf = width => (BREAKPOINTS.find(({minWidth}) => width >= minWidth) || BREAKPOINTS[BREAKPOINTS.length - 1]).name;
+
+// the panels holding some content, row by row
+export const readingOrder = grid => visiblePanels(Grid(grid))
+  .filter(hasContent)
+  .sort((a, b) => a.y - b.y || a.x - b.x);
+
+// a stable id (not used by the stored layouts) lets a panel be found in the layouts of the other breakpoints
+export const identify = (panels, layouts = {}) => {
+  const storedIds = Object.keys(layouts).reduce((acc, name) => acc.concat(layouts[name].panels.map(({id}) => id)), []);
+  const used = [];
+  let nextId = Math.max(0, ...storedIds, ...panels.map(({data = {}}) => Number.isInteger(data.id) ? data.id : 0)) + 1;
+  return panels.map(p => {
+    if (!hasContent(p)) {
+      return p;
+    }
+    const {id} = p.data;
+    // a copied panel may carry the id of its original
+    const newId = Number.isInteger(id) && !used.includes(id) ? id : nextId++;
+    used.push(newId);
+    return newId === id ? p : Object.assign({}, p, {data: Object.assign({}, p.data, {id: newId})});
+  });
+};
+
+// the geometry of the grid: {rows, columns, panels: [{id, x, y, dx, dy}]}
+export const layoutOf = grid => ({
+  rows: grid.rows,
+  columns: grid.columns,
+  panels: readingOrder(grid).map(({x, y, dx, dy, data}) => ({id: data.id, x, y, dx, dy}))
+});
+
+// the fallback layout of a breakpoint not edited yet: the panels are stacked in reading order (with some room left for new ones)
+export const singleColumn = grid => {
+  let rows = 0;
+  const panels = readingOrder(grid).map(({dy, data}) => {
+    const position = {id: data.id, x: 1, y: rows + 1, dx: 1, dy};
+    rows += dy;
+    return position;
+  });
+  return {rows: Math.max(rows, ROWS), columns: 1, panels};
+};
+
+// the panels of the grid laid out according to the geometry of another breakpoint
+export const applyLayout = (grid, {rows, columns, panels: positions}) => {
+  const contents = readingOrder(grid);
+  const contentOf = id => contents.find(({data}) => data.id === id);
+  const fits = ({x, y, dx, dy}) => x >= 1 && y >= 1 && x + dx - 1 <= columns && y + dy - 1 <= rows;
+  const placed = [];
+  for (let position of positions) {
+    if (contentOf(position.id) !== void 0 && fits(position) && !placed.some(p => p.id === position.id || overlaps(p, position))) {
+      placed.push(position);
+    }
+  }
+  // the panels created since the layout has been stored are stacked below
+  let height = rows;
+  for (let {dx, dy, data} of contents.filter(({data}) => !placed.some(({id}) => id === data.id))) {
+    placed.push({id: data.id, x: 1, y: height + 1, dx: Math.min(dx, columns), dy});
+    height += dy;
+  }
+  let panels = emptyPanels(height, columns);
+  for (let {id, x, y, dx, dy} of placed) {
+    panels = updateAt(panels, x, y, {dx, dy, data: contentOf(id).data});
+  }
+  return {panels, rows: height, columns};
+};
@@ -0,0 +1,176 @@
+import {DEFAULT_DASHBOARD, initialDashboards} from '../reducers/dashboards';
+import {BREAKPOINTS, DEFAULT_BREAKPOINT} from './constants';
+
+export const SCHEMA_VERSION = 4;
+
+export const STORAGE_KEY = 'smart-dashboard';
+
+/**
+ * Chain of migrations: MIGRATIONS[n] turns a document of version n into a document of version n + 1.
+ * Any change to the persisted shape must bump SCHEMA_VERSION and register its migration here
+ */
+export const MIGRATIONS = {
+  // a single dashboard becomes a collection of named dashboards
+  1: ({grid, smartList}) => ({
+    active: DEFAULT_DASHBOARD.id,
+    dashboards: [Object.assign({grid, smartList}, DEFAULT_DASHBOARD)]
+  }),
+  // the layouts were designed for wide screens
+  2: ({active, dashboards}) => ({
+    active,
+    dashboards: dashboards.map(d => Object.assign({}, d, {grid: Object.assign({}, d.grid, {breakpoint: DEFAULT_BREAKPOINT, layouts: {}})}))
+  }),
+  // the dashboards can be locked as a whole (the panels lock is part of their data)
+  3: ({active, dashboards}) => ({
+    active,
+    dashboards: dashboards.map(d => Object.assign({}, d, {grid: Object.assign({}, d.grid, {locked: false})}))
+  })
+};
+
+// transient properties (adorners, processing flags, displayed items) are not persisted
+const persistedPanel = ({x, y, dx = 1, dy = 1, data = {}}) => {
+  const panelData = Object.assign({}, data);
+  delete panelData.processing;
+  return {x, y, dx, dy, data: panelData};
+};
+
+const serializeDashboard = ({grid, smartList = []}) => ({
+  grid: {
+    rows: grid.rows,
+    columns: grid.columns,
+    collision: grid.collision,
+    locked: grid.locked === true,
+    breakpoint: grid.breakpoint || DEFAULT_BREAKPOINT,
+    layouts: grid.layouts || {},
+    panels: grid.panels.map(persistedPanel)
+  },
+  smartList: smartList.map(({x, y, tableState}) => ({x, y, tableState}))
+});
+
+/**
+ * @param state {Object} - the store state
+ * @returns {Object} - the versioned document to persist
+ */
+export const serialize = state => {
+  const {active, tabs, stored} = state.dashboards || initialDashboards();
+  return {
+    version: SCHEMA_VERSION,
+    active,
+    dashboards: tabs.map(({id, name}) => Object.assign({id, name}, serializeDashboard(id === active ? state : stored[id])))
+  };
+};
+
+/**
+ * Bring a document up to the given version
+ * @returns {Object|null} - the migrated document or null if it can not be migrated
+ */
+export const migrate = (doc, {version = SCHEMA_VERSION, migrations = MIGRATIONS} = {}) => {
+  if (doc === null || typeof doc !== 'object' || typeof doc.version !== 'number' || doc.version > version) {
+    return null;
+  }
+  let migrated = doc;
+  while (migrated.version < version) {
+    const migration = migrations[migrated.version];
+    if (typeof migration !== 'function') {
+      return null;
+    }
+    migrated = Object.assign(migration(migrated), {version: migrated.version + 1});
+  }
+  return migrated;
+};
+
+const isValidGrid = ({rows, columns, panels} = {}) => Number.isInteger(rows) && Number.isInteger(columns) &&
+  rows > 0 && columns > 0 && Array.isArray(panels) && panels.length === rows * columns;
+
+const isPosition = p => p !== null && typeof p === 'object' && ['id', 'x', 'y', 'dx', 'dy'].every(key => Number.isInteger(p[key]));
+
+const isValidLayout = layout => layout !== null && typeof layout === 'object' && Number.isInteger(layout.rows) &&
+  Number.isInteger(layout.columns) && Array.isArray(layout.panels) && layout.panels.every(isPosition);
+
+// an invalid layout is dropped: the breakpoint will get the fallback layout
+const validLayouts = (layouts = {}) => Object.keys(layouts)
+  .filter(name => BREAKPOINTS.some(b => b.name === name) && isValidLayout(layouts[name]))
+  .reduce((acc, name) => Object.assign(acc, {[name]: layouts[name]}), {});
+
+const deserializeDashboard = ({grid: {rows, columns, collision = 'reject', locked, breakpoint, layouts, panels}, smartList = []}) => ({
+  grid: {
+    active: null,
+    rows,
+    columns,
+    collision,
+    locked: locked === true,
+    breakpoint: BREAKPOINTS.some(b => b.name === breakpoint) ? breakpoint : DEFAULT_BREAKPOINT,
+    layouts: validLayouts(layouts),
+    panels: panels.map(p => Object.assign(persistedPanel(p), {adornerStatus: 0}))
+  },
+  smartList: smartList.map(({x, y, tableState}) => ({x, y, tableState, items: []})),
+  history: {past: [], future: []}
+});
+
+/**
+ * @param doc {Object} - a persisted document (of any known version)
+ * @returns {Object|null} - the slices of the store state or null if the document is not valid
+ */
+export const deserialize = doc => {
+  const migrated = migrate(doc);
+  if (migrated === null || !Array.isArray(migrated.dashboards)) {
+    return null;
+  }
+  // a corrupted dashboard is dropped rather than the whole collection
+  const dashboards = migrated.dashboards.filter(d => d !== null && typeof d === 'object' && typeof d.id === 'string' && isValidGrid(d.grid));
+  const displayed = dashboards.find(({id}) => id === migrated.active) || dashboards[0];
+  if (displayed === void 0) {
+    return null;
+  }
+  const stored = {};
+  for (let dashboard of dashboards.filter(d => d !== displayed)) {
+    stored[dashboard.id] = deserializeDashboard(dashboard);
+  }
+  return Object.assign(deserializeDashboard(displayed), {
+    dashboards: {
+      active: displayed.id,
+      tabs: dashboards.map(({id, name}) => ({id, name: typeof name === 'string' ? name : id})),
+      stored
+    }
+  });
+};
+
+/**
+ * @param storage {Function} - returns the Storage (access may throw when storage is disabled)
+ * @returns {Object|null} - the persisted slices of the store state
+ */
+export const loadState = (storage, key = STORAGE_KEY) => {
+  try {
+    const item = storage().getItem(key);
+    return item === null ? null : deserialize(JSON.parse(item));
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveState = (storage, state, key = STORAGE_KEY) => {
+  try {
+    storage().setItem(key, JSON.stringify(serialize(state)));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Store listener saving the dashboard whenever the persisted slices change (but not in the middle of an operation)
+ */
+export const persistOnChange = (store, storage, key = STORAGE_KEY) => {
+  let previous = store.getState();
+  return () => {
+    const state = store.getState();
+    const {grid, smartList, dashboards} = state;
+    const changed = grid.panels !== previous.grid.panels || grid.rows !== previous.grid.rows ||
+      grid.columns !== previous.grid.columns || grid.collision !== previous.grid.collision || grid.locked !== previous.grid.locked ||
+      smartList !== previous.smartList || dashboards !== previous.dashboards;
+    if (changed && grid.active === null) {
+      previous = state;
+      saveState(storage, state, key);
+    }
+  };
+};
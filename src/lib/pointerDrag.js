@@ -0,0 +1,75 @@
+const HANDLES_SELECTOR = '.move-handle, .resize-handle, .resize-edge';
+
+/**
+ * Drag engine based on pointer events: it drives the same grid actions than the HTML5 drag and drop (which does not work on touch screens)
+ * @param actions {Object} - the actions service
+ * @param coords {Function} - hit testing function: takes a pointer event and returns the {x, y} cell of the grid
+ * @returns {Object} - the pointer events listeners to bind to the grid element
+ */
+export default ({actions, coords}) => {
+  let drag = null;
+
+  const isDragging = ({pointerId}) => drag !== null && drag.pointerId === pointerId;
+
+  const onPointerDown = ev => {
+    const {pointerType, pointerId, target, currentTarget} = ev;
+    // mouse relies on native drag and drop
+    if (drag !== null || pointerType === 'mouse' || typeof target.closest !== 'function') {
+      return;
+    }
+    const handle = target.closest(HANDLES_SELECTOR);
+    const panel = handle !== null ? handle.closest('.data-panel') : null;
+    if (panel === null) {
+      return;
+    }
+    const operation = handle.classList.contains('move-handle') ? 'move' : 'resize';
+    const direction = handle.getAttribute('direction') || 'se';
+    const startX = Number(panel.getAttribute('x'));
+    const startY = Number(panel.getAttribute('y'));
+    ev.preventDefault();
+    // so the following events target the grid itself whatever the panel under the pointer is
+    currentTarget.setPointerCapture(pointerId);
+    drag = {pointerId, operation, startX, startY, x: startX, y: startY};
+    if (operation === 'move') {
+      actions.startMove({x: startX, y: startY});
+    } else {
+      actions.startResize({x: startX, y: startY, direction});
+    }
+  };
+
+  const onPointerMove = ev => {
+    if (isDragging(ev)) {
+      ev.preventDefault();
+      const {x, y} = coords(ev);
+      if (x !== drag.x || y !== drag.y) {
+        drag.x = x;
+        drag.y = y;
+        actions.dragOver({x, y});
+      }
+    }
+  };
+
+  const onPointerUp = ev => {
+    if (isDragging(ev)) {
+      ev.preventDefault();
+      const {x, y} = coords(ev);
+      const {operation, startX, startY} = drag;
+      const args = {x, startX, y, startY};
+      drag = null;
+      if (operation === 'resize') {
+        actions.endResize(args);
+      } else {
+        actions.endMove(args);
+      }
+    }
+  };
+
+  const onPointerCancel = ev => {
+    if (isDragging(ev)) {
+      drag = null;
+      actions.cancelOperation();
+    }
+  };
+
+  return {onPointerDown, onPointerMove, onPointerUp, onPointerCancel};
+};
@@ -0,0 +1,68 @@
+// the band starts from the background of the grid or from an empty cell, never from a control nor from a configured panel
+const IGNORED_SELECTOR = 'button, a, input, select, textarea, [draggable="true"], .data-panel:not(.empty-panel)';
+
+/**
+ * Rubber band selection with the mouse: it drives the selection actions (the band itself is displayed by the adorner layer)
+ * @param actions {Object} - the actions service
+ * @param coords {Function} - hit testing function: takes a pointer event and returns the {x, y} cell of the grid
+ * @returns {Object} - the pointer events listeners to bind to the grid element
+ */
+export default ({actions, coords}) => {
+  let band = null;
+
+  const isBanding = ({pointerId}) => band !== null && band.pointerId === pointerId;
+
+  const onPointerDown = ev => {
+    const {pointerType, pointerId, button = 0, target} = ev;
+    // touch and pen rely on the pointer drag engine
+    if (band !== null || pointerType !== 'mouse' || button !== 0 || typeof target.closest !== 'function' || target.closest(IGNORED_SELECTOR) !== null) {
+      return;
+    }
+    band = {pointerId, start: coords(ev), x: null, y: null};
+  };
+
+  // a simple click does not start a selection: the pointer must leave the cell first
+  const onPointerMove = ev => {
+    if (!isBanding(ev)) {
+      return;
+    }
+    const {x, y} = coords(ev);
+    if (band.x === null) {
+      if (x === band.start.x && y === band.start.y) {
+        return;
+      }
+      ev.currentTarget.setPointerCapture(ev.pointerId);
+      actions.startSelection(band.start);
+    }
+    ev.preventDefault();
+    if (x !== band.x || y !== band.y) {
+      band.x = x;
+      band.y = y;
+      actions.dragOver({x, y});
+    }
+  };
+
+  const onPointerUp = ev => {
+    if (isBanding(ev)) {
+      const started = band.x !== null;
+      band = null;
+      if (started) {
+        ev.preventDefault();
+        const {x, y} = coords(ev);
+        actions.endSelection({x, y});
+      }
+    }
+  };
+
+  const onPointerCancel = ev => {
+    if (isBanding(ev)) {
+      const started = band.x !== null;
+      band = null;
+      if (started) {
+        actions.cancelOperation();
+      }
+    }
+  };
+
+  return {onPointerDown, onPointerMove, onPointerUp, onPointerCancel};
+};
@@ -0,0 +1,59 @@
+const day = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * @param items {Array}
+ * @param dateOf {Function} - the date an item counts from (items without a valid date are ignored)
+ * @returns {Array} - the running total of the items, one {date, count} point per day (YYYY-MM-DD) with at least one item
+ */
+export const cumulativeSeries = (items, dateOf) => {
+  const days = items
+    .map(dateOf)
+    .filter(date => date && !isNaN(new Date(date).getTime()))
+    .map(day)
+    .sort();
+  const series = [];
+  for (let date of days) {
+    const last = series[series.length - 1];
+    if (last !== void 0 && last.date === date) {
+      last.count++;
+    } else {
+      series.push({date, count: last !== void 0 ? last.count + 1 : 1});
+    }
+  }
+  return series;
+};
+
+/**
+ * The series the chart panels plot, by data source: each one is built from the items of the source
+ */
+export const SERIES = {
+  stargazers: stargazers => cumulativeSeries(stargazers, ({starred_at}) => starred_at)
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * @param series {Array} - the {date, count} points
+ * @param width {Number}
+ * @param height {Number}
+ * @returns {String} - the points of a SVG polyline drawing the series in a width x height box (the dates on the x axis, from 0 to the
+ * greatest count on the y axis)
+ */
+export const polylinePoints = (series, width = 100, height = 100) => {
+  if (series.length === 0) {
+    return '';
+  }
+  const times = series.map(({date}) => new Date(date).getTime());
+  const first = times[0];
+  const duration = times[times.length - 1] - first;
+  const max = Math.max(...series.map(({count}) => count));
+  const points = series.map(({count}, index) => [
+    duration > 0 ? (times[index] - first) / duration * width : 0,
+    height - count / max * height
+  ]);
+  // a single day spans the whole width
+  if (duration === 0) {
+    points.push([width, points[points.length - 1][1]]);
+  }
+  return points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+};
@@ -0,0 +1,173 @@
+import {toDocument, validateDocument, fromDocument} from './dashboardFile';
+
+export const LINK_VERSION = 1;
+
+export const LINK_PARAMETER = 'dashboard';
+
+const DICTIONARY_SIZE = 256;
+
+const bitLength = value => Math.max(9, Math.floor(Math.log2(value)) + 1);
+
+// LZW compression of a binary string (one byte per character), the codes being written with a growing bit width
+export const compress = input => {
+  const dictionary = new Map();
+  for (let i = 0; i < DICTIONARY_SIZE; i++) {
+    dictionary.set(String.fromCharCode(i), i);
+  }
+  let bytes = '';
+  let buffer = 0;
+  let bufferLength = 0;
+  const write = code => {
+    // the code may be the very last entry of the dictionary
+    const width = bitLength(dictionary.size - 1);
+    buffer = (buffer << width) | code;
+    bufferLength += width;
+    while (bufferLength >= 8) {
+      bufferLength -= 8;
+      bytes += String.fromCharCode((buffer >> bufferLength) & 0xff);
+    }
+    buffer &= (1 << bufferLength) - 1;
+  };
+
+  let word = '';
+  for (let char of input) {
+    const next = word + char;
+    if (dictionary.has(next)) {
+      word = next;
+    } else {
+      write(dictionary.get(word));
+      dictionary.set(next, dictionary.size);
+      word = char;
+    }
+  }
+  if (word !== '') {
+    write(dictionary.get(word));
+  }
+  return bufferLength > 0 ? bytes + String.fromCharCode((buffer << (8 - bufferLength)) & 0xff) : bytes;
+};
+
+// throws when the input has not been produced by compress
+export const decompress = input => {
+  const dictionary = [];
+  for (let i = 0; i < DICTIONARY_SIZE; i++) {
+    dictionary.push(String.fromCharCode(i));
+  }
+  let buffer = 0;
+  let bufferLength = 0;
+  let index = 0;
+  const read = width => {
+    while (bufferLength < width) {
+      if (index >= input.length) {
+        return null;
+      }
+      buffer = (buffer << 8) | input.charCodeAt(index++);
+      bufferLength += 8;
+    }
+    bufferLength -= width;
+    const code = (buffer >> bufferLength) & ((1 << width) - 1);
+    buffer &= (1 << bufferLength) - 1;
+    return code;
+  };
+
+  const first = read(bitLength(dictionary.length - 1));
+  if (first === null || first >= DICTIONARY_SIZE) {
+    throw new Error('Invalid compressed data');
+  }
+  let word = dictionary[first];
+  let output = word;
+  let code;
+  // the decoder builds each entry one step after the encoder: the width must anticipate it
+  while ((code = read(bitLength(dictionary.length))) !== null) {
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+    } else if (code === dictionary.length) {
+      entry = word + word[0];
+    } else {
+      throw new Error('Invalid compressed data');
+    }
+    output += entry;
+    dictionary.push(word + entry[0]);
+    word = entry;
+  }
+  return output;
+};
+
+const toBase64Url = binary => btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = text => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+// unicode titles are carried as utf-8 bytes
+const toBinary = text => unescape(encodeURIComponent(text));
+
+const fromBinary = binary => decodeURIComponent(escape(binary));
+
+// a versioned, url safe payload of the dashboard document
+export const encode = doc => `${LINK_VERSION}.${toBase64Url(compress(toBinary(JSON.stringify(doc))))}`;
+
+export const decode = payload => {
+  const [, version, data] = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(payload) || [];
+  if (version === void 0) {
+    throw new Error('The dashboard link is malformed');
+  }
+  if (Number(version) !== LINK_VERSION) {
+    throw new Error(`The dashboard link version ${version} is not supported`);
+  }
+  try {
+    return JSON.parse(fromBinary(decompress(fromBase64Url(data))));
+  } catch (e) {
+    throw new Error('The dashboard link is corrupted');
+  }
+};
+
+export const toHash = state => `#${LINK_PARAMETER}=${encode(toDocument(state))}`;
+
+// null when there is no dashboard in the hash, otherwise the errors and the dashboard to import if there is none
+export const parseHash = (hash = '') => {
+  const prefix = `#${LINK_PARAMETER}=`;
+  if (hash.startsWith(prefix) === false) {
+    return null;
+  }
+  try {
+    const doc = decode(hash.slice(prefix.length));
+    const errors = validateDocument(doc);
+    return errors.length > 0 ? {errors} : {errors, dashboard: fromDocument(doc)};
+  } catch (e) {
+    return {errors: [e.message]};
+  }
+};
+
+// the current dashboard remains when the link is not valid: returns whether the hash held a dashboard
+export const loadLink = actions => hash => {
+  const link = parseHash(hash);
+  if (link === null) {
+    return false;
+  }
+  if (link.errors.length === 0) {
+    actions.importDashboard(link.dashboard);
+  } else {
+    actions.openModal({modalType: 'importErrors', title: 'Invalid dashboard link', errors: link.errors});
+  }
+  return true;
+};
+
+const copyText = text => {
+  if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+    return navigator.clipboard.writeText(text);
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.classList.add('visuallyhidden');
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  return copied ? Promise.resolve() : Promise.reject(new Error('copy is not supported'));
+};
+
+// resolved with the link once copied to the clipboard
+export const copyLink = (state, {location = window.location} = {}) => {
+  const link = `${location.origin}${location.pathname}${location.search}${toHash(state)}`;
+  return copyText(link).then(() => link);
+};
@@ -0,0 +1,106 @@
+import {FILE_FORMAT, FILE_VERSION, toDocument, validateDocument} from './dashboardFile';
+import {ROWS, COLUMNS} from './constants';
+
+export const TEMPLATES_STORAGE_KEY = 'smart-dashboard-templates';
+
+const sortedBy = (pointer, direction = 'desc') => ({sort: {pointer, direction}});
+
+// the templates are dashboard documents (see dashboardFile): they are loaded as any imported dashboard
+const template = ({id, name, description, rows = ROWS, columns = COLUMNS, panels}) => ({
+  id,
+  name,
+  description,
+  builtIn: true,
+  document: {format: FILE_FORMAT, version: FILE_VERSION, rows, columns, panels}
+});
+
+export const BUILT_IN_TEMPLATES = [
+  template({
+    id: 'maintainer-triage',
+    name: 'Maintainer triage',
+    description: 'The new and the most discussed issues next to the open pull requests',
+    panels: [
+      {x: 1, y: 1, dx: 2, dy: 2, type: 'list', source: 'issues', title: 'Newest issues', showToolBar: true, tableState: sortedBy('created_at')},
+      {x: 3, y: 1, dx: 2, dy: 2, type: 'list', source: 'issues', title: 'Most discussed issues', showToolBar: true, tableState: sortedBy('comments')},
+      {x: 1, y: 3, dx: 2, dy: 2, type: 'list', source: 'prs', title: 'Pull requests', showToolBar: true, tableState: sortedBy('updated_at')},
+      {x: 3, y: 3, dx: 2, dy: 2, type: 'list', source: 'issues', title: 'Recently updated issues', showToolBar: true, tableState: sortedBy('updated_at')}
+    ]
+  }),
+  template({
+    id: 'release-manager',
+    name: 'Release manager',
+    description: 'What is about to be merged and what has landed since the last release',
+    panels: [
+      {x: 1, y: 1, dx: 2, dy: 4, type: 'list', source: 'prs', title: 'Pull requests', showToolBar: true, tableState: sortedBy('updated_at')},
+      {x: 3, y: 1, dx: 2, dy: 2, type: 'list', source: 'commits', title: 'Recent commits', showToolBar: true},
+      {x: 3, y: 3, dx: 2, dy: 2, type: 'list', source: 'prs', title: 'Recently merged', showToolBar: true, tableState: sortedBy('merged_at')}
+    ]
+  }),
+  template({
+    id: 'community-health',
+    name: 'Community health',
+    description: 'The stars, the contributors and the issues left without an answer',
+    panels: [
+      {x: 1, y: 1, dx: 4, dy: 2, type: 'chart', source: 'stargazers', title: 'Stargazers', showToolBar: false},
+      {x: 1, y: 3, dx: 2, dy: 2, type: 'list', source: 'contributors', title: 'Contributors', showToolBar: true},
+      {x: 3, y: 3, dx: 2, dy: 2, type: 'list', source: 'issues', title: 'Stale issues', showToolBar: true, tableState: sortedBy('updated_at', 'asc')}
+    ]
+  })
+];
+
+/**
+ * @param state {Object} - the store state
+ * @returns {Boolean} - whether no panel of the displayed dashboard has been configured
+ */
+export const isEmptyDashboard = ({grid}) => grid.panels.every(({data = {}}) => data.type === void 0);
+
+/**
+ * @param state {Object} - the store state
+ * @param name {string}
+ * @returns {Object} - the {name, description, document} of a custom template made of the current dashboard
+ */
+export const templateOf = (state, name) => {
+  const document = toDocument(state);
+  const count = document.panels.length;
+  return {name, description: `${count} panel${count > 1 ? 's' : ''} on a ${document.rows}x${document.columns} grid`, document};
+};
+
+const isValidTemplate = t => t !== null && typeof t === 'object' && typeof t.id === 'string' && typeof t.name === 'string' &&
+  validateDocument(t.document).length === 0;
+
+/**
+ * @param storage {Function} - returns the Storage (access may throw when storage is disabled)
+ * @returns {Array} - the custom templates (the invalid ones are dropped)
+ */
+export const loadTemplates = (storage, key = TEMPLATES_STORAGE_KEY) => {
+  try {
+    const item = storage().getItem(key);
+    const templates = item === null ? [] : JSON.parse(item);
+    return Array.isArray(templates) ? templates.filter(isValidTemplate) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const saveTemplates = (storage, templates, key = TEMPLATES_STORAGE_KEY) => {
+  try {
+    storage().setItem(key, JSON.stringify(templates));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Store listener saving the custom templates whenever they change: they are shared by all the dashboards
+ */
+export const persistTemplatesOnChange = (store, storage, key = TEMPLATES_STORAGE_KEY) => {
+  let previous = store.getState().templates;
+  return () => {
+    const {templates} = store.getState();
+    if (templates !== previous) {
+      previous = templates;
+      saveTemplates(storage, templates, key);
+    }
+  };
+};
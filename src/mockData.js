@@ -1,1321 +0,0 @@
-export default [
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/777",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/777/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/777/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/777/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/777",
-    "id": 233120548,
-    "number": 777,
-    "title": "Adjustments for Angular 1.6",
-    "user": {
-      "login": "MrWook",
-      "id": 20294042,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/20294042?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/MrWook",
-      "html_url": "https://github.com/MrWook",
-      "followers_url": "https://api.github.com/users/MrWook/followers",
-      "following_url": "https://api.github.com/users/MrWook/following{/other_user}",
-      "gists_url": "https://api.github.com/users/MrWook/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/MrWook/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/MrWook/subscriptions",
-      "organizations_url": "https://api.github.com/users/MrWook/orgs",
-      "repos_url": "https://api.github.com/users/MrWook/repos",
-      "events_url": "https://api.github.com/users/MrWook/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/MrWook/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-06-02T09:05:06Z",
-    "updated_at": "2017-06-06T15:04:42Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/777",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/777",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/777.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/777.patch"
-    },
-    "body": "Catch timeout promise on cancel because it will throw an error in Angular 1.6"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/775",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/775/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/775/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/775/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/775",
-    "id": 232939024,
-    "number": 775,
-    "title": "How to sort when more than one single property value is given pro column ",
-    "user": {
-      "login": "bvahdat",
-      "id": 3122177,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/3122177?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/bvahdat",
-      "html_url": "https://github.com/bvahdat",
-      "followers_url": "https://api.github.com/users/bvahdat/followers",
-      "following_url": "https://api.github.com/users/bvahdat/following{/other_user}",
-      "gists_url": "https://api.github.com/users/bvahdat/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/bvahdat/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/bvahdat/subscriptions",
-      "organizations_url": "https://api.github.com/users/bvahdat/orgs",
-      "repos_url": "https://api.github.com/users/bvahdat/repos",
-      "events_url": "https://api.github.com/users/bvahdat/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/bvahdat/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-06-01T16:36:13Z",
-    "updated_at": "2017-06-01T18:53:44Z",
-    "closed_at": null,
-    "body": "Using `angularjs 1.5.9` assume two given properties such as `foo` and `bar` being bound to a single column.\r\nIs there any way to instruct `st-sort` to either sort according to the `foo` or `bar` values. That's something along the following lines:\r\n\r\n```html\r\n<th st-sort=\"[firstName, lastName]\">first name <br /> last name</th>\r\n```"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/774",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/774/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/774/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/774/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/774",
-    "id": 230118653,
-    "number": 774,
-    "title": "Smart Table paging is showing more pages than expected",
-    "user": {
-      "login": "mostafaasad",
-      "id": 7625530,
-      "avatar_url": "https://avatars3.githubusercontent.com/u/7625530?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/mostafaasad",
-      "html_url": "https://github.com/mostafaasad",
-      "followers_url": "https://api.github.com/users/mostafaasad/followers",
-      "following_url": "https://api.github.com/users/mostafaasad/following{/other_user}",
-      "gists_url": "https://api.github.com/users/mostafaasad/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/mostafaasad/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/mostafaasad/subscriptions",
-      "organizations_url": "https://api.github.com/users/mostafaasad/orgs",
-      "repos_url": "https://api.github.com/users/mostafaasad/repos",
-      "events_url": "https://api.github.com/users/mostafaasad/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/mostafaasad/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [
-      {
-        "id": 225862423,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/not%20reproducible",
-        "name": "not reproducible",
-        "color": "eb6420",
-        "default": false
-      },
-      {
-        "id": 259438506,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/to%20be%20closed:%20does%20not%20follow%20guidelines",
-        "name": "to be closed: does not follow guidelines",
-        "color": "fbca04",
-        "default": false
-      }
-    ],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 3,
-    "created_at": "2017-05-20T00:41:41Z",
-    "updated_at": "2017-05-22T18:39:51Z",
-    "closed_at": null,
-    "body": "I am using Smart table in angularjs application. In the pagination it is showing extra pages which don't have the data. How can I display the exact number of pages instead of extra pages?\r\n\r\nFor clarification, I have 94 records, 15 per page so there will be 7 pages , but the pagination is showing 10 pages, after 7th page there is no data in 8-10th pages.\r\nPlease suggest how can I resolve this.\r\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/773",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/773/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/773/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/773/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/773",
-    "id": 227275900,
-    "number": 773,
-    "title": "Fix: Parse initial predicate correctly",
-    "user": {
-      "login": "g00fy-",
-      "id": 843807,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/843807?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/g00fy-",
-      "html_url": "https://github.com/g00fy-",
-      "followers_url": "https://api.github.com/users/g00fy-/followers",
-      "following_url": "https://api.github.com/users/g00fy-/following{/other_user}",
-      "gists_url": "https://api.github.com/users/g00fy-/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/g00fy-/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/g00fy-/subscriptions",
-      "organizations_url": "https://api.github.com/users/g00fy-/orgs",
-      "repos_url": "https://api.github.com/users/g00fy-/repos",
-      "events_url": "https://api.github.com/users/g00fy-/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/g00fy-/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-05-09T07:35:16Z",
-    "updated_at": "2017-05-09T07:47:36Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/773",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/773",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/773.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/773.patch"
-    },
-    "body": "This bug caused other plugins not to work correctly.\r\nThe initial predicate wasn't parsed the same way it was parsed after click - which resulted in the arrows not pointing the right direction."
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/772",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/772/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/772/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/772/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/772",
-    "id": 225422992,
-    "number": 772,
-    "title": "Refresh table with with out page load",
-    "user": {
-      "login": "smohammedyasin",
-      "id": 25565142,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/25565142?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/smohammedyasin",
-      "html_url": "https://github.com/smohammedyasin",
-      "followers_url": "https://api.github.com/users/smohammedyasin/followers",
-      "following_url": "https://api.github.com/users/smohammedyasin/following{/other_user}",
-      "gists_url": "https://api.github.com/users/smohammedyasin/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/smohammedyasin/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/smohammedyasin/subscriptions",
-      "organizations_url": "https://api.github.com/users/smohammedyasin/orgs",
-      "repos_url": "https://api.github.com/users/smohammedyasin/repos",
-      "events_url": "https://api.github.com/users/smohammedyasin/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/smohammedyasin/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-05-01T11:42:11Z",
-    "updated_at": "2017-05-01T18:12:47Z",
-    "closed_at": null,
-    "body": "Hello,\r\n\r\nThis is not an issue,\r\n\r\nI want to know how to refresh table with out reload complete page. and i'm using http$ for CRUD\r\n\r\nplease give me any example which is using server side data.\r\n\r\nAppreciate for quick and best response."
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/771",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/771/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/771/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/771/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/771",
-    "id": 225331786,
-    "number": 771,
-    "title": "Custom filters",
-    "user": {
-      "login": "richard-austin",
-      "id": 14316466,
-      "avatar_url": "https://avatars3.githubusercontent.com/u/14316466?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/richard-austin",
-      "html_url": "https://github.com/richard-austin",
-      "followers_url": "https://api.github.com/users/richard-austin/followers",
-      "following_url": "https://api.github.com/users/richard-austin/following{/other_user}",
-      "gists_url": "https://api.github.com/users/richard-austin/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/richard-austin/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/richard-austin/subscriptions",
-      "organizations_url": "https://api.github.com/users/richard-austin/orgs",
-      "repos_url": "https://api.github.com/users/richard-austin/repos",
-      "events_url": "https://api.github.com/users/richard-austin/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/richard-austin/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2017-04-30T14:49:52Z",
-    "updated_at": "2017-04-30T14:49:52Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/771",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/771",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/771.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/771.patch"
-    },
-    "body": ""
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/770",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/770/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/770/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/770/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/770",
-    "id": 224161195,
-    "number": 770,
-    "title": "Filter with click of a button",
-    "user": {
-      "login": "Fossil01",
-      "id": 8832687,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/8832687?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/Fossil01",
-      "html_url": "https://github.com/Fossil01",
-      "followers_url": "https://api.github.com/users/Fossil01/followers",
-      "following_url": "https://api.github.com/users/Fossil01/following{/other_user}",
-      "gists_url": "https://api.github.com/users/Fossil01/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/Fossil01/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/Fossil01/subscriptions",
-      "organizations_url": "https://api.github.com/users/Fossil01/orgs",
-      "repos_url": "https://api.github.com/users/Fossil01/repos",
-      "events_url": "https://api.github.com/users/Fossil01/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/Fossil01/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-04-25T14:38:16Z",
-    "updated_at": "2017-04-26T12:34:53Z",
-    "closed_at": null,
-    "body": "I would like to filter some table columns by the click of a button. Is this possible and if so, how?\r\n\r\nLets say I have a column USERS with 3 rows: John, John, William.\r\n\r\nNow I have a button:\r\n`<button ng-click=\"filter('John')\">John</button>`\r\nThis should make the table only show Users.John.\r\n\r\nThis button would preferably be placed outside of the table."
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/769",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/769/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/769/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/769/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/769",
-    "id": 221752720,
-    "number": 769,
-    "title": "Sorting with asynchronously received data",
-    "user": {
-      "login": "blackhearted",
-      "id": 4601717,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/4601717?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/blackhearted",
-      "html_url": "https://github.com/blackhearted",
-      "followers_url": "https://api.github.com/users/blackhearted/followers",
-      "following_url": "https://api.github.com/users/blackhearted/following{/other_user}",
-      "gists_url": "https://api.github.com/users/blackhearted/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/blackhearted/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/blackhearted/subscriptions",
-      "organizations_url": "https://api.github.com/users/blackhearted/orgs",
-      "repos_url": "https://api.github.com/users/blackhearted/repos",
-      "events_url": "https://api.github.com/users/blackhearted/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/blackhearted/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-04-14T06:44:08Z",
-    "updated_at": "2017-04-14T14:01:26Z",
-    "closed_at": null,
-    "body": "If data is received asynchronously and not available at the moment of table creation - table is sorted differently.\r\n\r\nData \"received\"\r\n$scope.displayed.push({\r\n        firstName: \"A1\",\r\n        balance: 300\r\n      });\r\n      $scope.displayed.push({\r\n        firstName: \"A2\",\r\n        balance: 200\r\n      });\r\n      $scope.displayed.push({\r\n        firstName: \"A3\",\r\n        balance: 100\r\n      });\r\n\r\nIf it is within $timeout table will look like. Note sorting icon on balance column is wrong:\r\nhttp://plnkr.co/edit/8B0Jy8bq1BDPdnU6bFGl?p=preview\r\nfirst name\tbalance\r\nA1\t                300\r\nA2\t                200\r\nA3\t                100\r\n\r\nIf it is synchronous:\r\nhttp://plnkr.co/edit/ruf2LunDF3pQUMXCD0Zz?p=preview\r\nfirst name\tbalance\r\nA3\t                100\r\nA2\t                200\r\nA1\t                300\r\n\r\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/754",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/754/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/754/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/754/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/754",
-    "id": 211948963,
-    "number": 754,
-    "title": "allow implicit true attributes in stSort",
-    "user": {
-      "login": "dbeinder",
-      "id": 342955,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/342955?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/dbeinder",
-      "html_url": "https://github.com/dbeinder",
-      "followers_url": "https://api.github.com/users/dbeinder/followers",
-      "following_url": "https://api.github.com/users/dbeinder/following{/other_user}",
-      "gists_url": "https://api.github.com/users/dbeinder/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/dbeinder/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/dbeinder/subscriptions",
-      "organizations_url": "https://api.github.com/users/dbeinder/orgs",
-      "repos_url": "https://api.github.com/users/dbeinder/repos",
-      "events_url": "https://api.github.com/users/dbeinder/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/dbeinder/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2017-03-05T12:17:27Z",
-    "updated_at": "2017-03-05T12:17:27Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/754",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/754",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/754.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/754.patch"
-    },
-    "body": "This would allow shorter attributes on the sort attributes, and defaults \"\" to true provided the attribute is defined.\r\n`<th st-sort=\"field\" st-descending-first=\"true\" />` to `<th st-sort=\"field\" st-descending-first />` \r\n`<th st-sort=\"field\" st-skip-natural=\"true\" />` to `<th st-sort=\"field\" st-skip-natural />` \r\n`<th st-sort=\"field\" st-sort-default=\"true\" />` to `<th st-sort=\"field\" st-sort-default />` "
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/753",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/753/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/753/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/753/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/753",
-    "id": 211626834,
-    "number": 753,
-    "title": "Safe src watch collection",
-    "user": {
-      "login": "viandanteoscuro",
-      "id": 4235079,
-      "avatar_url": "https://avatars3.githubusercontent.com/u/4235079?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/viandanteoscuro",
-      "html_url": "https://github.com/viandanteoscuro",
-      "followers_url": "https://api.github.com/users/viandanteoscuro/followers",
-      "following_url": "https://api.github.com/users/viandanteoscuro/following{/other_user}",
-      "gists_url": "https://api.github.com/users/viandanteoscuro/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/viandanteoscuro/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/viandanteoscuro/subscriptions",
-      "organizations_url": "https://api.github.com/users/viandanteoscuro/orgs",
-      "repos_url": "https://api.github.com/users/viandanteoscuro/repos",
-      "events_url": "https://api.github.com/users/viandanteoscuro/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/viandanteoscuro/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2017-03-03T08:39:49Z",
-    "updated_at": "2017-03-03T08:40:13Z",
-    "closed_at": null,
-    "body": "Hi to all!\r\n\r\nI use the xeditable on each cell, every edit i emit a socket event that refresh elements in every user is  using the table.\r\n\r\nI have a problem with the st-safe-src attribute.\r\n\r\nI build the table with an object like this:\r\n\r\n```javascript\r\nrows = [\r\n  {\r\n     id: 456,\r\n     data: [\r\n       {\r\n          value: '',\r\n          name: ''\r\n        },\r\n        ....\r\n     ]\r\n  },\r\n  { ... }, \r\n  ...\r\n]\r\n```\r\n\r\nSo... in the ng-repeat of tr elements i need the id attribute of each row, but the td elements are those of the array 'data' of each row.\r\n\r\nWhen i edit a value, the socket event is emitted, but the collection on the other user is not refreshed... so, the values are not updated. But if i add a row, the table on the other users is refreshed... only the values in the cells are out of date.\r\n\r\nIf i don't use smart table all works fine, but i prefer the smart table.\r\n\r\nIn the code of smart table there is a watch, but i need a watchcollection, is it possible?\r\n\r\nHow?\r\n\r\nThanks\r\n\r\nMassimo"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/752",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/752/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/752/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/752/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/752",
-    "id": 209949337,
-    "number": 752,
-    "title": "Update smart-table by WebSocket",
-    "user": {
-      "login": "HyperFly",
-      "id": 8993705,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/8993705?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/HyperFly",
-      "html_url": "https://github.com/HyperFly",
-      "followers_url": "https://api.github.com/users/HyperFly/followers",
-      "following_url": "https://api.github.com/users/HyperFly/following{/other_user}",
-      "gists_url": "https://api.github.com/users/HyperFly/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/HyperFly/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/HyperFly/subscriptions",
-      "organizations_url": "https://api.github.com/users/HyperFly/orgs",
-      "repos_url": "https://api.github.com/users/HyperFly/repos",
-      "events_url": "https://api.github.com/users/HyperFly/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/HyperFly/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 2,
-    "created_at": "2017-02-24T03:17:49Z",
-    "updated_at": "2017-02-24T10:47:26Z",
-    "closed_at": null,
-    "body": "There are 2 tabs in the container.\r\nEach tab has a smart-table in it.\r\n\r\n 1. User clicks on the tab.\r\n\r\n    \t$('a[data-toggle=\"tab\"]').on('shown.bs.tab', function (e) {\r\n\t\t\tvar target = $(e.target).attr(\"href\") // activated tab\r\n\t\t\tvar relatedTarget = $(e.relatedTarget).attr(\"href\")\r\n\t\t\tif (target == \"#tab1\") {\r\n\t\t\t\tScopes.get('tab1').get_records();\r\n\t\t\t} else if (target == \"#tab2\") {\r\n\t\t\t\tScopes.get('tab2').get_records();\r\n\t\t\t}\r\n\t\t})\r\n\r\n 2. Call server to get all record and display on the table.(only first time)\r\n\r\n    \t$scope.got_tab1_records = false;\r\n\t\t$scope.get_records = function () {\r\n\t\t\tif($scope.got_tab1_records) return;\r\n\t\t\tvar today = new Date().toJSON().slice(0,10);\r\n\t\t\tvar url = Flask.url_for('recorder.record_list', {info_type: 1, from_date: today, to_date: today});\r\n\t\t\t$http.get(url).success(\r\n\t\t\t\tfunction(data){\r\n\t\t\t\t\t$scope.tab1_records = data;\r\n\t\t\t\t\t$scope.safe_tab1_records = [].concat($scope.tab1_records);\r\n\t\t\t\t\t$scope.got_tab1_records = true;\r\n\t\t\t\t}\r\n\t\t\t).error(function(response){\r\n\t\t\t\talert(response);\r\n\t\t\t}).finally(function (){\r\n\t\t\t});\r\n\t\t}\r\n\r\n 3. If there is a new record, get the record from WebSocket.\r\n\r\n    \tvar url = \"ws://\" + window.location.href.replace(/https?:\\/\\//,'').replace(/\\/.*/,'') + \"/ws\";\r\n\t\tvar ws = new WebSocket(url);\r\n\t\tws.onerror = function (e) {\r\n\t\t\talert(e);\r\n\t\t\tconsole.log(\"WebSocket Error\" + e);\r\n\t\t\tconsole.log(e);\r\n\t\t}\r\n\t\tws.onclose = function () {\r\n\t\t\tdocument.getElementById(\"logo\").style.color = \"gray\";\r\n\t\t}\r\n\t\tws.onmessage = function (e) {\r\n\t\t\tvar obj = JSON.parse(e.data);\r\n\t\t\t$scope.append_record(obj.state, obj.record);\r\n\t\t}\r\n    \t$scope.append_record = function(info_type, record){\r\n        \tif (info_type == 1) {\r\n            \tScopes.get('tab1').unshift_record(record);\r\n        \t} else if (info_type == 2) {\r\n            \tScopes.get('tab2').safe_tab1_records.unshift(JSON.parse(record));\r\n        \t}\r\n    \t};\r\n\r\n 4. Unshift the record on the st-safe-src and refresh the table.\r\n\r\n     \t$scope.unshift_record = function (record) {\r\n\t\t\t$scope.safe_tab1_records.unshift(JSON.parse(record));\r\n\t\t};\t\r\n\r\nMy question is the step 4 did not refresh the table.\r\nOnly if I click on another tab then click on the original tab.\r\nBut, click on the button in the tab1 it will unshift a record and display on the first row of the table.\r\n\r\n    \t$scope.addRandomItem = function addRandomItem() {\r\n\t\t\t$scope.safe_tab1_records.unshift({_datetime:'2017-02-23', _device:'1'});\r\n\t\t};\r\n\r\nAlso, I have a question.\r\nWhy the st-pagesizelist=\"10,50,100,1000\" did not work ?\r\n\r\nI have [plunker][1] to show this problem. But I don't know how to simulate WebSocket.\r\n\r\n\r\nHtml:\r\n\r\n    <div id=\"right_container\" style=\"position: absolute; width: 38%; height: calc(100% - 107px); right: 0px;\">\r\n\t\t<ul class=\"nav nav-tabs\">\r\n\t\t\t<li class=\"active\"><a data-toggle=\"tab\" href=\"#tab1\">tab1</a></li>\r\n\t\t\t<li class=\"\"><a data-toggle=\"tab\" href=\"#tab2\">tab2</a></li>\r\n\t\t</ul>\r\n\t\t<div class=\"tab-content\">\r\n\t\t\t<div id=\"tab1\" class=\"tab-pane fade in active\" ng-controller=\"tab1\" style=\"position: absolute; width: 100%; height: calc(100% - 42px); top: 42px;\">\r\n\t\t\t\t<button type=\"button\" ng-click=\"addRandomItem(row)\" class=\"btn btn-sm btn-success\">\r\n\t\t\t\t\t<i class=\"glyphicon glyphicon-plus\">\r\n\t\t\t\t\t</i> Add random item\r\n\t\t\t\t</button>\r\n\t\t\t\t<table st-table=\"tab1_records\" st-safe-src=\"safe_tab1_records\" class=\"table table-striped\">\r\n\t\t\t\t\t<thead>\r\n\t\t\t\t\t<tr style=\"background-color: #2A66AB; color: white;\">\r\n\t\t\t\t\t\t<th>time</th>\r\n\t\t\t\t\t\t<th>device</th>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t<tr style=\"background-color: white;\">\r\n\t\t\t\t\t\t<th><input st-search=\"time\" class=\"form-control\" placeholder=\"time search ...\" type=\"text\" /></th>\r\n\t\t\t\t\t\t<th><input st-search=\"device\" class=\"form-control\" placeholder=\"device search ...\" type=\"text\" /></th>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t</thead>\r\n\t\t\t\t\t<tbody style=\"background-color: white;\">\r\n\t\t\t\t\t<tr ng-repeat=\"record in tab1_records\">\r\n\t\t\t\t\t\t<td>{$record._datetime$}</td>\r\n\t\t\t\t\t\t<td>{$record._device$}</td>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t</tbody>\r\n\t\t\t\t\t<tfoot>\r\n\t\t\t\t\t\t<tr>\r\n\t\t\t\t\t\t\t<td colspan=\"4\" class=\"text-center\">\r\n\t\t\t\t\t\t\t\t<div st-pagination=\"\" st-items-by-page=\"10\" st-displayed-pages=\"7\" st-pagesizelist=\"10,50,100,1000\"></div>\r\n\t\t\t\t\t\t\t</td>\r\n\t\t\t\t\t\t</tr>\r\n\t\t\t\t\t</tfoot>\r\n\t\t\t\t</table>\r\n\t\t\t</div>\r\n\t\t\t<div id=\"tab2\" class=\"tab-pane fade\" ng-controller=\"tab2\" style=\"position: absolute; width: 100%; height: calc(100% - 42px); top: 42px;\">\r\n\t\t\t\t<table st-table=\"tab2_records\" st-safe-src=\"safe_tab2_records\" class=\"table table-striped\">\r\n\t\t\t\t\t<thead>\r\n\t\t\t\t\t<tr style=\"background-color: #2A66AB; color: white;\">\r\n\t\t\t\t\t\t<th>time</th>\r\n\t\t\t\t\t\t<th>device</th>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t<tr style=\"background-color: white;\">\r\n\t\t\t\t\t\t<th><input st-search=\"time\" class=\"form-control\" placeholder=\"time search ...\" type=\"text\" /></th>\r\n\t\t\t\t\t\t<th><input st-search=\"device\" class=\"form-control\" placeholder=\"device search ...\" type=\"text\" /></th>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t</thead>\r\n\t\t\t\t\t<tbody style=\"background-color: white;\">\r\n\t\t\t\t\t<tr ng-repeat=\"record in tab2_records\">\r\n\t\t\t\t\t\t<td>{$record._datetime$}</td>\r\n\t\t\t\t\t\t<td>{$record._device$}</td>\r\n\t\t\t\t\t</tr>\r\n\t\t\t\t\t</tbody>\r\n\t\t\t\t\t<tfoot>\r\n\t\t\t\t\t\t<tr>\r\n\t\t\t\t\t\t\t<td colspan=\"4\" class=\"text-center\">\r\n\t\t\t\t\t\t\t\t<div st-pagination=\"\" st-items-by-page=\"10\" st-displayed-pages=\"7\" st-pagesizelist=\"10,50,100,1000\"></div>\r\n\t\t\t\t\t\t\t</td>\r\n\t\t\t\t\t\t</tr>\r\n\t\t\t\t\t</tfoot>\r\n\t\t\t\t</table>\r\n\t\t\t</div>\r\n\t\t</div>\r\n\t</div>\r\n\r\nJavascript:\r\n\r\n    <script src=\"/statics/scripts/angular.min.js\"></script>\r\n\t<script src=\"/statics/scripts/Smart-Table-2.1.8/smart-table.min.js\"></script>\r\n\t<script>\r\n\tvar app = angular.module('map', ['smart-table']);\r\n\tapp = angular.module('map').config(function ($httpProvider, $interpolateProvider) {\r\n\t\t$httpProvider.defaults.headers.common['X-Requested-With'] = 'XMLHttpRequest';\r\n\t\t$interpolateProvider.startSymbol('{$');\r\n\t\t$interpolateProvider.endSymbol('$}');\r\n\t});\r\n\tapp.run(function ($rootScope) {\r\n\t\t$rootScope.$on('scope.stored', function (event, data) {\r\n\t\t\tconsole.log(\"scope.stored\", data);\r\n\t\t});\r\n\t});\r\n\tapp.controller('tab1', ['$scope', '$http', 'Scopes', function ($scope, $http, Scopes) {\r\n\t\tScopes.store('tab1', $scope);\r\n\t\t$scope.got_tab1_records = false;\r\n\t\t$scope.get_records = function () {\r\n\t\t\tif($scope.got_tab1_records) return;\r\n\t\t\tvar today = new Date().toJSON().slice(0,10);\r\n\t\t\tvar url = Flask.url_for('recorder.record_list', {info_type: 1, from_date: today, to_date: today});\r\n\t\t\t$http.get(url).success(\r\n\t\t\t\tfunction(data){\r\n\t\t\t\t\t$scope.tab1_records = data;\r\n\t\t\t\t\t$scope.safe_tab1_records = [].concat($scope.tab1_records);\r\n\t\t\t\t\t$scope.got_tab1_records = true;\r\n\t\t\t\t}\r\n\t\t\t).error(function(response){\r\n\t\t\t\talert(response);\r\n\t\t\t}).finally(function (){\r\n\t\t\t});\r\n\t\t}\r\n\t\t$scope.addRandomItem = function addRandomItem() {\r\n\t\t\t$scope.safe_tab1_records.unshift({_datetime:'2017-02-23', _device:'1'});\r\n\t\t};\r\n\t\t$scope.unshift_record = function (record) {\r\n\t\t\t$scope.safe_tab1_records.unshift({_datetime:'2017-02-23', _device:'2'});\r\n\t\t};\r\n\t\t$scope.get_records();\r\n\t}]);\r\n\tapp.controller('tab2', ['$scope', '$http', 'Scopes', function ($scope, $http, Scopes) {\r\n\t\tScopes.store('tab2', $scope);\r\n\t\t$scope.got_tab2_records = false;\r\n\t\t$scope.get_records = function () {\r\n\t\t\tif($scope.got_tab2_records) return;\r\n\t\t\tvar today = new Date().toJSON().slice(0,10);\r\n\t\t\tvar url = Flask.url_for('recorder.record_list', {info_type: 2, from_date: today, to_date: today});\r\n\t\t\t$http.get(url).success(\r\n\t\t\t\tfunction(data){\r\n\t\t\t\t\t$scope.tab2_records = data;\r\n\t\t\t\t\t$scope.safe_tab2_records = [].concat($scope.tab2_records);\r\n\t\t\t\t\t$scope.got_tab2_records = true;\r\n\t\t\t\t}\r\n\t\t\t).error(function(response){\r\n\t\t\t\talert(response);\r\n\t\t\t}).finally(function (){\r\n\t\t\t});\r\n\t\t};\r\n \t\t$scope.unshift_record = function (record) {\r\n\t\t\t$scope.safe_tab1_records.unshift(JSON.parse(record));\r\n\t\t};\r\n\t}]);\r\n\tapp.controller('preview', ['$scope', '$http', 'Scopes', function ($scope, $http, Scopes) {\r\n\t\t$('a[data-toggle=\"tab\"]').on('shown.bs.tab', function (e) {\r\n\t\t\tvar target = $(e.target).attr(\"href\") // activated tab\r\n\t\t\tvar relatedTarget = $(e.relatedTarget).attr(\"href\")\r\n\t\t\tif (target == \"#tab1\") {\r\n\t\t\t\tScopes.get('tab1').get_records();\r\n\t\t\t} else if (target == \"#tab2\") {\r\n\t\t\t\tScopes.get('tab2').get_records();\r\n\t\t\t}\r\n\t\t})\r\n\t\t$scope.append_record = function(info_type, record){\r\n\t\t\tif (info_type == 1) {\r\n\t\t\t\tScopes.get('tab1').unshift_record(record);\r\n\t\t\t} else if (info_type == 2) {\r\n\t\t\t\tScopes.get('tab2').safe_tab1_records.unshift(JSON.parse(record));\r\n\t\t\t}\r\n\t\t};\r\n\t\tvar url = \"ws://\" + window.location.href.replace(/https?:\\/\\//,'').replace(/\\/.*/,'') + \"/ws\";\r\n\t\tvar ws = new WebSocket(url);\r\n\t\tws.onerror = function (e) {\r\n\t\t\talert(e);\r\n\t\t\tconsole.log(\"WebSocket Error\" + e);\r\n\t\t\tconsole.log(e);\r\n\t\t}\r\n\t\tws.onclose = function () {\r\n\t\t\tdocument.getElementById(\"logo\").style.color = \"gray\";\r\n\t\t}\r\n\t\tws.onmessage = function (e) {\r\n\t\t\tvar obj = JSON.parse(e.data);\r\n\t\t\t$scope.append_record(obj.state, obj.record);\r\n\t\t}\r\n\t}]);\r\n\t\r\n\tapp.factory('Scopes', function ($rootScope) {\r\n\t\tvar mem = {};\r\n\t\treturn {\r\n\t\t\tstore: function (key, value) {\r\n\t\t\t\t$rootScope.$emit('scope.stored', key);\r\n\t\t\t\tmem[key] = value;\r\n\t\t\t},\r\n\t\t\tget: function (key) {\r\n\t\t\t\treturn mem[key];\r\n\t\t\t}\r\n\t\t};\r\n\t});\r\n\t</script>\r\n\r\n\r\n  [1]: http://plnkr.co/edit/wlyuHVUQHNm2RcVNGYJk?p=preview"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/748",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/748/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/748/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/748/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/748",
-    "id": 207450111,
-    "number": 748,
-    "title": "st-persist example is not working with st-pipe",
-    "user": {
-      "login": "johnico",
-      "id": 19564592,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/19564592?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/johnico",
-      "html_url": "https://github.com/johnico",
-      "followers_url": "https://api.github.com/users/johnico/followers",
-      "following_url": "https://api.github.com/users/johnico/following{/other_user}",
-      "gists_url": "https://api.github.com/users/johnico/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/johnico/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/johnico/subscriptions",
-      "organizations_url": "https://api.github.com/users/johnico/orgs",
-      "repos_url": "https://api.github.com/users/johnico/repos",
-      "events_url": "https://api.github.com/users/johnico/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/johnico/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [
-      {
-        "id": 225862423,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/not%20reproducible",
-        "name": "not reproducible",
-        "color": "eb6420",
-        "default": false
-      },
-      {
-        "id": 259438506,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/to%20be%20closed:%20does%20not%20follow%20guidelines",
-        "name": "to be closed: does not follow guidelines",
-        "color": "fbca04",
-        "default": false
-      }
-    ],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-02-14T08:38:54Z",
-    "updated_at": "2017-02-14T13:11:57Z",
-    "closed_at": null,
-    "body": "Hi . this example is not working at all with server pagination \r\nhttp://plnkr.co/edit/ekwiNt?p=preview\r\n\r\nit saved only the data of first page and default sort in local storage and did not update the table\r\n\r\nmy pipe function :\r\n\r\n\r\n`    this.callServer = function callServer(tableState) {\r\n\r\n        vm.isLoading = true;\r\n        var pagination = tableState.pagination;\r\n        var start = pagination.start || 0;  \r\n        var number = pagination.number || 10\r\n\r\n        vm.submit = function (){\r\n            vm.isLoading = true;\r\n\r\n            $scope.filtersForm.$setPristine();\r\n            serverCall(0, 10, tableState,searchObj);\r\n            tableState.pagination.start = 0;\r\n        }\r\n        serverCall(start, number, tableState,searchObj);\r\n\r\n      };\r\n`"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/747",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/747/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/747/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/747/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/747",
-    "id": 205849141,
-    "number": 747,
-    "title": "Issue #727 st-pipe not working with st-safe-src",
-    "user": {
-      "login": "AlexNG",
-      "id": 822810,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/822810?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/AlexNG",
-      "html_url": "https://github.com/AlexNG",
-      "followers_url": "https://api.github.com/users/AlexNG/followers",
-      "following_url": "https://api.github.com/users/AlexNG/following{/other_user}",
-      "gists_url": "https://api.github.com/users/AlexNG/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/AlexNG/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/AlexNG/subscriptions",
-      "organizations_url": "https://api.github.com/users/AlexNG/orgs",
-      "repos_url": "https://api.github.com/users/AlexNG/repos",
-      "events_url": "https://api.github.com/users/AlexNG/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/AlexNG/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2017-02-07T10:40:58Z",
-    "updated_at": "2017-02-07T11:08:12Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/747",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/747",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/747.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/747.patch"
-    },
-    "body": "- optional ability to pipe on safecopy change using existing pipeAfterSafeCopy flag using unpreventPipeOnWatch"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/744",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/744/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/744/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/744/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/744",
-    "id": 204111070,
-    "number": 744,
-    "title": "st-sort with function returning a promise",
-    "user": {
-      "login": "skidvd",
-      "id": 5832513,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/5832513?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/skidvd",
-      "html_url": "https://github.com/skidvd",
-      "followers_url": "https://api.github.com/users/skidvd/followers",
-      "following_url": "https://api.github.com/users/skidvd/following{/other_user}",
-      "gists_url": "https://api.github.com/users/skidvd/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/skidvd/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/skidvd/subscriptions",
-      "organizations_url": "https://api.github.com/users/skidvd/orgs",
-      "repos_url": "https://api.github.com/users/skidvd/repos",
-      "events_url": "https://api.github.com/users/skidvd/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/skidvd/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 2,
-    "created_at": "2017-01-30T19:48:49Z",
-    "updated_at": "2017-02-01T12:51:02Z",
-    "closed_at": null,
-    "body": "Hi,\r\n\r\nI am using angular v1.5.9 and smart-table v2.1.0.  I have searched for answers to my question below, but have not been able to find any that address the specific promise/async attributes of it - apologies if this has been addressed somewhere and/or is a duplicate - if so, kindly please refer me there.\r\n\r\nI have been using both st-table=\"displayedItems\" and st-safe-src=\"items\" directives in combination with st-sort.  This combination successfully and reliably works for nearly all conditions I have run across.  This includes scenarios where the st-sort is function based.  However, I recently encountered an need to have a function based st-sort that returns a promise instead of the value directly (i.e. the function will asynchronously resolve the value, at a slightly later time - when it becomes available).\r\n\r\nMy question is, should the st-sort be expected to produce a predictable ordering of the rows in that case?  If so, it does not appear to be.  I am theorizing that this may be do to the fact that the associated values are not available to the sort algorithm all up front - but rather straggle in in an unpredictable order and time frame.  By the way, no errors or other indications are returned that a problem may exist.  Should I expect this to work, or is this a known limitation?  Are there additional items that can be done to make it work on my part or otherwise - if so, I'd greatly appreciate any tips or thoughts you may have?\r\n\r\nTIA!"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/742",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/742/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/742/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/742/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/742",
-    "id": 200829550,
-    "number": 742,
-    "title": "st-sort-default overwrites st-persist state",
-    "user": {
-      "login": "angustus",
-      "id": 9137810,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/9137810?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/angustus",
-      "html_url": "https://github.com/angustus",
-      "followers_url": "https://api.github.com/users/angustus/followers",
-      "following_url": "https://api.github.com/users/angustus/following{/other_user}",
-      "gists_url": "https://api.github.com/users/angustus/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/angustus/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/angustus/subscriptions",
-      "organizations_url": "https://api.github.com/users/angustus/orgs",
-      "repos_url": "https://api.github.com/users/angustus/repos",
-      "events_url": "https://api.github.com/users/angustus/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/angustus/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2017-01-14T21:03:13Z",
-    "updated_at": "2017-01-14T21:03:13Z",
-    "closed_at": null,
-    "body": "**Working example:**\r\nhttp://plnkr.co/edit/UI5r9r?p=preview\r\nIt's a fork of the `st-persist` example; I've added `st-sort-default` field and updated `smart-table` to `v2.1.8` (master as of now).\r\n\r\n**Reproduction:**\r\n1. Use pagination and sort by any column.\r\n2. refresh preview\r\n\r\n**Result:**\r\nThe persisted state is applied before the default sort order is applied.\r\n**Expected:**\r\nPersisted state should be applied last thus overwriting default state order."
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/741",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/741/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/741/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/741/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/741",
-    "id": 200642418,
-    "number": 741,
-    "title": "Is there are a way for a strict search in custom directive? ",
-    "user": {
-      "login": "kyrodabase",
-      "id": 25103243,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/25103243?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/kyrodabase",
-      "html_url": "https://github.com/kyrodabase",
-      "followers_url": "https://api.github.com/users/kyrodabase/followers",
-      "following_url": "https://api.github.com/users/kyrodabase/following{/other_user}",
-      "gists_url": "https://api.github.com/users/kyrodabase/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/kyrodabase/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/kyrodabase/subscriptions",
-      "organizations_url": "https://api.github.com/users/kyrodabase/orgs",
-      "repos_url": "https://api.github.com/users/kyrodabase/repos",
-      "events_url": "https://api.github.com/users/kyrodabase/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/kyrodabase/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [
-      {
-        "id": 35529859,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/enhancement",
-        "name": "enhancement",
-        "color": "84b6eb",
-        "default": true
-      }
-    ],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 6,
-    "created_at": "2017-01-13T14:27:02Z",
-    "updated_at": "2017-01-19T09:01:17Z",
-    "closed_at": null,
-    "body": "Hi,\r\n\r\nGreat lib! :)\r\n\r\nIs there are a way to match the exact search term instead of a substring?\r\nCurrently if I search for ID = 4, the search function returns ID = 4 and ID = 4000, ID = 4001 etc.\r\nHere is a code snippet: \r\n\r\n` .directive(\"customWatchFilters\", function () {\r\n\r\n    return {\r\n      restrict: \"A\",\r\n      require: \"^stTable\",\r\n      link: function (scope, element, attrs, ctrl) {\r\n      \tscope.$watchCollection(attrs.customWatchFilters, function (filters) {\r\n\r\n          ctrl.tableState().search.predicateObject = {};\r\n\r\n          angular.forEach(filters, function (val, filter) {\r\n            if (angular.isUndefined(val) || val === null) {\r\n              return;\r\n            }\r\n\t\t\r\n            ctrl.search(val.toString(), filter);\r\n          });\r\n\r\n          ctrl.pipe();\r\n\r\n        });\r\n      }\r\n    };\r\n  });`\r\n\r\nPlease advise"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/739",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/739/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/739/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/739/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/739",
-    "id": 199296808,
-    "number": 739,
-    "title": "How can I select page and sort manually with server side pagination ?",
-    "user": {
-      "login": "johnico",
-      "id": 19564592,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/19564592?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/johnico",
-      "html_url": "https://github.com/johnico",
-      "followers_url": "https://api.github.com/users/johnico/followers",
-      "following_url": "https://api.github.com/users/johnico/following{/other_user}",
-      "gists_url": "https://api.github.com/users/johnico/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/johnico/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/johnico/subscriptions",
-      "organizations_url": "https://api.github.com/users/johnico/orgs",
-      "repos_url": "https://api.github.com/users/johnico/repos",
-      "events_url": "https://api.github.com/users/johnico/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/johnico/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2017-01-06T21:44:39Z",
-    "updated_at": "2017-01-10T07:14:52Z",
-    "closed_at": null,
-    "body": "Hi . im using smart table with pagination in server side.\r\nI am keep the sorting and pagination details in local storage or url ,\r\nmy question is how can I keep the page when the user was and when he will come back with the specific url or just back to the page he will get the same page he was.?\r\nthe same issue is with Sorting,  How can I sorting by url parameter\r\nhow can I do that,   ?\r\n\r\n\r\nthx for the help"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/738",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/738/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/738/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/738/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/738",
-    "id": 197497382,
-    "number": 738,
-    "title": "Can't load http content from plunker when opening tutorial site via https",
-    "user": {
-      "login": "anatoly314",
-      "id": 1641594,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/1641594?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/anatoly314",
-      "html_url": "https://github.com/anatoly314",
-      "followers_url": "https://api.github.com/users/anatoly314/followers",
-      "following_url": "https://api.github.com/users/anatoly314/following{/other_user}",
-      "gists_url": "https://api.github.com/users/anatoly314/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/anatoly314/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/anatoly314/subscriptions",
-      "organizations_url": "https://api.github.com/users/anatoly314/orgs",
-      "repos_url": "https://api.github.com/users/anatoly314/repos",
-      "events_url": "https://api.github.com/users/anatoly314/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/anatoly314/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2016-12-25T11:31:32Z",
-    "updated_at": "2016-12-25T11:31:32Z",
-    "closed_at": null,
-    "body": "When I open the following website: https://lorenzofox3.github.io/smart-table-website/ some content not loading but throwing exception in a javascript console:\r\n\r\n> Mixed Content: The page at 'https://lorenzofox3.github.io/smart-table-website/' was loaded over HTTPS, but requested an insecure resource 'http://embed.plnkr.co/SOcUk1'. This request has been blocked; the content must be served over HTTPS.\r\n\r\nTo fix this all http://example.com links should be changed to //example.com"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/737",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/737/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/737/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/737/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/737",
-    "id": 196461736,
-    "number": 737,
-    "title": "Possible issue with reinitialising the scope.pages collection in redraw function",
-    "user": {
-      "login": "sannyjacobsson",
-      "id": 11787831,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/11787831?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/sannyjacobsson",
-      "html_url": "https://github.com/sannyjacobsson",
-      "followers_url": "https://api.github.com/users/sannyjacobsson/followers",
-      "following_url": "https://api.github.com/users/sannyjacobsson/following{/other_user}",
-      "gists_url": "https://api.github.com/users/sannyjacobsson/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/sannyjacobsson/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/sannyjacobsson/subscriptions",
-      "organizations_url": "https://api.github.com/users/sannyjacobsson/orgs",
-      "repos_url": "https://api.github.com/users/sannyjacobsson/repos",
-      "events_url": "https://api.github.com/users/sannyjacobsson/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/sannyjacobsson/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2016-12-19T16:41:11Z",
-    "updated_at": "2016-12-20T10:04:00Z",
-    "closed_at": null,
-    "body": "Angular version: 1.5.8\r\nSmart table version: 2.1.8\r\n\r\nhttps://github.com/lorenzofox3/Smart-Table/blob/master/src/stPagination.js\r\n<pre>\r\nng.module('smart-table')\r\n  .directive('stPagination', ['stConfig', function (stConfig) {\r\n....\r\n        function redraw () {\r\n....\r\n          scope.pages = [];\r\n....\r\n</pre>\r\n\r\nWhen updating the <code>st-items-by-page</code> value a <code>redraw()</code> is triggered. In the case the new value is the length of the items in the backing collection <code></code> the <code>scope.pages</code> collection is reinitialised. \r\n\r\nIt seems to me that we are loosing our referens to the <code>scope.pages</code> collection in the pagination.html template. See https://github.com/lorenzofox3/Smart-Table/blob/master/dist/smart-table.js \r\n<pre>\r\nng.module('smart-table', []).run(['$templateCache', function ($templateCache) {\r\n    $templateCache.put('template/smart-table/pagination.html',\r\n.....</pre>\r\n\r\nIf we instead of reinitialising the code>scope.pages</code> collection in the <code>redraw()</code> function we set the length to zero <code>scope.pages.length = 0;</code> we will maintain our references. When changing the value from the length of the backing collection to some other value the pagination will work. \r\n\r\nI discovered the issue when adding a \"view all\" option for a smart table. I tried with -1 to show all, however that caused ctrl.tableState().pagination.numberOfPages to become negative with all kinds of side effects.\r\n\r\nI'm new to JavaScript and AngularJS so I may very well have missunderstod the issue.  "
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/736",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/736/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/736/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/736/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/736",
-    "id": 195207733,
-    "number": 736,
-    "title": "Smart Table pagging refreshing Issue",
-    "user": {
-      "login": "hemrajrav",
-      "id": 23396834,
-      "avatar_url": "https://avatars3.githubusercontent.com/u/23396834?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/hemrajrav",
-      "html_url": "https://github.com/hemrajrav",
-      "followers_url": "https://api.github.com/users/hemrajrav/followers",
-      "following_url": "https://api.github.com/users/hemrajrav/following{/other_user}",
-      "gists_url": "https://api.github.com/users/hemrajrav/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/hemrajrav/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/hemrajrav/subscriptions",
-      "organizations_url": "https://api.github.com/users/hemrajrav/orgs",
-      "repos_url": "https://api.github.com/users/hemrajrav/repos",
-      "events_url": "https://api.github.com/users/hemrajrav/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/hemrajrav/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2016-12-13T09:55:59Z",
-    "updated_at": "2016-12-15T10:29:07Z",
-    "closed_at": null,
-    "body": "Hi,\r\nhow can i control page refreshing in smart table on refill inside angular controller when any action perform.\r\nfor exa : - I am on page no 6 and i claim an order then control comes on first page when refill smart table.\r\nso how can be control this refresh...please provide me solution immediately.\r\n\r\nThanks in advance\r\nHemraj Rav\r\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/735",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/735/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/735/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/735/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/735",
-    "id": 195085675,
-    "number": 735,
-    "title": "property with \"-\" dash doesnt work in search? Or I am doing something wrong with stSearch",
-    "user": {
-      "login": "ginamdar",
-      "id": 845379,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/845379?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/ginamdar",
-      "html_url": "https://github.com/ginamdar",
-      "followers_url": "https://api.github.com/users/ginamdar/followers",
-      "following_url": "https://api.github.com/users/ginamdar/following{/other_user}",
-      "gists_url": "https://api.github.com/users/ginamdar/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/ginamdar/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/ginamdar/subscriptions",
-      "organizations_url": "https://api.github.com/users/ginamdar/orgs",
-      "repos_url": "https://api.github.com/users/ginamdar/repos",
-      "events_url": "https://api.github.com/users/ginamdar/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/ginamdar/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 4,
-    "created_at": "2016-12-12T21:06:48Z",
-    "updated_at": "2016-12-15T07:03:24Z",
-    "closed_at": null,
-    "body": "I have json object as   \r\n```[{\"task-id\":52,\"task-priority\":1,\"task-name\":\"Modify Province\",\"task-description\":\"\",\"task-status\":\"InProgress\"},...]  ```\r\nand in html im rendering its as\r\n```\r\n<div class=\"widget-body\" st-table=\"displayWorklist\" st-safe-src=\"worklist\"  >\r\n<table class=\"table table-bordered table-striped table-condensed\">\r\n<thead>..</thead>\r\n<tbody>\r\n<tr ng-repeat=\"row in displayWorklist\">\r\n   <td class=\"text-center\" >\r\n   {{ row['task-id'] }}\r\n  </td>\r\n</table> ```  \r\n\r\nEverything works fine, now when im trying to filter based on predicate as  \r\n<th>\r\n   <input st-search=\"'task-id'\" placeholder=\"search for taskId\"\r\n  class=\"input-sm form-control\" type=\"search\"/>\r\n  </th>  \r\n```  \r\nI get angular.js:10150 TypeError: $parse(...).assign is not a function\r\n\r\n\"angular\": \"~1.2\",\r\nangular-smart-table: \"^2.1.8\",\r\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/734",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/734/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/734/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/734/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/734",
-    "id": 192842900,
-    "number": 734,
-    "title": "st-pipe with default-sort-column causes double xhr request when initializing table.",
-    "user": {
-      "login": "wzoet",
-      "id": 2481982,
-      "avatar_url": "https://avatars3.githubusercontent.com/u/2481982?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/wzoet",
-      "html_url": "https://github.com/wzoet",
-      "followers_url": "https://api.github.com/users/wzoet/followers",
-      "following_url": "https://api.github.com/users/wzoet/following{/other_user}",
-      "gists_url": "https://api.github.com/users/wzoet/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/wzoet/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/wzoet/subscriptions",
-      "organizations_url": "https://api.github.com/users/wzoet/orgs",
-      "repos_url": "https://api.github.com/users/wzoet/repos",
-      "events_url": "https://api.github.com/users/wzoet/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/wzoet/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2016-12-01T13:11:53Z",
-    "updated_at": "2016-12-12T12:09:42Z",
-    "closed_at": null,
-    "body": "Hi,\r\n\r\nWe are working with your plugin which is really awesome. \r\nWe just found that when having a default-sort field set to true, the pipe is called twice, causing data be loaded twice upon initializing of the page. \r\n\r\nIt is totally not a showstopper, but I guess it isn't very efficient as well.\r\n\r\nWe use angular ˆ1.5.8 and angular-smart-table ˆ2.1.8.\r\n\r\nThanks for your effort in this plugin!"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/733",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/733/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/733/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/733/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/733",
-    "id": 192132950,
-    "number": 733,
-    "title": "Extend selection with shift-click",
-    "user": {
-      "login": "Rhobal",
-      "id": 14913297,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/14913297?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/Rhobal",
-      "html_url": "https://github.com/Rhobal",
-      "followers_url": "https://api.github.com/users/Rhobal/followers",
-      "following_url": "https://api.github.com/users/Rhobal/following{/other_user}",
-      "gists_url": "https://api.github.com/users/Rhobal/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/Rhobal/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/Rhobal/subscriptions",
-      "organizations_url": "https://api.github.com/users/Rhobal/orgs",
-      "repos_url": "https://api.github.com/users/Rhobal/repos",
-      "events_url": "https://api.github.com/users/Rhobal/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/Rhobal/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2016-11-28T22:19:53Z",
-    "updated_at": "2016-11-28T22:19:53Z",
-    "closed_at": null,
-    "pull_request": {
-      "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/pulls/733",
-      "html_url": "https://github.com/lorenzofox3/Smart-Table/pull/733",
-      "diff_url": "https://github.com/lorenzofox3/Smart-Table/pull/733.diff",
-      "patch_url": "https://github.com/lorenzofox3/Smart-Table/pull/733.patch"
-    },
-    "body": "Selection can be extended with shift-click.\r\n\r\nExtension means that the state of the last row that was selected is extended through to the currently\r\nselected row, so all rows in between will either be selected or deselected. If there was no previously\r\nselected row, shift-click will just select the current row.\r\n\r\nTo get to a defined state on paging / filtering / sorting, selections are cleared when entering pipe() if there were any. Otherwise, there could remain selected objects that are not visible."
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/728",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/728/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/728/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/728/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/728",
-    "id": 186264848,
-    "number": 728,
-    "title": "get onclick pagination in controller",
-    "user": {
-      "login": "doni111",
-      "id": 22817277,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/22817277?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/doni111",
-      "html_url": "https://github.com/doni111",
-      "followers_url": "https://api.github.com/users/doni111/followers",
-      "following_url": "https://api.github.com/users/doni111/following{/other_user}",
-      "gists_url": "https://api.github.com/users/doni111/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/doni111/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/doni111/subscriptions",
-      "organizations_url": "https://api.github.com/users/doni111/orgs",
-      "repos_url": "https://api.github.com/users/doni111/repos",
-      "events_url": "https://api.github.com/users/doni111/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/doni111/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2016-10-31T11:48:20Z",
-    "updated_at": "2016-10-31T18:21:27Z",
-    "closed_at": null,
-    "body": "I need to detect the current pagination by the controller on the onclick pagination.\r\nIs there any way to do it?\r\n\r\nThank you"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/727",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/727/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/727/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/727/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/727",
-    "id": 184168083,
-    "number": 727,
-    "title": "st-pipe not working with st-safe-src",
-    "user": {
-      "login": "daniele-bottelli",
-      "id": 8760353,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/8760353?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/daniele-bottelli",
-      "html_url": "https://github.com/daniele-bottelli",
-      "followers_url": "https://api.github.com/users/daniele-bottelli/followers",
-      "following_url": "https://api.github.com/users/daniele-bottelli/following{/other_user}",
-      "gists_url": "https://api.github.com/users/daniele-bottelli/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/daniele-bottelli/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/daniele-bottelli/subscriptions",
-      "organizations_url": "https://api.github.com/users/daniele-bottelli/orgs",
-      "repos_url": "https://api.github.com/users/daniele-bottelli/repos",
-      "events_url": "https://api.github.com/users/daniele-bottelli/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/daniele-bottelli/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 4,
-    "created_at": "2016-10-20T08:42:13Z",
-    "updated_at": "2017-02-08T16:14:30Z",
-    "closed_at": null,
-    "body": "Hi there!\nI have a problem using smart table using st-safe-src and st-pipe together.\nAs long as I'm using st-table and st-safe-src directives, I can see all the items in the table.\nAs long as I'm using st-table and st-pipe directives, I can see all the items in the table.\nBUT using st-table, st-safe-src and st-pipe directives, no item is shown in the table.\n\nI tried the solution shown in issue #242 but it didn't work.\nIn issue #238 joshijimit had my same problem but the solution was: discard st-safe-src. For me it's not possible because I need to filter my table.\n\nYou can find my example code here:\nhttp://plnkr.co/edit/NqD47Q?p=preview\n\nThanks :)\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/725",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/725/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/725/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/725/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/725",
-    "id": 183773850,
-    "number": 725,
-    "title": "Go to specific page after custom filter",
-    "user": {
-      "login": "aalarcong",
-      "id": 19558587,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/19558587?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/aalarcong",
-      "html_url": "https://github.com/aalarcong",
-      "followers_url": "https://api.github.com/users/aalarcong/followers",
-      "following_url": "https://api.github.com/users/aalarcong/following{/other_user}",
-      "gists_url": "https://api.github.com/users/aalarcong/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/aalarcong/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/aalarcong/subscriptions",
-      "organizations_url": "https://api.github.com/users/aalarcong/orgs",
-      "repos_url": "https://api.github.com/users/aalarcong/repos",
-      "events_url": "https://api.github.com/users/aalarcong/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/aalarcong/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [
-      {
-        "id": 225862423,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/not%20reproducible",
-        "name": "not reproducible",
-        "color": "eb6420",
-        "default": false
-      },
-      {
-        "id": 259438506,
-        "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/labels/to%20be%20closed:%20does%20not%20follow%20guidelines",
-        "name": "to be closed: does not follow guidelines",
-        "color": "fbca04",
-        "default": false
-      }
-    ],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 1,
-    "created_at": "2016-10-18T18:59:38Z",
-    "updated_at": "2016-10-30T21:57:44Z",
-    "closed_at": null,
-    "body": "Hi.\n\nI'm using the smart table with an api and also include a custom filter directive so i can filter by different columns and is working ok. When i click on a row i go to another page to see more information, in this new page theres a \"go back\" button , so i store the table collection on a service so when i \"go back\" i resume the collection without calling the api and the custom filters runs again because i got them stored also on a service. The issue that i cant solve is to go to an specific page after the custom filter is execute.\n\nI try to use the controller.slice() watching the ctlr.getFilteredCollection but the custom filter override the page changes that the slide function make. Also i try to use a persist directive on localstorage but is the same, the custom filter execute and override the load of the localstorage collection overriding the page.\n\nis There a way to set an specific page after the custom filter? from the custom filter directive theres a way to access the tableState?\n\nmy custom filter looks similar to (of course with some custom logic):\n\n``` javascript\n.filter('customFilter', ['$filter', function ($filter) {\n   return function customFilter(array, expression) {\n     return output;\n    };\n}]);\n```\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/723",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/723/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/723/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/723/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/723",
-    "id": 182673873,
-    "number": 723,
-    "title": "Highlight search term?",
-    "user": {
-      "login": "kdumovic",
-      "id": 4503680,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/4503680?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/kdumovic",
-      "html_url": "https://github.com/kdumovic",
-      "followers_url": "https://api.github.com/users/kdumovic/followers",
-      "following_url": "https://api.github.com/users/kdumovic/following{/other_user}",
-      "gists_url": "https://api.github.com/users/kdumovic/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/kdumovic/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/kdumovic/subscriptions",
-      "organizations_url": "https://api.github.com/users/kdumovic/orgs",
-      "repos_url": "https://api.github.com/users/kdumovic/repos",
-      "events_url": "https://api.github.com/users/kdumovic/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/kdumovic/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2016-10-13T01:35:32Z",
-    "updated_at": "2016-10-13T01:35:32Z",
-    "closed_at": null,
-    "body": "Howdy,\n\nIs there a way to highlight the matching search term within a table cell? I am imagining that any text within a table cell that matches the search query would be enclosed in a span that could then be styled with a background color, etc.\n\nDoes this functionality exist?\n\nThanks.\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/722",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/722/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/722/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/722/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/722",
-    "id": 182481256,
-    "number": 722,
-    "title": "New Feature Request :: Select All Button with the Table",
-    "user": {
-      "login": "harshild",
-      "id": 8577215,
-      "avatar_url": "https://avatars1.githubusercontent.com/u/8577215?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/harshild",
-      "html_url": "https://github.com/harshild",
-      "followers_url": "https://api.github.com/users/harshild/followers",
-      "following_url": "https://api.github.com/users/harshild/following{/other_user}",
-      "gists_url": "https://api.github.com/users/harshild/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/harshild/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/harshild/subscriptions",
-      "organizations_url": "https://api.github.com/users/harshild/orgs",
-      "repos_url": "https://api.github.com/users/harshild/repos",
-      "events_url": "https://api.github.com/users/harshild/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/harshild/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2016-10-12T09:45:44Z",
-    "updated_at": "2016-10-21T09:00:50Z",
-    "closed_at": null,
-    "body": "Hi,\n\nThis talks about the similar concerns as mentioned here :- https://github.com/lorenzofox3/Smart-Table/issues/270\n\nThe provided directive also works like a charm.\n\nBut, i am wondering if it possible to include an auto-selection button with the library and then may be toggling its usages with the help of property.\n\nI searched quite a bit but not found any such request made earlier. You can discard it if something like this has already been adressed\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/716",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/716/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/716/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/716/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/716",
-    "id": 177705470,
-    "number": 716,
-    "title": "Angular Smart Table Reload Data and Reset Filters Along With Pagination(Without st-pipe)",
-    "user": {
-      "login": "nimanthaharshana",
-      "id": 10864598,
-      "avatar_url": "https://avatars2.githubusercontent.com/u/10864598?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/nimanthaharshana",
-      "html_url": "https://github.com/nimanthaharshana",
-      "followers_url": "https://api.github.com/users/nimanthaharshana/followers",
-      "following_url": "https://api.github.com/users/nimanthaharshana/following{/other_user}",
-      "gists_url": "https://api.github.com/users/nimanthaharshana/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/nimanthaharshana/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/nimanthaharshana/subscriptions",
-      "organizations_url": "https://api.github.com/users/nimanthaharshana/orgs",
-      "repos_url": "https://api.github.com/users/nimanthaharshana/repos",
-      "events_url": "https://api.github.com/users/nimanthaharshana/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/nimanthaharshana/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 2,
-    "created_at": "2016-09-19T05:17:59Z",
-    "updated_at": "2016-09-21T06:03:27Z",
-    "closed_at": null,
-    "body": "I have the smart table with Ajax loaded data where I want to reset filters and reload my data collection with reset of pagination as well when a button is clicked. My code is given below.\n\n**HTML**\n\n`<button ng-click=\"resetFilters();\" type=\"button\" class=\"btn btn-info\">Reset</button>`\n\n**JS**\n\n```\n\n$scope.resetFilters = function () {\n            $scope.rowCollection = [];\n            $scope.displayedCollection = [];\n            $scope.product_type = null;\n            $scope.product_category = null;\n            $scope.search = null;\n            $scope.rowCollection = new_data;\n        };\n```\n\nHowever I can't get this managed since pagination and filters are not resetting.\n\nI have seen the following but I'm not sure how actually the tableState Object can be accessed since it's undefined when I log it on the console and also **I'm not using st-pipe directive**.\n\n```\ntableState = ctrl.tableState()\ntableState.search.predicateObject = {}\ntableState.pagination.start = 0\n```\n\nPlease Help...\n\nThank You.\n"
-  },
-  {
-    "url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/714",
-    "repository_url": "https://api.github.com/repos/lorenzofox3/Smart-Table",
-    "labels_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/714/labels{/name}",
-    "comments_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/714/comments",
-    "events_url": "https://api.github.com/repos/lorenzofox3/Smart-Table/issues/714/events",
-    "html_url": "https://github.com/lorenzofox3/Smart-Table/issues/714",
-    "id": 175906579,
-    "number": 714,
-    "title": "Excel like table cell selection",
-    "user": {
-      "login": "stanleyxu2005",
-      "id": 5162687,
-      "avatar_url": "https://avatars0.githubusercontent.com/u/5162687?v=3",
-      "gravatar_id": "",
-      "url": "https://api.github.com/users/stanleyxu2005",
-      "html_url": "https://github.com/stanleyxu2005",
-      "followers_url": "https://api.github.com/users/stanleyxu2005/followers",
-      "following_url": "https://api.github.com/users/stanleyxu2005/following{/other_user}",
-      "gists_url": "https://api.github.com/users/stanleyxu2005/gists{/gist_id}",
-      "starred_url": "https://api.github.com/users/stanleyxu2005/starred{/owner}{/repo}",
-      "subscriptions_url": "https://api.github.com/users/stanleyxu2005/subscriptions",
-      "organizations_url": "https://api.github.com/users/stanleyxu2005/orgs",
-      "repos_url": "https://api.github.com/users/stanleyxu2005/repos",
-      "events_url": "https://api.github.com/users/stanleyxu2005/events{/privacy}",
-      "received_events_url": "https://api.github.com/users/stanleyxu2005/received_events",
-      "type": "User",
-      "site_admin": false
-    },
-    "labels": [],
-    "state": "open",
-    "locked": false,
-    "assignee": null,
-    "assignees": [],
-    "milestone": null,
-    "comments": 0,
-    "created_at": "2016-09-09T01:41:54Z",
-    "updated_at": "2016-09-09T03:00:11Z",
-    "closed_at": null,
-    "body": "Dear Developers,\n\nI'd like to ask whether there is any way (or plugin) to enhance table selecting. I want to select table like what we in Excel do. In concrete: \n- The selection will have a colored border\n- When press CTRL+C, data without format will be copied into clipboard.\n\nI know HandsOnTable (https://handsontable.com/examples.html?headers) is quite good at this, but its performance is a nightmare. I'd like to use my favorite Smart-Table to deliver new projects, so I'm asking ;-)\n"
-  }
-]
\ No newline at end of file
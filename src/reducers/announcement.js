@@ -0,0 +1,10 @@
+export default (state = {message: ''}, action) => {
+  const {type, message = ''} = action;
+  switch (type) {
+    case 'ANNOUNCE': {
+      return {message};
+    }
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,44 @@
+import {findPanel} from '../lib/grid';
+import {identify, layoutOf, singleColumn, applyLayout} from '../lib/layouts';
+import {BREAKPOINTS, DEFAULT_BREAKPOINT} from '../lib/constants';
+
+export const switchesBreakpoint = ({active = null, breakpoint = DEFAULT_BREAKPOINT} = {}, {type, breakpoint: target}) =>
+  type === 'SET_BREAKPOINT' && active === null && target !== breakpoint && BREAKPOINTS.some(({name}) => name === target);
+
+// the lists follow their panel
+const moveSmartLists = (smartList, from, to) => smartList.reduce((acc, {x, y, tableState}) => {
+  const {data = {}} = findPanel(from, x, y) || {};
+  const target = data.id !== void 0 ? to.find(p => p.data.id === data.id) : void 0;
+  return target !== void 0 ? acc.concat({x: target.x, y: target.y, tableState, items: []}) : acc;
+}, []);
+
+// the grid slice holds the layout of the active breakpoint while the geometry of the others is kept in grid.layouts
+// (and their undo history in grid.histories)
+export default reducer => (state = {}, action) => {
+  const {grid, smartList = [], history = {past: [], future: []}} = state;
+  if (action.type !== 'SET_BREAKPOINT' || grid === void 0) {
+    return reducer(state, action);
+  }
+  if (!switchesBreakpoint(grid, action)) {
+    return state;
+  }
+  const {breakpoint = DEFAULT_BREAKPOINT, layouts = {}, histories = {}} = grid;
+  const identified = Object.assign({}, grid, {panels: identify(grid.panels, layouts)});
+  const nextLayouts = Object.assign({}, layouts, {[breakpoint]: layoutOf(identified)});
+  delete nextLayouts[action.breakpoint];
+  // the snapshots belong to the layout they were taken from
+  const nextHistories = Object.assign({}, histories, {[breakpoint]: history});
+  delete nextHistories[action.breakpoint];
+  const next = applyLayout(identified, layouts[action.breakpoint] || singleColumn(identified));
+  return Object.assign({}, state, {
+    grid: Object.assign({}, grid, next, {
+      breakpoint: action.breakpoint,
+      layouts: nextLayouts,
+      histories: nextHistories,
+      maximized: null,
+      selection: []
+    }),
+    smartList: moveSmartLists(smartList, identified.panels, next.panels),
+    history: histories[action.breakpoint] || {past: [], future: []}
+  });
+};
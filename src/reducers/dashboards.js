@@ -0,0 +1,124 @@
+import {emptyPanels, updateAll} from '../lib/grid';
+import {ROWS, COLUMNS, DEFAULT_BREAKPOINT} from '../lib/constants';
+
+export const DEFAULT_DASHBOARD = {id: 'dashboard-1', name: 'My dashboard'};
+
+export const initialDashboards = () => ({active: DEFAULT_DASHBOARD.id, tabs: [DEFAULT_DASHBOARD], stored: {}});
+
+const emptyHistory = () => ({past: [], future: []});
+
+export const emptyDashboard = ({collision = 'reject', breakpoint = DEFAULT_BREAKPOINT} = {}) => ({
+  grid: {active: null, rows: ROWS, columns: COLUMNS, collision, breakpoint, layouts: {}, panels: emptyPanels(ROWS, COLUMNS)},
+  smartList: [],
+  history: emptyHistory()
+});
+
+/**
+ * The slices of the displayed dashboard, as they are kept while another dashboard is displayed
+ */
+export const dashboardOf = ({grid, smartList = [], history = emptyHistory()}) => ({
+  grid: Object.assign({}, grid, {active: null, maximized: null, selection: [], panels: updateAll(grid.panels, {adornerStatus: 0})}),
+  smartList: smartList.map(({x, y, tableState}) => ({x, y, tableState, items: []})),
+  history
+});
+
+const nextId = tabs => `dashboard-${Math.max(0, ...tabs.map(({id}) => Number(id.split('-').pop()) || 0)) + 1}`;
+
+const validName = name => typeof name === 'string' && name.trim() !== '' ? name.trim() : null;
+
+const hasTab = (tabs, id) => tabs.some(tab => tab.id === id);
+
+/**
+ * @param dashboards {Object} - the dashboards slice
+ * @param action {Object}
+ * @returns {Boolean} - whether the action displays another dashboard
+ */
+export const switchesDashboard = ({active, tabs}, {type, id}) => {
+  switch (type) {
+    case 'CREATE_DASHBOARD':
+      return true;
+    case 'DUPLICATE_DASHBOARD':
+      return hasTab(tabs, id);
+    case 'SWITCH_DASHBOARD':
+      return id !== active && hasTab(tabs, id);
+    case 'DELETE_DASHBOARD':
+      return id === active && tabs.length > 1;
+    default:
+      return false;
+  }
+};
+
+// the given dashboard is laid out for the current breakpoint
+const show = (reducer, state, dashboard, dashboards) => reducer(
+  Object.assign({}, state, dashboard, {dashboards}),
+  {type: 'SET_BREAKPOINT', breakpoint: state.grid.breakpoint || DEFAULT_BREAKPOINT}
+);
+
+// the displayed dashboard is kept aside and the given one takes its place
+const display = (reducer, state, {active, tabs, stored}, id, dashboard) => {
+  const nextStored = Object.assign({}, stored, {[active]: dashboardOf(state)});
+  delete nextStored[id];
+  return show(reducer, state, dashboard, {active: id, tabs, stored: nextStored});
+};
+
+/**
+ * Collection of named dashboards: the displayed one lives in the grid, smartList and history slices while the others are stored aside
+ * @param reducer {Function} - the reducer of the displayed dashboard
+ * @returns {Function} - a reducer whose state holds an additional "dashboards" slice ({active, tabs, stored})
+ */
+export default reducer => (state = {}, action) => {
+  const {dashboards = initialDashboards()} = state;
+  const {active, tabs, stored} = dashboards;
+  const {type, id, name} = action;
+  // an operation is in progress
+  const isBusy = state.grid !== void 0 && state.grid.active !== null && state.grid.active !== void 0;
+
+  if (isBusy && switchesDashboard(dashboards, action)) {
+    return state;
+  }
+
+  switch (type) {
+    case 'CREATE_DASHBOARD': {
+      const newId = nextId(tabs);
+      const newTabs = [...tabs, {id: newId, name: validName(name) || `Dashboard ${tabs.length + 1}`}];
+      return display(reducer, state, {active, tabs: newTabs, stored}, newId, emptyDashboard(state.grid));
+    }
+    case 'DUPLICATE_DASHBOARD': {
+      if (!switchesDashboard(dashboards, action)) {
+        return state;
+      }
+      const newId = nextId(tabs);
+      const index = tabs.findIndex(tab => tab.id === id);
+      const copy = dashboardOf(id === active ? state : stored[id]);
+      const newTabs = [...tabs.slice(0, index + 1), {id: newId, name: validName(name) || `${tabs[index].name} (copy)`}, ...tabs.slice(index + 1)];
+      return display(reducer, state, {active, tabs: newTabs, stored}, newId, Object.assign(copy, {history: emptyHistory()}));
+    }
+    case 'RENAME_DASHBOARD': {
+      const newName = validName(name);
+      return newName === null || !hasTab(tabs, id) ? state : Object.assign({}, state, {
+        dashboards: {active, stored, tabs: tabs.map(tab => tab.id === id ? {id, name: newName} : tab)}
+      });
+    }
+    case 'SWITCH_DASHBOARD':
+      return switchesDashboard(dashboards, action) ? display(reducer, state, dashboards, id, stored[id]) : state;
+    case 'DELETE_DASHBOARD': {
+      if (tabs.length < 2 || !hasTab(tabs, id)) {
+        return state;
+      }
+      const index = tabs.findIndex(tab => tab.id === id);
+      const newTabs = tabs.filter(tab => tab.id !== id);
+      const newStored = Object.assign({}, stored);
+      delete newStored[id];
+      if (id !== active) {
+        return Object.assign({}, state, {dashboards: {active, tabs: newTabs, stored: newStored}});
+      }
+      // the neighbour tab gets displayed
+      const {id: nextActive} = newTabs[Math.min(index, newTabs.length - 1)];
+      const dashboard = newStored[nextActive];
+      delete newStored[nextActive];
+      return show(reducer, state, dashboard, {active: nextActive, tabs: newTabs, stored: newStored});
+    }
+    default:
+      return Object.assign(reducer(state, action), {dashboards});
+  }
+};
@@ -1,167 +1,457 @@
-import {Grid} from '../lib/grid';
-
-export default (grid = Grid()) => (state = {active: null, panels: [...grid]}, action) => {
-
-  const resizeOver = (state, action) => {
-    const {x, y} =action;
-    const {active} = state;
-    const {x:startX, y:startY} = active;
-    if (x >= startX && y >= startY) {
-      const dx = x - startX + 1;
-      const dy = y - startY + 1;
-      const activeArea = grid.area(startX, startY, dx, dy);
-      const inactiveArea = activeArea.complement();
-      const allButStart = grid.area(startX, startY).complement();
-      const invalidCellsArea = [...allButStart]
-        .map(p => grid.panel(p.x, p.y))
-        .filter(p => {
-          const intersection = p.intersection(activeArea);
-          return intersection.length > 0 && activeArea.includes(p) === false;
-        })
-        .reduce((acc, current) => acc.union(current), grid.area(1, 1, 0, 0));
-
-      for (let {x, y} of inactiveArea) {
-        grid.updateAt(x, y, {adornerStatus: 0});
-      }
+import {
+  Grid,
+  resizedDef,
+  emptyPanels,
+  findPanel,
+  updateAt,
+  updateArea,
+  updateAll,
+  insertRow,
+  removeRow,
+  insertColumn,
+  removeColumn,
+  isLocked
+} from '../lib/grid';
+import {STRATEGIES, swap, push, isFreeArea, groupMove, overlaps, visiblePanels} from '../lib/collisions';
+import {ROWS, COLUMNS, DEFAULT_BREAKPOINT} from '../lib/constants';
 
-      for (let {x, y} of activeArea) {
-        grid.updateAt(x, y, {adornerStatus: 1});
-      }
+const resetAdorners = panels => updateAll(panels, {adornerStatus: 0});
 
-      for (let {x, y} of invalidCellsArea) {
-        grid.updateAt(x, y, {adornerStatus: -1});
-      }
+const isLockedAt = (state, x, y) => isLocked(state, findPanel(state.panels || [], x, y));
 
-      return Object.assign({}, state, {
-        active: Object.assign({}, active, {valid: invalidCellsArea.length === 0}),
-        panels: [...grid]
-      });
-    } else {
-      return Object.assign(state, {active: Object.assign({}, active, {valid: false})});
-    }
-  };
-
-  const moveOver = (state, action) => {
-    const {x, y} =action;
-    const {active} = state;
-    const {x:startX, y:startY} = active;
-
-    const {dx, dy} = grid.getData(startX, startY);
-
-    const originalPanel = grid.panel(startX, startY);
-    const expectedArea = grid.area(x, y, dx, dy);
-    const activeArea = originalPanel.union(expectedArea);
-    let invalidArea;
-
-    if (expectedArea.length < originalPanel.length) {
-      invalidArea = activeArea;
-    } else {
-      invalidArea = [...originalPanel.complement()]
-        .map(a => grid.panel(a.x, a.y))
-        .filter(p => {
-          const intersection = p.intersection(expectedArea);
-          return intersection.length > 0 && expectedArea.includes(p) === false;
-        })
-        .reduce((acc, current) => acc.union(current), grid.area(1, 1, 0, 0));
-    }
+// the area the dragged panel would take if it was dropped (within the grid)
+const ghostOf = ({rows, columns}, {x, y, dx = 1, dy = 1}) => ({x, y, dx: Math.min(dx, columns - x + 1), dy: Math.min(dy, rows - y + 1)});
 
+const resizeOver = (state, action) => {
+  const {x, y} =action;
+  const {active} = state;
+  const {x:startX, y:startY, direction} = active;
+  const grid = Grid(state);
+  const def = resizedDef(grid.getData(startX, startY), direction, {x, y});
+  if (def !== null) {
+    const activeArea = grid.area(def.x, def.y, def.dx, def.dy);
     const inactiveArea = activeArea.complement();
+    const allButStart = grid.area(startX, startY).complement();
+    // a locked panel can not be covered
+    const invalidCellsArea = [...allButStart]
+      .filter(({x, y}) => {
+        const p = grid.panel(x, y);
+        const intersection = p.intersection(activeArea);
+        return intersection.length > 0 && (activeArea.includes(p) === false || grid.isLocked(x, y));
+      })
+      .map(({x, y}) => grid.panel(x, y))
+      .reduce((acc, current) => acc.union(current), grid.area(1, 1, 0, 0));
 
-    for (let {x, y} of inactiveArea) {
-      grid.updateAt(x, y, {adornerStatus: 0});
-    }
+    let {panels} = state;
+    panels = updateArea(panels, inactiveArea, {adornerStatus: 0});
+    panels = updateArea(panels, activeArea, {adornerStatus: 1});
+    panels = updateArea(panels, invalidCellsArea, {adornerStatus: -1});
+
+    return Object.assign({}, state, {
+      active: Object.assign({}, active, {valid: invalidCellsArea.length === 0, ghost: ghostOf(state, def)}),
+      panels
+    });
+  } else {
+    return Object.assign({}, state, {active: Object.assign({}, active, {valid: false, ghost: null})});
+  }
+};
+
+// preview of the layout resulting from a swap or a push: the moving panel first, then the displaced ones
+const relocationOver = (state, relocations) => {
+  const {active} = state;
+  const grid = Grid(state);
+  const [moving, ...displaced] = relocations;
+
+  let panels = resetAdorners(state.panels);
+  for (let {to, dx, dy} of displaced) {
+    panels = updateArea(panels, grid.area(to.x, to.y, dx, dy), {adornerStatus: 2});
+  }
+  panels = updateArea(panels, grid.area(moving.to.x, moving.to.y, moving.dx, moving.dy), {adornerStatus: 1});
+
+  return Object.assign({}, state, {
+    panels,
+    active: Object.assign({}, active, {valid: true, relocations, ghost: ghostOf(state, Object.assign({dx: moving.dx, dy: moving.dy}, moving.to))})
+  });
+};
+
+// the selected panels move as a whole, whatever the collision strategy
+const groupMoveOver = (state, action) => {
+  const {active} = state;
+  const grid = Grid(state);
+  const {relocations, area, obstacles, valid} = groupMove(grid, active.group, active, action);
+  const xs = relocations.map(({to}) => to.x);
+  const ys = relocations.map(({to}) => to.y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  const right = Math.max(...relocations.map(({to, dx}) => to.x + dx - 1));
+  const bottom = Math.max(...relocations.map(({to, dy}) => to.y + dy - 1));
+  let panels = resetAdorners(state.panels);
+  panels = updateArea(panels, area, {adornerStatus: valid ? 1 : -1});
+  panels = updateArea(panels, obstacles, {adornerStatus: -1});
+  const nextActive = Object.assign({}, active, {valid, relocations, ghost: ghostOf(state, {x: left, y: top, dx: right - left + 1, dy: bottom - top + 1})});
+  if (!valid) {
+    delete nextActive.relocations;
+  }
+  return Object.assign({}, state, {panels, active: nextActive});
+};
+
+const moveOver = (state, action) => {
+  const {x, y} =action;
+  const {active, collision = 'reject'} = state;
+  const {x:startX, y:startY} = active;
+  const grid = Grid(state);
 
-    for (let {x, y} of activeArea) {
-      grid.updateAt(x, y, {adornerStatus: 1});
+  if (active.group !== void 0) {
+    return groupMoveOver(state, action);
+  }
+
+  if (collision !== 'reject') {
+    const relocations = collision === 'swap' ? swap(grid, active, action) : push(grid, active, action);
+    // locked panels are not displaced
+    if (relocations !== null && !relocations.slice(1).some(({from}) => grid.isLocked(from.x, from.y))) {
+      return relocationOver(state, relocations);
     }
+  }
+
+  const {dx, dy} = grid.getData(startX, startY);
+
+  const originalPanel = grid.panel(startX, startY);
+  const expectedArea = grid.area(x, y, dx, dy);
+  const activeArea = originalPanel.union(expectedArea);
+  let invalidArea;
+
+  if (expectedArea.length < originalPanel.length) {
+    invalidArea = activeArea;
+  } else {
+    // the panels covered by the moving one take its place, unless they are locked
+    invalidArea = [...originalPanel.complement()]
+      .filter(({x, y}) => {
+        const p = grid.panel(x, y);
+        const intersection = p.intersection(expectedArea);
+        return intersection.length > 0 && (expectedArea.includes(p) === false || grid.isLocked(x, y));
+      })
+      .map(({x, y}) => grid.panel(x, y))
+      .reduce((acc, current) => acc.union(current), grid.area(1, 1, 0, 0));
+  }
+
+  const inactiveArea = activeArea.complement();
+
+  let {panels} = state;
+  panels = updateArea(panels, inactiveArea, {adornerStatus: 0});
+  panels = updateArea(panels, activeArea, {adornerStatus: 1});
+  panels = updateArea(panels, invalidArea, {adornerStatus: -1});
+
+  const nextActive = Object.assign({}, active, {valid: invalidArea.length === 0, ghost: ghostOf(state, {x, y, dx, dy})});
+  delete nextActive.relocations;
+
+  return Object.assign({}, state, {
+    panels,
+    active: nextActive
+  });
+};
 
-    for (let {x, y} of invalidArea) {
-      grid.updateAt(x, y, {adornerStatus: -1});
+const endResize = (state, action) => {
+  const {x, y, startX, startY} =action;
+  const {active} =state;
+  const grid = Grid(state);
+  const startData = grid.getData(startX, startY);
+  const def = resizedDef(startData, active.direction, {x, y});
+  let {panels} = state;
+  if (active.valid === true && def !== null) {
+    panels = updateArea(panels, grid.area(def.x, def.y, def.dx, def.dy), {dx: 1, dy: 1});
+    // resized from the top or the left edge: the panel data goes to the new anchor
+    if (def.x !== startX || def.y !== startY) {
+      const {data} = grid.getData(def.x, def.y);
+      panels = updateAt(panels, startX, startY, {dx: 1, dy: 1, data});
+      panels = updateAt(panels, def.x, def.y, {data: startData.data});
     }
+    panels = updateAt(panels, def.x, def.y, {dx: def.dx, dy: def.dy});
+  }
+  return Object.assign({}, state, {
+    panels: resetAdorners(panels),
+    active: null
+  });
+};
 
-    return Object.assign({}, state, {
-      panels: [...grid],
-      active: Object.assign({}, active, {valid: invalidArea.length === 0})
+const endMove = (state, action) => {
+  const {x, y, startX, startY} =action;
+  const deltaX = startX - x;
+  const deltaY = startY - y;
+  const {active} =state;
+  const grid = Grid(state);
+  let {panels} = state;
+  if (active.valid === true && active.relocations !== void 0) {
+    const {relocations} = active;
+    const moved = relocations.map(({from}) => grid.getData(from.x, from.y));
+    for (let {from} of relocations) {
+      panels = updateAt(panels, from.x, from.y, {dx: 1, dy: 1, data: {}});
+    }
+    relocations.forEach(({to}, i) => {
+      const {dx, dy, data} = moved[i];
+      panels = updateArea(panels, grid.area(to.x, to.y, dx, dy), {dx: 1, dy: 1, data: {}});
+      panels = updateAt(panels, to.x, to.y, {dx, dy, data});
     });
-  };
+  } else if (active.valid === true) {
+    const startData = grid.getData(startX, startY);
+    const {dx, dy} =startData;
+    const claimedArea = grid.area(x, y, dx, dy);
+    for (let {x: cx, y: cy} of claimedArea) {
+      const newX = cx + deltaX;
+      const newY = cy + deltaY;
+      const newData = Object.assign({}, findPanel(panels, cx, cy), {x: newX, y: newY});
+      panels = updateAt(panels, newX, newY, newData);
+    }
+    panels = updateAt(panels, x, y, Object.assign(startData, {x, y}));
+  }
+  // the selection follows a group move
+  const selection = active.valid === true && active.group !== void 0 ? {selection: active.relocations.map(({to}) => ({x: to.x, y: to.y}))} : {};
+  return Object.assign({}, state, selection, {
+    panels: resetAdorners(panels),
+    active: null
+  });
+};
+
+const isSelected = (selection, {x, y}) => selection.some(s => s.x === x && s.y === y);
 
+const isConfigured = ({data = {}} = {}) => data.type !== void 0;
+
+const selectPanel = (state, {x, y}) => {
+  const {selection = []} = state;
+  const panel = findPanel(state.panels, x, y);
+  if (!isConfigured(panel)) {
+    return state;
+  }
+  return Object.assign({}, state, {
+    selection: isSelected(selection, {x, y}) ? selection.filter(s => s.x !== x || s.y !== y) : [...selection, {x, y}]
+  });
+};
+
+// the band goes from the cell the selection has started from to the cell under the pointer
+const bandOf = ({x: startX, y: startY}, {x, y}) => ({
+  x: Math.min(startX, x),
+  y: Math.min(startY, y),
+  dx: Math.abs(x - startX) + 1,
+  dy: Math.abs(y - startY) + 1
+});
+
+// the cells of the rubber band are highlighted on the adorner layer
+const selectOver = (state, action) => {
+  const {active} = state;
+  const band = bandOf(active, action);
+  return Object.assign({}, state, {
+    panels: updateArea(resetAdorners(state.panels), Grid(state).area(band.x, band.y, band.dx, band.dy), {adornerStatus: 3}),
+    active: Object.assign({}, active, {band})
+  });
+};
+
+// the configured panels the band overlaps get selected
+const endSelection = (state, action) => {
+  const band = bandOf(state.active, action);
+  const selection = visiblePanels(Grid(state))
+    .filter(p => isConfigured(p) && overlaps(Object.assign({dx: 1, dy: 1}, p), band))
+    .map(({x, y}) => ({x, y}));
+  return Object.assign({}, state, {
+    panels: resetAdorners(state.panels),
+    active: null,
+    selection
+  });
+};
+
+const resetPanels = (state, {panels: targets = []}) => Object.assign({}, state, {
+  panels: targets
+    .filter(({x, y}) => !isLockedAt(state, x, y))
+    .reduce((panels, {x, y}) => updateAt(panels, x, y, {data: {}}), state.panels)
+});
+
+const lockPanels = (state, {panels: targets = [], locked}) => Object.assign({}, state, {
+  panels: targets
+    .map(({x, y}) => findPanel(state.panels, x, y))
+    .filter(isConfigured)
+    .reduce((panels, {x, y, data}) => updateAt(panels, x, y, {data: Object.assign({}, data, {locked: locked === true})}), state.panels)
+});
+
+// preview of the copy of a panel dropped onto a cell
+const duplicateOver = (state, action) => {
+  const {x, y} = action;
+  const {active} = state;
+  const grid = Grid(state);
+  const {dx, dy} = grid.getData(active.x, active.y);
+  const valid = isFreeArea(grid, {x, y, dx, dy});
+  return Object.assign({}, state, {
+    panels: updateArea(resetAdorners(state.panels), grid.area(x, y, dx, dy), {adornerStatus: valid ? 1 : -1}),
+    active: Object.assign({}, active, {valid, ghost: ghostOf(state, {x, y, dx, dy})})
+  });
+};
+
+// the copy is a new panel: it does not keep the transient flags, the lock nor the id of the original (see layouts)
+const copyOf = data => {
+  const copy = Object.assign({}, data, {title: `${data.title} (copy)`});
+  delete copy.processing;
+  delete copy.id;
+  delete copy.locked;
+  return copy;
+};
+
+const duplicatePanel = (state, action) => {
+  const {x, y, to} = action;
+  const grid = Grid(state);
+  const {dx, dy, data = {}} = grid.getData(x, y);
+  let {panels} = state;
+  if (data.type !== void 0 && to !== void 0 && isFreeArea(grid, {x: to.x, y: to.y, dx, dy})) {
+    panels = updateArea(panels, grid.area(to.x, to.y, dx, dy), {dx: 1, dy: 1, data: {}});
+    panels = updateAt(panels, to.x, to.y, {dx, dy, data: copyOf(data)});
+  }
+  return Object.assign({}, state, {
+    panels: resetAdorners(panels),
+    active: null
+  });
+};
+
+// the panel is only displayed over the whole grid: its definition remains
+const maximizePanel = (state, {x, y}) => {
+  const {data = {}} = findPanel(state.panels, x, y) || {};
+  return data.type !== void 0 ? Object.assign({}, state, {maximized: {x, y}}) : state;
+};
+
+// the maximized panel is restored and the selection dropped whenever the layout changes (but a group move, see endMove)
+const RESTORING_ACTIONS = [
+  'END_MOVE',
+  'END_RESIZE',
+  'INSERT_ROW',
+  'REMOVE_ROW',
+  'INSERT_COLUMN',
+  'REMOVE_COLUMN',
+  'RESTORE_LAYOUT',
+  'IMPORT_DASHBOARD',
+  'RESET_PANEL',
+  'RESET_PANELS',
+  'DUPLICATE_PANEL'
+];
+
+// the grid dimensions have changed (unless the operation has been refused)
+const updateLayout = (state, layout) => layout !== null ? Object.assign({}, state, layout) : state;
+
+const layout = (state = {
+  active: null,
+  panels: emptyPanels(ROWS, COLUMNS),
+  rows: ROWS,
+  columns: COLUMNS,
+  collision: 'reject',
+  breakpoint: DEFAULT_BREAKPOINT,
+  layouts: {},
+  selection: []
+}, action) => {
   switch (action.type) {
     case 'START_RESIZE': {
-      const {x, y}=action;
-      return Object.assign({}, state, {active: {x, y, operation: 'resize'}});
+      const {x, y, direction = 'se'}=action;
+      return isLockedAt(state, x, y) ? state : Object.assign({}, state, {active: {x, y, direction, operation: 'resize'}});
     }
     case 'START_MOVE': {
       const {x, y}=action;
-      return Object.assign({}, state, {active: {x, y, operation: 'move'}});
+      const {selection = []} = state;
+      // a selected panel drags the whole selection along
+      if (selection.length > 1 && isSelected(selection, {x, y})) {
+        return selection.some(s => isLockedAt(state, s.x, s.y)) ? state : Object.assign({}, state, {active: {x, y, operation: 'move', group: selection}});
+      }
+      return isLockedAt(state, x, y) ? state : Object.assign({}, state, {active: {x, y, operation: 'move'}});
+    }
+    case 'START_SELECTION': {
+      const {x, y} = action;
+      return Object.assign({}, state, {active: {x, y, operation: 'select'}});
+    }
+    case 'START_DUPLICATE': {
+      const {x, y} = action;
+      return Object.assign({}, state, {active: {x, y, operation: 'duplicate'}});
     }
     case 'DRAG_OVER': {
       const {active = {}} = state;
-      if (!active.operation) {
+      if (!active || !active.operation) {
         return state;
+      } else if (active.operation === 'duplicate') {
+        return duplicateOver(state, action);
+      } else if (active.operation === 'select') {
+        return selectOver(state, action);
       } else {
         return active.operation === 'move' ? moveOver(state, action) : resizeOver(state, action);
       }
     }
-    case 'END_RESIZE': {
-      const {x, y, startX, startY} =action;
-      const dx = x - startX + 1;
-      const dy = y - startY + 1;
-      const {active} =state;
-      if (active.valid === true) {
-        const activeArea = grid.area(startX, startY, dx, dy);
-        const [baseCell, ...otherCells] = activeArea;
-        grid.updateAt(startX, startY, {dx, dy});
-        for (const {x, y} of otherCells) {
-          grid.updateAt(x, y, {dx: 1, dy: 1});
-        }
-      }
-      for (let {x, y} of [...grid]) {
-        grid.updateAt(x, y, {adornerStatus: 0});
-      }
-
-      return Object.assign({}, state, {
-        panels: [...grid],
-        active: null
-      });
+    // the operation may have been refused
+    case 'END_RESIZE':
+      return state.active ? endResize(state, action) : state;
+    case 'END_MOVE':
+      return state.active ? endMove(state, action) : state;
+    case 'SET_COLLISION_STRATEGY': {
+      const {strategy} = action;
+      return STRATEGIES.includes(strategy) ? Object.assign({}, state, {collision: strategy}) : state;
     }
-    case 'END_MOVE': {
-      const {x, y, startX, startY} =action;
-      const deltaX = startX - x;
-      const deltaY = startY - y;
-      const {active} =state;
-      if (active.valid === true) {
-        const startData = grid.getData(startX, startY);
-        const {dx, dy} =startData;
-        const claimedArea = grid.area(x, y, dx, dy);
-        for (let {x: cx, y: cy} of claimedArea) {
-          const newX = cx + deltaX;
-          const newY = cy + deltaY;
-          const newData = Object.assign(grid.getData(cx, cy), {x: newX, y: newY});
-          grid.updateAt(newX, newY, newData);
-        }
-        grid.updateAt(x, y, Object.assign(startData, {x, y}));
-      }
-      for (let {x, y} of [...grid]) {
-        grid.updateAt(x, y, {adornerStatus: 0});
-      }
-
+    case 'CANCEL_OPERATION':
       return Object.assign({}, state, {
-        panels: [...grid],
+        panels: resetAdorners(state.panels),
         active: null
       });
-    }
     case 'UPDATE_PANEL_DATA': {
       const {x, y, data} = action;
-      grid.updateAt(x, y, {data});
-      return Object.assign({}, state, {panels: [...grid]});
+      return Object.assign({}, state, {panels: updateAt(state.panels, x, y, {data})});
+    }
+    case 'SET_PANEL_PROCESSING': {
+      const {x, y, processing} = action;
+      const panel = findPanel(state.panels, x, y);
+      return panel === void 0 ? state : Object.assign({}, state, {
+        panels: updateAt(state.panels, x, y, {data: Object.assign({}, panel.data, {processing})})
+      });
     }
+    case 'INSERT_ROW':
+      return updateLayout(state, insertRow(state, action.index));
+    case 'REMOVE_ROW':
+      return updateLayout(state, removeRow(state, action.index));
+    case 'INSERT_COLUMN':
+      return updateLayout(state, insertColumn(state, action.index));
+    case 'REMOVE_COLUMN':
+      return updateLayout(state, removeColumn(state, action.index));
+    case 'RESTORE_LAYOUT': {
+      const {panels, rows, columns} = action;
+      return Object.assign({}, state, {panels, rows, columns, active: null});
+    }
+    case 'IMPORT_DASHBOARD': {
+      const {panels, rows, columns, locked} = action;
+      // the layouts of the other breakpoints (and their history) were made for the replaced panels
+      return Object.assign({}, state, {panels: resetAdorners(panels), rows, columns, locked: locked === true, active: null, layouts: {}, histories: {}});
+    }
+    case 'DUPLICATE_PANEL':
+      return duplicatePanel(state, action);
+    case 'MAXIMIZE_PANEL':
+      return maximizePanel(state, action);
+    case 'RESTORE_PANEL':
+      return Object.assign({}, state, {maximized: null});
     case 'RESET_PANEL': {
       const {x, y} = action;
-      grid.updateAt(x, y, {data: {}});
-      return Object.assign({}, state, {panels: [...grid]});
+      return isLockedAt(state, x, y) ? state : Object.assign({}, state, {panels: updateAt(state.panels, x, y, {data: {}})});
     }
+    case 'SELECT_PANEL':
+      return selectPanel(state, action);
+    case 'END_SELECTION':
+      return state.active && state.active.operation === 'select' ? endSelection(state, action) : state;
+    case 'CLEAR_SELECTION':
+      return Object.assign({}, state, {selection: []});
+    case 'RESET_PANELS':
+      return resetPanels(state, action);
+    case 'LOCK_PANELS':
+      return lockPanels(state, action);
+    case 'SET_DASHBOARD_LOCK':
+      return Object.assign({}, state, {locked: action.locked === true});
     default:
       return state;
   }
 };
 
+const isGroupMove = (state = {}, {type}) => type === 'END_MOVE' && state.active && state.active.group !== void 0;
+
+export default (state, action) => {
+  const newState = layout(state, action);
+  if (!RESTORING_ACTIONS.includes(action.type)) {
+    return newState;
+  }
+  const {maximized = null, selection = []} = newState;
+  const deselect = selection.length > 0 && !isGroupMove(state, action);
+  return maximized !== null || deselect ? Object.assign({}, newState, {maximized: null}, deselect ? {selection: []} : {}) : newState;
+};
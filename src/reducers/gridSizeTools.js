@@ -0,0 +1,11 @@
+// the row and the column the toolbar inserts around and removes (null for the last one)
+export default (state = {row: null, column: null}, action) => {
+  const {type, axis, index} = action;
+  switch (type) {
+    case 'SET_GRID_SIZE_INDEX': {
+      return Object.keys(state).includes(axis) && Number.isInteger(index) && index > 0 ? Object.assign({}, state, {[axis]: index}) : state;
+    }
+    default:
+      return state;
+  }
+};
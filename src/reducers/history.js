@@ -0,0 +1,82 @@
+import {HISTORY_LIMIT} from '../lib/constants';
+
+// the actions which may change the layout or the panels data
+export const UNDOABLE_ACTIONS = [
+  'END_MOVE',
+  'END_RESIZE',
+  'UPDATE_PANEL_DATA',
+  'RESET_PANEL',
+  'INSERT_ROW',
+  'REMOVE_ROW',
+  'INSERT_COLUMN',
+  'REMOVE_COLUMN',
+  'IMPORT_DASHBOARD',
+  'DUPLICATE_PANEL',
+  'RESET_PANELS',
+  'LOCK_PANELS'
+];
+
+// adorners and processing flags are transient: they are not part of a snapshot
+const persistentData = (data = {}) => {
+  const panelData = Object.assign({}, data);
+  delete panelData.processing;
+  return panelData;
+};
+
+const snapshot = ({panels, rows, columns}) => ({
+  rows,
+  columns,
+  panels: panels.map(({x, y, dx, dy, data}) => ({x, y, dx, dy, adornerStatus: 0, data: persistentData(data)}))
+});
+
+const isSameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const isSamePanelData = (a, b) => isSameSnapshot(persistentData(a), persistentData(b));
+
+/**
+ * Keep track of the layout (grid dimensions and panels) so the dashboard edits can be undone/redone
+ * @param reducer {Function} - the root reducer
+ * @param limit {Number} - the maximum number of edits which can be undone
+ * @returns {Function} - a reducer whose state holds an additional "history" slice ({past, future})
+ */
+export default (reducer, {limit = HISTORY_LIMIT} = {}) => (state = {}, action) => {
+  const {history = {past: [], future: []}} = state;
+  const {past, future} = history;
+  const {type} = action;
+  // an operation is in progress
+  const isBusy = state.grid !== void 0 && state.grid.active !== null && state.grid.active !== void 0;
+
+  switch (type) {
+    case 'UNDO': {
+      if (past.length === 0 || isBusy) {
+        return state;
+      }
+      const previous = past[past.length - 1];
+      return Object.assign(reducer(state, Object.assign({type: 'RESTORE_LAYOUT'}, previous)), {
+        history: {past: past.slice(0, -1), future: [snapshot(state.grid), ...future]}
+      });
+    }
+    case 'REDO': {
+      if (future.length === 0 || isBusy) {
+        return state;
+      }
+      const [next, ...rest] = future;
+      return Object.assign(reducer(state, Object.assign({type: 'RESTORE_LAYOUT'}, next)), {
+        history: {past: [...past, snapshot(state.grid)], future: rest}
+      });
+    }
+    default: {
+      const newState = reducer(state, action);
+      if (!UNDOABLE_ACTIONS.includes(type) || state.grid === void 0) {
+        return Object.assign(newState, {history});
+      }
+      const before = snapshot(state.grid);
+      return Object.assign(newState, {
+        history: isSameSnapshot(before, snapshot(newState.grid)) ? history : {
+          past: [...past, before].slice(-limit),
+          future: []
+        }
+      });
+    }
+  }
+};
@@ -1,9 +1,18 @@
 import gridReducer from './grid';
 import modalReducer from './modal';
 import smartListReducer from './smartList';
+import announcementReducer from './announcement';
+import templatesReducer from './templates';
+import gridSizeToolsReducer from './gridSizeTools';
+import undoable from './history';
+import collection from './dashboards';
+import responsive from './breakpoints';
 
-export default (grid) => (state = {}, action) => ({
-  grid: gridReducer(grid)(state.grid, action),
-  modal: modalReducer(grid)(state.modal, action),
-  smartList: smartListReducer(state.smartList, action)
-});
+export default collection(responsive(undoable((state = {}, action) => ({
+  grid: gridReducer(state.grid, action),
+  modal: modalReducer()(state.modal, action),
+  smartList: smartListReducer(state.smartList, action),
+  announcement: announcementReducer(state.announcement, action),
+  templates: templatesReducer(state.templates, action),
+  gridSizeTools: gridSizeToolsReducer(state.gridSizeTools, action)
+}))));
@@ -3,7 +3,7 @@ export default (state = [], action) => {
   switch (type) {
     case 'CREATE_SMART_LIST': {
       const {x, y, tableState, items} = action;
-      return state.concat({x, y, tableState, items});
+      return state.filter(sl => sl.x !== x || sl.y !== y).concat({x, y, tableState, items});
     }
     case 'UPDATE_SMART_LIST': {
       const {x, y, tableState, items} = action;
@@ -15,6 +15,40 @@ export default (state = [], action) => {
         }
       });
     }
+    // the data of the list could not be fetched
+    case 'SET_SMART_LIST_ERROR': {
+      const {x, y, error = null} = action;
+      return state.map(sl => sl.x === x && sl.y === y ? {...sl, error} : sl);
+    }
+    // there are more items to fetch (paginated sources)
+    case 'SET_SMART_LIST_PAGING': {
+      const {x, y, hasNextPage = false} = action;
+      return state.map(sl => sl.x === x && sl.y === y ? {...sl, hasNextPage} : sl);
+    }
+    case 'IMPORT_DASHBOARD': {
+      const {smartList = []} = action;
+      return smartList.map(({x, y, tableState}) => ({x, y, tableState, items: []}));
+    }
+    // the copy of a panel starts with the table state of the original list
+    case 'DUPLICATE_PANEL': {
+      const {x, y, to} = action;
+      const original = state.find(sl => sl.x === x && sl.y === y);
+      return original === void 0 || to === void 0 ? state : state
+        .filter(sl => sl.x !== to.x || sl.y !== to.y)
+        .concat({x: to.x, y: to.y, tableState: original.tableState, items: []});
+    }
+    // the lists follow their panels: the table state is kept whereas the items get refreshed
+    case 'MOVE_SMART_LISTS': {
+      const {moves = []} = action;
+      const isAt = ({x, y}) => sl => sl.x === x && sl.y === y;
+      const moved = moves.reduce((acc, {from, to}) => {
+        const original = state.find(isAt(from));
+        return original !== void 0 ? acc.concat({x: to.x, y: to.y, tableState: original.tableState, items: []}) : acc;
+      }, []);
+      return state
+        .filter(sl => !moves.some(({from, to}) => isAt(from)(sl) || isAt(to)(sl)))
+        .concat(moved);
+    }
     case 'REMOVE_SMART_LIST': {
       const {x, y} = action;
       return state.filter(f => f.x !== x || f.y !== y);
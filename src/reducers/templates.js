@@ -0,0 +1,22 @@
+const nextId = templates => `template-${Math.max(0, ...templates.map(({id}) => Number(id.split('-').pop()) || 0)) + 1}`;
+
+// the custom templates (the built-in ones are not part of the state)
+export default (state = [], action) => {
+  const {type, id, name, description = '', document} = action;
+  switch (type) {
+    case 'SAVE_TEMPLATE': {
+      const newName = typeof name === 'string' ? name.trim() : '';
+      if (newName === '' || document === void 0) {
+        return state;
+      }
+      // a template saved under an existing name replaces it
+      const existing = state.find(t => t.name === newName);
+      const template = {id: existing !== void 0 ? existing.id : nextId(state), name: newName, description, document};
+      return existing !== void 0 ? state.map(t => t === existing ? template : t) : [...state, template];
+    }
+    case 'DELETE_TEMPLATE':
+      return state.filter(t => t.id !== id);
+    default:
+      return state;
+  }
+};
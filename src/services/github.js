@@ -0,0 +1,30 @@
+import {github, parseRepository} from '../lib/github';
+import {GITHUB_API_URL, GITHUB_REPOSITORY} from '../lib/constants';
+
+export const TOKEN_STORAGE_KEY = 'smart-dashboard-github-token';
+
+// the page can point the client to another server (a local stub for instance) or another default repository:
+// <html data-github-api="http://localhost:8080" data-github-repository="owner/repo">
+const {githubApi = GITHUB_API_URL, githubRepository = GITHUB_REPOSITORY} = document.documentElement.dataset;
+
+// an access token (set in the local storage) lifts the rate limit and gives the repositories of the user
+const readToken = () => {
+  try {
+    return window.localStorage.getItem(TOKEN_STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+// the repository of the panels which do not have their own
+export const defaultRepository = parseRepository(githubRepository) !== null ? githubRepository.trim() : GITHUB_REPOSITORY;
+
+export const repository = parseRepository(defaultRepository);
+
+/**
+ * @param name {string} - the "owner/repo" of a panel
+ * @returns {Object} - the {owner, repo} to fetch (the default one when the panel does not have a valid one)
+ */
+export const repositoryOf = name => parseRepository(name) || repository;
+
+export default github({baseUrl: githubApi, token: readToken()});
@@ -1,4 +0,0 @@
-import {Grid} from '../lib/grid';
-import {ROWS, COLUMNS} from '../lib/constants';
-
-export default Grid({rows: ROWS, columns: COLUMNS});
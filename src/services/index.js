@@ -1,13 +1,14 @@
 import actions from './actions';
-import grid from './grid';
 import smartLists from './smartListRegistry';
+import github, {defaultRepository} from './github';
 import store from './store';
-import {connect} from 'flaco';
+import connect from '../lib/connect';
 
 export default {
   actions,
-  grid,
   smartLists,
+  github,
+  defaultRepository,
   store,
   connect: sliceState => connect(store, sliceState)
 };
\ No newline at end of file
@@ -1,49 +1,195 @@
 import st from 'smart-table-core';
-import data from '../mockData';
 
-import grid from './grid';
 import actions from './actions';
+import store from './store';
+import github, {repositoryOf} from './github';
 
+// the fetch of the items of each data source: either all the items or their first page ({items, next})
+const sources = {
+  issues: ({repository}) => github.issues(repository),
+  prs: ({repository}) => github.pullRequests(repository),
+  stargazers: ({repository}) => github.stargazers(repository),
+  contributors: ({repository}) => github.contributors(repository),
+  commits: ({repository, query}) => github.commits(repository, query)
+};
+
+const pageOf = result => Array.isArray(result) ? {items: result, next: null} : result;
+
+// the lists are kept per dashboard and per breakpoint (the positions differ from a layout to another): only the ones of the displayed
+// layout are bound to the store
 const smartListRegistry = [];
+// incremented whenever another layout is displayed: the lists found again publish their items in the (new) store slice
+let visit = 0;
+
+const scope = () => {
+  const {dashboards: {active}, grid: {breakpoint}} = store.getState();
+  return {dashboard: active, breakpoint};
+};
+const inScope = ({dashboard, breakpoint}) => item => item.dashboard === dashboard && item.breakpoint === breakpoint;
 const matchXY = (x, y) => (item) => x === item.x && y === item.y;
-const get = (x, y) => smartListRegistry.find(matchXY(x, y));
-const has = (x, y) => get(x, y) !== void 0;
+const get = (x, y) => smartListRegistry.filter(inScope(scope())).find(matchXY(x, y));
+// a list removed in the middle of an execution must not update the store anymore
+const isRegistered = instance => smartListRegistry.some(item => item.smartList === instance);
+// whereas a list of a hidden layout keeps its items to itself
+const isDisplayed = instance => smartListRegistry.filter(inScope(scope())).some(item => item.smartList === instance);
+const unregister = instance => {
+  smartListRegistry.splice(smartListRegistry.findIndex(item => item.smartList === instance), 1);
+};
 
 const extendedSmartList = ( opts => {
-  const {x, y} = opts;
+  const {x, y, data, source, repository} = opts;
   const instance = st(opts);
+  let query = opts.query || {};
+  let nextPage = null;
+  let pendingPage = null;
+  let error = null;
+  // a page fetched for a previous query is dropped
+  let generation = 0;
+
+  const fill = (append, fetchedFor) => ({items, next}) => {
+    if (isRegistered(instance) && fetchedFor === generation) {
+      nextPage = next;
+      if (append) {
+        data.push(...items);
+      } else {
+        data.splice(0, data.length, ...items);
+      }
+      if (isDisplayed(instance)) {
+        actions.setSmartListPaging({x, y, hasNextPage: next !== null});
+        instance.exec();
+      }
+    }
+  };
+
+  const fail = ({message}) => {
+    error = message;
+    if (isDisplayed(instance)) {
+      actions.setSmartListError({x, y, error});
+      actions.setPanelProcessing({x, y, processing: false});
+    }
+  };
+
+  const fetchWith = (fetchItems, append) => {
+    error = null;
+    if (isDisplayed(instance)) {
+      actions.setSmartListError({x, y, error});
+      actions.setPanelProcessing({x, y, processing: true});
+    }
+    return fetchItems()
+      .then(pageOf)
+      .then(fill(append, generation))
+      .catch(fail);
+  };
+
   return Object.assign(instance, {
+    // the items are fetched in the (shared) data array of the list before it is executed
+    load: (newQuery = query) => {
+      const fetchItems = sources[source];
+      if (fetchItems === void 0 || !isRegistered(instance)) {
+        return Promise.resolve();
+      }
+      query = newQuery;
+      generation++;
+      return fetchWith(() => fetchItems({repository, query}), false);
+    },
+    // the responses of the repository are dropped from the cache of the client
+    refresh: () => {
+      github.clear(repository);
+      return instance.load();
+    },
+    // the next page of a paginated source is added to the items (once, whatever the number of calls in the meantime)
+    loadMore: () => {
+      if (nextPage === null || !isRegistered(instance)) {
+        return Promise.resolve();
+      }
+      if (pendingPage === null) {
+        pendingPage = fetchWith(nextPage, true).then(() => {
+          pendingPage = null;
+        });
+      }
+      return pendingPage;
+    },
+    // the list of a layout displayed again fills the store slice with its items
+    publish: () => {
+      actions.createSmartList({x, y, tableState: instance.getTableState(), items: []});
+      Promise.resolve().then(() => {
+        if (isDisplayed(instance)) {
+          actions.setSmartListError({x, y, error});
+          actions.setSmartListPaging({x, y, hasNextPage: nextPage !== null});
+          instance.exec();
+        }
+      });
+    },
+    // the panel data may have been edited while the layout was hidden
+    fetches: (spec) => spec.source === source && repositoryOf(spec.repository) === repository &&
+      JSON.stringify(spec.query || {}) === JSON.stringify(query),
+    // the store entry follows the moved panel, the list gets recreated from it
+    detach: () => {
+      if (isRegistered(instance)) {
+        unregister(instance);
+      }
+    },
     remove: () => {
-      smartListRegistry.splice(smartListRegistry.indexOf(instance), 1);
-      actions.removeSmartList({x, y});
+      if (isRegistered(instance)) {
+        unregister(instance);
+        actions.removeSmartList({x, y});
+      }
     }
   })
 });
 
 const instance = {
-  findOrCreate(x, y){
-    if (!has(x, y)) {
-      const smartList = extendedSmartList({data, x, y});
+  // the items come from the repository of the panel, the query is passed to the sources which support it (the filters of the commits)
+  findOrCreate(x, y, tableState, {source = 'issues', query = {}, repository} = {}){
+    const found = get(x, y);
+    if (found !== void 0 && found.visit !== visit) {
+      found.visit = visit;
+      if (found.smartList.fetches({source, query, repository})) {
+        found.smartList.publish();
+      } else {
+        unregister(found.smartList);
+      }
+    }
+    if (get(x, y) === void 0) {
+      const data = [];
+      const list = {data, x, y, source, query, repository: repositoryOf(repository)};
+      // the table state is copied as the smart list updates it in place
+      const opts = tableState !== void 0 ? Object.assign(list, {tableState: JSON.parse(JSON.stringify(tableState))}) : list;
+      const smartList = extendedSmartList(opts);
       smartList.on('EXEC_CHANGED', ({working}) => {
-        const {data:panelData} = grid.getData(x, y);
-        actions.updatePanelData({x, y, data: Object.assign({}, panelData, {processing: working})});
+        if (isDisplayed(smartList)) {
+          actions.setPanelProcessing({x, y, processing: working});
+        }
       });
       smartList.onDisplayChange(items => {
-        actions.updateSmartList({
-          x, y,
-          tableState: smartList.getTableState(),
-          items
-        });
+        if (isDisplayed(smartList)) {
+          actions.updateSmartList({
+            x, y,
+            tableState: smartList.getTableState(),
+            items
+          });
+        }
       });
-      smartListRegistry.push({x, y, smartList});
+      smartListRegistry.push(Object.assign({x, y, smartList, visit}, scope()));
       actions.createSmartList({x, y, tableState: smartList.getTableState(), items: []});
-      smartList.exec();
+      // once the rendering in progress is over: the store keeps the items for the panels which subscribe later
+      Promise.resolve().then(() => smartList.load());
     }
     return get(x, y).smartList;
   },
+  // the store slice is about to be replaced by the one of another layout
+  hide(){
+    visit++;
+  },
   find(x, y){
     const sl = get(x, y);
     return sl !== void 0 ? sl.smartList : sl;
+  },
+  // the lists of a deleted dashboard
+  drop(dashboard){
+    for (let {smartList} of smartListRegistry.filter(item => item.dashboard === dashboard)) {
+      unregister(smartList);
+    }
   }
 };
 
@@ -1,41 +1,142 @@
 import {createStore, applyMiddleware, compose} from 'redux';
-import grid from './grid';
 import reducer from '../reducers/index';
+import {moveSmartLists} from '../actions/index';
 import smartListRegistry from './smartListRegistry';
+import {Grid, resizedDef, emptyPanels} from '../lib/grid';
+import {ROWS, COLUMNS, DEFAULT_BREAKPOINT} from '../lib/constants';
+import {loadState, persistOnChange} from '../lib/persistence';
+import {loadTemplates, persistTemplatesOnChange} from '../lib/templates';
+import {isSamePanelData} from '../reducers/history';
+import {initialDashboards, switchesDashboard} from '../reducers/dashboards';
+import {switchesBreakpoint} from '../reducers/breakpoints';
 
 const initialState = {
   grid: {
-    panels: [...grid],
+    panels: emptyPanels(ROWS, COLUMNS),
     active: null,
+    rows: ROWS,
+    columns: COLUMNS,
+    collision: 'reject',
+    breakpoint: DEFAULT_BREAKPOINT,
+    layouts: {},
+    selection: []
   },
-  smartList: []
+  smartList: [],
+  history: {past: [], future: []},
+  dashboards: initialDashboards()
 };
 
 /**
  * this will update the different registries when panel positioning change
  */
 const syncRegistries = (store) => next => action => {
-  const {type, x, y, startX, startY} = action;
-  if (type === 'RESET_PANEL') {
-    const sl = smartListRegistry.find(x, y);
-    if (sl) {
-      sl.remove();
+  const {type, x, y, startX, startY, index} = action;
+  const grid = Grid(store.getState().grid);
+  // smart lists are bound to a position: the ones whose panel is shifted (or removed) will be recreated
+  const removeFrom = (offset, index) => {
+    const {smartList} = store.getState();
+    for (let {x, y} of smartList.filter(sl => sl[offset] >= index)) {
+      const sl = smartListRegistry.find(x, y);
+      if (sl) {
+        sl.remove();
+      }
+    }
+  };
+
+  if (type === 'RESET_PANEL' || type === 'RESET_PANELS') {
+    const targets = type === 'RESET_PANEL' ? [{x, y}] : action.panels || [];
+    for (let {x, y} of targets) {
+      const sl = smartListRegistry.find(x, y);
+      if (sl && !grid.isLocked(x, y)) {
+        sl.remove();
+      }
     }
   } else if (type === 'END_MOVE') {
     const {grid: {active}} = store.getState();
-    if (active.valid === true) {
-      const oldSl = smartListRegistry.find(startX, startY);
-      const newSl = smartListRegistry.find(x, y);
-      if (oldSl) {
-        oldSl.remove();
+    // the operation may have been refused
+    if (active !== null && active.valid === true) {
+      const moves = active.relocations !== void 0 ? active.relocations.map(({from, to}) => ({from, to})) :
+        [{from: {x: startX, y: startY}, to: {x, y}}].filter(({from, to}) => from.x !== to.x || from.y !== to.y);
+      for (let {from, to} of moves) {
+        for (let sl of [smartListRegistry.find(from.x, from.y), smartListRegistry.find(to.x, to.y)]) {
+          if (sl) {
+            sl.detach();
+          }
+        }
+      }
+      next(moveSmartLists({moves}));
+    }
+  } else if (type === 'END_RESIZE') {
+    const {grid: {active}} = store.getState();
+    const def = active !== null ? resizedDef(grid.getData(startX, startY), active.direction, {x, y}) : null;
+    // the panel data is moved when the panel anchor changes
+    if (def !== null && active.valid === true && (def.x !== startX || def.y !== startY)) {
+      for (let sl of [smartListRegistry.find(startX, startY), smartListRegistry.find(def.x, def.y)]) {
+        if (sl) {
+          sl.remove();
+        }
+      }
+    }
+  } else if (type === 'UNDO' || type === 'REDO') {
+    const {history: {past, future}, grid: {panels, active}} = store.getState();
+    const target = type === 'UNDO' ? past[past.length - 1] : future[0];
+    // the smart lists whose panel gets replaced will be recreated
+    if (target !== void 0 && active === null) {
+      for (let {x, y, data} of panels) {
+        const targetPanel = target.panels.find(p => p.x === x && p.y === y);
+        const sl = smartListRegistry.find(x, y);
+        if (sl && (targetPanel === void 0 || !isSamePanelData(data, targetPanel.data))) {
+          sl.remove();
+        }
       }
-      if (newSl) {
-        newSl.remove();
+    }
+  } else if (type === 'IMPORT_DASHBOARD') {
+    const {grid: {panels}} = store.getState();
+    // the smart lists of the replaced panels will be recreated with the imported table states
+    for (let {x, y, data} of panels) {
+      const imported = action.panels.find(p => p.x === x && p.y === y);
+      const sl = smartListRegistry.find(x, y);
+      if (sl && (imported === void 0 || !isSamePanelData(data, imported.data))) {
+        sl.remove();
+      }
+    }
+    const result = next(action);
+    // whereas the lists kept in place adopt them
+    for (let {x, y, tableState} of action.smartList) {
+      const sl = smartListRegistry.find(x, y);
+      if (sl) {
+        sl.sort(tableState.sort);
+        sl.filter(tableState.filter);
+        sl.search(tableState.search);
       }
     }
+    return result;
+  } else if (switchesBreakpoint(store.getState().grid, action) ||
+    (store.getState().grid.active === null && switchesDashboard(store.getState().dashboards, action))) {
+    smartListRegistry.hide();
+  }
+
+  if (type === 'DELETE_DASHBOARD') {
+    const result = next(action);
+    // the lists of the other dashboards are kept for when they get displayed again
+    if (!store.getState().dashboards.tabs.some(tab => tab.id === action.id)) {
+      smartListRegistry.drop(action.id);
+    }
+    return result;
+  } else if ((type === 'INSERT_ROW' && index >= 1 && index <= grid.rows) || (type === 'REMOVE_ROW' && grid.canRemoveRow(index))) {
+    removeFrom('y', index);
+  } else if ((type === 'INSERT_COLUMN' && index >= 1 && index <= grid.columns) || (type === 'REMOVE_COLUMN' && grid.canRemoveColumn(index))) {
+    removeFrom('x', index);
   }
 
   return next(action);
 };
 
-export default createStore(reducer(grid), initialState, applyMiddleware(syncRegistries));
+const storage = () => window.localStorage;
+
+const store = createStore(reducer, Object.assign({}, initialState, {templates: loadTemplates(storage)}, loadState(storage)), applyMiddleware(syncRegistries));
+
+store.subscribe(persistOnChange(store, storage));
+store.subscribe(persistTemplatesOnChange(store, storage));
+
+export default store;
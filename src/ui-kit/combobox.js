@@ -0,0 +1,45 @@
+import {h, onMount, onUpdate} from 'flaco';
+import {compose} from 'smart-table-operators';
+
+export const optionId = (id, index) => `${id}-option-${index}`;
+
+// the value attribute does not change what an edited input shows: the property follows the value given to the input
+const syncValue = vnode => {
+  const {value = ''} = vnode.props;
+  if (vnode.dom.value !== value) {
+    vnode.dom.value = value;
+  }
+};
+
+const ValueInput = compose(onMount(syncValue), onUpdate(syncValue))(props => {
+  delete props.children;
+  return <input {...props}/>;
+});
+
+/**
+ * Text input with a list of suggestions (ARIA 1.2 combobox pattern), the focus stays on the input
+ * @param props.value {String} - the text of the input (an option picked with the mouse should update it through onSelect)
+ * @param props.options {Array} - the {value, label} suggestions
+ * @param props.activeIndex {Number} - the index of the highlighted option (-1 for none)
+ * @param props.onSelect {Function} - called with the option picked with the mouse
+ */
+export const Combobox = props => {
+  const {id, value = '', options = [], activeIndex = -1, expanded = false, onSelect} = props;
+  const listboxId = `${id}-listbox`;
+  const open = expanded && options.length > 0;
+  ['options', 'activeIndex', 'expanded', 'onSelect', 'children'].forEach(prop => delete props[prop]);
+  // mousedown rather than click so the option is picked before the input loses the focus
+  const select = option => ev => {
+    ev.preventDefault();
+    onSelect(option);
+  };
+  const activeDescendant = open && activeIndex >= 0 ? {'aria-activedescendant': optionId(id, activeIndex)} : {};
+  return <div class="combobox">
+    <ValueInput {...props} {...activeDescendant} id={id} value={value} type="text" autocomplete="off" role="combobox" aria-autocomplete="list"
+                aria-expanded={String(open)} aria-controls={listboxId}/>
+    <ul role="listbox" id={listboxId} hidden={!open}>
+      {options.map((option, index) => <li role="option" id={optionId(id, index)} aria-selected={String(index === activeIndex)}
+                                          onMouseDown={select(option)}>{option.label}</li>)}
+    </ul>
+  </div>;
+};
@@ -7,6 +7,10 @@ export default panel(({x, y, adornerStatus}) => {
     classes.push('valid-panel');
   } else if (adornerStatus === -1) {
     classes.push('invalid-panel');
+  } else if (adornerStatus === 2) {
+    classes.push('displaced-panel');
+  } else if (adornerStatus === 3) {
+    classes.push('selecting-panel');
   }
   return <div class={classes.join(' ')} x={x} y={y} dx={1} dy={1}></div>;
 });
\ No newline at end of file
@@ -1,18 +1,25 @@
 import flexible from './FlexibleDataPanel';
 import {h} from 'flaco';
-import {Equalizer, Bin2, Wrench} from '../components/icons';
+import {Equalizer, Bin2, Wrench, Copy, Enlarge, Shrink, Lock, Unlocked} from '../components/icons';
 
 export default flexible(props => {
-  const {data = {}, onReset, onEdit, onToggleToolBar} = props;
+  const {data = {}, maximized = false, dashboardLocked = false, onReset, onEdit, onToggleToolBar, onDuplicate, onDuplicateStart, onToggleMaximize, onToggleLock, onHeaderClick} = props;
+  const locked = dashboardLocked || data.locked === true;
   const {processing = false} = data;
   const showToolbar = String(data.showToolBar === true);
   //todo aria-controls
   return (<div class="panel-content">
-    <header class="panel-header">
-      <h2>{data.title}</h2>
+    <header class="panel-header" onClick={onHeaderClick}>
+      <h2 title="Shift or Ctrl click to select several panels">{data.title}</h2>
       <button aria-haspopup="true" aria-pressed={showToolbar} aria-expanded={showToolbar} onClick={onToggleToolBar}><Wrench/></button>
       <button onClick={onEdit}><Equalizer/></button>
-      <button onClick={onReset}><Bin2/>
+      <button class="duplicate-button" draggable="true" aria-label="Duplicate panel" title="Duplicate (or drag onto an empty cell)"
+              onClick={onDuplicate} onDragStart={onDuplicateStart}><Copy/></button>
+      <button class="maximize-button" aria-pressed={String(maximized)} aria-label={maximized ? 'Restore panel' : 'Maximize panel'}
+              onClick={onToggleMaximize}>{maximized ? <Shrink/> : <Enlarge/>}</button>
+      <button class="lock-button" aria-pressed={String(locked)} aria-label="Lock panel"
+              disabled={dashboardLocked} onClick={onToggleLock}>{locked ? <Lock/> : <Unlocked/>}</button>
+      <button class="reset-button" disabled={locked} onClick={onReset}><Bin2/>
       </button>
     </header>
     <div class="panel-body">
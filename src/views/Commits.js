@@ -0,0 +1,67 @@
+import {h} from 'flaco';
+import SortDropdown from './SortDropdown';
+import {Checkmark, Filter} from '../components/icons';
+
+export const COMMIT_SORT_OPTIONS = [
+  {label: 'Newest', pointer: 'date', direction: 'desc'},
+  {label: 'Oldest', pointer: 'date', direction: 'asc'}
+];
+
+// the query filters of the commits endpoint (the message is filtered by the list itself)
+export const COMMIT_QUERY_FIELDS = [
+  {name: 'author', label: 'Author', placeholder: 'login or email'},
+  {name: 'branch', label: 'Branch', placeholder: 'default branch'},
+  {name: 'path', label: 'Path', placeholder: 'src/'}
+];
+
+export const CommitCard = (props) => {
+  const {commit = {}} = props;
+  const {short_sha = '', headline = '', html_url, date = '', author = {}, verified = false} = commit;
+  return <article class="commit">
+    <h3>{headline}</h3>
+    <a rel="self" href={html_url}><code>{short_sha}</code></a>
+    <p class="meta">
+      <a rel="author" href={author.html_url}>{author.login || author.name || ''}</a>
+      committed on <time datetime={date}>{(new Date(date)).toDateString()}</time>
+    </p>
+    <span class="verified valid" hidden={!verified} title="The signature of the commit has been verified">
+      <Checkmark/>
+      Verified
+    </span>
+  </article>
+};
+
+export const CommitFilters = (props) => {
+  const {query = {}, message = '', onQuerySubmit, onMessageInput} = props;
+  return <form class="commit-filters" onSubmit={onQuerySubmit}>
+    {
+      COMMIT_QUERY_FIELDS.map(({name, label, placeholder}) => <label>
+        <span>{label}</span>
+        <input name={name} value={query[name] || ''} placeholder={placeholder}/>
+      </label>)
+    }
+    <button class="apply-filters" aria-label="Apply the filters"><Filter/></button>
+    <label>
+      <span>Message</span>
+      <input type="search" name="message" value={message} onInput={onMessageInput}/>
+    </label>
+  </form>;
+};
+
+export const CommitsList = (props) => {
+  const {commits = [], smartList, showToolBar, x, y, query, message, hasNextPage = false, onQuerySubmit, onMessageInput, onLoadMore} = props;
+  return (
+    <div class="issues-list-container">
+      <div aria-hidden={String(showToolBar !== true)} role="toolbar">
+        <SortDropdown x={x} y={y} smartList={smartList} options={COMMIT_SORT_OPTIONS}/>
+        <CommitFilters query={query} message={message} onQuerySubmit={onQuerySubmit} onMessageInput={onMessageInput}/>
+      </div>
+      <ul class="issues-list">
+        {
+          commits.map(c => <li><CommitCard commit={c}/></li>)
+        }
+      </ul>
+      <button class="load-more-button" hidden={!hasNextPage} onClick={onLoadMore}>Load more commits</button>
+      <div class="fake-border"></div>
+    </div>);
+};
@@ -0,0 +1,49 @@
+import {h} from 'flaco';
+import SortDropdown from './SortDropdown';
+import {CONTRIBUTION_WINDOWS} from '../lib/github';
+
+export const contributorSortOptions = (windowName = 'all') => [
+  {label: 'Most commits', pointer: `stats.${windowName}.commits`, direction: 'desc'},
+  {label: 'Most additions', pointer: `stats.${windowName}.additions`, direction: 'desc'},
+  {label: 'Most deletions', pointer: `stats.${windowName}.deletions`, direction: 'desc'},
+  {label: 'Login', pointer: 'login', direction: 'asc'}
+];
+
+export const ContributorCard = (props) => {
+  const {contributor = {}, windowName = 'all'} = props;
+  const {login = '', html_url, avatar_url, stats = {}} = contributor;
+  const {commits = 0, additions = 0, deletions = 0} = stats[windowName] || {};
+  return <article class="contributor">
+    <img class="avatar" src={avatar_url} alt="" width="32" height="32"/>
+    <a rel="author" href={html_url}>{login}</a>
+    <p class="meta">
+      <span class="commits">{`${commits} commit(s)`}</span>
+      <span class="additions valid">{`+${additions}`}</span>
+      <span class="deletions invalid">{`-${deletions}`}</span>
+    </p>
+  </article>
+};
+
+export const ContributorsList = (props) => {
+  const {contributors = [], smartList, showToolBar, x, y, windowName = 'all', onWindowChange} = props;
+  return (
+    <div class="issues-list-container">
+      <div aria-hidden={String(showToolBar !== true)} role="toolbar">
+        <SortDropdown x={x} y={y} smartList={smartList} options={contributorSortOptions(windowName)}/>
+        <label class="window-select">
+          <span>Contributions</span>
+          <select onChange={onWindowChange}>
+            {
+              CONTRIBUTION_WINDOWS.map(({name, label}) => <option value={name} selected={name === windowName}>{label}</option>)
+            }
+          </select>
+        </label>
+      </div>
+      <ul class="issues-list">
+        {
+          contributors.map(c => <li><ContributorCard contributor={c} windowName={windowName}/></li>)
+        }
+      </ul>
+      <div class="fake-border"></div>
+    </div>);
+};
@@ -0,0 +1,13 @@
+import {h} from 'flaco';
+
+export default ({tabs = [], active, onSwitch, onTabKeyDown, onCreate, onRename, onDuplicate, onDelete}) =>
+  <div class="dashboard-tabs">
+    <div role="tablist" aria-label="Dashboards" onKeyDown={onTabKeyDown}>
+      {tabs.map(({id, name}) => <button role="tab" dashboard={id} aria-selected={String(id === active)} aria-controls="main"
+                                        tabindex={id === active ? '0' : '-1'} onClick={onSwitch}>{name}</button>)}
+    </div>
+    <button class="create-dashboard-button" onClick={onCreate}>New</button>
+    <button class="rename-dashboard-button" onClick={onRename}>Rename</button>
+    <button class="duplicate-dashboard-button" onClick={onDuplicate}>Duplicate</button>
+    <button class="delete-dashboard-button" disabled={tabs.length < 2} onClick={onDelete}>Delete</button>
+  </div>;
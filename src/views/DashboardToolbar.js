@@ -0,0 +1,58 @@
+import {h} from 'flaco';
+
+const indexes = count => Array.from({length: count}, (_, i) => i + 1);
+
+// the row (or column) to insert around or to remove
+const AxisTools = ({axis, label, count = 1, index = count, canRemove = true, onIndexChange, onInsertBefore, onInsertAfter, onRemove}) =>
+  <span class={`${axis}-tools`} role="group" aria-label={`${label}s`}>
+    <label>
+      <span>{label}</span>
+      <select name={`${axis}-index`} onChange={onIndexChange}>
+        {indexes(count).map(i => <option value={i} selected={i === index}>{i}</option>)}
+      </select>
+    </label>
+    <button class={`insert-${axis}-before-button`} onClick={onInsertBefore}>Insert before</button>
+    <button class={`insert-${axis}-after-button`} onClick={onInsertAfter}>Insert after</button>
+    <button class={`remove-${axis}-button`} disabled={!canRemove} title={`The ${axis} can not be removed while a panel spans over it or is locked`}
+            onClick={onRemove}>Remove</button>
+  </span>;
+
+const strategyLabels = {
+  reject: 'Reject',
+  swap: 'Swap',
+  push: 'Push'
+};
+
+export default ({collision = 'reject', breakpoint, locked = false, onToggleLock, empty = false, onSaveTemplate, selectionCount = 0, onResetSelection, onLockSelection, onUnlockSelection, onClearSelection, rows, columns, rowIndex, columnIndex, canRemoveRow = true, canRemoveColumn = true, onRowIndexChange, onColumnIndexChange, onInsertRowBefore, onInsertRowAfter, onRemoveRow, onInsertColumnBefore, onInsertColumnAfter, onRemoveColumn, strategies = [], onCollisionChange, canUndo = false, canRedo = false, onUndo, onRedo, onExport, onImport, onCopyLink}) =>
+  <div class="dashboard-toolbar" role="toolbar">
+    <span class="breakpoint-indicator" title="Each screen width has its own layout">{breakpoint !== void 0 ? `${breakpoint} layout` : ''}</span>
+    <button class="lock-dashboard-button" aria-pressed={String(locked)} onClick={onToggleLock}>Lock</button>
+    <span class="selection-tools" role="group" aria-label="Selected panels" hidden={selectionCount === 0}>
+      <span class="selection-count">{`${selectionCount} selected`}</span>
+      <button class="reset-selection-button" onClick={onResetSelection}>Reset</button>
+      <button class="lock-selection-button" disabled={locked} onClick={onLockSelection}>Lock</button>
+      <button class="unlock-selection-button" disabled={locked} onClick={onUnlockSelection}>Unlock</button>
+      <button class="clear-selection-button" onClick={onClearSelection}>Clear</button>
+    </span>
+    <span class="grid-size-tools" role="group" aria-label="Grid size">
+      <AxisTools axis="row" label="Row" count={rows} index={rowIndex} canRemove={canRemoveRow} onIndexChange={onRowIndexChange}
+                 onInsertBefore={onInsertRowBefore} onInsertAfter={onInsertRowAfter} onRemove={onRemoveRow}/>
+      <AxisTools axis="column" label="Column" count={columns} index={columnIndex} canRemove={canRemoveColumn} onIndexChange={onColumnIndexChange}
+                 onInsertBefore={onInsertColumnBefore} onInsertAfter={onInsertColumnAfter} onRemove={onRemoveColumn}/>
+    </span>
+    <button class="undo-button" disabled={!canUndo} aria-keyshortcuts="Control+Z" onClick={onUndo}>Undo</button>
+    <button class="redo-button" disabled={!canRedo} aria-keyshortcuts="Control+Shift+Z" onClick={onRedo}>Redo</button>
+    <label>
+      <span>On collision</span>
+      <select name="collision" onChange={onCollisionChange}>
+        {strategies.map(s => <option value={s} selected={s === collision}>{strategyLabels[s] || s}</option>)}
+      </select>
+    </label>
+    <button class="export-button" onClick={onExport}>Export</button>
+    <label class="import-button">
+      <input class="visuallyhidden" type="file" name="import" accept=".json,application/json" onChange={onImport}/>
+      <span>Import</span>
+    </label>
+    <button class="copy-link-button" onClick={onCopyLink}>Copy link</button>
+    <button class="save-template-button" disabled={empty} onClick={onSaveTemplate}>Save as template</button>
+  </div>;
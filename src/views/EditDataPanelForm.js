@@ -2,7 +2,10 @@ import {h, onMount, withState} from 'flaco';
 import modal from './Modal';
 import {compose} from 'smart-table-operators';
 import {autofocus} from '../ui-kit/util';
+import {Combobox} from '../ui-kit/combobox';
 import {Tree, StarFull, Notification, Users, Embed2} from '../components/icons';
+import {SOURCES} from '../lib/constants';
+import {SERIES} from '../lib/series';
 
 const AutofocusInput = autofocus(props => {
   delete props.children;
@@ -10,64 +13,166 @@ const AutofocusInput = autofocus(props => {
 });
 const statefullModal = compose(withState, modal);
 
+const SOURCE_OPTIONS = [
+  {value: 'issues', label: 'Issues', Icon: Notification},
+  {value: 'prs', label: 'Pull requests', Icon: Tree},
+  {value: 'stargazers', label: 'Stargazers', Icon: StarFull},
+  {value: 'contributors', label: 'Contributors', Icon: Users},
+  {value: 'commits', label: 'Commits', Icon: Embed2}
+];
+
+// the chart panels can only plot the sources which have a series
+const CHART_SOURCES = Object.keys(SERIES);
+
 const SourceTypeSelect = props => {
-  const {onUpdate} = props;
+  const {onUpdate, sources = SOURCES} = props;
   const changeValue = ev => onUpdate({source: ev.target.value});
   return <fieldset>
     <legend>Select a data source:</legend>
     <div>
-      <label>
-        <input required class="visuallyhidden" onChange={changeValue} value="issues" name="sourceType" type="radio"/>
-        <div class="value-icon">
-          <Notification/>
-          <span class="focus-adorner">Issues</span>
-        </div>
-      </label>
-      <label>
-        <input required class="visuallyhidden" onChange={changeValue} value="prs" name="sourceType" type="radio"/>
-        <div class="value-icon">
-          <Tree/>
-          <span class="focus-adorner">Pull requests</span>
-        </div>
-      </label>
-      <label>
-        <input required onChange={changeValue} class="visuallyhidden" value="stargazers" name="sourceType"
-               type="radio"/>
-        <div class="value-icon">
-          <StarFull/>
-          <span class="focus-adorner">Stargazers</span>
-        </div>
-      </label>
-      <label>
-        <input required onChange={changeValue} class="visuallyhidden" value="contributors" name="sourceType"
-               type="radio"/>
-        <div class="value-icon">
-          <Users/>
-          <span class="focus-adorner">Contributors</span>
-        </div>
-      </label>
-      <label>
-        <input required onChange={changeValue} class="visuallyhidden" value="commits" name="sourceType" type="radio"/>
-        <div class="value-icon">
-          <Embed2/>
-          <span class="focus-adorner">Commits</span>
-        </div>
-      </label>
+      {
+        SOURCE_OPTIONS.filter(({value}) => sources.includes(value)).map(({value, label, Icon}) => <label>
+          <input required class="visuallyhidden" onChange={changeValue} value={value} name="sourceType" type="radio"/>
+          <div class="value-icon">
+            <Icon/>
+            <span class="focus-adorner">{label}</span>
+          </div>
+        </label>)
+      }
     </div>
   </fieldset>
 };
 
+export const SUGGESTION_DELAY = 250;
+
+const REPOSITORY_FIELD_ID = 'panel-repository';
+
+// what the repository field needs to remember between two renderings of the form
+const repositoryFieldState = () => ({text: '', suggestions: [], activeIndex: -1, expanded: false, status: '', message: '', timer: null});
+
+const RepositoryField = props => {
+  const {data = {}, field, onUpdate = _ => _, suggestRepositories = _ => Promise.resolve([])} = props;
+  const {suggestions, activeIndex, expanded, status, message} = field;
+  const refresh = () => onUpdate({});
+  const collapse = () => {
+    clearTimeout(field.timer);
+    field.expanded = false;
+    field.activeIndex = -1;
+  };
+  const choose = ({value}) => {
+    field.text = value;
+    collapse();
+    onUpdate({repository: value});
+  };
+
+  const onInput = ev => {
+    const input = ev.target;
+    const text = input.value;
+    field.text = text;
+    field.status = '';
+    field.message = '';
+    clearTimeout(field.timer);
+    onUpdate({repository: text.trim() || void 0});
+    field.timer = setTimeout(() => {
+      suggestRepositories(text)
+        .catch(_ => [])
+        .then(repositories => {
+          // the user has kept typing or the form is gone
+          if (field.text !== text || !document.body.contains(input)) {
+            return;
+          }
+          field.suggestions = repositories.map(({full_name}) => ({value: full_name, label: full_name}));
+          field.activeIndex = -1;
+          field.expanded = true;
+          refresh();
+        });
+    }, SUGGESTION_DELAY);
+  };
+
+  // the handlers read the field rather than the values of the rendering they were created for
+  const onKeyDown = ev => {
+    const {code} = ev;
+    const {suggestions, activeIndex, expanded} = field;
+    const count = suggestions.length;
+    if ((code === 'ArrowDown' || code === 'ArrowUp') && count > 0) {
+      ev.preventDefault();
+      field.expanded = true;
+      field.activeIndex = code === 'ArrowDown' ?
+        (activeIndex + 1) % count :
+        (activeIndex <= 0 ? count : activeIndex) - 1;
+      refresh();
+    } else if (code === 'Enter' && expanded && activeIndex >= 0) {
+      // pick the suggestion rather than submitting the form
+      ev.preventDefault();
+      choose(suggestions[activeIndex]);
+    } else if (code === 'Escape' && expanded) {
+      // the modal should not close
+      ev.stopPropagation();
+      collapse();
+      refresh();
+    }
+  };
+
+  const onBlur = _ => {
+    if (field.expanded) {
+      collapse();
+      refresh();
+    }
+  };
+
+  return <div class="repository-field">
+    <label for={REPOSITORY_FIELD_ID}>
+      <span class="focus-adorner">Repository (owner/repo, the default one when empty):</span>
+    </label>
+    <Combobox id={REPOSITORY_FIELD_ID} name="repository" placeholder="owner/repo" value={data.repository || ''}
+              options={suggestions} activeIndex={activeIndex} expanded={expanded}
+              aria-invalid={String(status === 'invalid')} aria-describedby={`${REPOSITORY_FIELD_ID}-status`}
+              onInput={onInput} onKeyDown={onKeyDown} onBlur={onBlur} onSelect={choose}/>
+    <p id={`${REPOSITORY_FIELD_ID}-status`} class="repository-status" role="status" status={status}>{message}</p>
+  </div>;
+};
+
+// the panel is created once its repository (if any) is known to exist, under the name GitHub gives it
+const submitWithRepository = props => {
+  const {data = {}, field, onSubmit, onUpdate = _ => _, validateRepository = name => Promise.resolve(name)} = props;
+  return ev => {
+    ev.preventDefault();
+    const {repository} = data;
+    if (repository === void 0) {
+      return onSubmit(ev);
+    }
+    if (field.status === 'checking') {
+      return;
+    }
+    field.status = 'checking';
+    field.message = `Looking for ${repository} ...`;
+    onUpdate({});
+    return validateRepository(repository).then(name => {
+      field.status = '';
+      field.message = '';
+      data.repository = name;
+      onSubmit(ev);
+    }, error => {
+      field.status = 'invalid';
+      field.message = error.message;
+      onUpdate({});
+    });
+  };
+};
+
 export const CreateSmartListForm = (props) => {
-  const {onUpdate, onSubmit} = props;
+  const {onUpdate, repositoryField = repositoryFieldState()} = props;
+  const fieldProps = Object.assign({}, props, {field: repositoryField});
   return (
     <div class="modal-content">
-      <form onSubmit={onSubmit}>
+      <form onSubmit={submitWithRepository(fieldProps)}>
         <div class="form-content">
           <label>
             <AutofocusInput onChange={ev => onUpdate({title: ev.target.value})} name="title" required="true"/>
             <span class="focus-adorner">Panel title:</span>
           </label>
           <SourceTypeSelect {...props}/>
+          <RepositoryField {...fieldProps}/>
         </div>
         <div class="form-buttons">
           <button><span class="focus-adorner">Create</span></button>
@@ -77,16 +182,18 @@ export const CreateSmartListForm = (props) => {
 };
 
 export const CreateSmartChartForm = props => {
-  const {onSubmit, onUpdate} = props;
+  const {onUpdate, repositoryField = repositoryFieldState()} = props;
+  const fieldProps = Object.assign({}, props, {field: repositoryField});
   return (
     <div class="modal-content">
-      <form onSubmit={onSubmit}>
+      <form onSubmit={submitWithRepository(fieldProps)}>
         <div class="form-content">
           <label>
             <AutofocusInput onChange={ev => onUpdate({title: ev.target.value})} name="title" required="true"/>
             <span class="focus-adorner">Panel title:</span>
           </label>
-          <SourceTypeSelect {...props}/>
+          <SourceTypeSelect {...props} sources={CHART_SOURCES}/>
+          <RepositoryField {...fieldProps}/>
         </div>
         <div class="form-buttons">
           <button><span class="focus-adorner">Create</span></button>
@@ -116,13 +223,14 @@ export const CreateSmartAggregationForm = props => {
 };
 
 const modalForm = Comp => props => {
+  const repositoryField = repositoryFieldState();
   const UdpatableComp = statefullModal((props, update) => {
     const {data} = props;
     const onUpdate = val => {
       Object.assign(data, val);
       update({data, ...props});
     };
-    return Comp({onUpdate, ...props});
+    return Comp({onUpdate, repositoryField, ...props});
   });
   return UdpatableComp(props);
 };
@@ -3,22 +3,49 @@ import panel from './Panel';
 import {ROWS, COLUMNS} from '../lib/constants'
 import {Enlarge, Enlarge2} from '../components/icons';
 
+// the bottom right corner has its own handle
+const RESIZE_EDGES = ['n', 'ne', 'e', 's', 'sw', 'w', 'nw'];
+
 export default Comp => panel((props) => {
-  const {x, y, dx = 1, dy = 1, adornerStatus, onResizeStart, onMoveStart} = props;
-  const z = (ROWS - y) * 10 + COLUMNS - x;
+  const {x, y, dx = 1, dy = 1, rows = ROWS, columns = COLUMNS, adornerStatus, maximized = false, covered = false, data = {}, dashboardLocked = false, selected = false, onResizeStart, onMoveStart, onMoveKeyDown, onResizeKeyDown, onMoveBlur, onResizeBlur, onPanelKeyDown} = props;
+  // a maximized panel is above all the others
+  const z = maximized ? rows * columns : (rows - y) * columns + columns - x;
   const panelClasses = ['panel', 'data-panel'];
 
   if (adornerStatus !== 0) {
     panelClasses.push('active-panel');
   }
 
-  return (<div x={x} y={y} dx={dx} dy={dy} z={z} class={panelClasses.join(' ')}>
-    <div class="move-handle" draggable="true" onDragStart={onMoveStart}>
+  if (data.type === void 0) {
+    panelClasses.push('empty-panel');
+  }
+
+  // a locked panel has no handle
+  if (data.type !== void 0 && (dashboardLocked || data.locked === true)) {
+    panelClasses.push('locked-panel');
+  }
+
+  if (selected) {
+    panelClasses.push('selected-panel');
+  }
+
+  if (maximized) {
+    panelClasses.push('maximized-panel');
+  } else if (covered) {
+    panelClasses.push('covered-panel');
+  }
+
+  return (<div x={x} y={y} dx={dx} dy={dy} z={z} class={panelClasses.join(' ')} onKeyDown={onPanelKeyDown}>
+    <div class="move-handle" draggable="true" tabindex="0" role="button" aria-label="Move panel"
+         onDragStart={onMoveStart} onKeyDown={onMoveKeyDown} onBlur={onMoveBlur}>
       <Enlarge/>
     </div>
     <Comp {...props} />
-    <div class="resize-handle" draggable="true" onDragStart={onResizeStart}>
+    <div class="resize-handle" draggable="true" tabindex="0" role="button" aria-label="Resize panel"
+         direction="se" onDragStart={onResizeStart} onKeyDown={onResizeKeyDown} onBlur={onResizeBlur}>
       <Enlarge2/>
     </div>
+    {RESIZE_EDGES.map(direction => <div class={`resize-edge resize-edge-${direction}`} draggable="true"
+                                        direction={direction} onDragStart={onResizeStart}></div>)}
   </div>);
 });
\ No newline at end of file
@@ -0,0 +1,20 @@
+import {h, onMount, onUpdate} from 'flaco';
+import {compose} from 'smart-table-operators';
+
+const setCustomProperties = vnode => {
+  const {props, dom} = vnode;
+  const {rows, columns} = (props || {});
+  if (dom) {
+    dom.style.setProperty('--grid-row-count', rows);
+    dom.style.setProperty('--grid-column-count', columns);
+  }
+};
+
+export const grid = compose(onMount(setCustomProperties), onUpdate(setCustomProperties));
+
+export const GridContainer = grid(props => {
+  const {children, rows, columns} = props;
+  return <div class="grid-container" rows={rows} columns={columns}>
+    {children}
+  </div>;
+});
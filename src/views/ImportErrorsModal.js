@@ -0,0 +1,26 @@
+import {h} from 'flaco';
+import modal from './Modal';
+import {autofocus} from '../ui-kit/util';
+
+const FocusedButton = autofocus(props => {
+  const {children} = props;
+  delete props.children;
+  return <button {...props}>{children}</button>
+});
+
+export default (props) => {
+  const {closeModal, errors = []} = props;
+  const Comp = modal(props =>
+    <div class="modal-content">
+      <div class="form-content">
+        <p>The dashboard could not be imported:</p>
+        <ul class="import-errors">
+          {errors.map(error => <li>{error}</li>)}
+        </ul>
+      </div>
+      <div class="form-buttons">
+        <FocusedButton onClick={closeModal}><span class="focus-adorner">Close</span></FocusedButton>
+      </div>
+    </div>);
+  return Comp({title: 'Import failed', ...props});
+};
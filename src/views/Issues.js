@@ -1,6 +1,6 @@
 import {h} from 'flaco';
-import {Dropdown, MenuButton, Menu, MenuItem} from '../ui-kit/dropdown'
-import {Bubbles, Notification, SortAmountAsc} from '../components/icons';
+import SortDropdown from './SortDropdown';
+import {Bubbles, Notification} from '../components/icons';
 
 export const IssueCard = (props) => {
   const {issue = {}} = props;
@@ -24,27 +24,21 @@ export const IssueCard = (props) => {
   </article>
 };
 
-//todo generate id for dropdowns
+export const ISSUE_SORT_OPTIONS = [
+  {label: 'Newest', pointer: 'created_at', direction: 'desc'},
+  {label: 'Oldest', pointer: 'created_at', direction: 'asc'},
+  {label: 'Most commented', pointer: 'comments', direction: 'desc'},
+  {label: 'Least commented', pointer: 'comments', direction: 'asc'},
+  {label: 'Recently updated', pointer: 'updated_at', direction: 'desc'},
+  {label: 'Least recently updated', pointer: 'updated_at', direction: 'asc'}
+];
+
 export const IssuesList = (props) => {
-  const {issues = [], smartList, showToolBar} = props;
+  const {issues = [], smartList, showToolBar, x, y} = props;
   return (
     <div class="issues-list-container">
       <div aria-hidden={String(showToolBar !== true)} role="toolbar">
-        <Dropdown id="dropdown-sample">
-          <MenuButton aria-controls="menu"><SortAmountAsc/></MenuButton>
-          <Menu id="menu">
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'created_at', direction: 'desc'}) }> Newest</MenuItem>
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'created_at', direction: 'asc'}) }>Oldest</MenuItem>
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'comments', direction: 'desc'}) }>Most
-              commented</MenuItem>
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'comments', direction: 'asc'}) }>Least
-              commented</MenuItem>
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'updated_at', direction: 'desc'}) }>Recently
-              updated</MenuItem>
-            <MenuItem activateItem={_ => smartList.sort({pointer: 'updated_at', direction: 'asc'}) }>Least recently
-              updated</MenuItem>
-          </Menu>
-        </Dropdown>
+        <SortDropdown x={x} y={y} smartList={smartList} options={ISSUE_SORT_OPTIONS}/>
       </div>
       <ul class="issues-list">
         {
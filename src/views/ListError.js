@@ -0,0 +1,7 @@
+import {h} from 'flaco';
+
+// the data of a list could not be fetched: the panel shows why and can try again
+export default ({error = null, onRetry}) => <div class="list-error" role="alert" hidden={error === null}>
+  <p>{error || ''}</p>
+  <button class="retry-button" onClick={onRetry}>Retry</button>
+</div>;
@@ -0,0 +1,3 @@
+import {h} from 'flaco';
+
+export default ({message = ''}) => <div class="visuallyhidden" role="status" aria-live="assertive">{message}</div>;
@@ -0,0 +1,10 @@
+import {h} from 'flaco';
+import panel from './Panel';
+
+export default panel(({x = 1, y = 1, dx = 1, dy = 1, z, visible = false, valid = false, title = ''}) => {
+  const classes = ['panel', 'panel-ghost', valid ? 'valid-ghost' : 'invalid-ghost'];
+  return <div class={classes.join(' ')} hidden={!visible} aria-hidden="true" x={x} y={y} dx={dx} dy={dy} z={z}>
+    <strong class="ghost-title">{title}</strong>
+    <span class="ghost-span">{`${dx} × ${dy}`}</span>
+  </div>;
+});
@@ -0,0 +1,72 @@
+import {h} from 'flaco';
+import SortDropdown from './SortDropdown';
+import {Bubbles, Notification, Tree, Users, Embed} from '../components/icons';
+
+export const PULL_REQUEST_SORT_OPTIONS = [
+  {label: 'Newest', pointer: 'created_at', direction: 'desc'},
+  {label: 'Oldest', pointer: 'created_at', direction: 'asc'},
+  {label: 'Recently updated', pointer: 'updated_at', direction: 'desc'},
+  {label: 'Recently merged', pointer: 'merged_at', direction: 'desc'},
+  // the review comments are only known for the most recently updated pull requests
+  {label: 'Most reviewed (among the recently updated)', pointer: 'review_rank', direction: 'desc'},
+  {label: 'Most commented', pointer: 'comments', direction: 'desc'}
+];
+
+const STATUS_CLASSES = {
+  open: 'valid',
+  draft: 'draft',
+  merged: 'merged',
+  closed: 'invalid'
+};
+
+export const PullRequestCard = (props) => {
+  const {pullRequest = {}} = props;
+  const {status = '', created_at, user = {}, number, html_url, title = '', head = '', base = '', requested_reviewers = [], changed_files = null, additions = 0, deletions = 0, review_comments = null} = pullRequest;
+  const classes = [STATUS_CLASSES[status] || 'invalid'];
+  return <article class="pull-request">
+    <h3>{title}</h3>
+    <a rel="self" href={html_url}>#{number}</a>
+    <div class="status">
+      <Notification classes={classes}/>
+      <span class={classes.join('')}>{status}</span>
+    </div>
+    <p class="meta">opened on
+      <time> {(new Date(created_at)).toDateString()} </time>
+      by <a rel="author" href={user.html_url}>{user.login}</a>
+    </p>
+    <p class="branches" title={`${head} into ${base}`}>
+      <Tree/>
+      <code class="head">{head}</code> → <code class="base">{base}</code>
+    </p>
+    <p class="reviewers" hidden={requested_reviewers.length === 0}>
+      <Users/>
+      <span>{`review requested from ${requested_reviewers.join(', ')}`}</span>
+    </p>
+    <p class="changes" hidden={changed_files === null}>
+      <Embed/>
+      <span class="changed-files">{`${changed_files} file(s)`}</span>
+      <span class="additions valid">{`+${additions}`}</span>
+      <span class="deletions invalid">{`-${deletions}`}</span>
+    </p>
+    <p class="comments" title="review comments">
+      <Bubbles/>
+      <span>{review_comments === null ? '' : review_comments}</span>
+    </p>
+  </article>
+};
+
+export const PullRequestsList = (props) => {
+  const {pullRequests = [], smartList, showToolBar, x, y} = props;
+  return (
+    <div class="issues-list-container">
+      <div aria-hidden={String(showToolBar !== true)} role="toolbar">
+        <SortDropdown x={x} y={y} smartList={smartList} options={PULL_REQUEST_SORT_OPTIONS}/>
+      </div>
+      <ul class="issues-list">
+        {
+          pullRequests.map(pr => <li><PullRequestCard pullRequest={pr}/></li>)
+        }
+      </ul>
+      <div class="fake-border"></div>
+    </div>);
+};
@@ -0,0 +1,26 @@
+import {h} from 'flaco';
+import modal from './Modal';
+import {autofocus} from '../ui-kit/util';
+
+const AutofocusInput = autofocus(props => {
+  delete props.children;
+  return <input {...props} />
+});
+
+export default modal(props => {
+  const {name = '', onNameChange, onSubmit} = props;
+  return (
+    <div class="modal-content">
+      <form onSubmit={onSubmit}>
+        <div class="form-content">
+          <label>
+            <AutofocusInput onChange={onNameChange} name="name" value={name} required="true"/>
+            <span class="focus-adorner">Dashboard name:</span>
+          </label>
+        </div>
+        <div class="form-buttons">
+          <button><span class="focus-adorner">Rename</span></button>
+        </div>
+      </form>
+    </div>);
+});
@@ -0,0 +1,27 @@
+import {h} from 'flaco';
+import modal from './Modal';
+import {autofocus} from '../ui-kit/util';
+
+const AutofocusInput = autofocus(props => {
+  delete props.children;
+  return <input {...props} />
+});
+
+export default modal(props => {
+  const {name = '', onNameChange, onSubmit} = props;
+  return (
+    <div class="modal-content">
+      <form onSubmit={onSubmit}>
+        <div class="form-content">
+          <label>
+            <AutofocusInput onChange={onNameChange} name="name" value={name} required="true"/>
+            <span class="focus-adorner">Template name:</span>
+          </label>
+          <p>A template with the same name gets replaced.</p>
+        </div>
+        <div class="form-buttons">
+          <button><span class="focus-adorner">Save</span></button>
+        </div>
+      </form>
+    </div>);
+});
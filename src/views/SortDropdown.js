@@ -0,0 +1,19 @@
+import {h} from 'flaco';
+import {Dropdown, MenuButton, Menu, MenuItem} from '../ui-kit/dropdown'
+import {SortAmountAsc} from '../components/icons';
+
+// the ids are unique per panel position
+export default (props) => {
+  const {smartList, options = [], x, y} = props;
+  const id = `sort-dropdown-${x}-${y}`;
+  const menuId = `sort-menu-${x}-${y}`;
+  return <Dropdown id={id}>
+    <MenuButton aria-controls={menuId}><SortAmountAsc/></MenuButton>
+    <Menu id={menuId}>
+      {
+        options.map(({label, pointer, direction}) => <MenuItem
+          activateItem={_ => smartList.sort({pointer, direction})}>{label}</MenuItem>)
+      }
+    </Menu>
+  </Dropdown>;
+};
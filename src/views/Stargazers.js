@@ -0,0 +1,37 @@
+import {h} from 'flaco';
+import SortDropdown from './SortDropdown';
+import {StarFull} from '../components/icons';
+
+export const STARGAZER_SORT_OPTIONS = [
+  {label: 'Recently starred', pointer: 'starred_at', direction: 'desc'},
+  {label: 'First stargazers', pointer: 'starred_at', direction: 'asc'}
+];
+
+export const StargazerCard = (props) => {
+  const {stargazer = {}} = props;
+  const {login = '', html_url, avatar_url, starred_at = ''} = stargazer;
+  return <article class="stargazer">
+    <img class="avatar" src={avatar_url} alt="" width="32" height="32"/>
+    <a rel="author" href={html_url}>{login}</a>
+    <p class="meta">
+      <StarFull/>
+      starred on <time datetime={starred_at}>{(new Date(starred_at)).toDateString()}</time>
+    </p>
+  </article>
+};
+
+export const StargazersList = (props) => {
+  const {stargazers = [], smartList, showToolBar, x, y} = props;
+  return (
+    <div class="issues-list-container">
+      <div aria-hidden={String(showToolBar !== true)} role="toolbar">
+        <SortDropdown x={x} y={y} smartList={smartList} options={STARGAZER_SORT_OPTIONS}/>
+      </div>
+      <ul class="issues-list">
+        {
+          stargazers.map(s => <li><StargazerCard stargazer={s}/></li>)
+        }
+      </ul>
+      <div class="fake-border"></div>
+    </div>);
+};
@@ -0,0 +1,18 @@
+import {h} from 'flaco';
+import ListError from './ListError';
+import {polylinePoints} from '../lib/series';
+
+export const StarsChart = (props) => {
+  const {series = [], error = null, onRetry} = props;
+  const {date = '', count = 0} = series[series.length - 1] || {};
+  const summary = date === '' ? 'No star yet' : `${count} star(s) on ${date}`;
+  return <div class="chart-container">
+    <ListError error={error} onRetry={onRetry}/>
+    <figure class="stars-chart">
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none" role="img" aria-label={summary}>
+        <polyline points={polylinePoints(series)} vector-effect="non-scaling-stroke"/>
+      </svg>
+      <figcaption>{summary}</figcaption>
+    </figure>
+  </div>;
+};
@@ -0,0 +1,29 @@
+import {h} from 'flaco';
+import {grid} from './Grid';
+import Panel from './Panel';
+import {Bin2} from '../components/icons';
+
+const Preview = grid(({children}) => <span class="template-preview" aria-hidden="true">{children}</span>);
+
+const PreviewPanel = Panel(({type}) => <span class={`template-preview-panel ${type}-preview`}></span>);
+
+export default ({hidden = false, templates = [], onApply, onDelete}) =>
+  <section class="template-picker" hidden={hidden} aria-labelledby="template-picker-title">
+    <h2 id="template-picker-title">Start from a template</h2>
+    <ul>
+      {templates.map(({id, name, description, builtIn = false, document: {rows, columns, panels}}) =>
+        <li class="template">
+          <button class="apply-template-button" template={id} onClick={onApply}>
+            <Preview rows={rows} columns={columns}>
+              {panels.map(({x, y, dx = 1, dy = 1, type}) => <PreviewPanel x={x} y={y} dx={dx} dy={dy} type={type}/>)}
+            </Preview>
+            <strong>{name}</strong>
+            <span class="template-description">{description}</span>
+          </button>
+          {builtIn ? '' :
+            <button class="delete-template-button" template={id} aria-label={`Delete the template ${name}`} onClick={onDelete}>
+              <Bin2></Bin2>
+            </button>}
+        </li>)}
+    </ul>
+  </section>;
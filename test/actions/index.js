@@ -22,6 +22,10 @@ export default zora()
     const val = actions.startMove({x: 3, y: 4});
     t.deepEqual(val, {type: 'START_MOVE', x: 3, y: 4});
   })
+  .test('cancelOperation should be defined', function * (t) {
+    const val = actions.cancelOperation();
+    t.deepEqual(val, {type: 'CANCEL_OPERATION'});
+  })
   .test('openModal', function * (t) {
     const val = actions.openModal({modalType: 'foo', title: 'bar'});
     t.deepEqual(val, {type: 'OPEN_MODAL', modalType: 'foo', title: 'bar'});
@@ -49,4 +53,114 @@ export default zora()
   .test('removeSmartList should be defined', function * (t) {
     const val = actions.removeSmartList({x: 2, y: 3});
     t.deepEqual(val, {type: 'REMOVE_SMART_LIST', x: 2, y: 3});
-  })
\ No newline at end of file
+  })
+  .test('moveSmartLists should be defined', function * (t) {
+    const val = actions.moveSmartLists({moves: [{from: {x: 1, y: 1}, to: {x: 2, y: 3}}]});
+    t.deepEqual(val, {type: 'MOVE_SMART_LISTS', moves: [{from: {x: 1, y: 1}, to: {x: 2, y: 3}}]});
+  })
+  .test('setSmartListError should be defined', function * (t) {
+    const val = actions.setSmartListError({x: 2, y: 3, error: 'oops'});
+    t.deepEqual(val, {type: 'SET_SMART_LIST_ERROR', x: 2, y: 3, error: 'oops'});
+  })
+  .test('setSmartListPaging should be defined', function * (t) {
+    const val = actions.setSmartListPaging({x: 2, y: 3, hasNextPage: true});
+    t.deepEqual(val, {type: 'SET_SMART_LIST_PAGING', x: 2, y: 3, hasNextPage: true});
+  })
+  .test('insertRow should be defined', function * (t) {
+    const val = actions.insertRow({index: 2});
+    t.deepEqual(val, {type: 'INSERT_ROW', index: 2});
+  })
+  .test('removeRow should be defined', function * (t) {
+    const val = actions.removeRow({index: 2});
+    t.deepEqual(val, {type: 'REMOVE_ROW', index: 2});
+  })
+  .test('insertColumn should be defined', function * (t) {
+    const val = actions.insertColumn({index: 2});
+    t.deepEqual(val, {type: 'INSERT_COLUMN', index: 2});
+  })
+  .test('removeColumn should be defined', function * (t) {
+    const val = actions.removeColumn({index: 2});
+    t.deepEqual(val, {type: 'REMOVE_COLUMN', index: 2});
+  })
+  .test('announce should be defined', function * (t) {
+    const val = actions.announce({message: 'hello'});
+    t.deepEqual(val, {type: 'ANNOUNCE', message: 'hello'});
+  })
+  .test('setCollisionStrategy should be defined', function * (t) {
+    const val = actions.setCollisionStrategy({strategy: 'swap'});
+    t.deepEqual(val, {type: 'SET_COLLISION_STRATEGY', strategy: 'swap'});
+  })
+  .test('setPanelProcessing should be defined', function * (t) {
+    const val = actions.setPanelProcessing({x: 1, y: 2, processing: true});
+    t.deepEqual(val, {type: 'SET_PANEL_PROCESSING', x: 1, y: 2, processing: true});
+  })
+  .test('undo should be defined', function * (t) {
+    t.deepEqual(actions.undo(), {type: 'UNDO'});
+  })
+  .test('redo should be defined', function * (t) {
+    t.deepEqual(actions.redo(), {type: 'REDO'});
+  })
+  .test('importDashboard should be defined', function * (t) {
+    const val = actions.importDashboard({rows: 1, columns: 1, panels: [], smartList: []});
+    t.deepEqual(val, {type: 'IMPORT_DASHBOARD', rows: 1, columns: 1, panels: [], smartList: []});
+  })
+  .test('createDashboard should be defined', function * (t) {
+    t.deepEqual(actions.createDashboard({name: 'foo'}), {type: 'CREATE_DASHBOARD', name: 'foo'});
+  })
+  .test('renameDashboard should be defined', function * (t) {
+    t.deepEqual(actions.renameDashboard({id: 'dashboard-1', name: 'foo'}), {type: 'RENAME_DASHBOARD', id: 'dashboard-1', name: 'foo'});
+  })
+  .test('duplicateDashboard should be defined', function * (t) {
+    t.deepEqual(actions.duplicateDashboard({id: 'dashboard-1'}), {type: 'DUPLICATE_DASHBOARD', id: 'dashboard-1'});
+  })
+  .test('deleteDashboard should be defined', function * (t) {
+    t.deepEqual(actions.deleteDashboard({id: 'dashboard-1'}), {type: 'DELETE_DASHBOARD', id: 'dashboard-1'});
+  })
+  .test('switchDashboard should be defined', function * (t) {
+    t.deepEqual(actions.switchDashboard({id: 'dashboard-1'}), {type: 'SWITCH_DASHBOARD', id: 'dashboard-1'});
+  })
+  .test('setBreakpoint should be defined', function * (t) {
+    t.deepEqual(actions.setBreakpoint({breakpoint: 'narrow'}), {type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+  })
+  .test('startDuplicate should be defined', function * (t) {
+    t.deepEqual(actions.startDuplicate({x: 1, y: 2}), {type: 'START_DUPLICATE', x: 1, y: 2});
+  })
+  .test('duplicatePanel should be defined', function * (t) {
+    t.deepEqual(actions.duplicatePanel({x: 1, y: 2, to: {x: 3, y: 4}}), {type: 'DUPLICATE_PANEL', x: 1, y: 2, to: {x: 3, y: 4}});
+  })
+  .test('maximizePanel should be defined', function * (t) {
+    t.deepEqual(actions.maximizePanel({x: 1, y: 2}), {type: 'MAXIMIZE_PANEL', x: 1, y: 2});
+  })
+  .test('restorePanel should be defined', function * (t) {
+    t.deepEqual(actions.restorePanel(), {type: 'RESTORE_PANEL'});
+  })
+  .test('setDashboardLock should be defined', function * (t) {
+    t.deepEqual(actions.setDashboardLock({locked: true}), {type: 'SET_DASHBOARD_LOCK', locked: true});
+  })
+  .test('saveTemplate should be defined', function * (t) {
+    t.deepEqual(actions.saveTemplate({name: 'foo'}), {type: 'SAVE_TEMPLATE', name: 'foo'});
+  })
+  .test('deleteTemplate should be defined', function * (t) {
+    t.deepEqual(actions.deleteTemplate({id: 'template-1'}), {type: 'DELETE_TEMPLATE', id: 'template-1'});
+  })
+  .test('selectPanel should be defined', function * (t) {
+    t.deepEqual(actions.selectPanel({x: 1, y: 2}), {type: 'SELECT_PANEL', x: 1, y: 2});
+  })
+  .test('startSelection should be defined', function * (t) {
+    t.deepEqual(actions.startSelection({x: 1, y: 2}), {type: 'START_SELECTION', x: 1, y: 2});
+  })
+  .test('endSelection should be defined', function * (t) {
+    t.deepEqual(actions.endSelection({x: 1, y: 2}), {type: 'END_SELECTION', x: 1, y: 2});
+  })
+  .test('clearSelection should be defined', function * (t) {
+    t.deepEqual(actions.clearSelection(), {type: 'CLEAR_SELECTION'});
+  })
+  .test('resetPanels should be defined', function * (t) {
+    t.deepEqual(actions.resetPanels({panels: [{x: 1, y: 2}]}), {type: 'RESET_PANELS', panels: [{x: 1, y: 2}]});
+  })
+  .test('lockPanels should be defined', function * (t) {
+    t.deepEqual(actions.lockPanels({panels: [{x: 1, y: 2}], locked: true}), {type: 'LOCK_PANELS', panels: [{x: 1, y: 2}], locked: true});
+  })
+  .test('setGridSizeIndex should be defined', function * (t) {
+    t.deepEqual(actions.setGridSizeIndex({axis: 'row', index: 2}), {type: 'SET_GRID_SIZE_INDEX', axis: 'row', index: 2});
+  });
@@ -0,0 +1,120 @@
+import zora from 'zora';
+import {Grid, emptyPanels, updateAt} from '../../src/lib/grid';
+import {visiblePanels, swap, push, isFreeArea, nextFreeArea, groupMove} from '../../src/lib/collisions';
+
+export default zora()
+  .test('visible panels: should skip the cells covered by a spanning panel', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 1, {dx: 2});
+    const grid = Grid({rows: 2, columns: 2, panels});
+    const visible = visiblePanels(grid).map(({x, y}) => ({x, y}));
+    t.deepEqual(visible, [{x: 1, y: 1}, {x: 1, y: 2}, {x: 2, y: 2}]);
+  })
+  .test('swap: should exchange two panels of the same size', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {dx: 2});
+    panels = updateAt(panels, 1, 3, {dx: 2});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    const relocations = swap(grid, {x: 1, y: 1}, {x: 2, y: 3});
+    t.deepEqual(relocations, [
+      {from: {x: 1, y: 1}, to: {x: 1, y: 3}, dx: 2, dy: 1},
+      {from: {x: 1, y: 3}, to: {x: 1, y: 1}, dx: 2, dy: 1}
+    ]);
+  })
+  .test('swap: should not swap panels of different sizes', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {dx: 2});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    t.equal(swap(grid, {x: 1, y: 1}, {x: 3, y: 3}), null);
+  })
+  .test('swap: should not swap a panel with itself', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {dx: 2});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    t.equal(swap(grid, {x: 1, y: 1}, {x: 2, y: 1}), null);
+  })
+  .test('push: should shift the displaced panel down', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {data: {type: 'list'}});
+    panels = updateAt(panels, 2, 2, {data: {type: 'chart'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    const relocations = push(grid, {x: 1, y: 1}, {x: 2, y: 2});
+    t.deepEqual(relocations, [
+      {from: {x: 1, y: 1}, to: {x: 2, y: 2}, dx: 1, dy: 1},
+      {from: {x: 2, y: 2}, to: {x: 2, y: 3}, dx: 1, dy: 1}
+    ]);
+  })
+  .test('push: should cascade when the displaced panel overlaps another one', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {data: {type: 'list'}});
+    panels = updateAt(panels, 2, 2, {data: {type: 'chart'}});
+    panels = updateAt(panels, 2, 3, {data: {type: 'list'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    const relocations = push(grid, {x: 1, y: 1}, {x: 2, y: 2});
+    t.deepEqual(relocations, [
+      {from: {x: 1, y: 1}, to: {x: 2, y: 2}, dx: 1, dy: 1},
+      {from: {x: 2, y: 2}, to: {x: 2, y: 3}, dx: 1, dy: 1},
+      {from: {x: 2, y: 3}, to: {x: 3, y: 3}, dx: 1, dy: 1}
+    ]);
+  })
+  .test('push: should return null when there is not enough space', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 1, {data: {type: 'list'}});
+    panels = updateAt(panels, 2, 2, {dx: 1, data: {type: 'chart'}});
+    panels = updateAt(panels, 2, 1, {data: {type: 'chart'}});
+    panels = updateAt(panels, 1, 2, {data: {type: 'chart'}});
+    const grid = Grid({rows: 2, columns: 2, panels});
+    t.equal(push(grid, {x: 1, y: 1}, {x: 2, y: 2}), null);
+  })
+  .test('push: should return null when the panel does not fit into the grid', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 1, {dx: 2});
+    const grid = Grid({rows: 2, columns: 2, panels});
+    t.equal(push(grid, {x: 1, y: 1}, {x: 2, y: 2}), null);
+  })
+  .test('is free area: should only accept empty cells within the grid', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 2, 2, {dx: 2, data: {type: 'list'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    t.ok(isFreeArea(grid, {x: 1, y: 1, dx: 3, dy: 1}));
+    t.notOk(isFreeArea(grid, {x: 1, y: 2, dx: 2, dy: 1}), 'overlaps a panel');
+    t.notOk(isFreeArea(grid, {x: 3, y: 3, dx: 2, dy: 1}), 'out of the grid');
+  })
+  .test('next free area: should look for room in reading order', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {dx: 2, data: {type: 'list'}});
+    panels = updateAt(panels, 2, 2, {data: {type: 'chart'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    t.deepEqual(nextFreeArea(grid, {x: 1, y: 1, dx: 2, dy: 1}), {x: 1, y: 3});
+    t.deepEqual(nextFreeArea(grid, {x: 2, y: 2, dx: 1, dy: 1}), {x: 3, y: 2});
+    t.deepEqual(nextFreeArea(grid, {x: 1, y: 3, dx: 1, dy: 2}), {x: 3, y: 1}, 'back from the top left corner');
+    t.equal(nextFreeArea(grid, {x: 1, y: 1, dx: 3, dy: 2}), null);
+  })
+  .test('group move: should move the panels together by the same offset', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {dx: 2, data: {type: 'list'}});
+    panels = updateAt(panels, 1, 2, {data: {type: 'chart'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    const {relocations, area, valid, obstacles} = groupMove(grid, [{x: 1, y: 1}, {x: 1, y: 2}], {x: 1, y: 2}, {x: 2, y: 3});
+    t.ok(valid);
+    t.equal(obstacles.length, 0);
+    t.deepEqual(relocations, [
+      {from: {x: 1, y: 1}, to: {x: 2, y: 2}, dx: 2, dy: 1},
+      {from: {x: 1, y: 2}, to: {x: 2, y: 3}, dx: 1, dy: 1}
+    ]);
+    t.deepEqual([...area], [{x: 2, y: 2}, {x: 3, y: 2}, {x: 2, y: 3}], 'the union of the target areas');
+  })
+  .test('group move: should not cover the panels out of the group nor leave the grid', function * (t) {
+    let panels = emptyPanels(3, 3);
+    panels = updateAt(panels, 1, 1, {data: {type: 'list'}});
+    panels = updateAt(panels, 2, 1, {data: {type: 'chart'}});
+    panels = updateAt(panels, 3, 2, {data: {type: 'list'}});
+    const grid = Grid({rows: 3, columns: 3, panels});
+    const covering = groupMove(grid, [{x: 1, y: 1}, {x: 2, y: 1}], {x: 1, y: 1}, {x: 2, y: 2});
+    t.notOk(covering.valid);
+    t.deepEqual([...covering.obstacles], [{x: 3, y: 2}]);
+    const leaving = groupMove(grid, [{x: 1, y: 1}, {x: 2, y: 1}], {x: 1, y: 1}, {x: 3, y: 1});
+    t.notOk(leaving.valid, 'out of the grid');
+    t.equal(leaving.obstacles.length, 0);
+    t.ok(groupMove(grid, [{x: 1, y: 1}, {x: 2, y: 1}], {x: 2, y: 1}, {x: 3, y: 1}).valid, 'onto the cells the group leaves');
+  });
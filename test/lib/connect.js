@@ -0,0 +1,30 @@
+import zora from 'zora';
+import {h, mount} from 'flaco';
+import {createStore} from 'redux';
+import connect from '../../src/lib/connect';
+import {wait} from '../util';
+
+const counter = (state = {count: 0}, {type}) => type === 'INCREMENT' ? {count: state.count + 1} : state;
+
+export default zora()
+  .test('connect: should update the component when its slice of state changes', function * (t) {
+    const store = createStore(counter);
+    const container = document.createElement('div');
+    const Counter = connect(store, state => state)(({count}) => <p>{count}</p>);
+    mount(<Counter/>, {}, container);
+    yield wait();
+    store.dispatch({type: 'INCREMENT'});
+    yield wait();
+    t.equal(container.textContent, '1');
+  })
+  .test('connect: should catch up with the changes made before the component subscribes', function * (t) {
+    const store = createStore(counter);
+    const container = document.createElement('div');
+    const Counter = connect(store, state => state)(({count}) => <p>{count}</p>);
+    mount(<Counter/>, {}, container);
+    // the component is only mounted (and subscribed) on the next tick
+    store.dispatch({type: 'INCREMENT'});
+    store.dispatch({type: 'INCREMENT'});
+    yield wait(10);
+    t.equal(container.textContent, '2');
+  });
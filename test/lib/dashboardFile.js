@@ -0,0 +1,191 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {
+  FILE_FORMAT,
+  FILE_VERSION,
+  toDocument,
+  validateDocument,
+  fromDocument,
+  importFile
+} from '../../src/lib/dashboardFile';
+
+const createState = () => ({
+  grid: {
+    active: null,
+    rows: 2,
+    columns: 2,
+    collision: 'reject',
+    panels: updateAt(emptyPanels(2, 2), 1, 1, {
+      dx: 2,
+      adornerStatus: 1,
+      data: {type: 'list', source: 'issues', title: 'bugs', showToolBar: true, processing: true}
+    })
+  },
+  smartList: [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}, filter: {}, search: {}, slice: {page: 3}}, items: [{id: 1}]}]
+});
+
+const createDocument = (...panels) => ({format: FILE_FORMAT, version: FILE_VERSION, rows: 2, columns: 2, panels});
+
+const panel = (props = {}) => Object.assign({x: 1, y: 1, dx: 1, dy: 1, type: 'list', source: 'issues', title: 'bugs'}, props);
+
+const fakeActions = () => {
+  const calls = [];
+  const record = name => args => calls.push([name, args]);
+  return {
+    calls,
+    openModal: record('openModal'),
+    importDashboard: record('importDashboard')
+  };
+};
+
+const jsonFile = content => new Blob([typeof content === 'string' ? content : JSON.stringify(content)], {type: 'application/json'});
+
+export default zora()
+  .test('to document: should describe the configured panels only', function * (t) {
+    t.deepEqual(toDocument(createState()), {
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      rows: 2,
+      columns: 2,
+      locked: false,
+      panels: [{
+        x: 1,
+        y: 1,
+        dx: 2,
+        dy: 1,
+        type: 'list',
+        source: 'issues',
+        title: 'bugs',
+        showToolBar: true,
+        tableState: {sort: {pointer: 'title'}, filter: {}, search: {}}
+      }]
+    });
+  })
+  .test('validate document: should accept an exported document', function * (t) {
+    t.deepEqual(validateDocument(toDocument(createState())), []);
+  })
+  .test('validate document: should reject what is not a dashboard definition', function * (t) {
+    t.deepEqual(validateDocument([]), ['The file is not a dashboard definition']);
+    t.deepEqual(validateDocument({rows: 2}), ['The file is not a dashboard definition']);
+  })
+  .test('validate document: should reject unknown versions', function * (t) {
+    const doc = Object.assign(createDocument(), {version: FILE_VERSION + 1});
+    t.deepEqual(validateDocument(doc), [`The dashboard definition version ${FILE_VERSION + 1} is not supported`]);
+  })
+  .test('validate document: should reject invalid grid sizes', function * (t) {
+    const doc = Object.assign(createDocument(), {rows: 0});
+    t.deepEqual(validateDocument(doc), ['The grid size must be given as positive integer rows and columns']);
+  })
+  .test('validate document: should report every invalid panel', function * (t) {
+    const doc = createDocument(
+      panel({dx: 2}),
+      panel({x: 2, y: 1}),
+      panel({y: 2, dy: 2, type: 'foo', source: 'bar', title: ''}),
+      panel({x: 2, y: 2, showToolBar: 'yes', tableState: {sort: 'title'}})
+    );
+    t.deepEqual(validateDocument(doc), [
+      'Panel #2 overlaps panel #1',
+      'Panel #3 does not fit in a 2x2 grid',
+      'Panel #3 has an unknown type "foo" (expected one of list, chart, aggregation)',
+      'Panel #3 has an unknown source "bar" (expected one of issues, prs, stargazers, contributors, commits)',
+      'Panel #3 must have a title',
+      'Panel #4 has a toolbar flag which is not a boolean',
+      'Panel #4 has an invalid sort or filter state'
+    ]);
+  })
+  .test('from document: should build the layout and the table states', function * (t) {
+    const {rows, columns, panels, smartList} = fromDocument(toDocument(createState()));
+    t.equal(rows, 2);
+    t.equal(columns, 2);
+    t.deepEqual(panels, updateAt(emptyPanels(2, 2), 1, 1, {
+      dx: 2,
+      data: {type: 'list', source: 'issues', title: 'bugs', showToolBar: true}
+    }));
+    t.deepEqual(smartList, [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}, filter: {}, search: {}, slice: {page: 1}}}]);
+  })
+  .test('from document: list panels without table state should get the default one', function * (t) {
+    const {smartList} = fromDocument(createDocument(panel({x: 2}), panel({y: 2, type: 'chart'})));
+    t.deepEqual(smartList, [{x: 2, y: 1, tableState: {sort: {}, filter: {}, search: {}, slice: {page: 1}}}]);
+  })
+  .test('dashboard file: should keep the repository of the panels which have one', function * (t) {
+    const state = createState();
+    state.grid.panels = updateAt(state.grid.panels, 1, 2, {data: {type: 'chart', source: 'stargazers', title: 'stars', repository: 'facebook/react'}});
+    const doc = toDocument(state);
+    t.equal(doc.panels[0].repository, void 0);
+    t.equal(doc.panels[1].repository, 'facebook/react');
+    t.deepEqual(validateDocument(doc), []);
+    t.deepEqual(fromDocument(doc).panels.find(({y}) => y === 2).data, {type: 'chart', source: 'stargazers', title: 'stars', showToolBar: false, repository: 'facebook/react'});
+    t.deepEqual(validateDocument(createDocument(panel({repository: 'react'}))), ['Panel #1 has an invalid repository "react" (expected owner/repo)']);
+  })
+  .test('dashboard file: should keep the locks of the dashboard and of the panels', function * (t) {
+    const state = createState();
+    state.grid.locked = true;
+    state.grid.panels = updateAt(state.grid.panels, 1, 2, {data: {type: 'chart', source: 'stargazers', title: 'stars', locked: true}});
+    const doc = toDocument(state);
+    t.equal(doc.locked, true);
+    t.equal(doc.panels[0].locked, void 0);
+    t.equal(doc.panels[1].locked, true);
+    t.deepEqual(validateDocument(doc), []);
+    const {locked, panels} = fromDocument(doc);
+    t.equal(locked, true);
+    t.deepEqual(panels.find(({y}) => y === 2).data, {type: 'chart', source: 'stargazers', title: 'stars', showToolBar: false, locked: true});
+    t.deepEqual(validateDocument(createDocument(panel({locked: 'yes'}))), ['Panel #1 has a lock flag which is not a boolean']);
+    t.deepEqual(validateDocument(Object.assign(createDocument(), {locked: 1})), ['The dashboard lock flag must be a boolean']);
+  })
+  .test('dashboard file: should keep the contribution window of the contributors panels', function * (t) {
+    const state = createState();
+    state.grid.panels = updateAt(state.grid.panels, 1, 2, {data: {type: 'list', source: 'contributors', title: 'people', window: 'quarter'}});
+    const doc = toDocument(state);
+    t.equal(doc.panels[0].window, void 0);
+    t.equal(doc.panels[1].window, 'quarter');
+    t.deepEqual(validateDocument(doc), []);
+    t.deepEqual(fromDocument(doc).panels.find(({y}) => y === 2).data, {type: 'list', source: 'contributors', title: 'people', showToolBar: false, window: 'quarter'});
+    t.deepEqual(validateDocument(createDocument(panel({source: 'contributors', window: 'week'}))), [
+      'Panel #1 has an unknown contribution window "week" (expected one of all, year, quarter, month)'
+    ]);
+  })
+  .test('dashboard file: should keep the query of the commits panels', function * (t) {
+    const state = createState();
+    const query = {author: 'bob', branch: 'develop', path: 'src/'};
+    state.grid.panels = updateAt(state.grid.panels, 1, 2, {data: {type: 'list', source: 'commits', title: 'commits', query}});
+    const doc = toDocument(state);
+    t.equal(doc.panels[0].query, void 0);
+    t.deepEqual(doc.panels[1].query, query);
+    t.deepEqual(validateDocument(doc), []);
+    t.deepEqual(fromDocument(doc).panels.find(({y}) => y === 2).data, {type: 'list', source: 'commits', title: 'commits', showToolBar: false, query});
+    t.deepEqual(validateDocument(createDocument(
+      panel({source: 'commits', query: 'bob'}),
+      panel({x: 2, source: 'commits', query: {sha: 'abc'}}),
+      panel({y: 2, source: 'commits', query: {author: ''}})
+    )), [
+      'Panel #1 has an invalid commits query (expected non empty author, branch, path filters)',
+      'Panel #2 has an invalid commits query (expected non empty author, branch, path filters)',
+      'Panel #3 has an invalid commits query (expected non empty author, branch, path filters)'
+    ]);
+  })
+  .test('import file: should ask for a confirmation before importing a valid document', function * (t) {
+    const actions = fakeActions();
+    yield importFile(actions)(jsonFile(toDocument(createState())));
+    t.equal(actions.calls.length, 1);
+    const [name, {modalType, executeAction}] = actions.calls[0];
+    t.equal(name, 'openModal');
+    t.equal(modalType, 'askConfirmation');
+    executeAction();
+    t.equal(actions.calls.length, 2);
+    t.equal(actions.calls[1][0], 'importDashboard');
+    t.deepEqual(actions.calls[1][1], fromDocument(toDocument(createState())));
+  })
+  .test('import file: should show the validation errors', function * (t) {
+    const actions = fakeActions();
+    yield importFile(actions)(jsonFile(createDocument(panel({type: 'foo'}))));
+    t.deepEqual(actions.calls, [['openModal', {
+      modalType: 'importErrors',
+      title: 'Invalid dashboard file',
+      errors: ['Panel #1 has an unknown type "foo" (expected one of list, chart, aggregation)']
+    }]]);
+  })
+  .test('import file: should reject what is not JSON', function * (t) {
+    const actions = fakeActions();
+    yield importFile(actions)(jsonFile('{foo'));
+    t.deepEqual(actions.calls[0][1].errors, ['The file is not a valid JSON document']);
+  });
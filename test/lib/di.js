@@ -7,7 +7,6 @@ export default zora()
     const withDi = inject(Comp);
     const result = withDi({foo: 'bar'});
 
-    t.ok(result.grid, 'grid service should be defined');
     t.ok(result.actions, 'actions service should be defined');
     t.ok(result.smartLists, 'smart list service should be defined');
     t.ok(result.store, 'store service should be defined');
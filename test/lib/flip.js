@@ -0,0 +1,81 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {isSettling, settledPanels, invert, animateSettling} from '../../src/lib/flip';
+
+const list = {type: 'list', title: 'foo'};
+const chart = {type: 'chart', title: 'bar'};
+
+const createGrid = (...updates) => ({
+  rows: 2,
+  columns: 2,
+  active: null,
+  panels: updates.reduce((panels, [x, y, props]) => updateAt(panels, x, y, props), emptyPanels(2, 2))
+});
+
+const before = () => Object.assign(createGrid([1, 1, {data: list}], [2, 1, {data: chart}]), {active: {x: 1, y: 1, operation: 'move'}});
+
+const after = () => createGrid([1, 2, {data: list}], [2, 1, {dy: 2, data: chart}]);
+
+const fakeWindow = (reduced = false) => ({
+  matchMedia: query => ({matches: reduced && query === '(prefers-reduced-motion: reduce)'}),
+  requestAnimationFrame: fn => fn()
+});
+
+const fakeRoot = () => {
+  const root = document.createElement('div');
+  root.innerHTML = '<div class="data-layer"><div class="data-panel" x="1" y="2"></div><div class="data-panel" x="2" y="1"></div></div>';
+  const animations = [];
+  for (let element of root.querySelectorAll('.data-panel')) {
+    element.animate = (keyframes, options) => animations.push({x: element.getAttribute('x'), y: element.getAttribute('y'), keyframes, options});
+  }
+  return {root, animations};
+};
+
+export default zora()
+  .test('flip: should tell whether a move or a resize is over', function * (t) {
+    t.ok(isSettling(before(), after()));
+    t.notOk(isSettling(before(), Object.assign(after(), {active: {x: 1, y: 1, operation: 'move'}})));
+    t.notOk(isSettling(Object.assign(before(), {active: {x: 1, y: 1, operation: 'duplicate'}}), after()));
+    t.notOk(isSettling(Object.assign(before(), {active: null}), after()));
+  })
+  .test('flip: should find the panels which have been moved or resized', function * (t) {
+    const previous = before();
+    const next = Object.assign({}, after(), {panels: updateAt(after().panels, 2, 1, {data: previous.panels[1].data})});
+    t.deepEqual(settledPanels(previous, next), [
+      {from: {x: 2, y: 1, dx: 1, dy: 1}, to: {x: 2, y: 1, dx: 1, dy: 2}},
+      {from: {x: 1, y: 1, dx: 1, dy: 1}, to: {x: 1, y: 2, dx: 1, dy: 1}}
+    ]);
+    t.deepEqual(settledPanels(previous, previous), []);
+  })
+  .test('flip: should invert the settling of a panel', function * (t) {
+    t.deepEqual(invert({from: {x: 1, y: 1, dx: 2, dy: 1}, to: {x: 2, y: 3, dx: 1, dy: 2}}, {width: 100, height: 50}), {
+      x: -100,
+      y: -100,
+      scaleX: 2,
+      scaleY: 0.5
+    });
+  })
+  .test('flip: should animate the panels from their previous area once a move is over', function * (t) {
+    const previous = before();
+    let state = {grid: previous};
+    const store = {getState: () => state};
+    const {root, animations} = fakeRoot();
+    const listener = animateSettling(store, root, {win: fakeWindow(), duration: 100});
+    state = {grid: Object.assign({}, previous, {active: null, panels: updateAt(updateAt(previous.panels, 1, 1, {data: {}}), 1, 2, {data: previous.panels[0].data})})};
+    listener();
+    t.equal(animations.length, 1);
+    t.equal(animations[0].x, '1');
+    t.equal(animations[0].y, '2');
+    t.equal(animations[0].keyframes[1].transform, 'none');
+    t.deepEqual(animations[0].options, {duration: 100, easing: 'ease-out'});
+  })
+  .test('flip: should not animate when the user prefers reduced motion', function * (t) {
+    const previous = before();
+    let state = {grid: previous};
+    const store = {getState: () => state};
+    const {root, animations} = fakeRoot();
+    const listener = animateSettling(store, root, {win: fakeWindow(true)});
+    state = {grid: Object.assign({}, previous, {active: null, panels: updateAt(updateAt(previous.panels, 1, 1, {data: {}}), 1, 2, {data: previous.panels[0].data})})};
+    listener();
+    t.equal(animations.length, 0);
+  });
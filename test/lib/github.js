@@ -0,0 +1,419 @@
+import zora from 'zora';
+import {parseLinkHeader, parseRepository, normalizeIssue, normalizePullRequest, normalizeStargazer, normalizeContributor, normalizeCommit, fetchAll, fetchStatistics, github, STATISTICS_RETRIES, MAX_PAGES, DETAILED_PULL_REQUESTS, ANONYMOUS_DETAILED_PULL_REQUESTS, STAR_MEDIA_TYPE} from '../../src/lib/github';
+
+const BASE_URL = 'http://localhost:8080';
+
+const response = (body, {status = 200, statusText = 'OK', headers = {}} = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText,
+  headers: {get: name => headers[name] !== void 0 ? headers[name] : null},
+  json: () => Promise.resolve(body)
+});
+
+// a stub server: the responses by url
+const stubFetch = (routes) => {
+  const requests = [];
+  const accepts = [];
+  const authorizations = [];
+  const fetch = (url, {headers = {}} = {}) => {
+    requests.push(url);
+    accepts.push(headers.Accept);
+    authorizations.push(headers.Authorization);
+    const route = routes[url];
+    return route === void 0 ? Promise.resolve(response({message: 'Not Found'}, {status: 404, statusText: 'Not Found'})) :
+      route instanceof Error ? Promise.reject(route) : Promise.resolve(route);
+  };
+  return {fetch, requests, accepts, authorizations};
+};
+
+const rawIssue = (number, extra = {}) => Object.assign({
+  id: number * 10,
+  number,
+  title: `issue ${number}`,
+  state: 'open',
+  html_url: `https://github.com/owner/repo/issues/${number}`,
+  url: `https://api.github.com/repos/owner/repo/issues/${number}`,
+  created_at: '2017-06-01T10:00:00Z',
+  updated_at: '2017-06-02T10:00:00Z',
+  closed_at: null,
+  comments: number,
+  user: {login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob', gravatar_id: ''},
+  labels: [{id: 1, name: 'bug', color: 'ff0000', default: true}]
+}, extra);
+
+const rawPullRequest = (number, extra = {}) => Object.assign({
+  id: number * 100,
+  number,
+  title: `pull request ${number}`,
+  state: 'open',
+  draft: false,
+  html_url: `https://github.com/owner/repo/pull/${number}`,
+  created_at: '2017-06-01T10:00:00Z',
+  updated_at: '2017-06-02T10:00:00Z',
+  closed_at: null,
+  merged_at: null,
+  user: {login: 'alice', html_url: 'https://github.com/alice', avatar_url: 'https://avatars/alice'},
+  head: {ref: 'feature', sha: 'abc'},
+  base: {ref: 'master', sha: 'def'},
+  requested_reviewers: [{login: 'bob'}],
+  requested_teams: [{name: 'core'}]
+}, extra);
+
+const issuesUrl = (page) => `${BASE_URL}/repos/owner/repo/issues?state=all&per_page=100${page > 1 ? `&page=${page}` : ''}`;
+
+const pullsUrl = `${BASE_URL}/repos/owner/repo/pulls?state=all&sort=updated&direction=desc&per_page=100`;
+
+// the list of the pull requests and their details (the number of changed files is the number of the pull request)
+const pullRequestRoutes = (count) => {
+  const routes = {[pullsUrl]: response(Array.from({length: count}, (_, i) => rawPullRequest(i + 1)))};
+  for (let number = 1; number <= count; number++) {
+    routes[`${BASE_URL}/repos/owner/repo/pulls/${number}`] = response(rawPullRequest(number, {changed_files: number}));
+  }
+  return routes;
+};
+
+const link = (next, last) => `<${next}>; rel="next", <${last}>; rel="last"`;
+
+export default zora()
+  .test('parseLinkHeader: should return the urls by relation', function * (t) {
+    t.deepEqual(parseLinkHeader('<https://api.github.com/x?page=2>; rel="next", <https://api.github.com/x?page=5>; rel="last"'), {
+      next: 'https://api.github.com/x?page=2',
+      last: 'https://api.github.com/x?page=5'
+    });
+    t.deepEqual(parseLinkHeader('<https://api.github.com/x?page=1>; rel="prev first"'), {
+      prev: 'https://api.github.com/x?page=1',
+      first: 'https://api.github.com/x?page=1'
+    });
+    t.deepEqual(parseLinkHeader(null), {});
+    t.deepEqual(parseLinkHeader('garbage'), {});
+  })
+  .test('parseRepository: should split the owner and the repository name', function * (t) {
+    t.deepEqual(parseRepository('lorenzofox3/Smart-Table'), {owner: 'lorenzofox3', repo: 'Smart-Table'});
+    t.deepEqual(parseRepository(' owner/repo.js '), {owner: 'owner', repo: 'repo.js'});
+    t.equal(parseRepository('owner'), null);
+    t.equal(parseRepository('owner/repo/issues'), null);
+    t.equal(parseRepository(undefined), null);
+  })
+  .test('normalizeIssue: should only keep what the lists use', function * (t) {
+    t.deepEqual(normalizeIssue(rawIssue(3)), {
+      id: 30,
+      number: 3,
+      title: 'issue 3',
+      state: 'open',
+      html_url: 'https://github.com/owner/repo/issues/3',
+      created_at: '2017-06-01T10:00:00Z',
+      updated_at: '2017-06-02T10:00:00Z',
+      closed_at: null,
+      comments: 3,
+      user: {login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob'},
+      labels: [{name: 'bug', color: 'ff0000'}]
+    });
+  })
+  .test('normalizeIssue: should support a deleted author', function * (t) {
+    const {user} = normalizeIssue(rawIssue(3, {user: null}));
+    t.deepEqual(user, {login: undefined, html_url: undefined, avatar_url: undefined});
+  })
+  .test('fetchAll: should follow the next links', function * (t) {
+    const {fetch, requests} = stubFetch({
+      [issuesUrl(1)]: response([rawIssue(1), rawIssue(2)], {headers: {Link: link(issuesUrl(2), issuesUrl(3))}}),
+      [issuesUrl(2)]: response([rawIssue(3)], {headers: {Link: link(issuesUrl(3), issuesUrl(3))}}),
+      [issuesUrl(3)]: response([rawIssue(4)])
+    });
+    const items = yield fetchAll(fetch, issuesUrl(1));
+    t.deepEqual(items.map(({number}) => number), [1, 2, 3, 4]);
+    t.deepEqual(requests, [issuesUrl(1), issuesUrl(2), issuesUrl(3)]);
+  })
+  .test('fetchAll: should stop after the maximum number of pages', function * (t) {
+    const routes = {};
+    for (let page = 1; page <= MAX_PAGES + 2; page++) {
+      routes[issuesUrl(page)] = response([rawIssue(page)], {headers: {Link: link(issuesUrl(page + 1), issuesUrl(MAX_PAGES + 2))}});
+    }
+    const {fetch, requests} = stubFetch(routes);
+    const items = yield fetchAll(fetch, issuesUrl(1));
+    t.equal(items.length, MAX_PAGES);
+    t.equal(requests.length, MAX_PAGES);
+    const firstTwo = yield fetchAll(fetch, issuesUrl(1), {maxPages: 2});
+    t.equal(firstTwo.length, 2);
+  })
+  .test('fetchAll: should reject with a readable message', function * (t) {
+    const repository = {owner: 'owner', repo: 'repo'};
+    const failures = [
+      [response({}, {status: 404, statusText: 'Not Found'}), 'The repository owner/repo could not be found', 404],
+      [response({}, {status: 403, statusText: 'Forbidden', headers: {'X-RateLimit-Remaining': '0'}}), 'The GitHub API rate limit has been exceeded, try again later', 403],
+      [response({}, {status: 500, statusText: 'Internal Server Error'}), 'The GitHub API responded with 500 Internal Server Error', 500],
+      [new TypeError('Failed to fetch'), 'The GitHub API could not be reached', 0]
+    ];
+    for (let [route, message, status] of failures) {
+      const {fetch} = stubFetch({[issuesUrl(1)]: route});
+      try {
+        yield fetchAll(fetch, issuesUrl(1), {repository});
+        t.fail('should have rejected');
+      } catch (e) {
+        t.equal(e.message, message);
+        t.equal(e.status, status);
+      }
+    }
+  })
+  .test('github client: should fetch the issues of a repository from the configured server', function * (t) {
+    const {fetch, requests} = stubFetch({
+      [issuesUrl(1)]: response([rawIssue(1), rawIssue(2, {pull_request: {url: 'https://api.github.com/repos/owner/repo/pulls/2'}}), rawIssue(3)])
+    });
+    const client = github({baseUrl: `${BASE_URL}/`, fetch});
+    const issues = yield client.issues({owner: 'owner', repo: 'repo'});
+    t.deepEqual(issues.map(({number}) => number), [1, 3], 'the pull requests are not issues');
+    t.deepEqual(requests, [issuesUrl(1)]);
+  })
+  .test('github client: should share the request of a repository between the lists', function * (t) {
+    const {fetch, requests} = stubFetch({
+      [issuesUrl(1)]: response([rawIssue(1)])
+    });
+    const client = github({baseUrl: BASE_URL, fetch});
+    const [first, second] = yield Promise.all([client.issues({owner: 'owner', repo: 'repo'}), client.issues({owner: 'owner', repo: 'repo'})]);
+    t.equal(first, second);
+    t.equal(requests.length, 1);
+    client.clear();
+    yield client.issues({owner: 'owner', repo: 'repo'});
+    t.equal(requests.length, 2);
+  })
+  .test('github client: should fetch a response again once it is too old or cleared', function * (t) {
+    const {fetch, requests} = stubFetch({
+      [issuesUrl(1)]: response([rawIssue(1)]),
+      [`${BASE_URL}/repos/other/repo/issues?state=all&per_page=100`]: response([rawIssue(2)])
+    });
+    let time = 0;
+    const client = github({baseUrl: BASE_URL, fetch, maxAge: 1000, now: () => time});
+    yield client.issues({owner: 'owner', repo: 'repo'});
+    time = 1000;
+    yield client.issues({owner: 'owner', repo: 'repo'});
+    t.equal(requests.length, 1, 'still fresh');
+    time = 1001;
+    yield client.issues({owner: 'owner', repo: 'repo'});
+    t.equal(requests.length, 2, 'too old');
+    yield client.issues({owner: 'other', repo: 'repo'});
+    client.clear({owner: 'owner', repo: 'repo'});
+    yield client.issues({owner: 'owner', repo: 'repo'});
+    yield client.issues({owner: 'other', repo: 'repo'});
+    t.equal(requests.length, 4, 'only the responses of the cleared repository are fetched again');
+  })
+  .test('github client: should retry a failed request', function * (t) {
+    const routes = {[issuesUrl(1)]: response({}, {status: 500, statusText: 'Internal Server Error'})};
+    const {fetch, requests} = stubFetch(routes);
+    const client = github({baseUrl: BASE_URL, fetch});
+    try {
+      yield client.issues({owner: 'owner', repo: 'repo'});
+      t.fail('should have rejected');
+    } catch (e) {
+      t.equal(e.status, 500);
+    }
+    routes[issuesUrl(1)] = response([rawIssue(1)]);
+    const issues = yield client.issues({owner: 'owner', repo: 'repo'});
+    t.equal(issues.length, 1);
+    t.equal(requests.length, 2);
+  })
+  .test('normalizePullRequest: should tell the status of the pull request', function * (t) {
+    t.equal(normalizePullRequest(rawPullRequest(1)).status, 'open');
+    t.equal(normalizePullRequest(rawPullRequest(1, {draft: true})).status, 'draft');
+    t.equal(normalizePullRequest(rawPullRequest(1, {state: 'closed', merged_at: '2017-06-03T10:00:00Z'})).status, 'merged');
+    t.equal(normalizePullRequest(rawPullRequest(1, {state: 'closed', draft: true})).status, 'closed');
+  })
+  .test('normalizePullRequest: should flatten the branches and the review requests', function * (t) {
+    const pullRequest = normalizePullRequest(rawPullRequest(1));
+    t.equal(pullRequest.head, 'feature');
+    t.equal(pullRequest.base, 'master');
+    t.deepEqual(pullRequest.requested_reviewers, ['bob', 'core']);
+    t.equal(pullRequest.merged_at, '', 'the pull requests which are not merged come last when sorted by merge date');
+    t.equal(pullRequest.changed_files, null, 'the counts are only known from the details');
+    t.equal(pullRequest.review_comments, null);
+    t.equal(pullRequest.review_rank, -1, 'the pull requests without details come last when sorted by review comments');
+    const detailed = normalizePullRequest(rawPullRequest(1, {changed_files: 3, additions: 10, deletions: 2, review_comments: 4, comments: 1}));
+    t.deepEqual([detailed.changed_files, detailed.additions, detailed.deletions, detailed.review_comments, detailed.comments], [3, 10, 2, 4, 1]);
+    t.equal(detailed.review_rank, 4);
+  })
+  .test('github client: should fetch the details of the most recently updated pull requests', function * (t) {
+    const count = DETAILED_PULL_REQUESTS + 2;
+    const routes = pullRequestRoutes(count);
+    // the details of a pull request can not be fetched
+    routes[`${BASE_URL}/repos/owner/repo/pulls/2`] = response({}, {status: 500, statusText: 'Internal Server Error'});
+    const {fetch, requests} = stubFetch(routes);
+    const pullRequests = yield github({baseUrl: BASE_URL, fetch, token: 'secret'}).pullRequests({owner: 'owner', repo: 'repo'});
+    t.equal(pullRequests.length, count);
+    t.equal(requests.length, DETAILED_PULL_REQUESTS + 1);
+    t.equal(pullRequests[0].changed_files, 1);
+    t.equal(pullRequests[1].changed_files, null, 'the pull request is kept without its details');
+    t.equal(pullRequests[count - 1].changed_files, null);
+  })
+  .test('github client: should fetch the details of a few pull requests only without a token', function * (t) {
+    const {fetch, requests} = stubFetch(pullRequestRoutes(DETAILED_PULL_REQUESTS));
+    const pullRequests = yield github({baseUrl: BASE_URL, fetch}).pullRequests({owner: 'owner', repo: 'repo'});
+    t.equal(requests.length, ANONYMOUS_DETAILED_PULL_REQUESTS + 1);
+    t.equal(pullRequests[ANONYMOUS_DETAILED_PULL_REQUESTS - 1].changed_files, ANONYMOUS_DETAILED_PULL_REQUESTS);
+    t.equal(pullRequests[ANONYMOUS_DETAILED_PULL_REQUESTS].changed_files, null);
+  })
+  .test('github client: should stop fetching the details of the pull requests once the rate limit is exceeded', function * (t) {
+    const routes = pullRequestRoutes(DETAILED_PULL_REQUESTS);
+    routes[`${BASE_URL}/repos/owner/repo/pulls/2`] = response({}, {status: 403, statusText: 'Forbidden', headers: {'X-RateLimit-Remaining': '0'}});
+    const {fetch, requests} = stubFetch(routes);
+    const pullRequests = yield github({baseUrl: BASE_URL, fetch, token: 'secret'}).pullRequests({owner: 'owner', repo: 'repo'});
+    t.equal(pullRequests.length, DETAILED_PULL_REQUESTS);
+    t.equal(requests.length, ANONYMOUS_DETAILED_PULL_REQUESTS + 1, 'the requests of the batch in progress only');
+    t.equal(pullRequests[0].changed_files, 1);
+    t.equal(pullRequests[DETAILED_PULL_REQUESTS - 1].changed_files, null);
+  })
+  .test('normalizeStargazer: should keep the user and the star date', function * (t) {
+    t.deepEqual(normalizeStargazer({
+      starred_at: '2017-06-01T10:00:00Z',
+      user: {id: 1, login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob', type: 'User'}
+    }), {id: 1, login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob', starred_at: '2017-06-01T10:00:00Z'});
+  })
+  .test('github client: should ask for the star dates of the stargazers', function * (t) {
+    const url = `${BASE_URL}/repos/owner/repo/stargazers?per_page=100`;
+    const {fetch, accepts} = stubFetch({
+      [url]: response([{starred_at: '2017-06-01T10:00:00Z', user: {id: 1, login: 'bob'}}])
+    });
+    const stargazers = yield github({baseUrl: BASE_URL, fetch}).stargazers({owner: 'owner', repo: 'repo'});
+    t.deepEqual(stargazers.map(({login, starred_at}) => [login, starred_at]), [['bob', '2017-06-01T10:00:00Z']]);
+    t.deepEqual(accepts, [STAR_MEDIA_TYPE]);
+  })
+  .test('normalizeContributor: should sum the contributions of each window', function * (t) {
+    const now = Date.UTC(2017, 5, 30);
+    const weeksAgo = n => (now - n * 7 * 24 * 3600 * 1000) / 1000;
+    const contributor = normalizeContributor({
+      total: 7,
+      author: {id: 1, login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob', type: 'User'},
+      weeks: [
+        {w: weeksAgo(100), a: 100, d: 10, c: 4},
+        {w: weeksAgo(10), a: 20, d: 2, c: 2},
+        {w: weeksAgo(2), a: 5, d: 1, c: 1}
+      ]
+    }, now);
+    t.deepEqual([contributor.login, contributor.html_url, contributor.avatar_url, contributor.total], ['bob', 'https://github.com/bob', 'https://avatars/bob', 7]);
+    t.deepEqual(contributor.stats, {
+      all: {commits: 7, additions: 125, deletions: 13},
+      year: {commits: 3, additions: 25, deletions: 3},
+      quarter: {commits: 3, additions: 25, deletions: 3},
+      month: {commits: 1, additions: 5, deletions: 1}
+    });
+  })
+  .test('fetchStatistics: should wait for GitHub to compute the statistics', function * (t) {
+    const url = `${BASE_URL}/repos/owner/repo/stats/contributors`;
+    const answers = [response({}, {status: 202, statusText: 'Accepted'}), response([{total: 1}])];
+    const requests = [];
+    const fetch = url => {
+      requests.push(url);
+      return Promise.resolve(answers.shift());
+    };
+    const statistics = yield fetchStatistics(fetch, url, {retryDelay: 1});
+    t.deepEqual(statistics, [{total: 1}]);
+    t.equal(requests.length, 2);
+  })
+  .test('fetchStatistics: should give up after a few attempts', function * (t) {
+    const url = `${BASE_URL}/repos/owner/repo/stats/contributors`;
+    const {fetch, requests} = stubFetch({[url]: response({}, {status: 202, statusText: 'Accepted'})});
+    try {
+      yield fetchStatistics(fetch, url, {retryDelay: 1});
+      t.fail('should have rejected');
+    } catch (e) {
+      t.equal(e.status, 202);
+      t.equal(requests.length, STATISTICS_RETRIES + 1);
+    }
+  })
+  .test('github client: should fetch the contributors statistics', function * (t) {
+    const {fetch, requests} = stubFetch({
+      [`${BASE_URL}/repos/owner/repo/stats/contributors`]: response([{total: 3, weeks: [], author: {login: 'bob'}}])
+    });
+    const contributors = yield github({baseUrl: BASE_URL, fetch}).contributors({owner: 'owner', repo: 'repo'});
+    t.deepEqual(contributors.map(({login, total}) => [login, total]), [['bob', 3]]);
+    t.equal(requests.length, 1);
+  })
+  .test('normalizeCommit: should keep the headline of the message and the verification', function * (t) {
+    const commit = normalizeCommit({
+      sha: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
+      html_url: 'https://github.com/owner/repo/commit/6dcb09b',
+      commit: {
+        message: 'fix the sort\n\nthe sort was broken',
+        author: {name: 'Bob', email: 'bob@example.com', date: '2017-06-01T10:00:00Z'},
+        verification: {verified: true, reason: 'valid'}
+      },
+      author: {login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob'}
+    });
+    t.deepEqual(commit, {
+      sha: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
+      short_sha: '6dcb09b',
+      headline: 'fix the sort',
+      message: 'fix the sort\n\nthe sort was broken',
+      html_url: 'https://github.com/owner/repo/commit/6dcb09b',
+      date: '2017-06-01T10:00:00Z',
+      author: {name: 'Bob', login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob'},
+      verified: true
+    });
+  })
+  .test('normalizeCommit: should support an author without a GitHub account', function * (t) {
+    const {author, verified} = normalizeCommit({sha: 'abc', commit: {message: 'wip', author: {name: 'Bob', date: '2017-06-01T10:00:00Z'}}, author: null});
+    t.deepEqual(author, {name: 'Bob', login: undefined, html_url: undefined, avatar_url: undefined});
+    t.equal(verified, false);
+  })
+  .test('github client: should fetch the commits one page at a time with the query filters', function * (t) {
+    const first = `${BASE_URL}/repos/owner/repo/commits?sha=develop&author=bob&path=src%2Flib&per_page=100`;
+    const second = `${first}&page=2`;
+    const raw = sha => ({sha, commit: {message: sha, author: {date: '2017-06-01T10:00:00Z'}}});
+    const {fetch, requests} = stubFetch({
+      [first]: response([raw('a'), raw('b')], {headers: {Link: link(second, second)}}),
+      [second]: response([raw('c')])
+    });
+    const client = github({baseUrl: BASE_URL, fetch});
+    const page = yield client.commits({owner: 'owner', repo: 'repo'}, {branch: 'develop', author: 'bob', path: 'src/lib'});
+    t.deepEqual(page.items.map(({sha}) => sha), ['a', 'b']);
+    t.deepEqual(requests, [first]);
+    const next = yield page.next();
+    t.deepEqual(next.items.map(({sha}) => sha), ['c']);
+    t.equal(next.next, null, 'the last page');
+    t.deepEqual(requests, [first, second]);
+  })
+  .test('github client: should tell when the branch of the commits does not exist', function * (t) {
+    const {fetch} = stubFetch({});
+    try {
+      yield github({baseUrl: BASE_URL, fetch}).commits({owner: 'owner', repo: 'repo'}, {branch: 'nope'});
+      t.fail('should have rejected');
+    } catch (e) {
+      t.equal(e.message, 'The branch nope could not be found');
+    }
+  })
+  .test('github client: should tell when a repository does not exist', function * (t) {
+    const {fetch} = stubFetch({
+      [`${BASE_URL}/repos/facebook/react`]: response({full_name: 'facebook/react', name: 'react', owner: {login: 'facebook'}, description: 'UI'})
+    });
+    const client = github({baseUrl: BASE_URL, fetch});
+    t.deepEqual(yield client.repository({owner: 'facebook', repo: 'react'}), {full_name: 'facebook/react', owner: 'facebook', repo: 'react', description: 'UI'});
+    try {
+      yield client.repository({owner: 'facebook', repo: 'nope'});
+      t.fail('should have rejected');
+    } catch (e) {
+      t.equal(e.message, 'The repository facebook/nope could not be found');
+      t.equal(e.status, 404);
+    }
+  })
+  .test('github client: should suggest the repositories of the authenticated user and of their organizations', function * (t) {
+    const userRepos = `${BASE_URL}/user/repos?affiliation=owner%2Ccollaborator%2Corganization_member&sort=updated&per_page=100`;
+    const {fetch, requests, authorizations} = stubFetch({
+      [userRepos]: response(['dashboard', 'smart-table', 'zora'].map(name => ({full_name: `me/${name}`, name, owner: {login: 'me'}})))
+    });
+    const client = github({baseUrl: BASE_URL, fetch, token: 'secret'});
+    const suggestions = yield client.suggestRepositories('TAB');
+    t.deepEqual(suggestions.map(({full_name}) => full_name), ['me/smart-table']);
+    t.deepEqual((yield client.suggestRepositories('', 2)).map(({full_name}) => full_name), ['me/dashboard', 'me/smart-table']);
+    t.deepEqual(requests, [userRepos], 'the repositories are fetched once');
+    t.deepEqual(authorizations, ['token secret']);
+  })
+  .test('github client: should search the repositories when there is no token', function * (t) {
+    const search = `${BASE_URL}/search/repositories?q=tab%20in%3Aname%20user%3Alorenzofox3&per_page=10`;
+    const {fetch, requests, authorizations} = stubFetch({
+      [search]: response({items: [{full_name: 'lorenzofox3/smart-table', name: 'smart-table', owner: {login: 'lorenzofox3'}}]})
+    });
+    const client = github({baseUrl: BASE_URL, fetch});
+    t.deepEqual(yield client.suggestRepositories('s'), [], 'too short to search');
+    const suggestions = yield client.suggestRepositories('lorenzofox3/tab');
+    t.deepEqual(suggestions.map(({full_name}) => full_name), ['lorenzofox3/smart-table']);
+    t.deepEqual(requests, [search]);
+    t.deepEqual(authorizations, [void 0]);
+  });
@@ -1,5 +1,21 @@
 import zora from 'zora';
-import {indexFromDef, defFromIndex, valuesFromDef, AreaFactory, Grid} from '../../src/lib/grid';
+import {
+  indexFromDef,
+  defFromIndex,
+  valuesFromDef,
+  resizedDef,
+  AreaFactory,
+  Grid,
+  emptyPanels,
+  updateAt,
+  updateArea,
+  insertRow,
+  insertColumn,
+  removeRow,
+  removeColumn,
+  canRemoveRow,
+  isLocked
+} from '../../src/lib/grid';
 
 export default zora()
   .test('indexFromIndex', function * (t) {
@@ -22,6 +38,61 @@ export default zora()
       0, 1, 1, 1
     ]);
   })
+  .test('indexFromDef: rectangular grid', function * (t) {
+    const fn = indexFromDef(3, 8);
+    t.equal(fn(1, 1), 0);
+    t.equal(fn(8, 1), 7);
+    t.equal(fn(3, 2), 10);
+    t.equal(fn(8, 3), 23);
+  })
+  .test('defFromIndex: rectangular grid', function * (t) {
+    const wide = defFromIndex(3, 8);
+    t.deepEqual(wide(7), {x: 8, y: 1});
+    t.deepEqual(wide(10), {x: 3, y: 2});
+    t.deepEqual(wide(23), {x: 8, y: 3});
+    const tall = defFromIndex(4, 2);
+    t.deepEqual(tall(5), {x: 2, y: 3});
+  })
+  .test('valueFromDef: rectangular grid', function * (t) {
+    const wide = valuesFromDef(2, 5);
+    t.deepEqual(wide({x: 4, y: 1, dx: 2, dy: 2}), [
+      0, 0, 0, 1, 1,
+      0, 0, 0, 1, 1
+    ]);
+    const tall = valuesFromDef(4, 2);
+    t.deepEqual(tall({x: 2, y: 2, dy: 3}), [
+      0, 0,
+      0, 1,
+      0, 1,
+      0, 1
+    ]);
+  })
+  .test('valueFromDef: should clip the area to the grid', function * (t) {
+    const fn = valuesFromDef(2, 3);
+    t.deepEqual(fn({x: 3, y: 2, dx: 2, dy: 2}), [
+      0, 0, 0,
+      0, 0, 1
+    ]);
+  })
+  .test('resizedDef: should move the sides related to the direction only', function * (t) {
+    const def = {x: 2, y: 2, dx: 2, dy: 2};
+    t.deepEqual(resizedDef(def, 'se', {x: 4, y: 4}), {x: 2, y: 2, dx: 3, dy: 3});
+    t.deepEqual(resizedDef(def, 'e', {x: 4, y: 4}), {x: 2, y: 2, dx: 3, dy: 2});
+    t.deepEqual(resizedDef(def, 'n', {x: 4, y: 1}), {x: 2, y: 1, dx: 2, dy: 3});
+    t.deepEqual(resizedDef(def, 'w', {x: 3, y: 1}), {x: 3, y: 2, dx: 1, dy: 2});
+    t.deepEqual(resizedDef(def, 'nw', {x: 1, y: 3}), {x: 1, y: 3, dx: 3, dy: 1});
+    t.deepEqual(resizedDef(def, 'sw', {x: 1, y: 2}), {x: 1, y: 2, dx: 3, dy: 1});
+    t.deepEqual(resizedDef(def, 'ne', {x: 2, y: 3}), {x: 2, y: 3, dx: 1, dy: 1});
+  })
+  .test('resizedDef: should default to the bottom right corner', function * (t) {
+    t.deepEqual(resizedDef({x: 1, y: 1}, void 0, {x: 2, y: 3}), {x: 1, y: 1, dx: 2, dy: 3});
+  })
+  .test('resizedDef: should return null when a side goes beyond the opposite one', function * (t) {
+    const def = {x: 2, y: 2, dx: 2, dy: 2};
+    t.equal(resizedDef(def, 'se', {x: 1, y: 3}), null);
+    t.equal(resizedDef(def, 'w', {x: 4, y: 2}), null);
+    t.equal(resizedDef(def, 'n', {x: 2, y: 4}), null);
+  })
   .test('Area: intersection', function * (t) {
     const factory = AreaFactory(4, 4);
     const a1 = factory([
@@ -116,6 +187,19 @@ export default zora()
       0, 0, 0, 0
     ])));
   })
+  .test('Area: iterable on rectangular grid', function * (t) {
+    const factory = AreaFactory(2, 3);
+    const a = factory([
+      0, 1, 1,
+      0, 0, 1
+    ]);
+    t.deepEqual([...a], [{x: 2, y: 1}, {x: 3, y: 1}, {x: 3, y: 2}]);
+    t.equal(a.length, 3);
+    t.deepEqual(a.complement().values, [
+      1, 0, 0,
+      1, 1, 0
+    ]);
+  })
   .test('Grid: should be an iterable with the panels definition', function * (t) {
     const g = Grid({rows: 2, columns: 2});
     const panelsDef = [...g];
@@ -127,14 +211,128 @@ export default zora()
     ]);
   })
   .test('Grid: panel at should return an area equivalent to the definition', function * (t) {
-    const g = Grid({rows: 2, columns: 2});
-    g.updateAt(1, 1, {dx: 2});
+    const g = Grid({rows: 2, columns: 2, panels: updateAt(emptyPanels(2, 2), 1, 1, {dx: 2})});
     const a = g.panel(1, 1);
     t.deepEqual(a.values, [
       1, 1,
       0, 0
     ]);
+  })
+  .test('Grid: rectangular grid should be an iterable with the panels definition', function * (t) {
+    const g = Grid({rows: 2, columns: 3});
+    t.deepEqual([...g].map(({x, y}) => ({x, y})), [
+      {x: 1, y: 1}, {x: 2, y: 1}, {x: 3, y: 1},
+      {x: 1, y: 2}, {x: 2, y: 2}, {x: 3, y: 2}
+    ]);
+  })
+  .test('Grid: rectangular grid panel and area', function * (t) {
+    const g = Grid({rows: 3, columns: 8, panels: updateAt(emptyPanels(3, 8), 7, 2, {dx: 2, dy: 2})});
+    t.deepEqual(g.panel(7, 2).values, [
+      0, 0, 0, 0, 0, 0, 0, 0,
+      0, 0, 0, 0, 0, 0, 1, 1,
+      0, 0, 0, 0, 0, 0, 1, 1
+    ]);
+    t.deepEqual([...g.area(1, 3, 3, 1)], [{x: 1, y: 3}, {x: 2, y: 3}, {x: 3, y: 3}]);
+  })
+  .test('Grid: should expose its dimensions', function * (t) {
+    const g = Grid({rows: 3, columns: 3});
+    t.equal(g.rows, 3);
+    t.equal(g.columns, 3);
+    t.equal([...g].length, 9);
+  })
+  .test('updateAt: should return a new array of panels', function * (t) {
+    const panels = emptyPanels(1, 2);
+    const updated = updateAt(panels, 2, 1, {data: {foo: 'bar'}});
+    t.deepEqual(updated, [
+      {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}}
+    ]);
+    t.deepEqual(panels[1].data, {}, 'should not have mutated the panels');
+    t.equal(updated[0], panels[0], 'should keep the untouched panels');
+  })
+  .test('updateArea: should update the panels within the area', function * (t) {
+    const g = Grid({rows: 2, columns: 2});
+    const updated = updateArea(g.panels, g.area(1, 1, 2, 1), {adornerStatus: 1});
+    t.deepEqual(updated.map(p => p.adornerStatus), [1, 1, 0, 0]);
+  })
+  .test('insertRow: should shift the panels below and stretch the ones crossing the new row', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 1, {dy: 2, data: {foo: 'bar'}});
+    panels = updateAt(panels, 2, 2, {data: {foo: 'barbis'}});
+    const layout = insertRow({panels, rows: 2, columns: 2}, 2);
+    t.equal(layout.rows, 3);
+    t.equal(layout.columns, 2);
+    t.deepEqual(layout.panels, [
+      {x: 1, y: 1, dx: 1, dy: 3, adornerStatus: 0, data: {foo: 'bar'}},
+      {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 1, y: 3, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 2, y: 3, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'barbis'}}
+    ]);
+    t.equal(panels[0].dy, 2, 'should not have mutated the panels');
+  })
+  .test('insertRow: should append a row by default', function * (t) {
+    const layout = insertRow({panels: emptyPanels(1, 1), rows: 1, columns: 1});
+    t.deepEqual(layout.panels, [
+      {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+    ]);
+    t.equal(insertRow(layout, 4), null, 'should not insert a row out of the grid');
+  })
+  .test('insertColumn: should shift the panels on the right', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 2, {dx: 2});
+    panels = updateAt(panels, 2, 1, {data: {foo: 'bar'}});
+    const layout = insertColumn({panels, rows: 2, columns: 2}, 1);
+    t.equal(layout.columns, 3);
+    t.deepEqual(layout.panels, [
+      {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 3, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+      {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 2, y: 2, dx: 2, dy: 1, adornerStatus: 0, data: {}},
+      {x: 3, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+    ]);
+  })
+  .test('removeRow: should drop the row panels and shift the ones below', function * (t) {
+    let panels = emptyPanels(2, 2);
+    panels = updateAt(panels, 1, 1, {data: {foo: 'bar'}});
+    panels = updateAt(panels, 1, 2, {data: {foo: 'barbis'}});
+    const layout = removeRow({panels, rows: 2, columns: 2}, 1);
+    t.equal(layout.rows, 1);
+    t.deepEqual(layout.panels, [
+      {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'barbis'}},
+      {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+    ]);
+  })
+  .test('removeRow: should be refused when it cuts through a spanned panel', function * (t) {
+    const layout = {panels: updateAt(emptyPanels(3, 3), 2, 1, {dy: 2}), rows: 3, columns: 3};
+    t.notOk(canRemoveRow(layout, 2));
+    t.equal(removeRow(layout, 2), null);
+    t.equal(removeRow(layout, 3).rows, 2);
+  })
+  .test('removeRow: should be refused when a locked panel stands in the row', function * (t) {
+    const panels = updateAt(emptyPanels(2, 2), 1, 2, {data: {type: 'list', locked: true}});
+    t.notOk(canRemoveRow({panels, rows: 2, columns: 2}, 2));
+    t.ok(canRemoveRow({panels, rows: 2, columns: 2}, 1));
+    t.equal(removeColumn({panels, rows: 2, columns: 2}, 1), null);
+  })
+  .test('isLocked: should consider the panel and the dashboard locks', function * (t) {
+    t.ok(isLocked({}, {data: {type: 'list', locked: true}}));
+    t.ok(isLocked({locked: true}, {data: {type: 'list'}}));
+    t.notOk(isLocked({locked: false}, {data: {type: 'list'}}));
+    t.notOk(isLocked({locked: true}, {data: {}}), 'an empty cell is never locked');
+    t.ok(Grid({rows: 1, columns: 1, panels: [{x: 1, y: 1, dx: 1, dy: 1, data: {type: 'chart'}}], locked: true}).isLocked(1, 1));
+  })
+  .test('removeColumn: should be refused when it cuts through a spanned panel or leaves an empty grid', function * (t) {
+    const layout = {panels: updateAt(emptyPanels(2, 2), 1, 2, {dx: 2}), rows: 2, columns: 2};
+    t.equal(removeColumn(layout, 2), null);
+    const narrow = removeColumn({panels: emptyPanels(2, 2), rows: 2, columns: 2}, 1);
+    t.equal(narrow.columns, 1);
+    t.deepEqual(narrow.panels, [
+      {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+      {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+    ]);
+    t.equal(removeColumn(narrow, 1), null);
   });
-
-
-
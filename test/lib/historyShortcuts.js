@@ -0,0 +1,41 @@
+import zora from 'zora';
+import historyShortcuts from '../../src/lib/historyShortcuts';
+
+const fakeActions = () => {
+  const calls = [];
+  return {
+    calls,
+    undo: _ => calls.push('UNDO'),
+    redo: _ => calls.push('REDO')
+  };
+};
+
+const keyEvent = (code, {ctrlKey = false, metaKey = false, shiftKey = false, target = document.body} = {}) => ({
+  code, ctrlKey, metaKey, shiftKey, target,
+  preventDefault(){
+    this.defaultPrevented = true;
+  }
+});
+
+export default zora()
+  .test('history shortcuts: Ctrl+Z should undo', function * (t) {
+    const actions = fakeActions();
+    const ev = keyEvent('KeyZ', {ctrlKey: true});
+    historyShortcuts(actions)(ev);
+    t.deepEqual(actions.calls, ['UNDO']);
+    t.ok(ev.defaultPrevented);
+  })
+  .test('history shortcuts: Ctrl+Shift+Z (or Cmd+Shift+Z) should redo', function * (t) {
+    const actions = fakeActions();
+    historyShortcuts(actions)(keyEvent('KeyZ', {ctrlKey: true, shiftKey: true}));
+    historyShortcuts(actions)(keyEvent('KeyZ', {metaKey: true, shiftKey: true}));
+    t.deepEqual(actions.calls, ['REDO', 'REDO']);
+  })
+  .test('history shortcuts: should ignore other keys and form controls', function * (t) {
+    const actions = fakeActions();
+    const listener = historyShortcuts(actions);
+    listener(keyEvent('KeyZ'));
+    listener(keyEvent('KeyY', {ctrlKey: true}));
+    listener(keyEvent('KeyZ', {ctrlKey: true, target: document.createElement('input')}));
+    t.deepEqual(actions.calls, []);
+  });
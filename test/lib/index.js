@@ -1,6 +1,32 @@
 import zora from 'zora';
 import grid from './grid'
 import di from './di';
+import pointerDrag from './pointerDrag';
+import collisions from './collisions';
+import historyShortcuts from './historyShortcuts';
+import persistence from './persistence';
+import dashboardFile from './dashboardFile';
+import shareLink from './shareLink';
+import layouts from './layouts';
+import templates from './templates';
+import flip from './flip';
+import rubberBand from './rubberBand';
+import github from './github';
+import series from './series';
+import connect from './connect';
 export default zora()
   .test(grid)
-  .test(di);
\ No newline at end of file
+  .test(di)
+  .test(pointerDrag)
+  .test(collisions)
+  .test(historyShortcuts)
+  .test(persistence)
+  .test(dashboardFile)
+  .test(shareLink)
+  .test(layouts)
+  .test(templates)
+  .test(flip)
+  .test(rubberBand)
+  .test(github)
+  .test(series)
+  .test(connect);
\ No newline at end of file
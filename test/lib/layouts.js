@@ -0,0 +1,73 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {breakpointOf, readingOrder, identify, layoutOf, singleColumn, applyLayout} from '../../src/lib/layouts';
+
+// a 2x2 grid: a wide panel on the first row and a panel in the bottom right corner
+const createGrid = () => {
+  let panels = emptyPanels(2, 2);
+  panels = updateAt(panels, 2, 2, {data: {type: 'chart', title: 'bar', id: 2}});
+  panels = updateAt(panels, 1, 1, {dx: 2, data: {type: 'list', title: 'foo', id: 1}});
+  return {rows: 2, columns: 2, panels};
+};
+
+const titles = ({panels}) => panels.filter(p => p.data.title !== void 0).map(({x, y, dx, dy, data}) => [data.title, x, y, dx, dy]);
+
+export default zora()
+  .test('breakpoint of: should match the viewport width', function * (t) {
+    t.equal(breakpointOf(1600), 'wide');
+    t.equal(breakpointOf(1200), 'wide');
+    t.equal(breakpointOf(1000), 'medium');
+    t.equal(breakpointOf(320), 'narrow');
+  })
+  .test('reading order: should list the panels with some content row by row', function * (t) {
+    t.deepEqual(readingOrder(createGrid()).map(({data}) => data.title), ['foo', 'bar']);
+  })
+  .test('identify: should give the panels a unique id', function * (t) {
+    let panels = emptyPanels(1, 3);
+    panels = updateAt(panels, 1, 1, {data: {type: 'list', id: 2}});
+    panels = updateAt(panels, 2, 1, {data: {type: 'list', id: 2}});
+    panels = updateAt(panels, 3, 1, {data: {type: 'chart'}});
+    const identified = identify(panels, {narrow: {panels: [{id: 4}]}});
+    t.deepEqual(identified.map(({data}) => data.id), [2, 5, 6]);
+    t.equal(identified[0], panels[0], 'the panels already identified are kept');
+  })
+  .test('layout of: should keep the geometry of the panels', function * (t) {
+    t.deepEqual(layoutOf(createGrid()), {
+      rows: 2,
+      columns: 2,
+      panels: [{id: 1, x: 1, y: 1, dx: 2, dy: 1}, {id: 2, x: 2, y: 2, dx: 1, dy: 1}]
+    });
+  })
+  .test('single column: should stack the panels in reading order', function * (t) {
+    t.deepEqual(singleColumn(createGrid()), {
+      rows: 4,
+      columns: 1,
+      panels: [{id: 1, x: 1, y: 1, dx: 1, dy: 1}, {id: 2, x: 1, y: 2, dx: 1, dy: 1}]
+    });
+    t.deepEqual(singleColumn({rows: 1, columns: 1, panels: emptyPanels(1, 1)}), {rows: 4, columns: 1, panels: []});
+  })
+  .test('apply layout: should lay the panels out according to the geometry', function * (t) {
+    const grid = applyLayout(createGrid(), {rows: 2, columns: 1, panels: [{id: 2, x: 1, y: 1, dx: 1, dy: 1}, {id: 1, x: 1, y: 2, dx: 1, dy: 1}]});
+    t.equal(grid.rows, 2);
+    t.equal(grid.columns, 1);
+    t.equal(grid.panels.length, 2);
+    t.deepEqual(titles(grid), [['bar', 1, 1, 1, 1], ['foo', 1, 2, 1, 1]]);
+  })
+  .test('apply layout: should stack below the panels missing from the geometry', function * (t) {
+    const grid = applyLayout(createGrid(), {
+      rows: 1,
+      columns: 1,
+      panels: [{id: 2, x: 1, y: 1, dx: 1, dy: 1}, {id: 3, x: 1, y: 1, dx: 1, dy: 1}]
+    });
+    t.equal(grid.rows, 2);
+    t.deepEqual(titles(grid), [['bar', 1, 1, 1, 1], ['foo', 1, 2, 1, 1]]);
+  })
+  .test('apply layout: should ignore the positions which overlap or do not fit', function * (t) {
+    const grid = applyLayout(createGrid(), {
+      rows: 2,
+      columns: 2,
+      panels: [{id: 1, x: 1, y: 1, dx: 2, dy: 2}, {id: 2, x: 2, y: 2, dx: 1, dy: 1}]
+    });
+    t.equal(grid.rows, 3);
+    t.deepEqual(titles(grid), [['foo', 1, 1, 2, 2], ['bar', 1, 3, 1, 1]]);
+  });
@@ -0,0 +1,202 @@
+import zora from 'zora';
+import {createStore} from 'redux';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import reducer from '../../src/reducers/index';
+import {setDashboardLock} from '../../src/actions/index';
+import {
+  SCHEMA_VERSION,
+  serialize,
+  deserialize,
+  migrate,
+  loadState,
+  saveState,
+  persistOnChange
+} from '../../src/lib/persistence';
+
+const fakeStorage = (items = {}) => ({
+  items,
+  getItem(key){
+    return this.items[key] === void 0 ? null : this.items[key];
+  },
+  setItem(key, value){
+    this.items[key] = value;
+  }
+});
+
+const createState = () => ({
+  grid: {
+    active: null,
+    rows: 1,
+    columns: 2,
+    collision: 'swap',
+    panels: updateAt(emptyPanels(1, 2), 1, 1, {adornerStatus: 1, data: {type: 'list', title: 'foo', processing: true}})
+  },
+  smartList: [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}}, items: [{id: 1}]}],
+  modal: {isOpen: false}
+});
+
+export default zora()
+  .test('serialize: should keep the layout, the panels data and the table states only', function * (t) {
+    t.deepEqual(serialize(createState()), {
+      version: SCHEMA_VERSION,
+      active: 'dashboard-1',
+      dashboards: [{
+        id: 'dashboard-1',
+        name: 'My dashboard',
+        grid: {
+          rows: 1,
+          columns: 2,
+          collision: 'swap',
+          locked: false,
+          breakpoint: 'wide',
+          layouts: {},
+          panels: [
+            {x: 1, y: 1, dx: 1, dy: 1, data: {type: 'list', title: 'foo'}},
+            {x: 2, y: 1, dx: 1, dy: 1, data: {}}
+          ]
+        },
+        smartList: [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}}}]
+      }]
+    });
+  })
+  .test('serialize: should keep the dashboards displayed in other tabs', function * (t) {
+    const state = Object.assign(createState(), {
+      dashboards: {
+        active: 'dashboard-2',
+        tabs: [{id: 'dashboard-1', name: 'foo'}, {id: 'dashboard-2', name: 'bar'}],
+        stored: {'dashboard-1': {grid: {rows: 1, columns: 1, collision: 'reject', panels: emptyPanels(1, 1)}, smartList: []}}
+      }
+    });
+    const {active, dashboards} = serialize(state);
+    t.equal(active, 'dashboard-2');
+    t.deepEqual(dashboards.map(({id, name, grid}) => [id, name, grid.columns]), [['dashboard-1', 'foo', 1], ['dashboard-2', 'bar', 2]]);
+  })
+  .test('deserialize: should restore the store slices', function * (t) {
+    const state = deserialize(serialize(createState()));
+    t.deepEqual(state, {
+      grid: {
+        active: null,
+        rows: 1,
+        columns: 2,
+        collision: 'swap',
+        locked: false,
+        breakpoint: 'wide',
+        layouts: {},
+        panels: [
+          {x: 1, y: 1, dx: 1, dy: 1, data: {type: 'list', title: 'foo'}, adornerStatus: 0},
+          {x: 2, y: 1, dx: 1, dy: 1, data: {}, adornerStatus: 0}
+        ]
+      },
+      smartList: [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}}, items: []}],
+      history: {past: [], future: []},
+      dashboards: {active: 'dashboard-1', tabs: [{id: 'dashboard-1', name: 'My dashboard'}], stored: {}}
+    });
+  })
+  .test('deserialize: should store aside the dashboards which are not displayed', function * (t) {
+    const grid = {rows: 1, columns: 1, panels: [{x: 1, y: 1, dx: 1, dy: 1, data: {}}]};
+    const state = deserialize({
+      version: SCHEMA_VERSION,
+      active: 'b',
+      dashboards: [{id: 'a', name: 'foo', grid}, {id: 'b', name: 'bar', grid}, {id: 'c', name: 'corrupted', grid: {rows: 2}}]
+    });
+    t.deepEqual(state.dashboards.tabs, [{id: 'a', name: 'foo'}, {id: 'b', name: 'bar'}]);
+    t.equal(state.dashboards.active, 'b');
+    t.deepEqual(Object.keys(state.dashboards.stored), ['a']);
+    t.equal(state.dashboards.stored.a.grid.collision, 'reject');
+  })
+  .test('deserialize: should migrate a single dashboard document', function * (t) {
+    const state = deserialize({
+      version: 1,
+      grid: {rows: 1, columns: 1, collision: 'push', panels: [{x: 1, y: 1, dx: 1, dy: 1, data: {type: 'chart', title: 'foo'}}]},
+      smartList: []
+    });
+    t.equal(state.grid.collision, 'push');
+    t.equal(state.grid.panels[0].data.title, 'foo');
+    t.deepEqual(state.dashboards, {active: 'dashboard-1', tabs: [{id: 'dashboard-1', name: 'My dashboard'}], stored: {}});
+    t.equal(state.grid.breakpoint, 'wide');
+    t.deepEqual(state.grid.layouts, {});
+    t.equal(state.grid.locked, false);
+  })
+  .test('serialize: should keep the locks', function * (t) {
+    const state = createState();
+    state.grid.locked = true;
+    state.grid.panels = updateAt(state.grid.panels, 1, 1, {data: {type: 'list', title: 'foo', locked: true}});
+    const {grid} = deserialize(serialize(state));
+    t.equal(grid.locked, true);
+    t.equal(grid.panels[0].data.locked, true);
+  })
+  .test('deserialize: should keep the valid layouts of the other breakpoints only', function * (t) {
+    const narrow = {rows: 1, columns: 1, panels: [{id: 1, x: 1, y: 1, dx: 1, dy: 1}]};
+    const state = deserialize({
+      version: SCHEMA_VERSION,
+      active: 'a',
+      dashboards: [{
+        id: 'a',
+        grid: {
+          rows: 1,
+          columns: 1,
+          breakpoint: 'medium',
+          layouts: {narrow, wide: {rows: 1, columns: 1, panels: [{id: 'foo'}]}, huge: narrow},
+          panels: [{x: 1, y: 1, dx: 1, dy: 1, data: {type: 'list', id: 1}}]
+        }
+      }]
+    });
+    t.equal(state.grid.breakpoint, 'medium');
+    t.deepEqual(state.grid.layouts, {narrow});
+  })
+  .test('deserialize: should reject invalid documents', function * (t) {
+    t.equal(deserialize(null), null);
+    t.equal(deserialize({grid: {}}), null, 'no version');
+    t.equal(deserialize({version: SCHEMA_VERSION + 1, grid: {}}), null, 'unknown version');
+    t.equal(deserialize({version: SCHEMA_VERSION, grid: {rows: 1, columns: 1, panels: [{x: 1, y: 1}]}}), null, 'no dashboards');
+    t.equal(deserialize({version: SCHEMA_VERSION, active: 'a', dashboards: [{id: 'a', grid: {rows: 2, columns: 2, panels: []}}]}), null, 'inconsistent grid');
+  })
+  .test('migrate: should apply the chain of migrations', function * (t) {
+    const migrations = {
+      1: doc => ({version: 1, grid: doc.layout}),
+      2: doc => Object.assign({}, doc, {smartList: []})
+    };
+    const doc = migrate({version: 1, layout: {rows: 1}}, {version: 3, migrations});
+    t.deepEqual(doc, {version: 3, grid: {rows: 1}, smartList: []});
+  })
+  .test('migrate: should give up when a migration is missing', function * (t) {
+    t.equal(migrate({version: 1}, {version: 3, migrations: {1: doc => doc}}), null);
+  })
+  .test('load and save: should round trip through the storage', function * (t) {
+    const storage = fakeStorage();
+    t.ok(saveState(() => storage, createState(), 'foo'));
+    const state = loadState(() => storage, 'foo');
+    t.equal(state.grid.panels[0].data.title, 'foo');
+    t.equal(loadState(() => storage, 'bar'), null);
+  })
+  .test('load and save: should fall back when the storage is not available or corrupted', function * (t) {
+    const unavailable = () => {
+      throw new Error('access denied');
+    };
+    t.equal(loadState(unavailable), null);
+    t.notOk(saveState(unavailable, createState()));
+    t.equal(loadState(() => fakeStorage({'smart-dashboard': '{not json'})), null);
+  })
+  .test('persist on change: should save when the layout changes but not during an operation', function * (t) {
+    const storage = fakeStorage();
+    let state = createState();
+    const store = {getState: () => state};
+    const listener = persistOnChange(store, () => storage, 'foo');
+    listener();
+    t.equal(storage.getItem('foo'), null, 'nothing changed');
+    state = Object.assign({}, state, {grid: Object.assign({}, state.grid, {active: {x: 1, y: 1}, panels: state.grid.panels.slice()})});
+    listener();
+    t.equal(storage.getItem('foo'), null, 'operation in progress');
+    state = Object.assign({}, state, {grid: Object.assign({}, state.grid, {active: null})});
+    listener();
+    t.ok(storage.getItem('foo'));
+  })
+  .test('persist on change: should save the lock of the dashboard', function * (t) {
+    const storage = fakeStorage();
+    const store = createStore(reducer, createState());
+    store.subscribe(persistOnChange(store, () => storage, 'foo'));
+    store.dispatch(setDashboardLock({locked: true}));
+    t.equal(loadState(() => storage, 'foo').grid.locked, true);
+    store.dispatch(setDashboardLock({locked: false}));
+    t.equal(loadState(() => storage, 'foo').grid.locked, false);
+  });
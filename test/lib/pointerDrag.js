@@ -0,0 +1,93 @@
+import zora from 'zora';
+import pointerDrag from '../../src/lib/pointerDrag';
+import {fakeActions} from '../util';
+
+const dragActions = ['startMove', 'startResize', 'dragOver', 'endMove', 'endResize', 'cancelOperation'];
+
+const createGrid = () => {
+  const grid = document.createElement('div');
+  grid.innerHTML = `<div class="panel data-panel" x="2" y="1">
+  <div class="move-handle"><span class="icon"></span></div>
+  <p>content</p>
+  <div class="resize-handle" direction="se"></div>
+  <div class="resize-edge" direction="w"></div>
+</div>`;
+  grid.setPointerCapture = pointerId => grid.captured = pointerId;
+  return grid;
+};
+
+const pointerEvent = (grid, target, {pointerId = 1, pointerType = 'touch', x = 1, y = 1} = {}) => ({
+  pointerId,
+  pointerType,
+  target,
+  currentTarget: grid,
+  cell: {x, y},
+  preventDefault(){
+  }
+});
+
+const coords = ev => ev.cell;
+
+export default zora()
+  .test('pointer drag: should move a panel from its move handle', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...dragActions);
+    const engine = pointerDrag({actions, coords});
+    const icon = grid.querySelector('.move-handle .icon');
+    engine.onPointerDown(pointerEvent(grid, icon, {x: 2, y: 1}));
+    t.equal(grid.captured, 1, 'should have captured the pointer');
+    engine.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 1}));
+    engine.onPointerMove(pointerEvent(grid, grid, {x: 1, y: 2}));
+    engine.onPointerMove(pointerEvent(grid, grid, {x: 1, y: 2}));
+    engine.onPointerUp(pointerEvent(grid, grid, {x: 1, y: 2}));
+    t.deepEqual(actions.calls, [
+      {type: 'START_MOVE', x: 2, y: 1},
+      {type: 'DRAG_OVER', x: 1, y: 2},
+      {type: 'END_MOVE', x: 1, y: 2, startX: 2, startY: 1}
+    ]);
+  })
+  .test('pointer drag: should resize a panel from its resize handle', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...dragActions);
+    const engine = pointerDrag({actions, coords});
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('.resize-handle'), {pointerType: 'pen'}));
+    engine.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 2}));
+    engine.onPointerUp(pointerEvent(grid, grid, {x: 2, y: 2}));
+    t.deepEqual(actions.calls, [
+      {type: 'START_RESIZE', x: 2, y: 1, direction: 'se'},
+      {type: 'DRAG_OVER', x: 2, y: 2},
+      {type: 'END_RESIZE', x: 2, y: 2, startX: 2, startY: 1}
+    ]);
+  })
+  .test('pointer drag: should resize a panel from one of its edges', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...dragActions);
+    const engine = pointerDrag({actions, coords});
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('.resize-edge')));
+    t.deepEqual(actions.calls, [{type: 'START_RESIZE', x: 2, y: 1, direction: 'w'}]);
+  })
+  .test('pointer drag: should ignore mouse, pointers outside of handles and other pointers', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...dragActions);
+    const engine = pointerDrag({actions, coords});
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('.move-handle'), {pointerType: 'mouse'}));
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('p')));
+    engine.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 2}));
+    t.deepEqual(actions.calls, []);
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('.move-handle'), {pointerId: 1}));
+    engine.onPointerMove(pointerEvent(grid, grid, {pointerId: 2, x: 2, y: 2}));
+    engine.onPointerUp(pointerEvent(grid, grid, {pointerId: 2, x: 2, y: 2}));
+    t.deepEqual(actions.calls, [{type: 'START_MOVE', x: 2, y: 1}]);
+  })
+  .test('pointer drag: should cancel the operation', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...dragActions);
+    const engine = pointerDrag({actions, coords});
+    engine.onPointerDown(pointerEvent(grid, grid.querySelector('.move-handle')));
+    engine.onPointerCancel(pointerEvent(grid, grid));
+    engine.onPointerUp(pointerEvent(grid, grid, {x: 2, y: 2}));
+    t.deepEqual(actions.calls, [
+      {type: 'START_MOVE', x: 2, y: 1},
+      {type: 'CANCEL_OPERATION'}
+    ]);
+  });
@@ -0,0 +1,79 @@
+import zora from 'zora';
+import rubberBand from '../../src/lib/rubberBand';
+import {fakeActions} from '../util';
+
+const selectionActions = ['startSelection', 'dragOver', 'endSelection', 'cancelOperation'];
+
+const createGrid = () => {
+  const grid = document.createElement('div');
+  grid.innerHTML = `<div class="panel data-panel empty-panel" x="1" y="1"><button>create</button></div>
+<div class="panel data-panel" x="2" y="1"><p>content</p></div>`;
+  grid.setPointerCapture = pointerId => grid.captured = pointerId;
+  return grid;
+};
+
+const pointerEvent = (grid, target, {pointerId = 1, pointerType = 'mouse', button = 0, x = 1, y = 1} = {}) => ({
+  pointerId,
+  pointerType,
+  button,
+  target,
+  currentTarget: grid,
+  cell: {x, y},
+  preventDefault(){
+  }
+});
+
+const coords = ev => ev.cell;
+
+export default zora()
+  .test('rubber band: should select the cells the pointer goes over from an empty cell', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...selectionActions);
+    const band = rubberBand({actions, coords});
+    band.onPointerDown(pointerEvent(grid, grid.querySelector('.empty-panel'), {x: 1, y: 1}));
+    band.onPointerMove(pointerEvent(grid, grid, {x: 1, y: 1}));
+    t.deepEqual(actions.calls, [], 'the pointer has not left the cell yet');
+    band.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 2}));
+    band.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 2}));
+    band.onPointerUp(pointerEvent(grid, grid, {x: 2, y: 2}));
+    t.equal(grid.captured, 1, 'should have captured the pointer');
+    t.deepEqual(actions.calls, [
+      {type: 'START_SELECTION', x: 1, y: 1},
+      {type: 'DRAG_OVER', x: 2, y: 2},
+      {type: 'END_SELECTION', x: 2, y: 2}
+    ]);
+  })
+  .test('rubber band: a click should not select anything', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...selectionActions);
+    const band = rubberBand({actions, coords});
+    band.onPointerDown(pointerEvent(grid, grid, {x: 1, y: 1}));
+    band.onPointerUp(pointerEvent(grid, grid, {x: 1, y: 1}));
+    t.deepEqual(actions.calls, []);
+  })
+  .test('rubber band: should not start from a control, a configured panel or another pointer than the mouse', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...selectionActions);
+    const band = rubberBand({actions, coords});
+    for (let ev of [
+      pointerEvent(grid, grid.querySelector('button')),
+      pointerEvent(grid, grid.querySelector('p')),
+      pointerEvent(grid, grid, {pointerType: 'touch'}),
+      pointerEvent(grid, grid, {button: 2})
+    ]) {
+      band.onPointerDown(ev);
+      band.onPointerMove(Object.assign({}, ev, {cell: {x: 2, y: 2}}));
+      band.onPointerUp(Object.assign({}, ev, {cell: {x: 2, y: 2}}));
+    }
+    t.deepEqual(actions.calls, []);
+  })
+  .test('rubber band: should cancel the selection when the pointer is lost', function * (t) {
+    const grid = createGrid();
+    const actions = fakeActions(...selectionActions);
+    const band = rubberBand({actions, coords});
+    band.onPointerDown(pointerEvent(grid, grid, {x: 1, y: 1}));
+    band.onPointerMove(pointerEvent(grid, grid, {x: 2, y: 1}));
+    band.onPointerCancel(pointerEvent(grid, grid));
+    band.onPointerUp(pointerEvent(grid, grid, {x: 2, y: 1}));
+    t.deepEqual(actions.calls.map(({type}) => type), ['START_SELECTION', 'DRAG_OVER', 'CANCEL_OPERATION']);
+  });
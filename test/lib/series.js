@@ -0,0 +1,40 @@
+import zora from 'zora';
+import {cumulativeSeries, polylinePoints, SERIES} from '../../src/lib/series';
+
+const starredAt = ({starred_at}) => starred_at;
+
+export default zora()
+  .test('cumulativeSeries: should count the items day after day', function * (t) {
+    const series = cumulativeSeries([
+      {starred_at: '2017-06-03T10:00:00Z'},
+      {starred_at: '2017-06-01T10:00:00Z'},
+      {starred_at: '2017-06-01T18:00:00Z'},
+      {starred_at: '2017-06-05T00:00:00Z'}
+    ], starredAt);
+    t.deepEqual(series, [
+      {date: '2017-06-01', count: 2},
+      {date: '2017-06-03', count: 3},
+      {date: '2017-06-05', count: 4}
+    ]);
+  })
+  .test('cumulativeSeries: should ignore the items without a valid date', function * (t) {
+    t.deepEqual(cumulativeSeries([{starred_at: 'whenever'}, {}, {starred_at: '2017-06-01T10:00:00Z'}], starredAt), [
+      {date: '2017-06-01', count: 1}
+    ]);
+    t.deepEqual(cumulativeSeries([], starredAt), []);
+  })
+  .test('SERIES: should count the stars day after day', function * (t) {
+    t.deepEqual(SERIES.stargazers([{starred_at: '2017-06-03T10:00:00Z'}, {starred_at: '2017-06-01T10:00:00Z'}]), [
+      {date: '2017-06-01', count: 1},
+      {date: '2017-06-03', count: 2}
+    ]);
+  })
+  .test('polylinePoints: should draw the series in the box', function * (t) {
+    t.equal(polylinePoints([
+      {date: '2017-06-01', count: 1},
+      {date: '2017-06-03', count: 3},
+      {date: '2017-06-05', count: 4}
+    ]), '0,75 50,25 100,0');
+    t.equal(polylinePoints([{date: '2017-06-01', count: 2}], 10, 10), '0,0 10,0', 'a single day spans the whole width');
+    t.equal(polylinePoints([]), '');
+  });
@@ -0,0 +1,100 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {toDocument, fromDocument} from '../../src/lib/dashboardFile';
+import {
+  LINK_VERSION,
+  compress,
+  decompress,
+  encode,
+  decode,
+  toHash,
+  parseHash,
+  loadLink
+} from '../../src/lib/shareLink';
+
+const createState = (title = 'bugs') => ({
+  grid: {
+    active: null,
+    rows: 2,
+    columns: 3,
+    collision: 'reject',
+    panels: updateAt(emptyPanels(2, 3), 2, 1, {
+      dx: 2,
+      dy: 2,
+      data: {type: 'list', source: 'issues', title, showToolBar: true}
+    })
+  },
+  smartList: [{x: 2, y: 1, tableState: {sort: {pointer: 'created_at', direction: 'desc'}, filter: {}, search: {}}, items: []}]
+});
+
+export default zora()
+  .test('compress: should restore the original input', function * (t) {
+    for (let input of ['a', 'abababababababab', 'TOBEORNOTTOBEORTOBEORNOT', JSON.stringify(toDocument(createState()))]) {
+      t.equal(decompress(compress(input)), input);
+    }
+  })
+  .test('compress: should restore inputs which need wide codes', function * (t) {
+    let input = '';
+    for (let i = 0; i < 3000; i++) {
+      input += String.fromCharCode((i * 7919) % 256);
+    }
+    t.equal(decompress(compress(input)), input);
+  })
+  .test('compress: should shrink repetitive inputs', function * (t) {
+    const input = JSON.stringify([1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(x => toDocument(createState())));
+    t.ok(compress(input).length < input.length / 2);
+  })
+  .test('encode: should produce a versioned url safe payload', function * (t) {
+    const payload = encode(toDocument(createState()));
+    t.ok(payload.startsWith(`${LINK_VERSION}.`));
+    t.ok(/^[0-9]+\.[A-Za-z0-9_-]+$/.test(payload));
+    t.deepEqual(decode(payload), toDocument(createState()));
+  })
+  .test('encode: should keep unicode titles', function * (t) {
+    const doc = toDocument(createState('bogues à corriger ✓'));
+    t.deepEqual(decode(encode(doc)), doc);
+  })
+  .test('decode: should reject unknown versions and corrupted payloads', function * (t) {
+    const [, data] = encode(toDocument(createState())).split('.');
+    const message = payload => {
+      try {
+        decode(payload);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    };
+    t.equal(message(`${LINK_VERSION + 1}.${data}`), `The dashboard link version ${LINK_VERSION + 1} is not supported`);
+    t.equal(message('foo'), 'The dashboard link is malformed');
+    t.equal(message(`${LINK_VERSION}.${data.slice(0, 10)}`), 'The dashboard link is corrupted');
+  })
+  .test('parse hash: should ignore hashes without dashboard', function * (t) {
+    t.equal(parseHash(''), null);
+    t.equal(parseHash('#main'), null);
+  })
+  .test('parse hash: should return the dashboard to import', function * (t) {
+    const link = parseHash(toHash(createState()));
+    t.deepEqual(link, {errors: [], dashboard: fromDocument(toDocument(createState()))});
+  })
+  .test('parse hash: should return the errors of a malformed hash', function * (t) {
+    t.deepEqual(parseHash('#dashboard=1.$$$'), {errors: ['The dashboard link is malformed']});
+    const invalid = Object.assign(toDocument(createState()), {rows: 1});
+    t.deepEqual(parseHash(`#dashboard=${encode(invalid)}`), {errors: ['Panel #1 does not fit in a 1x3 grid']});
+  })
+  .test('load link: should import the dashboard or show the errors', function * (t) {
+    const calls = [];
+    const actions = {
+      importDashboard: args => calls.push(['importDashboard', args]),
+      openModal: args => calls.push(['openModal', args])
+    };
+    t.equal(loadLink(actions)('#foo'), false);
+    t.equal(calls.length, 0);
+    t.equal(loadLink(actions)(toHash(createState())), true);
+    t.deepEqual(calls[0], ['importDashboard', fromDocument(toDocument(createState()))]);
+    t.equal(loadLink(actions)('#dashboard=2.abc'), true);
+    t.deepEqual(calls[1], ['openModal', {
+      modalType: 'importErrors',
+      title: 'Invalid dashboard link',
+      errors: ['The dashboard link version 2 is not supported']
+    }]);
+  });
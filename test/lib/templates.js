@@ -0,0 +1,89 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {validateDocument, fromDocument} from '../../src/lib/dashboardFile';
+import {
+  BUILT_IN_TEMPLATES,
+  isEmptyDashboard,
+  templateOf,
+  loadTemplates,
+  saveTemplates,
+  persistTemplatesOnChange
+} from '../../src/lib/templates';
+import {SERIES} from '../../src/lib/series';
+
+const fakeStorage = (items = {}) => ({
+  items,
+  getItem(key){
+    return this.items[key] === void 0 ? null : this.items[key];
+  },
+  setItem(key, value){
+    this.items[key] = value;
+  }
+});
+
+const createState = () => ({
+  grid: {
+    rows: 2,
+    columns: 2,
+    panels: updateAt(emptyPanels(2, 2), 1, 1, {dx: 2, data: {type: 'list', source: 'issues', title: 'foo', showToolBar: true}})
+  },
+  smartList: [{x: 1, y: 1, tableState: {sort: {pointer: 'comments', direction: 'desc'}, slice: {page: 2}}}]
+});
+
+export default zora()
+  .test('templates: the built-in templates should be valid dashboard documents', function * (t) {
+    t.equal(BUILT_IN_TEMPLATES.length, 3);
+    t.deepEqual(BUILT_IN_TEMPLATES.map(({name}) => name), ['Maintainer triage', 'Release manager', 'Community health']);
+    for (let {name, builtIn, document} of BUILT_IN_TEMPLATES) {
+      t.ok(builtIn);
+      t.deepEqual(validateDocument(document), [], name);
+      t.ok(document.panels.every(({type, source}) => type !== 'chart' || SERIES[source] !== void 0), `${name}: the charts have a series`);
+    }
+  })
+  .test('templates: a built-in template should load its lists sorted', function * (t) {
+    const {smartList} = fromDocument(BUILT_IN_TEMPLATES[0].document);
+    t.deepEqual(smartList[0], {x: 1, y: 1, tableState: {sort: {pointer: 'created_at', direction: 'desc'}, filter: {}, search: {}, slice: {page: 1}}});
+  })
+  .test('templates: should tell whether the dashboard is empty', function * (t) {
+    t.ok(isEmptyDashboard({grid: {panels: emptyPanels(2, 2)}}));
+    t.notOk(isEmptyDashboard(createState()));
+  })
+  .test('templates: should make a template of the current dashboard', function * (t) {
+    const {name, description, document} = templateOf(createState(), 'mine');
+    t.equal(name, 'mine');
+    t.equal(description, '1 panel on a 2x2 grid');
+    t.deepEqual(validateDocument(document), []);
+    t.deepEqual(document.panels, [{x: 1, y: 1, dx: 2, dy: 1, type: 'list', source: 'issues', title: 'foo', showToolBar: true, tableState: {sort: {pointer: 'comments', direction: 'desc'}, filter: {}, search: {}}}]);
+  })
+  .test('templates: should round trip the custom templates through the storage', function * (t) {
+    const storage = fakeStorage();
+    const templates = [Object.assign({id: 'template-1'}, templateOf(createState(), 'mine'))];
+    t.ok(saveTemplates(() => storage, templates, 'foo'));
+    t.deepEqual(loadTemplates(() => storage, 'foo'), templates);
+    t.deepEqual(loadTemplates(() => storage, 'bar'), []);
+  })
+  .test('templates: should drop the invalid templates and fall back when the storage is not available', function * (t) {
+    const valid = Object.assign({id: 'template-1'}, templateOf(createState(), 'mine'));
+    const invalid = {id: 'template-2', name: 'broken', document: {format: 'smart-dashboard', version: 1, rows: 1, columns: 1, panels: [{x: 3, y: 1}]}};
+    t.deepEqual(loadTemplates(() => fakeStorage({'smart-dashboard-templates': JSON.stringify([invalid, valid, null])})), [valid]);
+    t.deepEqual(loadTemplates(() => fakeStorage({'smart-dashboard-templates': '{not json'})), []);
+    t.deepEqual(loadTemplates(() => {
+      throw new Error('disabled');
+    }), []);
+    t.notOk(saveTemplates(() => {
+      throw new Error('disabled');
+    }, []));
+  })
+  .test('templates: should save the custom templates when they change only', function * (t) {
+    const storage = fakeStorage();
+    const templates = [];
+    let state = {templates};
+    const store = {getState: () => state};
+    const listener = persistTemplatesOnChange(store, () => storage);
+    state = {templates, grid: {}};
+    listener();
+    t.deepEqual(storage.items, {});
+    state = {templates: [{id: 'template-1'}]};
+    listener();
+    t.equal(storage.items['smart-dashboard-templates'], '[{"id":"template-1"}]');
+  });
@@ -0,0 +1,12 @@
+import zora from 'zora';
+import reducer from '../../src/reducers/announcement';
+
+export default zora()
+  .test('announce', function * (t) {
+    const newState = reducer({message: 'foo'}, {type: 'ANNOUNCE', message: 'bar'});
+    t.deepEqual(newState, {message: 'bar'});
+  })
+  .test('announce: should default to an empty message', function * (t) {
+    const newState = reducer({message: 'foo'}, {type: 'ANNOUNCE'});
+    t.deepEqual(newState, {message: ''});
+  });
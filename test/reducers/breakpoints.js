@@ -0,0 +1,95 @@
+import zora from 'zora';
+import {emptyPanels, updateAt} from '../../src/lib/grid';
+import {switchesBreakpoint} from '../../src/reducers/breakpoints';
+import {createStore} from '../util';
+
+const layout = () => {
+  let panels = emptyPanels(2, 2);
+  panels = updateAt(panels, 2, 1, {data: {type: 'list', title: 'foo'}});
+  panels = updateAt(panels, 1, 2, {dx: 2, data: {type: 'chart', title: 'bar'}});
+  return {
+    grid: {panels, breakpoint: 'wide', layouts: {}},
+    smartList: [{x: 2, y: 1, tableState: {sort: {pointer: 'title'}}, items: [{id: 1}]}]
+  };
+};
+
+const titleAt = (state, x, y) => state.grid.panels.find(p => p.x === x && p.y === y).data.title;
+
+export default zora()
+  .test('breakpoints: should fall back to a single column in reading order', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    const {grid, smartList} = store.state;
+    t.equal(grid.breakpoint, 'narrow');
+    t.equal(grid.columns, 1);
+    t.equal(grid.rows, 4);
+    t.equal(titleAt(store.state, 1, 1), 'foo');
+    t.equal(titleAt(store.state, 1, 2), 'bar');
+    t.deepEqual(smartList, [{x: 1, y: 1, tableState: {sort: {pointer: 'title'}}, items: []}], 'the list follows its panel');
+    t.deepEqual(Object.keys(grid.layouts), ['wide']);
+  })
+  .test('breakpoints: should edit the layout of the active breakpoint only', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    store.dispatch({type: 'START_MOVE', x: 1, y: 2});
+    store.dispatch({type: 'DRAG_OVER', x: 1, y: 1});
+    store.dispatch({type: 'END_MOVE', x: 1, y: 1, startX: 1, startY: 2});
+    t.equal(titleAt(store.state, 1, 1), 'bar');
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'wide'});
+    t.equal(store.state.grid.columns, 2);
+    t.equal(titleAt(store.state, 2, 1), 'foo');
+    t.equal(titleAt(store.state, 1, 2), 'bar');
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    t.equal(titleAt(store.state, 1, 1), 'bar', 'the narrow layout has been kept');
+    t.equal(titleAt(store.state, 1, 2), 'foo');
+  })
+  .test('breakpoints: should keep the panel data edited in another breakpoint', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'medium'});
+    const {data} = store.state.grid.panels.find(p => p.x === 1 && p.y === 2);
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 2, data: Object.assign({}, data, {title: 'baz'})});
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'wide'});
+    t.equal(titleAt(store.state, 1, 2), 'baz');
+  })
+  .test('breakpoints: should not change the layout during an operation', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'START_MOVE', x: 2, y: 1});
+    const {state} = store;
+    t.equal(store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'}), state);
+    t.equal(store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'huge'}), state);
+  })
+  .test('breakpoints: should keep a history per breakpoint', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'RESET_PANEL', x: 2, y: 1});
+    t.equal(store.state.history.past.length, 1);
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    t.deepEqual(store.state.history, {past: [], future: []}, 'the narrow layout has no history yet');
+    const {rows} = store.state.grid;
+    store.dispatch({type: 'INSERT_ROW', index: 1});
+    t.equal(store.state.history.past.length, 1);
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'wide'});
+    t.equal(store.state.history.past.length, 1, 'the history of the wide layout is restored');
+    t.deepEqual(Object.keys(store.state.grid.histories), ['narrow']);
+    store.dispatch({type: 'UNDO'});
+    t.equal(titleAt(store.state, 2, 1), 'foo');
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    store.dispatch({type: 'UNDO'});
+    t.equal(store.state.grid.rows, rows, 'the row inserted in the narrow layout is removed');
+  })
+  .test('breakpoints: should lay the displayed dashboards out for the current breakpoint', function * (t) {
+    const store = createStore(layout());
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'narrow'});
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    t.equal(store.state.grid.breakpoint, 'narrow');
+    store.dispatch({type: 'SET_BREAKPOINT', breakpoint: 'wide'});
+    store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-1'});
+    t.equal(store.state.grid.breakpoint, 'wide');
+    t.equal(store.state.grid.columns, 2);
+    t.equal(titleAt(store.state, 2, 1), 'foo');
+  })
+  .test('breakpoints: should tell whether an action lays the dashboard out for another breakpoint', function * (t) {
+    t.ok(switchesBreakpoint({active: null, breakpoint: 'wide'}, {type: 'SET_BREAKPOINT', breakpoint: 'narrow'}));
+    t.notOk(switchesBreakpoint({active: null, breakpoint: 'wide'}, {type: 'SET_BREAKPOINT', breakpoint: 'wide'}));
+    t.notOk(switchesBreakpoint({active: {x: 1, y: 1}, breakpoint: 'wide'}, {type: 'SET_BREAKPOINT', breakpoint: 'narrow'}));
+    t.notOk(switchesBreakpoint({active: null, breakpoint: 'wide'}, {type: 'SET_BREAKPOINT', breakpoint: 'huge'}));
+  });
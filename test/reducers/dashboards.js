@@ -0,0 +1,101 @@
+import zora from 'zora';
+import {switchesDashboard} from '../../src/reducers/dashboards';
+import {createStore} from '../util';
+
+const swapping = {grid: {collision: 'swap'}};
+
+const dataAt = (state, x, y) => state.grid.panels.find(p => p.x === x && p.y === y).data;
+
+export default zora()
+  .test('dashboards: should start with a single dashboard', function * (t) {
+    const {state} = createStore(swapping);
+    t.deepEqual(state.dashboards, {active: 'dashboard-1', tabs: [{id: 'dashboard-1', name: 'My dashboard'}], stored: {}});
+  })
+  .test('dashboards: should create and display an empty dashboard', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    const {dashboards, grid, history} = store.state;
+    t.deepEqual(dashboards.tabs, [{id: 'dashboard-1', name: 'My dashboard'}, {id: 'dashboard-2', name: 'Dashboard 2'}]);
+    t.equal(dashboards.active, 'dashboard-2');
+    t.deepEqual(dataAt(store.state, 1, 1), {});
+    t.equal(grid.collision, 'swap');
+    t.deepEqual(history, {past: [], future: []});
+    t.deepEqual(dashboards.stored['dashboard-1'].grid.panels.find(p => p.x === 1 && p.y === 1).data, {title: 'foo'});
+  })
+  .test('dashboards: should switch between dashboards with their own history', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'CREATE_DASHBOARD', name: 'bar'});
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 2, y: 2, data: {title: 'bar'}});
+    store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-1'});
+    t.equal(store.state.dashboards.active, 'dashboard-1');
+    t.deepEqual(dataAt(store.state, 1, 1), {title: 'foo'});
+    t.deepEqual(dataAt(store.state, 2, 2), {});
+    store.dispatch({type: 'UNDO'});
+    t.deepEqual(dataAt(store.state, 1, 1), {});
+    store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-2'});
+    t.deepEqual(dataAt(store.state, 2, 2), {title: 'bar'});
+    t.equal(store.state.history.past.length, 1);
+    t.deepEqual(Object.keys(store.state.dashboards.stored), ['dashboard-1']);
+  })
+  .test('dashboards: should rename a dashboard', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'RENAME_DASHBOARD', id: 'dashboard-1', name: ' foo '});
+    t.deepEqual(store.state.dashboards.tabs, [{id: 'dashboard-1', name: 'foo'}]);
+    const {state} = store;
+    t.equal(store.dispatch({type: 'RENAME_DASHBOARD', id: 'dashboard-1', name: '  '}), state, 'empty name');
+    t.equal(store.dispatch({type: 'RENAME_DASHBOARD', id: 'unknown', name: 'bar'}), state, 'unknown dashboard');
+  })
+  .test('dashboards: should duplicate a dashboard next to the original one', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    store.dispatch({type: 'DUPLICATE_DASHBOARD', id: 'dashboard-1'});
+    const {dashboards, history} = store.state;
+    t.deepEqual(dashboards.tabs.map(({name}) => name), ['My dashboard', 'My dashboard (copy)', 'Dashboard 2']);
+    t.equal(dashboards.active, 'dashboard-3');
+    t.deepEqual(dataAt(store.state, 1, 1), {title: 'foo'});
+    t.deepEqual(history, {past: [], future: []});
+  })
+  .test('dashboards: should delete a dashboard and display its neighbour', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-2'});
+    store.dispatch({type: 'DELETE_DASHBOARD', id: 'dashboard-2'});
+    t.deepEqual(store.state.dashboards.tabs.map(({id}) => id), ['dashboard-1', 'dashboard-3']);
+    t.equal(store.state.dashboards.active, 'dashboard-3');
+    t.deepEqual(Object.keys(store.state.dashboards.stored), ['dashboard-1']);
+    store.dispatch({type: 'DELETE_DASHBOARD', id: 'dashboard-1'});
+    t.deepEqual(store.state.dashboards, {active: 'dashboard-3', tabs: [{id: 'dashboard-3', name: 'Dashboard 3'}], stored: {}});
+    const {state} = store;
+    t.equal(store.dispatch({type: 'DELETE_DASHBOARD', id: 'dashboard-3'}), state, 'the last dashboard remains');
+  })
+  .test('dashboards: should not switch during an operation', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    store.dispatch({type: 'START_MOVE', x: 1, y: 1});
+    const {state} = store;
+    t.equal(store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-1'}), state);
+    t.equal(store.dispatch({type: 'CREATE_DASHBOARD'}), state);
+  })
+  .test('dashboards: should tell whether an action displays another dashboard', function * (t) {
+    const dashboards = {active: 'a', tabs: [{id: 'a'}, {id: 'b'}]};
+    t.ok(switchesDashboard(dashboards, {type: 'CREATE_DASHBOARD'}));
+    t.ok(switchesDashboard(dashboards, {type: 'SWITCH_DASHBOARD', id: 'b'}));
+    t.notOk(switchesDashboard(dashboards, {type: 'SWITCH_DASHBOARD', id: 'a'}));
+    t.notOk(switchesDashboard(dashboards, {type: 'SWITCH_DASHBOARD', id: 'c'}));
+    t.ok(switchesDashboard(dashboards, {type: 'DELETE_DASHBOARD', id: 'a'}));
+    t.notOk(switchesDashboard(dashboards, {type: 'DELETE_DASHBOARD', id: 'b'}));
+    t.notOk(switchesDashboard(dashboards, {type: 'RENAME_DASHBOARD', id: 'b'}));
+  })
+  .test('dashboards: the custom templates should be shared by all the dashboards', function * (t) {
+    const store = createStore(swapping);
+    store.dispatch({type: 'SAVE_TEMPLATE', name: 'mine', document: {}});
+    store.dispatch({type: 'CREATE_DASHBOARD'});
+    t.deepEqual(store.state.templates.map(({name}) => name), ['mine']);
+    store.dispatch({type: 'SWITCH_DASHBOARD', id: 'dashboard-1'});
+    t.deepEqual(store.state.templates.map(({name}) => name), ['mine']);
+  });
@@ -1,18 +1,30 @@
 import zora from 'zora';
-import {Grid} from '../../src/lib/grid';
+import {emptyPanels, updateAt, findPanel} from '../../src/lib/grid';
 import reducer from '../../src/reducers/grid';
 
+// an empty grid where some panels have been updated: [x, y, props]
+const createLayout = (rows, columns, ...updates) => ({
+  rows,
+  columns,
+  panels: updates.reduce((panels, [x, y, props]) => updateAt(panels, x, y, props), emptyPanels(rows, columns))
+});
+
 export default zora()
   .test('Start resize', function * (t) {
-    const red = reducer(Grid({rows: 2, columns: 2}));
-    const newState = red({}, {type: 'START_RESIZE', x: 2, y: 1});
-    t.deepEqual(newState, {active: {x: 2, y: 1, operation: 'resize'}});
+    const newState = reducer({}, {type: 'START_RESIZE', x: 2, y: 1});
+    t.deepEqual(newState, {active: {x: 2, y: 1, direction: 'se', operation: 'resize'}});
+  })
+  .test('Start resize: from an edge', function * (t) {
+    const newState = reducer({}, {type: 'START_RESIZE', x: 2, y: 1, direction: 'w'});
+    t.deepEqual(newState, {active: {x: 2, y: 1, direction: 'w', operation: 'resize'}});
   })
   .test('resize over: whole area valid', function * (t) {
-    const red = reducer(Grid({rows: 2, columns: 2}));
-    const newState = red({active: {x: 2, y: 1, operation: 'resize'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 2, y: 1, operation: 'resize', valid: true}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 2, y: 1, operation: 'resize', valid: true, ghost: {x: 2, y: 1, dx: 1, dy: 2}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -21,13 +33,12 @@ export default zora()
     });
   })
   .test('resize over: should set invalid area which has intersection with current area', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 2, {dx: 2});
-
-    const newState = red({active: {x: 2, y: 1, operation: 'resize'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2, [1, 2, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 2, y: 1, operation: 'resize', valid: false}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 2, y: 1, operation: 'resize', valid: false, ghost: {x: 2, y: 1, dx: 1, dy: 2}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, data: {}, adornerStatus: 0},
         {x: 2, y: 1, dx: 1, dy: 1, data: {}, adornerStatus: 1},
         {x: 1, y: 2, dx: 2, dy: 1, data: {}, adornerStatus: -1},
@@ -36,12 +47,12 @@ export default zora()
     });
   })
   .test('resize over: should set as valid an area which is entirely included in current area', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 2, {dx: 2});
-    const newState = red({active: {x: 1, y: 1, operation: 'resize'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2, [1, 2, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 1, y: 1, operation: 'resize', valid: true}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 1, y: 1, operation: 'resize', valid: true, ghost: {x: 1, y: 1, dx: 2, dy: 2}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 1, y: 2, dx: 2, dy: 1, adornerStatus: 1, data: {}},
@@ -49,10 +60,43 @@ export default zora()
       ]
     });
   })
+  .test('resize over: should grow a panel from its left edge', function * (t) {
+    const layout = createLayout(2, 3, [3, 1, {dy: 2}]);
+    const newState = reducer(Object.assign({active: {x: 3, y: 1, direction: 'w', operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(newState.active.valid, true);
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [
+      0, 1, 1,
+      0, 1, 1
+    ]);
+  })
+  .test('resize over: should shrink a panel from its top edge', function * (t) {
+    const layout = createLayout(3, 2, [1, 1, {dy: 3}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, direction: 'n', operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(newState.active.valid, true);
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [
+      0, 0,
+      1, 0,
+      1, 0
+    ]);
+  })
+  .test('resize over: should set invalid when an edge goes beyond the opposite one', function * (t) {
+    const layout = createLayout(2, 2);
+    const state = Object.assign({active: {x: 1, y: 1, direction: 'w', operation: 'resize'}}, layout);
+    const newState = reducer(state, {type: 'DRAG_OVER', x: 2, y: 1});
+    t.deepEqual(newState, Object.assign({active: {x: 1, y: 1, direction: 'w', operation: 'resize', valid: false, ghost: null}}, layout));
+    t.deepEqual(state.active, {x: 1, y: 1, direction: 'w', operation: 'resize'}, 'should not have mutated the state');
+  })
+  .test('resize over: should set invalid when growing from the top edge over another panel', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 2, direction: 'nw', operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
+    t.equal(newState.active.valid, false);
+  })
   .test('end resize: should resize a valid area', function * (t) {
-    const red = reducer(Grid({rows: 2, columns: 2}));
-    const newState = red({active: {x: 2, y: 1, valid: true}}, {type: 'END_RESIZE', startX: 2, startY: 1, x: 2, y: 2});
+    const layout = createLayout(2, 2);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, valid: true}}, layout), {type: 'END_RESIZE', startX: 2, startY: 1, x: 2, y: 2});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 2, adornerStatus: 0, data: {}},
@@ -62,12 +106,11 @@ export default zora()
     });
   })
   .test('end resize: should reset adorners without resizing when area is invalid', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 2, {dx: 2});
-
-    const newState = red({active: {x: 2, y: 1, valid: false}}, {type: 'END_RESIZE', startX: 2, startY: 1, x: 2, y: 2});
+    const layout = createLayout(2, 2, [1, 2, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, valid: false}}, layout), {type: 'END_RESIZE', startX: 2, startY: 1, x: 2, y: 2});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -77,12 +120,11 @@ export default zora()
     });
   })
   .test('end resize: should resize the area when it entirely includes another one (and reset the overlapped ones)', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 2, {dx: 2});
-
-    const newState = red({active: {x: 1, y: 1, valid: true}}, {type: 'END_RESIZE', startX: 1, startY: 1, x: 2, y: 2});
+    const layout = createLayout(2, 2, [1, 2, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, valid: true}}, layout), {type: 'END_RESIZE', startX: 1, startY: 1, x: 2, y: 2});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null, panels: [
         {x: 1, y: 1, dx: 2, dy: 2, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -91,17 +133,57 @@ export default zora()
       ]
     });
   })
+  .test('end resize: should move the panel to its new anchor when resized from the top left corner', function * (t) {
+    const layout = createLayout(2, 2, [2, 2, {data: {foo: 'bar'}}], [1, 1, {data: {foo: 'barbis'}}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 2, direction: 'nw', valid: true}}, layout), {
+      type: 'END_RESIZE',
+      startX: 2,
+      startY: 2,
+      x: 1,
+      y: 1
+    });
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
+      active: null, panels: [
+        {x: 1, y: 1, dx: 2, dy: 2, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'barbis'}}
+      ]
+    });
+  })
+  .test('end resize: should shrink the panel toward its bottom edge', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dy: 2, data: {foo: 'bar'}}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, direction: 'n', valid: true}}, layout), {
+      type: 'END_RESIZE',
+      startX: 1,
+      startY: 1,
+      x: 1,
+      y: 2
+    });
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
+      active: null, panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
   .test('start move', function * (t) {
-    const red = reducer(Grid({rows: 2, columns: 2}));
-    const newState = red({}, {type: 'START_MOVE', x: 2, y: 1});
+    const newState = reducer({}, {type: 'START_MOVE', x: 2, y: 1});
     t.deepEqual(newState, {active: {x: 2, y: 1, operation: 'move'}});
   })
   .test('move over: should set valid when swapping two self including panels', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    const newState = red({active: {x: 2, y: 1, operation: 'move'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 2, y: 1, operation: 'move', valid: true}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 2, y: 1, operation: 'move', valid: true, ghost: {x: 2, y: 2, dx: 1, dy: 1}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -110,12 +192,12 @@ export default zora()
     });
   })
   .test('move over: should set invalid when the moving area does not include the target area', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(2, 1, {dy: 2});
-    const newState = red({active: {x: 1, y: 1, operation: 'move'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2, [2, 1, {dy: 2}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 1, y: 1, operation: 'move', valid: false}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 1, y: 1, operation: 'move', valid: false, ghost: {x: 2, y: 2, dx: 1, dy: 1}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 2, y: 1, dx: 1, dy: 2, adornerStatus: -1, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -124,12 +206,12 @@ export default zora()
     });
   })
   .test('move over: should set valid when all targeted area fits within the active area', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 1, {dy: 2});
-    const newState = red({active: {x: 1, y: 1, operation: 'move'}}, {type: 'DRAG_OVER', x: 2, y: 1});
+    const layout = createLayout(2, 2, [1, 1, {dy: 2}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
     t.deepEqual(newState, {
-      active: {x: 1, y: 1, operation: 'move', valid: true}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 1, y: 1, operation: 'move', valid: true, ghost: {x: 2, y: 1, dx: 1, dy: 2}}, panels: [
         {x: 1, y: 1, dx: 1, dy: 2, adornerStatus: 1, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 1, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 1, data: {}},
@@ -138,12 +220,12 @@ export default zora()
     });
   })
   .test('move over: should not set valid when the targeted area does not fit into the grid', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 1, {dx: 2});
-    const newState = red({active: {x: 1, y: 1, operation: 'move'}}, {type: 'DRAG_OVER', x: 2, y: 2});
+    const layout = createLayout(2, 2, [1, 1, {dx: 2}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
     t.deepEqual(newState, {
-      active: {x: 1, y: 1, operation: 'move', valid: false}, panels: [
+      rows: 2,
+      columns: 2,
+      active: {x: 1, y: 1, operation: 'move', valid: false, ghost: {x: 2, y: 2, dx: 1, dy: 1}}, panels: [
         {x: 1, y: 1, dx: 2, dy: 1, adornerStatus: -1, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: -1, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -152,13 +234,11 @@ export default zora()
     });
   })
   .test('end move: should swap tow self including panels', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(2, 1, {data: {foo: 'bar'}});
-    grid.updateAt(2, 2, {data: {foo: 'barbis'}});
-
-    const newState = red({active: {x: 2, y: 1, valid: true}}, {type: 'END_MOVE', startX: 2, startY: 1, x: 2, y: 2});
+    const layout = createLayout(2, 2, [2, 1, {data: {foo: 'bar'}}], [2, 2, {data: {foo: 'barbis'}}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, valid: true}}, layout), {type: 'END_MOVE', startX: 2, startY: 1, x: 2, y: 2});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null,
       panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -169,13 +249,11 @@ export default zora()
     });
   })
   .test('end move: should not swap panels when it is forbidden (invalid)', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(2, 1, {data: {foo: 'bar'}});
-    grid.updateAt(2, 2, {data: {foo: 'barbis'}});
-
-    const newState = red({active: {x: 2, y: 1, valid: false}}, {type: 'END_MOVE', startX: 2, startY: 1, x: 2, y: 2});
+    const layout = createLayout(2, 2, [2, 1, {data: {foo: 'bar'}}], [2, 2, {data: {foo: 'barbis'}}]);
+    const newState = reducer(Object.assign({active: {x: 2, y: 1, valid: false}}, layout), {type: 'END_MOVE', startX: 2, startY: 1, x: 2, y: 2});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null,
       panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -185,11 +263,28 @@ export default zora()
       ]
     });
   })
+  .test('cancel operation: should reset adorners without updating the panels', function * (t) {
+    const layout = createLayout(2, 2, [2, 1, {data: {foo: 'bar'}}]);
+    const overState = reducer(Object.assign({active: {x: 2, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 1, y: 2});
+    const newState = reducer(overState, {type: 'CANCEL_OPERATION'});
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
+      active: null,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
   .test('update panel data', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    const newState = red({active: null}, {type: 'UPDATE_PANEL_DATA', x: 2, y: 1, data: {foo: 'bar'}});
+    const layout = createLayout(2, 2);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'UPDATE_PANEL_DATA', x: 2, y: 1, data: {foo: 'bar'}});
     t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
       active: null,
       panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
@@ -200,17 +295,356 @@ export default zora()
     });
   })
   .test('reset panel data', function * (t) {
-    const grid = Grid({rows: 2, columns: 2});
-    const red = reducer(grid);
-    grid.updateAt(1, 2, {data: {foo: 'bar'}});
-    const newState = red({active: null}, {type: 'RESET_PANEL', x: 1, y: 2});
+    const layout = createLayout(2, 2, [1, 2, {data: {foo: 'bar'}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'RESET_PANEL', x: 1, y: 2});
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
+      active: null,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('resize over: rectangular grid', function * (t) {
+    const layout = createLayout(2, 3, [3, 1, {dy: 2}]);
+    const validState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(validState.active.valid, true);
+    t.deepEqual(validState.panels.map(p => p.adornerStatus), [
+      1, 1, 0,
+      1, 1, 0
+    ]);
+    const invalidState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'resize'}}, layout), {type: 'DRAG_OVER', x: 3, y: 1});
+    t.equal(invalidState.active.valid, false);
+    t.deepEqual(invalidState.panels.map(p => p.adornerStatus), [
+      1, 1, -1,
+      0, 0, -1
+    ]);
+  })
+  .test('move over: rectangular grid should not set valid when the targeted area does not fit into the grid', function * (t) {
+    const layout = createLayout(2, 4, [1, 1, {dx: 2}]);
+    const validState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 3, y: 2});
+    t.equal(validState.active.valid, true);
+    const invalidState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 4, y: 2});
+    t.equal(invalidState.active.valid, false);
+  })
+  .test('end move: rectangular grid', function * (t) {
+    const layout = createLayout(2, 3, [1, 1, {dx: 2, data: {foo: 'bar'}}], [2, 2, {data: {foo: 'barbis'}}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, valid: true}}, layout), {type: 'END_MOVE', startX: 1, startY: 1, x: 2, y: 2});
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 3,
+      active: null,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'barbis'}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 3, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 2, dx: 2, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 3, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('insert row: should update the panels and the grid dimensions', function * (t) {
+    const layout = createLayout(2, 2, [1, 2, {data: {foo: 'bar'}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'INSERT_ROW', index: 1});
     t.deepEqual(newState, {
       active: null,
+      rows: 3,
+      columns: 2,
       panels: [
         {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
         {x: 1, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 3, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 2, y: 3, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('insert column: should update the panels and the grid dimensions', function * (t) {
+    const layout = createLayout(1, 1);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'INSERT_COLUMN', index: 2});
+    t.deepEqual(newState, {
+      active: null,
+      rows: 1,
+      columns: 2,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('remove row: should update the panels and the grid dimensions', function * (t) {
+    const layout = createLayout(2, 2, [1, 2, {data: {foo: 'bar'}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'REMOVE_ROW', index: 1});
+    t.deepEqual(newState, {
+      active: null,
+      rows: 1,
+      columns: 2,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('remove column: should leave the state untouched when it would cut through a panel', function * (t) {
+    const state = Object.assign({active: null}, createLayout(2, 2, [1, 1, {dx: 2}]));
+    const newState = reducer(state, {type: 'REMOVE_COLUMN', index: 2});
+    t.equal(newState, state);
+  })
+  .test('set collision strategy', function * (t) {
+    t.deepEqual(reducer({collision: 'reject'}, {type: 'SET_COLLISION_STRATEGY', strategy: 'push'}), {collision: 'push'});
+    const state = {collision: 'reject'};
+    t.equal(reducer(state, {type: 'SET_COLLISION_STRATEGY', strategy: 'whatever'}), state);
+  })
+  .test('move over: swap strategy should preview the exchange of two panels of the same size', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2}], [1, 2, {dx: 2}]);
+    const newState = reducer(Object.assign({collision: 'swap', active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.deepEqual(newState.active, {
+      x: 1, y: 1, operation: 'move', valid: true, relocations: [
+        {from: {x: 1, y: 1}, to: {x: 1, y: 2}, dx: 2, dy: 1},
+        {from: {x: 1, y: 2}, to: {x: 1, y: 1}, dx: 2, dy: 1}
+      ], ghost: {x: 1, y: 2, dx: 2, dy: 1}
+    });
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [2, 2, 1, 1]);
+  })
+  .test('move over: the ghost should not overflow the grid', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2, data: {type: 'list'}}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.deepEqual(newState.active.ghost, {x: 2, y: 2, dx: 1, dy: 1});
+    t.equal(newState.active.valid, false);
+  })
+  .test('duplicate over: should preview the copy', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list'}}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'duplicate'}}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.deepEqual(newState.active, {x: 1, y: 1, operation: 'duplicate', valid: true, ghost: {x: 2, y: 2, dx: 1, dy: 1}});
+  })
+  .test('move over: push strategy should preview the displaced panels', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart'}}]);
+    const newState = reducer(Object.assign({collision: 'push', active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
+    t.equal(newState.active.valid, true);
+    t.deepEqual(newState.active.relocations, [
+      {from: {x: 1, y: 1}, to: {x: 2, y: 1}, dx: 1, dy: 1},
+      {from: {x: 2, y: 1}, to: {x: 2, y: 2}, dx: 1, dy: 1}
+    ]);
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [0, 1, 0, 2]);
+  })
+  .test('move over: should fall back to reject when the strategy can not apply', function * (t) {
+    const layout = createLayout(2, 2, [2, 1, {dy: 2}]);
+    const active = {x: 1, y: 1, operation: 'move', relocations: []};
+    const newState = reducer(Object.assign({collision: 'swap', active}, layout), {type: 'DRAG_OVER', x: 2, y: 2});
+    t.deepEqual(newState.active, {x: 1, y: 1, operation: 'move', valid: false, ghost: {x: 2, y: 2, dx: 1, dy: 1}});
+  })
+  .test('end move: should apply the relocations of a push', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2, data: {foo: 'bar'}}], [1, 2, {data: {foo: 'barbis'}}]);
+    const relocations = [
+      {from: {x: 1, y: 1}, to: {x: 1, y: 2}, dx: 2, dy: 1},
+      {from: {x: 1, y: 2}, to: {x: 1, y: 1}, dx: 1, dy: 1}
+    ];
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, valid: true, relocations}}, layout), {type: 'END_MOVE', startX: 1, startY: 1, x: 1, y: 2});
+    t.deepEqual(newState, {
+      rows: 2,
+      columns: 2,
+      active: null,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {foo: 'barbis'}},
+        {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 1, y: 2, dx: 2, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
         {x: 2, y: 2, dx: 1, dy: 1, adornerStatus: 0, data: {}}
       ]
     });
-  })
\ No newline at end of file
+  })
+  .test('restore layout: should replace the layout', function * (t) {
+    const layout = createLayout(2, 2);
+    const panels = [
+      {x: 1, y: 1, dx: 2, dy: 1, adornerStatus: 0, data: {foo: 'bar'}},
+      {x: 2, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+    ];
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'RESTORE_LAYOUT', panels, rows: 1, columns: 2});
+    t.deepEqual(newState, {active: null, rows: 1, columns: 2, panels});
+  })
+  .test('import dashboard: should replace the layout', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {title: 'foo'}}]);
+    const imported = createLayout(1, 3, [2, 1, {dx: 2, data: {type: 'list', title: 'bar'}}]);
+    const newState = reducer(Object.assign({active: null, collision: 'swap', layouts: {narrow: {rows: 1, columns: 1, panels: []}}, histories: {narrow: {past: [], future: []}}}, layout), Object.assign({type: 'IMPORT_DASHBOARD', smartList: []}, imported));
+    t.deepEqual(newState, {
+      active: null,
+      collision: 'swap',
+      layouts: {},
+      histories: {},
+      locked: false,
+      rows: 1,
+      columns: 3,
+      panels: [
+        {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}},
+        {x: 2, y: 1, dx: 2, dy: 1, adornerStatus: 0, data: {type: 'list', title: 'bar'}},
+        {x: 3, y: 1, dx: 1, dy: 1, adornerStatus: 0, data: {}}
+      ]
+    });
+  })
+  .test('set panel processing: should only update the processing flag of the panel data', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {title: 'foo'}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'SET_PANEL_PROCESSING', x: 1, y: 1, processing: true});
+    t.deepEqual(newState.panels[0].data, {title: 'foo', processing: true});
+  })
+  .test('end move: should not mutate the previous state', function * (t) {
+    const layout = createLayout(2, 2, [2, 1, {data: {foo: 'bar'}}]);
+    const state = Object.assign({active: {x: 2, y: 1, valid: true}}, layout);
+    const newState = reducer(state, {type: 'END_MOVE', startX: 2, startY: 1, x: 1, y: 2});
+    t.deepEqual(newState.panels[2].data, {foo: 'bar'});
+    t.deepEqual(state.panels, createLayout(2, 2, [2, 1, {data: {foo: 'bar'}}]).panels);
+  })
+  .test('start duplicate: should set the active panel', function * (t) {
+    const newState = reducer({}, {type: 'START_DUPLICATE', x: 2, y: 1});
+    t.deepEqual(newState, {active: {x: 2, y: 1, operation: 'duplicate'}});
+  })
+  .test('duplicate over: should preview the area of the copy', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2, data: {type: 'list', title: 'foo'}}]);
+    let newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'duplicate'}}, layout), {type: 'DRAG_OVER', x: 1, y: 2});
+    t.equal(newState.active.valid, true);
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [0, 0, 1, 1]);
+    newState = reducer(newState, {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(newState.active.valid, false, 'the copy would not fit');
+    t.deepEqual(newState.panels.map(p => p.adornerStatus), [0, 0, 0, -1]);
+  })
+  .test('duplicate panel: should copy the panel data into the free area', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {dx: 2, data: {type: 'list', title: 'foo', source: 'issues', showToolBar: true, id: 3, processing: true}}]);
+    const newState = reducer(Object.assign({active: {x: 1, y: 1, operation: 'duplicate', valid: true}}, layout), {
+      type: 'DUPLICATE_PANEL',
+      x: 1,
+      y: 1,
+      to: {x: 1, y: 2}
+    });
+    t.equal(newState.active, null);
+    t.deepEqual(newState.panels[2], {x: 1, y: 2, dx: 2, dy: 1, adornerStatus: 0, data: {type: 'list', title: 'foo (copy)', source: 'issues', showToolBar: true}});
+    t.deepEqual(newState.panels[0].data, {type: 'list', title: 'foo', source: 'issues', showToolBar: true, id: 3, processing: true});
+  })
+  .test('duplicate panel: should not copy onto another panel', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list', title: 'foo'}}], [2, 1, {data: {type: 'chart', title: 'bar'}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'DUPLICATE_PANEL', x: 1, y: 1, to: {x: 2, y: 1}});
+    t.deepEqual(newState.panels, layout.panels);
+  })
+  .test('maximize panel: should only flag the panel', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list', title: 'foo'}}]);
+    const state = Object.assign({active: null}, layout);
+    const newState = reducer(state, {type: 'MAXIMIZE_PANEL', x: 1, y: 1});
+    t.deepEqual(newState.maximized, {x: 1, y: 1});
+    t.equal(newState.panels, state.panels);
+    t.equal(reducer(state, {type: 'MAXIMIZE_PANEL', x: 2, y: 2}), state, 'an empty panel can not be maximized');
+    t.equal(reducer(newState, {type: 'RESTORE_PANEL'}).maximized, null);
+  })
+  .test('maximize panel: should survive the panel data updates but not the layout changes', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list', title: 'foo'}}]);
+    const state = reducer(Object.assign({active: null}, layout), {type: 'MAXIMIZE_PANEL', x: 1, y: 1});
+    t.deepEqual(reducer(state, {type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {type: 'list', title: 'bar'}}).maximized, {x: 1, y: 1});
+    t.deepEqual(reducer(state, {type: 'SET_PANEL_PROCESSING', x: 1, y: 1, processing: true}).maximized, {x: 1, y: 1});
+    t.equal(reducer(state, {type: 'INSERT_ROW', index: 1}).maximized, null);
+    t.equal(reducer(state, {type: 'RESET_PANEL', x: 1, y: 1}).maximized, null);
+  })
+  .test('lock: should not start an operation on a locked panel', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list', locked: true}}], [2, 1, {data: {type: 'list'}}]);
+    const state = Object.assign({active: null}, layout);
+    t.equal(reducer(state, {type: 'START_MOVE', x: 1, y: 1}), state);
+    t.equal(reducer(state, {type: 'START_RESIZE', x: 1, y: 1}), state);
+    t.equal(reducer(state, {type: 'END_MOVE', x: 2, y: 2, startX: 1, startY: 1}), state, 'the refused operation can not end');
+    const locked = Object.assign({}, state, {locked: true});
+    t.equal(reducer(locked, {type: 'START_MOVE', x: 2, y: 1}), locked, 'the whole dashboard is locked');
+  })
+  .test('lock: should treat the locked panels as obstacles', function * (t) {
+    const layout = createLayout(2, 2, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'list', locked: true}}]);
+    let state = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
+    t.equal(state.active.valid, false, 'a locked panel can not be moved aside');
+    state = reducer(Object.assign({active: {x: 1, y: 1, operation: 'resize', direction: 'se'}}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
+    t.equal(state.active.valid, false, 'a locked panel can not be covered');
+    state = reducer(Object.assign({active: {x: 1, y: 1, operation: 'move'}, collision: 'swap'}, layout), {type: 'DRAG_OVER', x: 2, y: 1});
+    t.equal(state.active.valid, false, 'a locked panel can not be swapped');
+    t.equal(state.active.relocations, void 0);
+  })
+  .test('lock: should not reset a locked panel', function * (t) {
+    const layout = createLayout(1, 1, [1, 1, {data: {type: 'list', locked: true}}]);
+    const state = Object.assign({active: null}, layout);
+    t.equal(reducer(state, {type: 'RESET_PANEL', x: 1, y: 1}), state);
+  })
+  .test('lock: should lock the whole dashboard', function * (t) {
+    t.equal(reducer({}, {type: 'SET_DASHBOARD_LOCK', locked: true}).locked, true);
+    t.equal(reducer({locked: true}, {type: 'SET_DASHBOARD_LOCK', locked: false}).locked, false);
+  })
+  .test('duplicate panel: should not copy the lock', function * (t) {
+    const layout = createLayout(1, 2, [1, 1, {data: {type: 'list', title: 'foo', locked: true}}]);
+    const newState = reducer(Object.assign({active: null}, layout), {type: 'DUPLICATE_PANEL', x: 1, y: 1, to: {x: 2, y: 1}});
+    t.deepEqual(newState.panels[1].data, {type: 'list', title: 'foo (copy)'});
+  })
+  .test('select panel: should toggle a configured panel in the selection', function * (t) {
+    const layout = createLayout(1, 3, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart'}}]);
+    let state = reducer(Object.assign({active: null, selection: []}, layout), {type: 'SELECT_PANEL', x: 1, y: 1});
+    state = reducer(state, {type: 'SELECT_PANEL', x: 2, y: 1});
+    t.deepEqual(state.selection, [{x: 1, y: 1}, {x: 2, y: 1}]);
+    t.equal(reducer(state, {type: 'SELECT_PANEL', x: 3, y: 1}), state, 'an empty cell can not be selected');
+    t.deepEqual(reducer(state, {type: 'SELECT_PANEL', x: 1, y: 1}).selection, [{x: 2, y: 1}]);
+    t.deepEqual(reducer(state, {type: 'CLEAR_SELECTION'}).selection, []);
+  })
+  .test('rubber band: should select the configured panels the band overlaps', function * (t) {
+    const layout = createLayout(3, 3, [1, 1, {dx: 2, data: {type: 'list'}}], [3, 1, {data: {type: 'chart'}}], [2, 3, {data: {type: 'list'}}]);
+    let state = reducer(Object.assign({active: null, selection: [{x: 3, y: 1}]}, layout), {type: 'START_SELECTION', x: 2, y: 3});
+    t.deepEqual(state.active, {x: 2, y: 3, operation: 'select'});
+    state = reducer(state, {type: 'DRAG_OVER', x: 1, y: 2});
+    t.deepEqual(state.active.band, {x: 1, y: 2, dx: 2, dy: 2});
+    t.deepEqual(state.panels.map(p => p.adornerStatus), [0, 0, 0, 3, 3, 0, 3, 3, 0]);
+    state = reducer(state, {type: 'DRAG_OVER', x: 2, y: 1});
+    state = reducer(state, {type: 'END_SELECTION', x: 2, y: 1});
+    t.equal(state.active, null);
+    t.deepEqual(state.selection, [{x: 1, y: 1}, {x: 2, y: 3}], 'the band replaces the selection');
+    t.ok(state.panels.every(p => p.adornerStatus === 0));
+  })
+  .test('group move: a selected panel should drag the whole selection along', function * (t) {
+    const layout = createLayout(3, 3, [1, 1, {data: {type: 'list', title: 'a'}}], [2, 1, {data: {type: 'chart', title: 'b'}}], [3, 3, {data: {type: 'list', title: 'c'}}]);
+    const selection = [{x: 1, y: 1}, {x: 2, y: 1}];
+    let state = reducer(Object.assign({active: null, selection}, layout), {type: 'START_MOVE', x: 2, y: 1});
+    t.deepEqual(state.active, {x: 2, y: 1, operation: 'move', group: selection});
+    state = reducer(state, {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(state.active.valid, true);
+    t.deepEqual(state.active.ghost, {x: 1, y: 2, dx: 2, dy: 1});
+    t.deepEqual(state.panels.filter(p => p.adornerStatus === 1).map(({x, y}) => ({x, y})), [{x: 1, y: 2}, {x: 2, y: 2}]);
+    state = reducer(state, {type: 'END_MOVE', startX: 2, startY: 1, x: 2, y: 2});
+    t.deepEqual(state.panels.filter(p => p.data.type !== void 0).map(({x, y, data}) => ({x, y, title: data.title})), [
+      {x: 1, y: 2, title: 'a'},
+      {x: 2, y: 2, title: 'b'},
+      {x: 3, y: 3, title: 'c'}
+    ]);
+    t.deepEqual(state.selection, [{x: 1, y: 2}, {x: 2, y: 2}], 'the selection follows the panels');
+  })
+  .test('group move: should be refused when a panel out of the group is in the way', function * (t) {
+    const layout = createLayout(3, 3, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart'}}], [3, 2, {data: {type: 'list'}}]);
+    const selection = [{x: 1, y: 1}, {x: 2, y: 1}];
+    let state = reducer(Object.assign({active: null, collision: 'push', selection}, layout), {type: 'START_MOVE', x: 1, y: 1});
+    state = reducer(state, {type: 'DRAG_OVER', x: 2, y: 2});
+    t.equal(state.active.valid, false);
+    t.equal(state.active.relocations, void 0);
+    t.equal(findPanel(state.panels, 3, 2).adornerStatus, -1);
+    state = reducer(state, {type: 'END_MOVE', startX: 1, startY: 1, x: 2, y: 2});
+    t.deepEqual(state.panels.filter(p => p.data.type !== void 0).map(({x, y}) => ({x, y})), [{x: 1, y: 1}, {x: 2, y: 1}, {x: 3, y: 2}]);
+    t.deepEqual(state.selection, selection);
+  })
+  .test('group move: should be refused when a selected panel is locked', function * (t) {
+    const layout = createLayout(1, 2, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart', locked: true}}]);
+    const state = Object.assign({active: null, selection: [{x: 1, y: 1}, {x: 2, y: 1}]}, layout);
+    t.equal(reducer(state, {type: 'START_MOVE', x: 1, y: 1}), state);
+  })
+  .test('reset panels: should reset the unlocked panels and drop the selection', function * (t) {
+    const layout = createLayout(1, 3, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart', locked: true}}], [3, 1, {data: {type: 'list'}}]);
+    const state = reducer(Object.assign({active: null, selection: [{x: 1, y: 1}, {x: 2, y: 1}]}, layout), {type: 'RESET_PANELS', panels: [{x: 1, y: 1}, {x: 2, y: 1}]});
+    t.deepEqual(state.panels.map(p => p.data.type), [void 0, 'chart', 'list']);
+    t.deepEqual(state.selection, []);
+  })
+  .test('lock panels: should lock or unlock the configured panels', function * (t) {
+    const layout = createLayout(1, 3, [1, 1, {data: {type: 'list'}}], [2, 1, {data: {type: 'chart', locked: true}}]);
+    const targets = [{x: 1, y: 1}, {x: 2, y: 1}, {x: 3, y: 1}];
+    const locked = reducer(Object.assign({active: null}, layout), {type: 'LOCK_PANELS', panels: targets, locked: true});
+    t.deepEqual(locked.panels.map(p => p.data), [{type: 'list', locked: true}, {type: 'chart', locked: true}, {}]);
+    const unlocked = reducer(locked, {type: 'LOCK_PANELS', panels: targets, locked: false});
+    t.deepEqual(unlocked.panels.map(p => p.data), [{type: 'list', locked: false}, {type: 'chart', locked: false}, {}]);
+  });
@@ -0,0 +1,16 @@
+import zora from 'zora';
+import reducer from '../../src/reducers/gridSizeTools';
+
+export default zora()
+  .test('grid size tools: should target the last row and the last column by default', function * (t) {
+    t.deepEqual(reducer(void 0, {type: '@@INIT'}), {row: null, column: null});
+  })
+  .test('grid size tools: should set the index of an axis', function * (t) {
+    t.deepEqual(reducer({row: null, column: null}, {type: 'SET_GRID_SIZE_INDEX', axis: 'column', index: 2}), {row: null, column: 2});
+  })
+  .test('grid size tools: should ignore invalid axes and indexes', function * (t) {
+    const state = {row: 1, column: 2};
+    t.equal(reducer(state, {type: 'SET_GRID_SIZE_INDEX', axis: 'foo', index: 2}), state);
+    t.equal(reducer(state, {type: 'SET_GRID_SIZE_INDEX', axis: 'row', index: 0}), state);
+    t.equal(reducer(state, {type: 'SET_GRID_SIZE_INDEX', axis: 'row', index: NaN}), state);
+  });
@@ -0,0 +1,76 @@
+import zora from 'zora';
+import {createStore} from '../util';
+
+const dataAt = (state, x, y) => state.grid.panels.find(p => p.x === x && p.y === y).data;
+
+export default zora()
+  .test('history: should start empty', function * (t) {
+    const {state} = createStore();
+    t.deepEqual(state.history, {past: [], future: []});
+  })
+  .test('history: should undo and redo a panel data update', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    t.equal(store.state.history.past.length, 1);
+    store.dispatch({type: 'UNDO'});
+    t.deepEqual(dataAt(store.state, 1, 1), {});
+    t.equal(store.state.history.past.length, 0);
+    t.equal(store.state.history.future.length, 1);
+    store.dispatch({type: 'REDO'});
+    t.deepEqual(dataAt(store.state, 1, 1), {title: 'foo'});
+    t.equal(store.state.history.future.length, 0);
+    t.equal(store.state.history.past.length, 1);
+  })
+  .test('history: should undo a move and not record the transient states', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'START_MOVE', x: 1, y: 1});
+    store.dispatch({type: 'DRAG_OVER', x: 2, y: 2});
+    store.dispatch({type: 'DRAG_OVER', x: 2, y: 1});
+    store.dispatch({type: 'END_MOVE', startX: 1, startY: 1, x: 2, y: 1});
+    t.deepEqual(dataAt(store.state, 2, 1), {title: 'foo'});
+    t.equal(store.state.history.past.length, 2);
+    store.dispatch({type: 'UNDO'});
+    t.deepEqual(dataAt(store.state, 1, 1), {title: 'foo'});
+    t.deepEqual(dataAt(store.state, 2, 1), {});
+    t.ok(store.state.grid.panels.every(p => p.adornerStatus === 0));
+  })
+  .test('history: should undo a grid dimension change', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'INSERT_ROW', index: 3});
+    t.equal(store.state.grid.rows, 3);
+    store.dispatch({type: 'UNDO'});
+    t.equal(store.state.grid.rows, 2);
+    t.equal(store.state.grid.panels.length, 4);
+  })
+  .test('history: should not record the edits which do not change the layout', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'START_MOVE', x: 1, y: 1});
+    store.dispatch({type: 'END_MOVE', startX: 1, startY: 1, x: 2, y: 2});
+    store.dispatch({type: 'REMOVE_ROW', index: 4});
+    store.dispatch({type: 'SET_PANEL_PROCESSING', x: 1, y: 1, processing: true});
+    t.equal(store.state.history.past.length, 0);
+  })
+  .test('history: should clear the redo stack on a new edit', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    store.dispatch({type: 'UNDO'});
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 2, y: 1, data: {title: 'bar'}});
+    t.equal(store.state.history.future.length, 0);
+    const state = store.state;
+    t.equal(store.dispatch({type: 'REDO'}), state);
+  })
+  .test('history: should not undo during an operation', function * (t) {
+    const store = createStore();
+    store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: 'foo'}});
+    const state = store.dispatch({type: 'START_MOVE', x: 1, y: 1});
+    t.equal(store.dispatch({type: 'UNDO'}), state);
+  })
+  .test('history: should cap the undo stack', function * (t) {
+    const store = createStore();
+    for (let i = 0; i < 60; i++) {
+      store.dispatch({type: 'UPDATE_PANEL_DATA', x: 1, y: 1, data: {title: `title ${i}`}});
+    }
+    t.equal(store.state.history.past.length, 50);
+    t.deepEqual(store.state.history.past[0].panels[0].data, {title: 'title 9'});
+  });
@@ -2,8 +2,20 @@ import zora from 'zora';
 import grid from './grid';
 import modal from './modal';
 import smartList from './smartList';
+import announcement from './announcement';
+import history from './history';
+import dashboards from './dashboards';
+import breakpoints from './breakpoints';
+import templates from './templates';
+import gridSizeTools from './gridSizeTools';
 
 export default zora()
   .test(grid)
   .test(modal)
-  .test(smartList)
\ No newline at end of file
+  .test(smartList)
+  .test(announcement)
+  .test(history)
+  .test(dashboards)
+  .test(breakpoints)
+  .test(templates)
+  .test(gridSizeTools)
\ No newline at end of file
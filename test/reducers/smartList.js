@@ -17,6 +17,16 @@ export default zora()
       items: [{id: 1}, {id: 2}]
     }]);
   })
+  .test('create smart list: should replace a restored smart list at the same position', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: []},
+      {x: 1, y: 2, tableState: {foo: 'barbis'}, items: []}
+    ], {type: 'CREATE_SMART_LIST', x: 1, y: 1, tableState: {foo: 'woot'}, items: []});
+    t.deepEqual(newState, [
+      {x: 1, y: 2, tableState: {foo: 'barbis'}, items: []},
+      {x: 1, y: 1, tableState: {foo: 'woot'}, items: []}
+    ]);
+  })
   .test('update smart list', function * (t) {
     const newState = reducer([
       {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]},
@@ -45,4 +55,56 @@ export default zora()
     t.deepEqual(newState, [
       {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]}
     ]);
-  });
\ No newline at end of file
+  })
+  .test('set smart list error', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: []},
+      {x: 1, y: 2, tableState: {foo: 'barbis'}, items: []}
+    ], {type: 'SET_SMART_LIST_ERROR', x: 1, y: 2, error: 'The GitHub API could not be reached'});
+    t.deepEqual(newState, [
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: []},
+      {x: 1, y: 2, tableState: {foo: 'barbis'}, items: [], error: 'The GitHub API could not be reached'}
+    ]);
+    t.deepEqual(reducer(newState, {type: 'SET_SMART_LIST_ERROR', x: 1, y: 2})[1].error, null);
+  })
+  .test('set smart list paging', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: []}
+    ], {type: 'SET_SMART_LIST_PAGING', x: 1, y: 1, hasNextPage: true});
+    t.deepEqual(newState, [{x: 1, y: 1, tableState: {foo: 'bar'}, items: [], hasNextPage: true}]);
+  })
+  .test('import dashboard: should replace the smart lists with empty ones', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]}
+    ], {
+      type: 'IMPORT_DASHBOARD',
+      smartList: [{x: 2, y: 1, tableState: {foo: 'woot'}}]
+    });
+    t.deepEqual(newState, [
+      {x: 2, y: 1, tableState: {foo: 'woot'}, items: []}
+    ]);
+  })
+  .test('duplicate panel: should copy the table state of the original list', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]}
+    ], {type: 'DUPLICATE_PANEL', x: 1, y: 1, to: {x: 2, y: 2}});
+    t.deepEqual(newState, [
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]},
+      {x: 2, y: 2, tableState: {foo: 'bar'}, items: []}
+    ]);
+  })
+  .test('move smart lists: should keep the table states of the moved lists', function * (t) {
+    const newState = reducer([
+      {x: 1, y: 1, tableState: {foo: 'bar'}, items: [{id: 123}]},
+      {x: 2, y: 1, tableState: {foo: 'woot'}, items: [{id: 456}]},
+      {x: 3, y: 1, tableState: {foo: 'blah'}, items: [{id: 789}]}
+    ], {
+      type: 'MOVE_SMART_LISTS',
+      moves: [{from: {x: 1, y: 1}, to: {x: 2, y: 1}}, {from: {x: 2, y: 1}, to: {x: 1, y: 1}}, {from: {x: 4, y: 1}, to: {x: 3, y: 2}}]
+    });
+    t.deepEqual(newState, [
+      {x: 3, y: 1, tableState: {foo: 'blah'}, items: [{id: 789}]},
+      {x: 2, y: 1, tableState: {foo: 'bar'}, items: []},
+      {x: 1, y: 1, tableState: {foo: 'woot'}, items: []}
+    ]);
+  });
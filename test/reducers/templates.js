@@ -0,0 +1,26 @@
+import zora from 'zora';
+import reducer from '../../src/reducers/templates';
+
+const document = {format: 'smart-dashboard', version: 1, rows: 1, columns: 1, panels: []};
+
+export default zora()
+  .test('templates: should save a template', function * (t) {
+    const state = reducer([], {type: 'SAVE_TEMPLATE', name: ' mine ', description: 'foo', document});
+    t.deepEqual(state, [{id: 'template-1', name: 'mine', description: 'foo', document}]);
+    t.deepEqual(reducer(state, {type: 'SAVE_TEMPLATE', name: 'other', document}).map(({id}) => id), ['template-1', 'template-2']);
+  })
+  .test('templates: should replace the template of the same name', function * (t) {
+    const other = Object.assign({}, document, {rows: 2});
+    const state = reducer([{id: 'template-1', name: 'foo', description: '', document}, {id: 'template-3', name: 'mine', description: '', document}],
+      {type: 'SAVE_TEMPLATE', name: 'mine', document: other});
+    t.deepEqual(state.map(({id, document}) => ({id, rows: document.rows})), [{id: 'template-1', rows: 1}, {id: 'template-3', rows: 2}]);
+  })
+  .test('templates: should not save a template without a name', function * (t) {
+    const state = [];
+    t.equal(reducer(state, {type: 'SAVE_TEMPLATE', name: '  ', document}), state);
+    t.equal(reducer(state, {type: 'SAVE_TEMPLATE', document}), state);
+  })
+  .test('templates: should delete a template', function * (t) {
+    const state = reducer([{id: 'template-1', name: 'foo', description: '', document}], {type: 'DELETE_TEMPLATE', id: 'template-1'});
+    t.deepEqual(state, []);
+  });
@@ -1 +1,26 @@
-export const wait = (time = 1) => new Promise(resolve => setTimeout(_ => resolve(true), time));
\ No newline at end of file
+import {emptyPanels} from '../src/lib/grid';
+import reducer from '../src/reducers/index';
+
+export const wait = (time = 1) => new Promise(resolve => setTimeout(_ => resolve(true), time));
+
+// a store over the whole reducer chain: the given grid properties override the ones of an empty 2x2 grid
+export const createStore = (initialState = {}) => {
+  const grid = Object.assign({active: null, panels: emptyPanels(2, 2), rows: 2, columns: 2}, initialState.grid);
+  let state = reducer(Object.assign({}, initialState, {grid}), {type: '@@INIT'});
+  return {
+    dispatch(action){
+      state = reducer(state, action);
+      return state;
+    },
+    get state(){
+      return state;
+    }
+  };
+};
+
+// actions recording their calls, typed after their name (startMove records START_MOVE)
+export const fakeActions = (...names) => {
+  const calls = [];
+  const record = type => args => calls.push(Object.assign({type}, args));
+  return names.reduce((acc, name) => Object.assign(acc, {[name]: record(name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase())}), {calls});
+};
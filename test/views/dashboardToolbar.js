@@ -0,0 +1,111 @@
+import zora from 'zora';
+import {h, mount} from 'flaco';
+import DashboardToolbar from '../../src/views/DashboardToolbar';
+import DashboardTabs from '../../src/views/DashboardTabs';
+import TemplatePicker from '../../src/views/TemplatePicker';
+import {BUILT_IN_TEMPLATES} from '../../src/lib/templates';
+import {wait} from '../util';
+
+export default zora()
+  .test('dashboard toolbar: should select the current collision strategy', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardToolbar collision="swap" strategies={['reject', 'swap', 'push']}/>, {}, container);
+    const select = container.querySelector('select[name=collision]');
+    t.equal(select.options.length, 3);
+    t.equal(select.value, 'swap');
+  })
+  .test('dashboard toolbar: should notify collision strategy changes', function * (t) {
+    const container = document.createElement('div');
+    let strategy = null;
+    mount(<DashboardToolbar collision="reject" strategies={['reject', 'swap', 'push']} onCollisionChange={ev => strategy = ev.target.value}/>, {}, container);
+    yield wait(10);
+    const select = container.querySelector('select[name=collision]');
+    select.value = 'push';
+    select.dispatchEvent(new Event('change'));
+    t.equal(strategy, 'push');
+  })
+  .test('dashboard toolbar: should disable the history buttons when there is nothing to undo or redo', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardToolbar canUndo={true} canRedo={false}/>, {}, container);
+    t.notOk(container.querySelector('.undo-button').hasAttribute('disabled'));
+    t.ok(container.querySelector('.redo-button').hasAttribute('disabled'));
+  })
+  .test('dashboard toolbar: should offer to export and import the dashboard', function * (t) {
+    const container = document.createElement('div');
+    let exported = false;
+    mount(<DashboardToolbar onExport={_ => exported = true}/>, {}, container);
+    yield wait(10);
+    container.querySelector('.export-button').click();
+    t.ok(exported);
+    const input = container.querySelector('.import-button input[type=file]');
+    t.equal(input.getAttribute('accept'), '.json,application/json');
+  })
+  .test('dashboard toolbar: should insert and remove rows and columns at the chosen index', function * (t) {
+    const container = document.createElement('div');
+    const calls = [];
+    mount(<DashboardToolbar rows={3} columns={2} rowIndex={2} columnIndex={1} canRemoveRow={false} canRemoveColumn={true}
+                            onRowIndexChange={ev => calls.push(`row ${ev.target.value}`)}
+                            onInsertRowBefore={_ => calls.push('insert row before')} onInsertColumnAfter={_ => calls.push('insert column after')}
+                            onRemoveColumn={_ => calls.push('remove column')}/>, {}, container);
+    yield wait(10);
+    const rowIndex = container.querySelector('select[name=row-index]');
+    t.deepEqual([...rowIndex.options].map(o => o.value), ['1', '2', '3']);
+    t.equal(rowIndex.value, '2');
+    t.equal(container.querySelector('select[name=column-index]').value, '1');
+    t.ok(container.querySelector('.remove-row-button').hasAttribute('disabled'));
+    t.notOk(container.querySelector('.remove-column-button').hasAttribute('disabled'));
+    rowIndex.value = '3';
+    rowIndex.dispatchEvent(new Event('change'));
+    container.querySelector('.insert-row-before-button').click();
+    container.querySelector('.insert-column-after-button').click();
+    container.querySelector('.remove-column-button').click();
+    t.deepEqual(calls, ['row 3', 'insert row before', 'insert column after', 'remove column']);
+  })
+  .test('dashboard tabs: should select the active dashboard tab', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardTabs active="b" tabs={[{id: 'a', name: 'foo'}, {id: 'b', name: 'bar'}]}/>, {}, container);
+    const tabs = [...container.querySelectorAll('[role=tab]')];
+    t.deepEqual(tabs.map(tab => tab.textContent), ['foo', 'bar']);
+    t.deepEqual(tabs.map(tab => tab.getAttribute('aria-selected')), ['false', 'true']);
+    t.deepEqual(tabs.map(tab => tab.getAttribute('tabindex')), ['-1', '0']);
+    t.notOk(container.querySelector('.delete-dashboard-button').hasAttribute('disabled'));
+  })
+  .test('dashboard tabs: should not delete the last dashboard', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardTabs active="a" tabs={[{id: 'a', name: 'foo'}]}/>, {}, container);
+    t.ok(container.querySelector('.delete-dashboard-button').hasAttribute('disabled'));
+  })
+  .test('dashboard toolbar: should not save an empty dashboard as a template', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardToolbar empty={true}/>, {}, container);
+    t.ok(container.querySelector('.save-template-button').hasAttribute('disabled'));
+  })
+  .test('dashboard toolbar: should only show the selection tools when panels are selected', function * (t) {
+    const container = document.createElement('div');
+    mount(<DashboardToolbar selectionCount={0}/>, {}, container);
+    t.ok(container.querySelector('.selection-tools').hasAttribute('hidden'));
+    container.innerHTML = '';
+    mount(<DashboardToolbar selectionCount={2} locked={true}/>, {}, container);
+    t.notOk(container.querySelector('.selection-tools').hasAttribute('hidden'));
+    t.equal(container.querySelector('.selection-count').textContent, '2 selected');
+    t.ok(container.querySelector('.lock-selection-button').hasAttribute('disabled'), 'the dashboard lock prevails');
+  })
+  .test('template picker: should list the templates with a preview of their panels', function * (t) {
+    const container = document.createElement('div');
+    const custom = Object.assign({}, BUILT_IN_TEMPLATES[1], {id: 'template-1', name: 'mine', builtIn: false});
+    let applied = null;
+    mount(<TemplatePicker templates={[...BUILT_IN_TEMPLATES, custom]} onApply={ev => applied = ev.currentTarget.getAttribute('template')}/>, {}, container);
+    yield wait(10);
+    const buttons = container.querySelectorAll('.apply-template-button');
+    t.equal(buttons.length, 4);
+    t.equal(buttons[0].querySelector('strong').textContent, 'Maintainer triage');
+    t.equal(buttons[0].querySelectorAll('.template-preview-panel').length, 4);
+    t.equal(container.querySelectorAll('.delete-template-button').length, 1, 'only the custom templates can be deleted');
+    buttons[2].click();
+    t.equal(applied, 'community-health');
+  })
+  .test('template picker: should be hidden when the dashboard is not empty', function * (t) {
+    const container = document.createElement('div');
+    mount(<TemplatePicker hidden={true} templates={BUILT_IN_TEMPLATES}/>, {}, container);
+    t.ok(container.firstChild.hasAttribute('hidden'));
+  });
@@ -1,6 +1,14 @@
 import zora from 'zora';
 import {h, mount} from 'flaco';
-import {CreateSmartChartForm, CreateSmartListForm} from '../../src/views/EditDataPanelForm';
+import {
+  CreateSmartChartForm,
+  CreateSmartListForm,
+  CreateSmartListDataPanel,
+  CreateSmartChartDataPanel,
+  SUGGESTION_DELAY
+} from '../../src/views/EditDataPanelForm';
+import {SERIES} from '../../src/lib/series';
+import {wait} from '../util';
 
 export default zora()
   .test('create chart panel form: should display the form', function * (t) {
@@ -12,6 +20,12 @@ export default zora()
     const form = container.querySelector('form');
     t.ok(form.title,'input title should be defined');
   })
+  .test('create chart panel form: should only offer the sources which can be plotted', function * (t) {
+    const container = document.createElement('div');
+    mount(CreateSmartChartForm, {onSubmit: _ => _, onUpdate: _ => _}, container);
+    const sources = [...container.querySelectorAll('[name=sourceType]')].map(input => input.value);
+    t.deepEqual(sources, Object.keys(SERIES));
+  })
   .test('creaete smart list: should display the form', function * (t) {
     const container = document.createElement('div');
     mount(CreateSmartListForm, {
@@ -22,3 +36,82 @@ export default zora()
     t.ok(form.title,'input title should be defined');
     t.ok(form.sourceType,'sourceType should be defined');
   })
+  .test('repository field: should suggest repositories as a combobox', function * (t) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const data = {type: 'list'};
+    const searches = [];
+    const suggestRepositories = text => {
+      searches.push(text);
+      return Promise.resolve([{full_name: 'lorenzofox3/smart-table'}, {full_name: 'lorenzofox3/zora'}]);
+    };
+    mount(CreateSmartListDataPanel, {data, isOpen: true, onSubmit: _ => _, closeModal: _ => _, suggestRepositories}, container);
+    yield wait();
+    const input = container.querySelector('[role=combobox]');
+    const listbox = container.querySelector('[role=listbox]');
+    t.equal(input.getAttribute('aria-controls'), listbox.id);
+    t.equal(input.getAttribute('aria-expanded'), 'false');
+    t.ok(listbox.hidden, 'no suggestion yet');
+    input.value = 'lorenzofox3/';
+    input.dispatchEvent(new Event('input'));
+    yield wait(SUGGESTION_DELAY + 20);
+    t.deepEqual(searches, ['lorenzofox3/']);
+    t.equal(data.repository, 'lorenzofox3/');
+    t.equal(input.getAttribute('aria-expanded'), 'true');
+    t.deepEqual([...listbox.querySelectorAll('[role=option]')].map(option => option.textContent), ['lorenzofox3/smart-table', 'lorenzofox3/zora']);
+    input.dispatchEvent(new KeyboardEvent('keydown', {code: 'ArrowDown', bubbles: true, cancelable: true}));
+    input.dispatchEvent(new KeyboardEvent('keydown', {code: 'ArrowDown', bubbles: true, cancelable: true}));
+    yield wait();
+    const active = container.querySelector('[role=option][aria-selected=true]');
+    t.equal(active.textContent, 'lorenzofox3/zora');
+    t.equal(input.getAttribute('aria-activedescendant'), active.id);
+    const enter = new KeyboardEvent('keydown', {code: 'Enter', bubbles: true, cancelable: true});
+    input.dispatchEvent(enter);
+    yield wait();
+    t.ok(enter.defaultPrevented, 'the form is not submitted');
+    t.equal(input.value, 'lorenzofox3/zora');
+    t.equal(data.repository, 'lorenzofox3/zora');
+    t.equal(input.getAttribute('aria-expanded'), 'false');
+    t.notOk(input.hasAttribute('aria-activedescendant'), 'no active option');
+    input.value = 'lorenzo';
+    input.dispatchEvent(new Event('input'));
+    yield wait(SUGGESTION_DELAY + 20);
+    t.notOk(input.hasAttribute('aria-activedescendant'));
+    listbox.querySelector('[role=option]').dispatchEvent(new MouseEvent('mousedown', {bubbles: true, cancelable: true}));
+    yield wait();
+    t.equal(input.value, 'lorenzofox3/smart-table', 'the option picked with the mouse');
+    t.equal(data.repository, 'lorenzofox3/smart-table');
+    document.body.removeChild(container);
+  })
+  .test('repository field: should not create the panel of a repository which does not exist', function * (t) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const data = {type: 'chart', title: 'stars', source: 'stargazers', repository: 'facebook/nope'};
+    const submitted = [];
+    const validateRepository = name => name.trim().toLowerCase() === 'facebook/react' ?
+      Promise.resolve('facebook/react') :
+      Promise.reject(new Error(`The repository ${name} could not be found`));
+    mount(CreateSmartChartDataPanel, {data, isOpen: true, onSubmit: _ => submitted.push(Object.assign({}, data)), closeModal: _ => _, validateRepository}, container);
+    yield wait();
+    const form = container.querySelector('form');
+    const input = container.querySelector('[role=combobox]');
+    form.dispatchEvent(new Event('submit', {cancelable: true}));
+    yield wait(10);
+    t.deepEqual(submitted, []);
+    t.equal(input.getAttribute('aria-invalid'), 'true');
+    t.equal(container.querySelector('[role=status]').textContent, 'The repository facebook/nope could not be found');
+    data.repository = 'Facebook/React ';
+    form.dispatchEvent(new Event('submit', {cancelable: true}));
+    yield wait(10);
+    t.equal(submitted.length, 1);
+    t.equal(submitted[0].repository, 'facebook/react', 'the name GitHub gives to the repository');
+    document.body.removeChild(container);
+  })
+  .test('repository field: should create the panel of the default repository when empty', function * (t) {
+    const container = document.createElement('div');
+    const submitted = [];
+    mount(CreateSmartListForm, {data: {type: 'list'}, onSubmit: _ => submitted.push(true)}, container);
+    yield wait();
+    container.querySelector('form').dispatchEvent(new Event('submit', {cancelable: true}));
+    t.equal(submitted.length, 1);
+  });
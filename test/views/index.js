@@ -2,9 +2,13 @@ import zora from 'zora';
 import modalCombinator from './modal';
 import EditForms from './editDataPanelForm'
 import panels from './panels';
+import dashboardToolbar from './dashboardToolbar';
+import lists from './lists';
 
 export default zora()
   .test(modalCombinator)
   .test(EditForms)
   .test(panels)
+  .test(dashboardToolbar)
+  .test(lists)
 ;
\ No newline at end of file
@@ -0,0 +1,179 @@
+import zora from 'zora';
+import ListError from '../../src/views/ListError';
+import {StargazerCard, StargazersList, STARGAZER_SORT_OPTIONS} from '../../src/views/Stargazers';
+import {StarsChart} from '../../src/views/StarsChart';
+import {ContributorCard, ContributorsList} from '../../src/views/Contributors';
+import {CommitCard, CommitsList} from '../../src/views/Commits';
+import {PullRequestCard, PullRequestsList, PULL_REQUEST_SORT_OPTIONS} from '../../src/views/PullRequests';
+import {h, mount} from 'flaco';
+import {wait} from '../util';
+
+export default zora()
+  .test('list error: should show why the data could not be fetched', function * (t) {
+    const container = document.createElement('div');
+    let retried = 0;
+    mount(<ListError error="The GitHub API could not be reached" onRetry={_ => retried++}/>, {}, container);
+    yield wait();
+    const alert = container.querySelector('[role=alert]');
+    t.equal(alert.querySelector('p').textContent, 'The GitHub API could not be reached');
+    alert.querySelector('.retry-button').click();
+    t.equal(retried, 1);
+  })
+  .test('pull request card: should show the status, the branches and the changes', function * (t) {
+    const container = document.createElement('div');
+    const pullRequest = {
+      number: 12,
+      title: 'add a feature',
+      status: 'merged',
+      created_at: '2017-06-01T10:00:00Z',
+      user: {login: 'alice', html_url: 'https://github.com/alice'},
+      head: 'feature',
+      base: 'master',
+      requested_reviewers: ['bob', 'core'],
+      changed_files: 3,
+      additions: 10,
+      deletions: 2,
+      review_comments: 4
+    };
+    mount(<PullRequestCard pullRequest={pullRequest}/>, {}, container);
+    t.equal(container.querySelector('.status > span:last-child').textContent, 'merged');
+    t.ok(container.querySelector('.status > span:last-child').classList.contains('merged'));
+    t.equal(container.querySelector('.head').textContent, 'feature');
+    t.equal(container.querySelector('.base').textContent, 'master');
+    t.notOk(container.querySelector('.reviewers').hasAttribute('hidden'));
+    t.equal(container.querySelector('.reviewers > span:last-child').textContent, 'review requested from bob, core');
+    t.equal(container.querySelector('.changed-files').textContent, '3 file(s)');
+    t.equal(container.querySelector('.additions').textContent, '+10');
+    t.equal(container.querySelector('.deletions').textContent, '-2');
+  })
+  .test('pull request card: should hide what is not known', function * (t) {
+    const container = document.createElement('div');
+    mount(<PullRequestCard pullRequest={{number: 1, status: 'draft', user: {}, requested_reviewers: [], changed_files: null}}/>, {}, container);
+    t.ok(container.querySelector('.reviewers').hasAttribute('hidden'));
+    t.ok(container.querySelector('.changes').hasAttribute('hidden'));
+    t.ok(container.querySelector('.status > span:last-child').classList.contains('draft'));
+  })
+  .test('pull requests list: should offer the pull request sort options', function * (t) {
+    const container = document.createElement('div');
+    const sorts = [];
+    const smartList = {sort: state => sorts.push(state)};
+    mount(<PullRequestsList pullRequests={[]} smartList={smartList} showToolBar={true}/>, {}, container);
+    yield wait();
+    const items = container.querySelectorAll('[role=menuitem]');
+    t.deepEqual([...items].map(i => i.textContent), PULL_REQUEST_SORT_OPTIONS.map(({label}) => label));
+    items[3].click();
+    t.deepEqual(sorts, [{pointer: 'merged_at', direction: 'desc'}]);
+  })
+  .test('sort dropdown: should have ids of its own in each panel', function * (t) {
+    const container = document.createElement('div');
+    const smartList = {sort: () => {}};
+    mount(<div>
+      <PullRequestsList x={1} y={2} pullRequests={[]} smartList={smartList} showToolBar={true}/>
+      <StargazersList x={2} y={2} stargazers={[]} smartList={smartList} showToolBar={true}/>
+    </div>, {}, container);
+    yield wait();
+    const dropdowns = [...container.querySelectorAll('.dropdown')];
+    t.deepEqual(dropdowns.map(d => d.id), ['sort-dropdown-1-2', 'sort-dropdown-2-2']);
+    t.deepEqual(dropdowns.map(d => d.querySelector('[aria-haspopup]').getAttribute('aria-controls')), ['sort-menu-1-2', 'sort-menu-2-2']);
+    t.deepEqual(dropdowns.map(d => d.querySelector('[role=menu]').id), ['sort-menu-1-2', 'sort-menu-2-2']);
+  })
+  .test('stargazer card: should show the avatar and the star date', function * (t) {
+    const container = document.createElement('div');
+    const stargazer = {login: 'bob', html_url: 'https://github.com/bob', avatar_url: 'https://avatars/bob', starred_at: '2017-06-01T10:00:00Z'};
+    mount(<StargazerCard stargazer={stargazer}/>, {}, container);
+    t.equal(container.querySelector('.avatar').getAttribute('src'), 'https://avatars/bob');
+    t.equal(container.querySelector('[rel=author]').textContent, 'bob');
+    t.equal(container.querySelector('time').getAttribute('datetime'), '2017-06-01T10:00:00Z');
+  })
+  .test('stargazers list: should sort by star date', function * (t) {
+    const container = document.createElement('div');
+    const sorts = [];
+    mount(<StargazersList stargazers={[]} smartList={{sort: state => sorts.push(state)}} showToolBar={true}/>, {}, container);
+    yield wait();
+    const items = container.querySelectorAll('[role=menuitem]');
+    t.deepEqual([...items].map(i => i.textContent), STARGAZER_SORT_OPTIONS.map(({label}) => label));
+    items[1].click();
+    t.deepEqual(sorts, [{pointer: 'starred_at', direction: 'asc'}]);
+  })
+  .test('stars chart: should plot the running total of the stars', function * (t) {
+    const container = document.createElement('div');
+    const series = [{date: '2017-06-01', count: 1}, {date: '2017-06-03', count: 4}];
+    mount(<StarsChart series={series}/>, {}, container);
+    t.equal(container.querySelector('polyline').getAttribute('points'), '0,75 100,0');
+    t.equal(container.querySelector('svg').getAttribute('aria-label'), '4 star(s) on 2017-06-03');
+    t.equal(container.querySelector('figcaption').textContent, '4 star(s) on 2017-06-03');
+    t.ok(container.querySelector('.list-error').hasAttribute('hidden'));
+  })
+  .test('contributor card: should show the contributions of the selected window', function * (t) {
+    const container = document.createElement('div');
+    const contributor = {
+      login: 'bob',
+      html_url: 'https://github.com/bob',
+      avatar_url: 'https://avatars/bob',
+      stats: {all: {commits: 7, additions: 125, deletions: 13}, month: {commits: 1, additions: 5, deletions: 1}}
+    };
+    mount(<ContributorCard contributor={contributor} windowName="month"/>, {}, container);
+    t.equal(container.querySelector('[rel=author]').getAttribute('href'), 'https://github.com/bob');
+    t.equal(container.querySelector('.commits').textContent, '1 commit(s)');
+    t.equal(container.querySelector('.additions').textContent, '+5');
+    t.equal(container.querySelector('.deletions').textContent, '-1');
+  })
+  .test('contributors list: should sort on the contributions of the selected window', function * (t) {
+    const container = document.createElement('div');
+    const sorts = [];
+    const windows = [];
+    mount(<ContributorsList contributors={[]} smartList={{sort: state => sorts.push(state)}} showToolBar={true} windowName="quarter"
+                            onWindowChange={ev => windows.push(ev.target.value)}/>, {}, container);
+    yield wait();
+    const select = container.querySelector('.window-select select');
+    t.equal(select.value, 'quarter');
+    container.querySelector('[role=menuitem]').click();
+    t.deepEqual(sorts, [{pointer: 'stats.quarter.commits', direction: 'desc'}]);
+    select.value = 'year';
+    select.dispatchEvent(new Event('change'));
+    t.deepEqual(windows, ['year']);
+  })
+  .test('commit card: should show the short SHA, the headline and the verification', function * (t) {
+    const container = document.createElement('div');
+    const commit = {
+      short_sha: '6dcb09b',
+      headline: 'fix the sort',
+      date: '2017-06-01T10:00:00Z',
+      author: {name: 'Bob', login: 'bob', html_url: 'https://github.com/bob'},
+      verified: true
+    };
+    mount(<CommitCard commit={commit}/>, {}, container);
+    t.equal(container.querySelector('h3').textContent, 'fix the sort');
+    t.equal(container.querySelector('[rel=self]').textContent, '6dcb09b');
+    t.equal(container.querySelector('[rel=author]').textContent, 'bob');
+    t.notOk(container.querySelector('.verified').hasAttribute('hidden'));
+    container.innerHTML = '';
+    mount(<CommitCard commit={{short_sha: 'abc', author: {name: 'Bob'}, verified: false}}/>, {}, container);
+    t.equal(container.querySelector('[rel=author]').textContent, 'Bob', 'the name of an author without a GitHub account');
+    t.ok(container.querySelector('.verified').hasAttribute('hidden'));
+  })
+  .test('commits list: should filter and fetch more commits', function * (t) {
+    const container = document.createElement('div');
+    const submits = [];
+    const messages = [];
+    let more = 0;
+    mount(<CommitsList commits={[]} smartList={{}} showToolBar={true} query={{branch: 'develop'}} message="fix" hasNextPage={true}
+                       onQuerySubmit={ev => {
+                         ev.preventDefault();
+                         submits.push(ev.target.elements.branch.value);
+                       }}
+                       onMessageInput={ev => messages.push(ev.target.value)} onLoadMore={_ => more++}/>, {}, container);
+    yield wait();
+    const form = container.querySelector('.commit-filters');
+    t.equal(form.elements.branch.value, 'develop');
+    t.equal(form.elements.message.value, 'fix');
+    form.dispatchEvent(new Event('submit', {cancelable: true}));
+    t.deepEqual(submits, ['develop']);
+    form.elements.message.value = 'sort';
+    form.elements.message.dispatchEvent(new Event('input'));
+    t.deepEqual(messages, ['sort']);
+    const loadMore = container.querySelector('.load-more-button');
+    t.notOk(loadMore.hasAttribute('hidden'));
+    loadMore.click();
+    t.equal(more, 1);
+  });
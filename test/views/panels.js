@@ -2,6 +2,10 @@ import zora from 'zora';
 import combinator from '../../src/views/Panel';
 import panel from '../../src/views/FlexibleDataPanel';
 import AdornerPanel from '../../src/views/AdornerPanel';
+import ListDataPanel from '../../src/views/ListDataPanel';
+import PanelGhost from '../../src/views/PanelGhost';
+import {ghostFromState} from '../../src/components/grid';
+import flexible from '../../src/components/FlexibleDataPanel';
 import {h, mount} from 'flaco';
 
 const wait = (time = 10) => new Promise((resolve) => {
@@ -36,6 +40,58 @@ export default zora()
     t.equal(resize.getAttribute('draggable'), 'true');
     t.equal(p.innerHTML, 'foo', 'component should have been wrapped');
   })
+  .test('flexible panel handles should be usable with the keyboard', function * (t) {
+    const container = document.createElement('div');
+    const codes = [];
+    const comp = panel(props => <p>foo</p>);
+    mount(comp, {
+      x: 2, y: 3, dx: 1, dy: 1,
+      onMoveKeyDown: ev => codes.push(['move', ev.code]),
+      onResizeKeyDown: ev => codes.push(['resize', ev.code])
+    }, container);
+    yield wait();
+    const move = container.querySelector('.move-handle');
+    const resize = container.querySelector('.resize-handle');
+    t.equal(move.getAttribute('tabindex'), '0');
+    t.equal(move.getAttribute('role'), 'button');
+    t.equal(resize.getAttribute('tabindex'), '0');
+    t.equal(resize.getAttribute('role'), 'button');
+    move.dispatchEvent(new KeyboardEvent('keydown', {code: 'Enter', bubbles: true}));
+    resize.dispatchEvent(new KeyboardEvent('keydown', {code: 'ArrowDown', bubbles: true}));
+    t.deepEqual(codes, [['move', 'Enter'], ['resize', 'ArrowDown']]);
+  })
+  .test('flexible panel: a keyboard grab should be cancelled when the handle loses the focus', function * (t) {
+    const state = {grid: {active: null, rows: 2, columns: 2}};
+    const calls = [];
+    const actions = {
+      startMove: ({x, y}) => {
+        calls.push(['startMove', x, y]);
+        state.grid.active = {x, y, operation: 'move'};
+      },
+      cancelOperation: () => {
+        calls.push(['cancelOperation']);
+        state.grid.active = null;
+      },
+      dragOver: ({x, y}) => calls.push(['dragOver', x, y]),
+      announce: _ => _
+    };
+    const services = {actions, store: {getState: () => state}};
+    const handlers = (x, y) => flexible(props => props)({x, y}, services);
+    const first = handlers(1, 1);
+    const second = handlers(2, 1);
+    const key = code => ({code, preventDefault: _ => _});
+    first.onMoveKeyDown(key('Enter'));
+    first.onMoveBlur();
+    t.deepEqual(calls, [['startMove', 1, 1], ['cancelOperation']]);
+    second.onMoveKeyDown(key('Enter'));
+    second.onMoveKeyDown(key('ArrowDown'));
+    t.deepEqual(calls.slice(2), [['startMove', 2, 1], ['dragOver', 2, 2]], 'the other handles use the keyboard again');
+    // the operation ended elsewhere (an undo for instance)
+    state.grid.active = null;
+    first.onMoveKeyDown(key('Enter'));
+    t.deepEqual(calls.slice(4), [['startMove', 1, 1]]);
+    first.onMoveKeyDown(key('Escape'));
+  })
   .test('flexible panel should have classnames depending on adorner status', function * (t) {
     const container = document.createElement('div');
     const comp = panel(props => <p>foo</p>);
@@ -55,6 +111,75 @@ export default zora()
     t.ok(div.classList.contains('data-panel'));
     t.ok(div.classList.contains('active-panel'));
   })
+  .test('flexible panel: should cover the grid when maximized', function * (t) {
+    const container = document.createElement('div');
+    const comp = panel(props => <p>foo</p>);
+    let escaped = false;
+    mount(comp, {
+      x: 2, y: 3, dx: 1, dy: 1, rows: 4, columns: 4, adornerStatus: 0, maximized: true, onPanelKeyDown: ev => escaped = ev.code === 'Escape'
+    }, container);
+    yield wait();
+    const div = container.firstChild;
+    t.ok(div.classList.contains('maximized-panel'));
+    t.equal(div.style.getPropertyValue('z-index'), '16');
+    div.querySelector('p').dispatchEvent(new KeyboardEvent('keydown', {code: 'Escape', bubbles: true}));
+    t.ok(escaped);
+    container.innerHTML = '';
+    mount(comp, {x: 1, y: 1, dx: 1, dy: 1, adornerStatus: 0, covered: true}, container);
+    t.ok(container.firstChild.classList.contains('covered-panel'));
+    t.notOk(container.firstChild.classList.contains('maximized-panel'));
+  })
+  .test('list data panel: should hide the handles and disable the reset of a locked panel', function * (t) {
+    const container = document.createElement('div');
+    mount(<ListDataPanel x={1} y={1} dx={1} dy={1} adornerStatus={0} data={{type: 'list', title: 'foo', locked: true}}/>, {}, container);
+    t.ok(container.firstChild.classList.contains('locked-panel'));
+    t.ok(container.querySelector('.reset-button').hasAttribute('disabled'));
+    t.equal(container.querySelector('.lock-button').getAttribute('aria-pressed'), 'true');
+    t.notOk(container.querySelector('.lock-button').hasAttribute('disabled'));
+    container.innerHTML = '';
+    mount(<ListDataPanel x={1} y={1} dx={1} dy={1} adornerStatus={0} dashboardLocked={true} data={{type: 'list', title: 'foo'}}/>, {}, container);
+    t.ok(container.firstChild.classList.contains('locked-panel'));
+    t.ok(container.querySelector('.lock-button').hasAttribute('disabled'), 'the dashboard lock prevails');
+  })
+  .test('list data panel: should highlight a selected panel', function * (t) {
+    const container = document.createElement('div');
+    mount(<ListDataPanel x={1} y={1} dx={1} dy={1} adornerStatus={0} selected={true} data={{type: 'list', title: 'foo'}}/>, {}, container);
+    t.ok(container.firstChild.classList.contains('selected-panel'));
+    t.notOk(container.firstChild.classList.contains('empty-panel'));
+  })
+  .test('list data panel: should not refresh a list which is being fetched', function * (t) {
+    const container = document.createElement('div');
+    mount(<ListDataPanel x={1} y={1} dx={1} dy={1} adornerStatus={0} data={{type: 'list', title: 'foo', processing: true}}/>, {}, container);
+    t.ok(container.querySelector('.refresh-button').hasAttribute('disabled'));
+  })
+  .test('list data panel: should link to the repository of the panel', function * (t) {
+    const container = document.createElement('div');
+    mount(<ListDataPanel x={1} y={1} dx={1} dy={1} adornerStatus={0} repository="facebook/react" data={{type: 'list', title: 'foo'}}/>, {}, container);
+    const link = container.querySelector('.panel-header .panel-repository');
+    t.equal(link.textContent, 'facebook/react');
+    t.equal(link.getAttribute('href'), 'https://github.com/facebook/react');
+    t.notOk(link.hidden);
+  })
+  .test('panel ghost: should render the dragged panel at its candidate position', function * (t) {
+    const container = document.createElement('div');
+    mount(<PanelGhost visible={true} valid={false} title="foo" x={2} y={1} dx={2} dy={3}/>, {}, container);
+    const ghost = container.firstChild;
+    yield wait();
+    t.notOk(ghost.hasAttribute('hidden'));
+    t.ok(ghost.classList.contains('invalid-ghost'));
+    t.equal(ghost.querySelector('.ghost-title').textContent, 'foo');
+    t.equal(ghost.querySelector('.ghost-span').textContent, '2 × 3');
+    t.equal(ghost.style.getPropertyValue('--grid-column-offset'), '2');
+    t.equal(ghost.style.getPropertyValue('--grid-row-span'), '3');
+  })
+  .test('panel ghost: should follow the operation in progress', function * (t) {
+    const panels = [{x: 1, y: 1, dx: 1, dy: 1, data: {type: 'list', title: 'foo'}}, {x: 2, y: 1, dx: 1, dy: 1, data: {}}];
+    t.deepEqual(ghostFromState({grid: {active: null, panels, rows: 1, columns: 2}}), {visible: false});
+    t.deepEqual(ghostFromState({grid: {active: {x: 1, y: 1, operation: 'move'}, panels, rows: 1, columns: 2}}), {visible: false});
+    t.deepEqual(ghostFromState({grid: {active: {x: 1, y: 1, operation: 'move', valid: true, ghost: {x: 2, y: 1, dx: 1, dy: 1}}, panels, rows: 1, columns: 2}}), {
+      visible: true, valid: true, title: 'foo', z: 3, x: 2, y: 1, dx: 1, dy: 1
+    });
+  })
   .test('adorner panel: should have the valid class if the panel is set as valid', function * (t) {
     const container = document.createElement('div');
     mount(<AdornerPanel adornerStatus={1}/>, {}, container);
@@ -66,4 +191,10 @@ export default zora()
     div=  container.firstChild;
     t.notOk(div.classList.contains('valid-panel'));
     t.ok(div.classList.contains('invalid-panel'));
+
+    container.innerHTML='';
+    mount(<AdornerPanel adornerStatus={2}/>, {}, container);
+    div=  container.firstChild;
+    t.notOk(div.classList.contains('valid-panel'));
+    t.ok(div.classList.contains('displaced-panel'));
   })
\ No newline at end of file